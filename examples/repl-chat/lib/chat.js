@@ -1,7 +1,7 @@
 const sodium = require('sodium-native')
 const bs58 = require('bs58')
 
-const { Protocol, Message } = require('../../..')
+const { Identity, Protocol, Message } = require('../../..')
 const Swarm = require('@peerlinks/swarm')
 
 const DISPLAY_COUNT = 30
@@ -58,11 +58,11 @@ module.exports = class Chat {
     const { requestId, request, decrypt } = this.identity.requestInvite(
       this.protocol.id)
 
-    const request58 = JSON.stringify(bs58.encode(request))
+    const requestURI = JSON.stringify(Identity.encodeInviteRequest(request))
     const trusteeName = JSON.stringify(this.identity.name)
 
     console.log('Ask your peer to run:')
-    console.log(`issueInvite(${trusteeName},${request58})`)
+    console.log(`issueInvite(${trusteeName},${requestURI})`)
     console.log('...waiting')
 
     const encryptedInvite = await this.swarm.waitForInvite(
@@ -84,13 +84,13 @@ module.exports = class Chat {
     }
     if (!request || !inviteeName) {
       throw new Error(
-        'Usage: issueInvite(inviteeName, < base58 request string >)')
+        'Usage: issueInvite(inviteeName, < invite request string >)')
     }
 
-    request = bs58.decode(request)
+    request = Identity.decodeInviteRequest(request)
 
-    const { encryptedInvite, peerId } = this.identity.issueInvite(
-      this.channel, request, inviteeName)
+    const { encryptedInvite, peerId } = await this.protocol.issueInvite(
+      this.identity, this.channel, request, inviteeName)
 
     await this.swarm.sendInvite({
       peerId,
@@ -647,6 +647,7 @@ $root.Link = (function() {
          * @property {number|null} [validFrom] TBS validFrom
          * @property {number|null} [validTo] TBS validTo
          * @property {Uint8Array|null} [channelId] TBS channelId
+         * @property {number|null} [capabilities] TBS capabilities
          */
 
         /**
@@ -704,6 +705,14 @@ $root.Link = (function() {
          */
         TBS.prototype.channelId = $util.newBuffer([]);
 
+        /**
+         * TBS capabilities.
+         * @member {number} capabilities
+         * @memberof Link.TBS
+         * @instance
+         */
+        TBS.prototype.capabilities = 0;
+
         /**
          * Creates a new TBS instance using the specified properties.
          * @function create
@@ -738,6 +747,8 @@ $root.Link = (function() {
                 writer.uint32(/* id 4, wireType 1 =*/33).double(message.validTo);
             if (message.channelId != null && message.hasOwnProperty("channelId"))
                 writer.uint32(/* id 5, wireType 2 =*/42).bytes(message.channelId);
+            if (message.capabilities != null && message.hasOwnProperty("capabilities"))
+                writer.uint32(/* id 6, wireType 0 =*/48).uint32(message.capabilities);
             return writer;
         };
 
@@ -787,6 +798,9 @@ $root.Link = (function() {
                 case 5:
                     message.channelId = reader.bytes();
                     break;
+                case 6:
+                    message.capabilities = reader.uint32();
+                    break;
                 default:
                     reader.skipType(tag & 7);
                     break;
@@ -837,6 +851,9 @@ $root.Link = (function() {
             if (message.channelId != null && message.hasOwnProperty("channelId"))
                 if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
                     return "channelId: buffer expected";
+            if (message.capabilities != null && message.hasOwnProperty("capabilities"))
+                if (!$util.isInteger(message.capabilities))
+                    return "capabilities: integer expected";
             return null;
         };
 
@@ -868,6 +885,8 @@ $root.Link = (function() {
                     $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
                 else if (object.channelId.length)
                     message.channelId = object.channelId;
+            if (object.capabilities != null)
+                message.capabilities = object.capabilities >>> 0;
             return message;
         };
 
@@ -902,6 +921,7 @@ $root.Link = (function() {
                     if (options.bytes !== Array)
                         object.channelId = $util.newBuffer(object.channelId);
                 }
+                object.capabilities = 0;
             }
             if (message.trusteePubKey != null && message.hasOwnProperty("trusteePubKey"))
                 object.trusteePubKey = options.bytes === String ? $util.base64.encode(message.trusteePubKey, 0, message.trusteePubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.trusteePubKey) : message.trusteePubKey;
@@ -913,6 +933,8 @@ $root.Link = (function() {
                 object.validTo = options.json && !isFinite(message.validTo) ? String(message.validTo) : message.validTo;
             if (message.channelId != null && message.hasOwnProperty("channelId"))
                 object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+            if (message.capabilities != null && message.hasOwnProperty("capabilities"))
+                object.capabilities = message.capabilities;
             return object;
         };
 
@@ -933,27 +955,25 @@ $root.Link = (function() {
     return Link;
 })();
 
-$root.Invite = (function() {
+$root.DeviceLink = (function() {
 
     /**
-     * Properties of an Invite.
-     * @exports IInvite
-     * @interface IInvite
-     * @property {Uint8Array|null} [channelPubKey] Invite channelPubKey
-     * @property {string|null} [channelName] Invite channelName
-     * @property {Array.<ILink>|null} [chain] Invite chain
+     * Properties of a DeviceLink.
+     * @exports IDeviceLink
+     * @interface IDeviceLink
+     * @property {DeviceLink.ITBS|null} [tbs] DeviceLink tbs
+     * @property {Uint8Array|null} [signature] DeviceLink signature
      */
 
     /**
-     * Constructs a new Invite.
-     * @exports Invite
-     * @classdesc Represents an Invite.
-     * @implements IInvite
+     * Constructs a new DeviceLink.
+     * @exports DeviceLink
+     * @classdesc Represents a DeviceLink.
+     * @implements IDeviceLink
      * @constructor
-     * @param {IInvite=} [properties] Properties to set
+     * @param {IDeviceLink=} [properties] Properties to set
      */
-    function Invite(properties) {
-        this.chain = [];
+    function DeviceLink(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -961,104 +981,88 @@ $root.Invite = (function() {
     }
 
     /**
-     * Invite channelPubKey.
-     * @member {Uint8Array} channelPubKey
-     * @memberof Invite
-     * @instance
-     */
-    Invite.prototype.channelPubKey = $util.newBuffer([]);
-
-    /**
-     * Invite channelName.
-     * @member {string} channelName
-     * @memberof Invite
+     * DeviceLink tbs.
+     * @member {DeviceLink.ITBS|null|undefined} tbs
+     * @memberof DeviceLink
      * @instance
      */
-    Invite.prototype.channelName = "";
+    DeviceLink.prototype.tbs = null;
 
     /**
-     * Invite chain.
-     * @member {Array.<ILink>} chain
-     * @memberof Invite
+     * DeviceLink signature.
+     * @member {Uint8Array} signature
+     * @memberof DeviceLink
      * @instance
      */
-    Invite.prototype.chain = $util.emptyArray;
+    DeviceLink.prototype.signature = $util.newBuffer([]);
 
     /**
-     * Creates a new Invite instance using the specified properties.
+     * Creates a new DeviceLink instance using the specified properties.
      * @function create
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
-     * @param {IInvite=} [properties] Properties to set
-     * @returns {Invite} Invite instance
+     * @param {IDeviceLink=} [properties] Properties to set
+     * @returns {DeviceLink} DeviceLink instance
      */
-    Invite.create = function create(properties) {
-        return new Invite(properties);
+    DeviceLink.create = function create(properties) {
+        return new DeviceLink(properties);
     };
 
     /**
-     * Encodes the specified Invite message. Does not implicitly {@link Invite.verify|verify} messages.
+     * Encodes the specified DeviceLink message. Does not implicitly {@link DeviceLink.verify|verify} messages.
      * @function encode
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
-     * @param {IInvite} message Invite message or plain object to encode
+     * @param {IDeviceLink} message DeviceLink message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Invite.encode = function encode(message, writer) {
+    DeviceLink.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.channelPubKey != null && message.hasOwnProperty("channelPubKey"))
-            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelPubKey);
-        if (message.channelName != null && message.hasOwnProperty("channelName"))
-            writer.uint32(/* id 2, wireType 2 =*/18).string(message.channelName);
-        if (message.chain != null && message.chain.length)
-            for (var i = 0; i < message.chain.length; ++i)
-                $root.Link.encode(message.chain[i], writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
+        if (message.tbs != null && message.hasOwnProperty("tbs"))
+            $root.DeviceLink.TBS.encode(message.tbs, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+        if (message.signature != null && message.hasOwnProperty("signature"))
+            writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.signature);
         return writer;
     };
 
     /**
-     * Encodes the specified Invite message, length delimited. Does not implicitly {@link Invite.verify|verify} messages.
+     * Encodes the specified DeviceLink message, length delimited. Does not implicitly {@link DeviceLink.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
-     * @param {IInvite} message Invite message or plain object to encode
+     * @param {IDeviceLink} message DeviceLink message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Invite.encodeDelimited = function encodeDelimited(message, writer) {
+    DeviceLink.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes an Invite message from the specified reader or buffer.
+     * Decodes a DeviceLink message from the specified reader or buffer.
      * @function decode
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Invite} Invite
+     * @returns {DeviceLink} DeviceLink
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Invite.decode = function decode(reader, length) {
+    DeviceLink.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Invite();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.DeviceLink();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.channelPubKey = reader.bytes();
+                message.tbs = $root.DeviceLink.TBS.decode(reader, reader.uint32());
                 break;
             case 2:
-                message.channelName = reader.string();
-                break;
-            case 3:
-                if (!(message.chain && message.chain.length))
-                    message.chain = [];
-                message.chain.push($root.Link.decode(reader, reader.uint32()));
+                message.signature = reader.bytes();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -1069,226 +1073,731 @@ $root.Invite = (function() {
     };
 
     /**
-     * Decodes an Invite message from the specified reader or buffer, length delimited.
+     * Decodes a DeviceLink message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Invite} Invite
+     * @returns {DeviceLink} DeviceLink
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Invite.decodeDelimited = function decodeDelimited(reader) {
+    DeviceLink.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies an Invite message.
+     * Verifies a DeviceLink message.
      * @function verify
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Invite.verify = function verify(message) {
+    DeviceLink.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.channelPubKey != null && message.hasOwnProperty("channelPubKey"))
-            if (!(message.channelPubKey && typeof message.channelPubKey.length === "number" || $util.isString(message.channelPubKey)))
-                return "channelPubKey: buffer expected";
-        if (message.channelName != null && message.hasOwnProperty("channelName"))
-            if (!$util.isString(message.channelName))
-                return "channelName: string expected";
-        if (message.chain != null && message.hasOwnProperty("chain")) {
-            if (!Array.isArray(message.chain))
-                return "chain: array expected";
-            for (var i = 0; i < message.chain.length; ++i) {
-                var error = $root.Link.verify(message.chain[i]);
-                if (error)
-                    return "chain." + error;
-            }
+        if (message.tbs != null && message.hasOwnProperty("tbs")) {
+            var error = $root.DeviceLink.TBS.verify(message.tbs);
+            if (error)
+                return "tbs." + error;
         }
+        if (message.signature != null && message.hasOwnProperty("signature"))
+            if (!(message.signature && typeof message.signature.length === "number" || $util.isString(message.signature)))
+                return "signature: buffer expected";
         return null;
     };
 
     /**
-     * Creates an Invite message from a plain object. Also converts values to their respective internal types.
+     * Creates a DeviceLink message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Invite} Invite
+     * @returns {DeviceLink} DeviceLink
      */
-    Invite.fromObject = function fromObject(object) {
-        if (object instanceof $root.Invite)
+    DeviceLink.fromObject = function fromObject(object) {
+        if (object instanceof $root.DeviceLink)
             return object;
-        var message = new $root.Invite();
-        if (object.channelPubKey != null)
-            if (typeof object.channelPubKey === "string")
-                $util.base64.decode(object.channelPubKey, message.channelPubKey = $util.newBuffer($util.base64.length(object.channelPubKey)), 0);
-            else if (object.channelPubKey.length)
-                message.channelPubKey = object.channelPubKey;
-        if (object.channelName != null)
-            message.channelName = String(object.channelName);
-        if (object.chain) {
-            if (!Array.isArray(object.chain))
-                throw TypeError(".Invite.chain: array expected");
-            message.chain = [];
-            for (var i = 0; i < object.chain.length; ++i) {
-                if (typeof object.chain[i] !== "object")
-                    throw TypeError(".Invite.chain: object expected");
-                message.chain[i] = $root.Link.fromObject(object.chain[i]);
-            }
+        var message = new $root.DeviceLink();
+        if (object.tbs != null) {
+            if (typeof object.tbs !== "object")
+                throw TypeError(".DeviceLink.tbs: object expected");
+            message.tbs = $root.DeviceLink.TBS.fromObject(object.tbs);
         }
+        if (object.signature != null)
+            if (typeof object.signature === "string")
+                $util.base64.decode(object.signature, message.signature = $util.newBuffer($util.base64.length(object.signature)), 0);
+            else if (object.signature.length)
+                message.signature = object.signature;
         return message;
     };
 
     /**
-     * Creates a plain object from an Invite message. Also converts values to other types if specified.
+     * Creates a plain object from a DeviceLink message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Invite
+     * @memberof DeviceLink
      * @static
-     * @param {Invite} message Invite
+     * @param {DeviceLink} message DeviceLink
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Invite.toObject = function toObject(message, options) {
+    DeviceLink.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.arrays || options.defaults)
-            object.chain = [];
         if (options.defaults) {
+            object.tbs = null;
             if (options.bytes === String)
-                object.channelPubKey = "";
+                object.signature = "";
             else {
-                object.channelPubKey = [];
+                object.signature = [];
                 if (options.bytes !== Array)
-                    object.channelPubKey = $util.newBuffer(object.channelPubKey);
+                    object.signature = $util.newBuffer(object.signature);
             }
-            object.channelName = "";
-        }
-        if (message.channelPubKey != null && message.hasOwnProperty("channelPubKey"))
-            object.channelPubKey = options.bytes === String ? $util.base64.encode(message.channelPubKey, 0, message.channelPubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelPubKey) : message.channelPubKey;
-        if (message.channelName != null && message.hasOwnProperty("channelName"))
-            object.channelName = message.channelName;
-        if (message.chain && message.chain.length) {
-            object.chain = [];
-            for (var j = 0; j < message.chain.length; ++j)
-                object.chain[j] = $root.Link.toObject(message.chain[j], options);
         }
+        if (message.tbs != null && message.hasOwnProperty("tbs"))
+            object.tbs = $root.DeviceLink.TBS.toObject(message.tbs, options);
+        if (message.signature != null && message.hasOwnProperty("signature"))
+            object.signature = options.bytes === String ? $util.base64.encode(message.signature, 0, message.signature.length) : options.bytes === Array ? Array.prototype.slice.call(message.signature) : message.signature;
         return object;
     };
 
     /**
-     * Converts this Invite to JSON.
+     * Converts this DeviceLink to JSON.
      * @function toJSON
-     * @memberof Invite
+     * @memberof DeviceLink
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    Invite.prototype.toJSON = function toJSON() {
+    DeviceLink.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    return Invite;
-})();
+    DeviceLink.TBS = (function() {
 
-$root.EncryptedInvite = (function() {
+        /**
+         * Properties of a TBS.
+         * @memberof DeviceLink
+         * @interface ITBS
+         * @property {Uint8Array|null} [devicePubKey] TBS devicePubKey
+         * @property {string|null} [deviceName] TBS deviceName
+         * @property {number|null} [validFrom] TBS validFrom
+         * @property {number|null} [validTo] TBS validTo
+         */
 
-    /**
-     * Properties of an EncryptedInvite.
-     * @exports IEncryptedInvite
-     * @interface IEncryptedInvite
-     * @property {Uint8Array|null} [requestId] EncryptedInvite requestId
-     * @property {Uint8Array|null} [box] EncryptedInvite box
-     */
+        /**
+         * Constructs a new TBS.
+         * @memberof DeviceLink
+         * @classdesc Represents a TBS.
+         * @implements ITBS
+         * @constructor
+         * @param {DeviceLink.ITBS=} [properties] Properties to set
+         */
+        function TBS(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
 
-    /**
-     * Constructs a new EncryptedInvite.
-     * @exports EncryptedInvite
-     * @classdesc Represents an EncryptedInvite.
-     * @implements IEncryptedInvite
-     * @constructor
-     * @param {IEncryptedInvite=} [properties] Properties to set
-     */
-    function EncryptedInvite(properties) {
-        if (properties)
-            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
-                if (properties[keys[i]] != null)
-                    this[keys[i]] = properties[keys[i]];
-    }
+        /**
+         * TBS devicePubKey.
+         * @member {Uint8Array} devicePubKey
+         * @memberof DeviceLink.TBS
+         * @instance
+         */
+        TBS.prototype.devicePubKey = $util.newBuffer([]);
 
-    /**
-     * EncryptedInvite requestId.
-     * @member {Uint8Array} requestId
-     * @memberof EncryptedInvite
-     * @instance
-     */
-    EncryptedInvite.prototype.requestId = $util.newBuffer([]);
+        /**
+         * TBS deviceName.
+         * @member {string} deviceName
+         * @memberof DeviceLink.TBS
+         * @instance
+         */
+        TBS.prototype.deviceName = "";
 
-    /**
-     * EncryptedInvite box.
-     * @member {Uint8Array} box
-     * @memberof EncryptedInvite
-     * @instance
-     */
-    EncryptedInvite.prototype.box = $util.newBuffer([]);
+        /**
+         * TBS validFrom.
+         * @member {number} validFrom
+         * @memberof DeviceLink.TBS
+         * @instance
+         */
+        TBS.prototype.validFrom = 0;
 
-    /**
-     * Creates a new EncryptedInvite instance using the specified properties.
-     * @function create
-     * @memberof EncryptedInvite
-     * @static
-     * @param {IEncryptedInvite=} [properties] Properties to set
-     * @returns {EncryptedInvite} EncryptedInvite instance
-     */
-    EncryptedInvite.create = function create(properties) {
-        return new EncryptedInvite(properties);
-    };
+        /**
+         * TBS validTo.
+         * @member {number} validTo
+         * @memberof DeviceLink.TBS
+         * @instance
+         */
+        TBS.prototype.validTo = 0;
 
-    /**
-     * Encodes the specified EncryptedInvite message. Does not implicitly {@link EncryptedInvite.verify|verify} messages.
-     * @function encode
-     * @memberof EncryptedInvite
-     * @static
-     * @param {IEncryptedInvite} message EncryptedInvite message or plain object to encode
-     * @param {$protobuf.Writer} [writer] Writer to encode to
-     * @returns {$protobuf.Writer} Writer
-     */
-    EncryptedInvite.encode = function encode(message, writer) {
-        if (!writer)
-            writer = $Writer.create();
-        if (message.requestId != null && message.hasOwnProperty("requestId"))
-            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.requestId);
-        if (message.box != null && message.hasOwnProperty("box"))
-            writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.box);
+        /**
+         * Creates a new TBS instance using the specified properties.
+         * @function create
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {DeviceLink.ITBS=} [properties] Properties to set
+         * @returns {DeviceLink.TBS} TBS instance
+         */
+        TBS.create = function create(properties) {
+            return new TBS(properties);
+        };
+
+        /**
+         * Encodes the specified TBS message. Does not implicitly {@link DeviceLink.TBS.verify|verify} messages.
+         * @function encode
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {DeviceLink.ITBS} message TBS message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TBS.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.devicePubKey != null && message.hasOwnProperty("devicePubKey"))
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.devicePubKey);
+            if (message.deviceName != null && message.hasOwnProperty("deviceName"))
+                writer.uint32(/* id 2, wireType 2 =*/18).string(message.deviceName);
+            if (message.validFrom != null && message.hasOwnProperty("validFrom"))
+                writer.uint32(/* id 3, wireType 1 =*/25).double(message.validFrom);
+            if (message.validTo != null && message.hasOwnProperty("validTo"))
+                writer.uint32(/* id 4, wireType 1 =*/33).double(message.validTo);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified TBS message, length delimited. Does not implicitly {@link DeviceLink.TBS.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {DeviceLink.ITBS} message TBS message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TBS.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a TBS message from the specified reader or buffer.
+         * @function decode
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {DeviceLink.TBS} TBS
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TBS.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.DeviceLink.TBS();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.devicePubKey = reader.bytes();
+                    break;
+                case 2:
+                    message.deviceName = reader.string();
+                    break;
+                case 3:
+                    message.validFrom = reader.double();
+                    break;
+                case 4:
+                    message.validTo = reader.double();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a TBS message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {DeviceLink.TBS} TBS
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TBS.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a TBS message.
+         * @function verify
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        TBS.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.devicePubKey != null && message.hasOwnProperty("devicePubKey"))
+                if (!(message.devicePubKey && typeof message.devicePubKey.length === "number" || $util.isString(message.devicePubKey)))
+                    return "devicePubKey: buffer expected";
+            if (message.deviceName != null && message.hasOwnProperty("deviceName"))
+                if (!$util.isString(message.deviceName))
+                    return "deviceName: string expected";
+            if (message.validFrom != null && message.hasOwnProperty("validFrom"))
+                if (typeof message.validFrom !== "number")
+                    return "validFrom: number expected";
+            if (message.validTo != null && message.hasOwnProperty("validTo"))
+                if (typeof message.validTo !== "number")
+                    return "validTo: number expected";
+            return null;
+        };
+
+        /**
+         * Creates a TBS message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {DeviceLink.TBS} TBS
+         */
+        TBS.fromObject = function fromObject(object) {
+            if (object instanceof $root.DeviceLink.TBS)
+                return object;
+            var message = new $root.DeviceLink.TBS();
+            if (object.devicePubKey != null)
+                if (typeof object.devicePubKey === "string")
+                    $util.base64.decode(object.devicePubKey, message.devicePubKey = $util.newBuffer($util.base64.length(object.devicePubKey)), 0);
+                else if (object.devicePubKey.length)
+                    message.devicePubKey = object.devicePubKey;
+            if (object.deviceName != null)
+                message.deviceName = String(object.deviceName);
+            if (object.validFrom != null)
+                message.validFrom = Number(object.validFrom);
+            if (object.validTo != null)
+                message.validTo = Number(object.validTo);
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a TBS message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof DeviceLink.TBS
+         * @static
+         * @param {DeviceLink.TBS} message TBS
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        TBS.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                if (options.bytes === String)
+                    object.devicePubKey = "";
+                else {
+                    object.devicePubKey = [];
+                    if (options.bytes !== Array)
+                        object.devicePubKey = $util.newBuffer(object.devicePubKey);
+                }
+                object.deviceName = "";
+                object.validFrom = 0;
+                object.validTo = 0;
+            }
+            if (message.devicePubKey != null && message.hasOwnProperty("devicePubKey"))
+                object.devicePubKey = options.bytes === String ? $util.base64.encode(message.devicePubKey, 0, message.devicePubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.devicePubKey) : message.devicePubKey;
+            if (message.deviceName != null && message.hasOwnProperty("deviceName"))
+                object.deviceName = message.deviceName;
+            if (message.validFrom != null && message.hasOwnProperty("validFrom"))
+                object.validFrom = options.json && !isFinite(message.validFrom) ? String(message.validFrom) : message.validFrom;
+            if (message.validTo != null && message.hasOwnProperty("validTo"))
+                object.validTo = options.json && !isFinite(message.validTo) ? String(message.validTo) : message.validTo;
+            return object;
+        };
+
+        /**
+         * Converts this TBS to JSON.
+         * @function toJSON
+         * @memberof DeviceLink.TBS
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        TBS.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return TBS;
+    })();
+
+    return DeviceLink;
+})();
+
+$root.Invite = (function() {
+
+    /**
+     * Properties of an Invite.
+     * @exports IInvite
+     * @interface IInvite
+     * @property {Uint8Array|null} [channelPubKey] Invite channelPubKey
+     * @property {string|null} [channelName] Invite channelName
+     * @property {Array.<ILink>|null} [chain] Invite chain
+     */
+
+    /**
+     * Constructs a new Invite.
+     * @exports Invite
+     * @classdesc Represents an Invite.
+     * @implements IInvite
+     * @constructor
+     * @param {IInvite=} [properties] Properties to set
+     */
+    function Invite(properties) {
+        this.chain = [];
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Invite channelPubKey.
+     * @member {Uint8Array} channelPubKey
+     * @memberof Invite
+     * @instance
+     */
+    Invite.prototype.channelPubKey = $util.newBuffer([]);
+
+    /**
+     * Invite channelName.
+     * @member {string} channelName
+     * @memberof Invite
+     * @instance
+     */
+    Invite.prototype.channelName = "";
+
+    /**
+     * Invite chain.
+     * @member {Array.<ILink>} chain
+     * @memberof Invite
+     * @instance
+     */
+    Invite.prototype.chain = $util.emptyArray;
+
+    /**
+     * Creates a new Invite instance using the specified properties.
+     * @function create
+     * @memberof Invite
+     * @static
+     * @param {IInvite=} [properties] Properties to set
+     * @returns {Invite} Invite instance
+     */
+    Invite.create = function create(properties) {
+        return new Invite(properties);
+    };
+
+    /**
+     * Encodes the specified Invite message. Does not implicitly {@link Invite.verify|verify} messages.
+     * @function encode
+     * @memberof Invite
+     * @static
+     * @param {IInvite} message Invite message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Invite.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.channelPubKey != null && message.hasOwnProperty("channelPubKey"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelPubKey);
+        if (message.channelName != null && message.hasOwnProperty("channelName"))
+            writer.uint32(/* id 2, wireType 2 =*/18).string(message.channelName);
+        if (message.chain != null && message.chain.length)
+            for (var i = 0; i < message.chain.length; ++i)
+                $root.Link.encode(message.chain[i], writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
         return writer;
     };
 
     /**
-     * Encodes the specified EncryptedInvite message, length delimited. Does not implicitly {@link EncryptedInvite.verify|verify} messages.
+     * Encodes the specified Invite message, length delimited. Does not implicitly {@link Invite.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof EncryptedInvite
+     * @memberof Invite
      * @static
-     * @param {IEncryptedInvite} message EncryptedInvite message or plain object to encode
+     * @param {IInvite} message Invite message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    EncryptedInvite.encodeDelimited = function encodeDelimited(message, writer) {
+    Invite.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes an EncryptedInvite message from the specified reader or buffer.
+     * Decodes an Invite message from the specified reader or buffer.
      * @function decode
-     * @memberof EncryptedInvite
+     * @memberof Invite
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {EncryptedInvite} EncryptedInvite
+     * @returns {Invite} Invite
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Invite.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Invite();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.channelPubKey = reader.bytes();
+                break;
+            case 2:
+                message.channelName = reader.string();
+                break;
+            case 3:
+                if (!(message.chain && message.chain.length))
+                    message.chain = [];
+                message.chain.push($root.Link.decode(reader, reader.uint32()));
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes an Invite message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Invite
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Invite} Invite
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Invite.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies an Invite message.
+     * @function verify
+     * @memberof Invite
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Invite.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.channelPubKey != null && message.hasOwnProperty("channelPubKey"))
+            if (!(message.channelPubKey && typeof message.channelPubKey.length === "number" || $util.isString(message.channelPubKey)))
+                return "channelPubKey: buffer expected";
+        if (message.channelName != null && message.hasOwnProperty("channelName"))
+            if (!$util.isString(message.channelName))
+                return "channelName: string expected";
+        if (message.chain != null && message.hasOwnProperty("chain")) {
+            if (!Array.isArray(message.chain))
+                return "chain: array expected";
+            for (var i = 0; i < message.chain.length; ++i) {
+                var error = $root.Link.verify(message.chain[i]);
+                if (error)
+                    return "chain." + error;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Creates an Invite message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Invite
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Invite} Invite
+     */
+    Invite.fromObject = function fromObject(object) {
+        if (object instanceof $root.Invite)
+            return object;
+        var message = new $root.Invite();
+        if (object.channelPubKey != null)
+            if (typeof object.channelPubKey === "string")
+                $util.base64.decode(object.channelPubKey, message.channelPubKey = $util.newBuffer($util.base64.length(object.channelPubKey)), 0);
+            else if (object.channelPubKey.length)
+                message.channelPubKey = object.channelPubKey;
+        if (object.channelName != null)
+            message.channelName = String(object.channelName);
+        if (object.chain) {
+            if (!Array.isArray(object.chain))
+                throw TypeError(".Invite.chain: array expected");
+            message.chain = [];
+            for (var i = 0; i < object.chain.length; ++i) {
+                if (typeof object.chain[i] !== "object")
+                    throw TypeError(".Invite.chain: object expected");
+                message.chain[i] = $root.Link.fromObject(object.chain[i]);
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Creates a plain object from an Invite message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Invite
+     * @static
+     * @param {Invite} message Invite
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Invite.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.arrays || options.defaults)
+            object.chain = [];
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.channelPubKey = "";
+            else {
+                object.channelPubKey = [];
+                if (options.bytes !== Array)
+                    object.channelPubKey = $util.newBuffer(object.channelPubKey);
+            }
+            object.channelName = "";
+        }
+        if (message.channelPubKey != null && message.hasOwnProperty("channelPubKey"))
+            object.channelPubKey = options.bytes === String ? $util.base64.encode(message.channelPubKey, 0, message.channelPubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelPubKey) : message.channelPubKey;
+        if (message.channelName != null && message.hasOwnProperty("channelName"))
+            object.channelName = message.channelName;
+        if (message.chain && message.chain.length) {
+            object.chain = [];
+            for (var j = 0; j < message.chain.length; ++j)
+                object.chain[j] = $root.Link.toObject(message.chain[j], options);
+        }
+        return object;
+    };
+
+    /**
+     * Converts this Invite to JSON.
+     * @function toJSON
+     * @memberof Invite
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Invite.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return Invite;
+})();
+
+$root.EncryptedInvite = (function() {
+
+    /**
+     * Properties of an EncryptedInvite.
+     * @exports IEncryptedInvite
+     * @interface IEncryptedInvite
+     * @property {Uint8Array|null} [requestId] EncryptedInvite requestId
+     * @property {Uint8Array|null} [box] EncryptedInvite box
+     */
+
+    /**
+     * Constructs a new EncryptedInvite.
+     * @exports EncryptedInvite
+     * @classdesc Represents an EncryptedInvite.
+     * @implements IEncryptedInvite
+     * @constructor
+     * @param {IEncryptedInvite=} [properties] Properties to set
+     */
+    function EncryptedInvite(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * EncryptedInvite requestId.
+     * @member {Uint8Array} requestId
+     * @memberof EncryptedInvite
+     * @instance
+     */
+    EncryptedInvite.prototype.requestId = $util.newBuffer([]);
+
+    /**
+     * EncryptedInvite box.
+     * @member {Uint8Array} box
+     * @memberof EncryptedInvite
+     * @instance
+     */
+    EncryptedInvite.prototype.box = $util.newBuffer([]);
+
+    /**
+     * Creates a new EncryptedInvite instance using the specified properties.
+     * @function create
+     * @memberof EncryptedInvite
+     * @static
+     * @param {IEncryptedInvite=} [properties] Properties to set
+     * @returns {EncryptedInvite} EncryptedInvite instance
+     */
+    EncryptedInvite.create = function create(properties) {
+        return new EncryptedInvite(properties);
+    };
+
+    /**
+     * Encodes the specified EncryptedInvite message. Does not implicitly {@link EncryptedInvite.verify|verify} messages.
+     * @function encode
+     * @memberof EncryptedInvite
+     * @static
+     * @param {IEncryptedInvite} message EncryptedInvite message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    EncryptedInvite.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.requestId != null && message.hasOwnProperty("requestId"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.requestId);
+        if (message.box != null && message.hasOwnProperty("box"))
+            writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.box);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified EncryptedInvite message, length delimited. Does not implicitly {@link EncryptedInvite.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof EncryptedInvite
+     * @static
+     * @param {IEncryptedInvite} message EncryptedInvite message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    EncryptedInvite.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes an EncryptedInvite message from the specified reader or buffer.
+     * @function decode
+     * @memberof EncryptedInvite
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {EncryptedInvite} EncryptedInvite
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
@@ -2064,14 +2573,255 @@ $root.ChannelMessage = (function() {
         return Root;
     })();
 
-    ChannelMessage.Body = (function() {
+    ChannelMessage.Revocation = (function() {
 
         /**
-         * Properties of a Body.
+         * Properties of a Revocation.
          * @memberof ChannelMessage
-         * @interface IBody
-         * @property {ChannelMessage.IRoot|null} [root] Body root
-         * @property {string|null} [json] Body json
+         * @interface IRevocation
+         * @property {Array.<ILink>|null} [chain] Revocation chain
+         * @property {Uint8Array|null} [devicePubKey] Revocation devicePubKey
+         */
+
+        /**
+         * Constructs a new Revocation.
+         * @memberof ChannelMessage
+         * @classdesc Represents a Revocation.
+         * @implements IRevocation
+         * @constructor
+         * @param {ChannelMessage.IRevocation=} [properties] Properties to set
+         */
+        function Revocation(properties) {
+            this.chain = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Revocation chain.
+         * @member {Array.<ILink>} chain
+         * @memberof ChannelMessage.Revocation
+         * @instance
+         */
+        Revocation.prototype.chain = $util.emptyArray;
+
+        /**
+         * Revocation devicePubKey.
+         * @member {Uint8Array} devicePubKey
+         * @memberof ChannelMessage.Revocation
+         * @instance
+         */
+        Revocation.prototype.devicePubKey = $util.newBuffer([]);
+
+        /**
+         * Creates a new Revocation instance using the specified properties.
+         * @function create
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {ChannelMessage.IRevocation=} [properties] Properties to set
+         * @returns {ChannelMessage.Revocation} Revocation instance
+         */
+        Revocation.create = function create(properties) {
+            return new Revocation(properties);
+        };
+
+        /**
+         * Encodes the specified Revocation message. Does not implicitly {@link ChannelMessage.Revocation.verify|verify} messages.
+         * @function encode
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {ChannelMessage.IRevocation} message Revocation message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Revocation.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.chain != null && message.chain.length)
+                for (var i = 0; i < message.chain.length; ++i)
+                    $root.Link.encode(message.chain[i], writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+            if (message.devicePubKey != null && message.hasOwnProperty("devicePubKey"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.devicePubKey);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Revocation message, length delimited. Does not implicitly {@link ChannelMessage.Revocation.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {ChannelMessage.IRevocation} message Revocation message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Revocation.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Revocation message from the specified reader or buffer.
+         * @function decode
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {ChannelMessage.Revocation} Revocation
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Revocation.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.ChannelMessage.Revocation();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    if (!(message.chain && message.chain.length))
+                        message.chain = [];
+                    message.chain.push($root.Link.decode(reader, reader.uint32()));
+                    break;
+                case 2:
+                    message.devicePubKey = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Revocation message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {ChannelMessage.Revocation} Revocation
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Revocation.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Revocation message.
+         * @function verify
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Revocation.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.chain != null && message.hasOwnProperty("chain")) {
+                if (!Array.isArray(message.chain))
+                    return "chain: array expected";
+                for (var i = 0; i < message.chain.length; ++i) {
+                    var error = $root.Link.verify(message.chain[i]);
+                    if (error)
+                        return "chain." + error;
+                }
+            }
+            if (message.devicePubKey != null && message.hasOwnProperty("devicePubKey"))
+                if (!(message.devicePubKey && typeof message.devicePubKey.length === "number" || $util.isString(message.devicePubKey)))
+                    return "devicePubKey: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a Revocation message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {ChannelMessage.Revocation} Revocation
+         */
+        Revocation.fromObject = function fromObject(object) {
+            if (object instanceof $root.ChannelMessage.Revocation)
+                return object;
+            var message = new $root.ChannelMessage.Revocation();
+            if (object.chain) {
+                if (!Array.isArray(object.chain))
+                    throw TypeError(".ChannelMessage.Revocation.chain: array expected");
+                message.chain = [];
+                for (var i = 0; i < object.chain.length; ++i) {
+                    if (typeof object.chain[i] !== "object")
+                        throw TypeError(".ChannelMessage.Revocation.chain: object expected");
+                    message.chain[i] = $root.Link.fromObject(object.chain[i]);
+                }
+            }
+            if (object.devicePubKey != null)
+                if (typeof object.devicePubKey === "string")
+                    $util.base64.decode(object.devicePubKey, message.devicePubKey = $util.newBuffer($util.base64.length(object.devicePubKey)), 0);
+                else if (object.devicePubKey.length)
+                    message.devicePubKey = object.devicePubKey;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Revocation message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof ChannelMessage.Revocation
+         * @static
+         * @param {ChannelMessage.Revocation} message Revocation
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Revocation.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.chain = [];
+            if (options.defaults)
+                if (options.bytes === String)
+                    object.devicePubKey = "";
+                else {
+                    object.devicePubKey = [];
+                    if (options.bytes !== Array)
+                        object.devicePubKey = $util.newBuffer(object.devicePubKey);
+                }
+            if (message.chain && message.chain.length) {
+                object.chain = [];
+                for (var j = 0; j < message.chain.length; ++j)
+                    object.chain[j] = $root.Link.toObject(message.chain[j], options);
+            }
+            if (message.devicePubKey != null && message.hasOwnProperty("devicePubKey"))
+                object.devicePubKey = options.bytes === String ? $util.base64.encode(message.devicePubKey, 0, message.devicePubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.devicePubKey) : message.devicePubKey;
+            return object;
+        };
+
+        /**
+         * Converts this Revocation to JSON.
+         * @function toJSON
+         * @memberof ChannelMessage.Revocation
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Revocation.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Revocation;
+    })();
+
+    ChannelMessage.Body = (function() {
+
+        /**
+         * Properties of a Body.
+         * @memberof ChannelMessage
+         * @interface IBody
+         * @property {ChannelMessage.IRoot|null} [root] Body root
+         * @property {string|null} [json] Body json
+         * @property {ChannelMessage.IRevocation|null} [revocation] Body revocation
          */
 
         /**
@@ -2105,17 +2855,25 @@ $root.ChannelMessage = (function() {
          */
         Body.prototype.json = "";
 
+        /**
+         * Body revocation.
+         * @member {ChannelMessage.IRevocation|null|undefined} revocation
+         * @memberof ChannelMessage.Body
+         * @instance
+         */
+        Body.prototype.revocation = null;
+
         // OneOf field names bound to virtual getters and setters
         var $oneOfFields;
 
         /**
          * Body body.
-         * @member {"root"|"json"|undefined} body
+         * @member {"root"|"json"|"revocation"|undefined} body
          * @memberof ChannelMessage.Body
          * @instance
          */
         Object.defineProperty(Body.prototype, "body", {
-            get: $util.oneOfGetter($oneOfFields = ["root", "json"]),
+            get: $util.oneOfGetter($oneOfFields = ["root", "json", "revocation"]),
             set: $util.oneOfSetter($oneOfFields)
         });
 
@@ -2147,6 +2905,8 @@ $root.ChannelMessage = (function() {
                 $root.ChannelMessage.Root.encode(message.root, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
             if (message.json != null && message.hasOwnProperty("json"))
                 writer.uint32(/* id 2, wireType 2 =*/18).string(message.json);
+            if (message.revocation != null && message.hasOwnProperty("revocation"))
+                $root.ChannelMessage.Revocation.encode(message.revocation, writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
             return writer;
         };
 
@@ -2187,6 +2947,9 @@ $root.ChannelMessage = (function() {
                 case 2:
                     message.json = reader.string();
                     break;
+                case 3:
+                    message.revocation = $root.ChannelMessage.Revocation.decode(reader, reader.uint32());
+                    break;
                 default:
                     reader.skipType(tag & 7);
                     break;
@@ -2238,6 +3001,16 @@ $root.ChannelMessage = (function() {
                 if (!$util.isString(message.json))
                     return "json: string expected";
             }
+            if (message.revocation != null && message.hasOwnProperty("revocation")) {
+                if (properties.body === 1)
+                    return "body: multiple values";
+                properties.body = 1;
+                {
+                    var error = $root.ChannelMessage.Revocation.verify(message.revocation);
+                    if (error)
+                        return "revocation." + error;
+                }
+            }
             return null;
         };
 
@@ -2260,6 +3033,11 @@ $root.ChannelMessage = (function() {
             }
             if (object.json != null)
                 message.json = String(object.json);
+            if (object.revocation != null) {
+                if (typeof object.revocation !== "object")
+                    throw TypeError(".ChannelMessage.Body.revocation: object expected");
+                message.revocation = $root.ChannelMessage.Revocation.fromObject(object.revocation);
+            }
             return message;
         };
 
@@ -2286,6 +3064,11 @@ $root.ChannelMessage = (function() {
                 if (options.oneofs)
                     object.body = "json";
             }
+            if (message.revocation != null && message.hasOwnProperty("revocation")) {
+                object.revocation = $root.ChannelMessage.Revocation.toObject(message.revocation, options);
+                if (options.oneofs)
+                    object.body = "revocation";
+            }
             return object;
         };
 
@@ -2314,6 +3097,7 @@ $root.ChannelMessage = (function() {
          * @property {Array.<ILink>|null} [chain] TBS chain
          * @property {number|null} [timestamp] TBS timestamp
          * @property {ChannelMessage.IBody|null} [body] TBS body
+         * @property {IDeviceLink|null} [device] TBS device
          */
 
         /**
@@ -2373,6 +3157,14 @@ $root.ChannelMessage = (function() {
          */
         TBS.prototype.body = null;
 
+        /**
+         * TBS device.
+         * @member {IDeviceLink|null|undefined} device
+         * @memberof ChannelMessage.TBS
+         * @instance
+         */
+        TBS.prototype.device = null;
+
         /**
          * Creates a new TBS instance using the specified properties.
          * @function create
@@ -2409,6 +3201,8 @@ $root.ChannelMessage = (function() {
                 writer.uint32(/* id 4, wireType 1 =*/33).double(message.timestamp);
             if (message.body != null && message.hasOwnProperty("body"))
                 $root.ChannelMessage.Body.encode(message.body, writer.uint32(/* id 5, wireType 2 =*/42).fork()).ldelim();
+            if (message.device != null && message.hasOwnProperty("device"))
+                $root.DeviceLink.encode(message.device, writer.uint32(/* id 6, wireType 2 =*/50).fork()).ldelim();
             return writer;
         };
 
@@ -2462,6 +3256,9 @@ $root.ChannelMessage = (function() {
                 case 5:
                     message.body = $root.ChannelMessage.Body.decode(reader, reader.uint32());
                     break;
+                case 6:
+                    message.device = $root.DeviceLink.decode(reader, reader.uint32());
+                    break;
                 default:
                     reader.skipType(tag & 7);
                     break;
@@ -2524,6 +3321,11 @@ $root.ChannelMessage = (function() {
                 if (error)
                     return "body." + error;
             }
+            if (message.device != null && message.hasOwnProperty("device")) {
+                var error = $root.DeviceLink.verify(message.device);
+                if (error)
+                    return "device." + error;
+            }
             return null;
         };
 
@@ -2575,6 +3377,11 @@ $root.ChannelMessage = (function() {
                     throw TypeError(".ChannelMessage.TBS.body: object expected");
                 message.body = $root.ChannelMessage.Body.fromObject(object.body);
             }
+            if (object.device != null) {
+                if (typeof object.device !== "object")
+                    throw TypeError(".ChannelMessage.TBS.device: object expected");
+                message.device = $root.DeviceLink.fromObject(object.device);
+            }
             return message;
         };
 
@@ -2603,6 +3410,7 @@ $root.ChannelMessage = (function() {
                     object.height = options.longs === String ? "0" : 0;
                 object.timestamp = 0;
                 object.body = null;
+                object.device = null;
             }
             if (message.parents && message.parents.length) {
                 object.parents = [];
@@ -2623,6 +3431,8 @@ $root.ChannelMessage = (function() {
                 object.timestamp = options.json && !isFinite(message.timestamp) ? String(message.timestamp) : message.timestamp;
             if (message.body != null && message.hasOwnProperty("body"))
                 object.body = $root.ChannelMessage.Body.toObject(message.body, options);
+            if (message.device != null && message.hasOwnProperty("device"))
+                object.device = $root.DeviceLink.toObject(message.device, options);
             return object;
         };
 
@@ -3882,27 +4692,25 @@ $root.BulkResponse = (function() {
     return BulkResponse;
 })();
 
-$root.SyncRequest = (function() {
+$root.Chunks = (function() {
 
     /**
-     * Properties of a SyncRequest.
-     * @exports ISyncRequest
-     * @interface ISyncRequest
-     * @property {Uint8Array|null} [channelId] SyncRequest channelId
-     * @property {number|null} [seq] SyncRequest seq
-     * @property {Uint8Array|null} [nonce] SyncRequest nonce
-     * @property {Uint8Array|null} [box] SyncRequest box
+     * Properties of a Chunks.
+     * @exports IChunks
+     * @interface IChunks
+     * @property {Array.<Uint8Array>|null} [hashes] Chunks hashes
      */
 
     /**
-     * Constructs a new SyncRequest.
-     * @exports SyncRequest
-     * @classdesc Represents a SyncRequest.
-     * @implements ISyncRequest
+     * Constructs a new Chunks.
+     * @exports Chunks
+     * @classdesc Represents a Chunks.
+     * @implements IChunks
      * @constructor
-     * @param {ISyncRequest=} [properties] Properties to set
+     * @param {IChunks=} [properties] Properties to set
      */
-    function SyncRequest(properties) {
+    function Chunks(properties) {
+        this.hashes = [];
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -3910,114 +4718,78 @@ $root.SyncRequest = (function() {
     }
 
     /**
-     * SyncRequest channelId.
-     * @member {Uint8Array} channelId
-     * @memberof SyncRequest
-     * @instance
-     */
-    SyncRequest.prototype.channelId = $util.newBuffer([]);
-
-    /**
-     * SyncRequest seq.
-     * @member {number} seq
-     * @memberof SyncRequest
-     * @instance
-     */
-    SyncRequest.prototype.seq = 0;
-
-    /**
-     * SyncRequest nonce.
-     * @member {Uint8Array} nonce
-     * @memberof SyncRequest
-     * @instance
-     */
-    SyncRequest.prototype.nonce = $util.newBuffer([]);
-
-    /**
-     * SyncRequest box.
-     * @member {Uint8Array} box
-     * @memberof SyncRequest
+     * Chunks hashes.
+     * @member {Array.<Uint8Array>} hashes
+     * @memberof Chunks
      * @instance
      */
-    SyncRequest.prototype.box = $util.newBuffer([]);
+    Chunks.prototype.hashes = $util.emptyArray;
 
     /**
-     * Creates a new SyncRequest instance using the specified properties.
+     * Creates a new Chunks instance using the specified properties.
      * @function create
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
-     * @param {ISyncRequest=} [properties] Properties to set
-     * @returns {SyncRequest} SyncRequest instance
+     * @param {IChunks=} [properties] Properties to set
+     * @returns {Chunks} Chunks instance
      */
-    SyncRequest.create = function create(properties) {
-        return new SyncRequest(properties);
+    Chunks.create = function create(properties) {
+        return new Chunks(properties);
     };
 
     /**
-     * Encodes the specified SyncRequest message. Does not implicitly {@link SyncRequest.verify|verify} messages.
+     * Encodes the specified Chunks message. Does not implicitly {@link Chunks.verify|verify} messages.
      * @function encode
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
-     * @param {ISyncRequest} message SyncRequest message or plain object to encode
+     * @param {IChunks} message Chunks message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    SyncRequest.encode = function encode(message, writer) {
+    Chunks.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.seq);
-        if (message.nonce != null && message.hasOwnProperty("nonce"))
-            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.nonce);
-        if (message.box != null && message.hasOwnProperty("box"))
-            writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.box);
+        if (message.hashes != null && message.hashes.length)
+            for (var i = 0; i < message.hashes.length; ++i)
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.hashes[i]);
         return writer;
     };
 
     /**
-     * Encodes the specified SyncRequest message, length delimited. Does not implicitly {@link SyncRequest.verify|verify} messages.
+     * Encodes the specified Chunks message, length delimited. Does not implicitly {@link Chunks.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
-     * @param {ISyncRequest} message SyncRequest message or plain object to encode
+     * @param {IChunks} message Chunks message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    SyncRequest.encodeDelimited = function encodeDelimited(message, writer) {
+    Chunks.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a SyncRequest message from the specified reader or buffer.
+     * Decodes a Chunks message from the specified reader or buffer.
      * @function decode
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {SyncRequest} SyncRequest
+     * @returns {Chunks} Chunks
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    SyncRequest.decode = function decode(reader, length) {
+    Chunks.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncRequest();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Chunks();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.channelId = reader.bytes();
-                break;
-            case 2:
-                message.seq = reader.uint32();
-                break;
-            case 3:
-                message.nonce = reader.bytes();
-                break;
-            case 4:
-                message.box = reader.bytes();
+                if (!(message.hashes && message.hashes.length))
+                    message.hashes = [];
+                message.hashes.push(reader.bytes());
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -4028,808 +4800,4393 @@ $root.SyncRequest = (function() {
     };
 
     /**
-     * Decodes a SyncRequest message from the specified reader or buffer, length delimited.
+     * Decodes a Chunks message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {SyncRequest} SyncRequest
+     * @returns {Chunks} Chunks
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    SyncRequest.decodeDelimited = function decodeDelimited(reader) {
+    Chunks.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a SyncRequest message.
+     * Verifies a Chunks message.
      * @function verify
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    SyncRequest.verify = function verify(message) {
+    Chunks.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
-                return "channelId: buffer expected";
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            if (!$util.isInteger(message.seq))
-                return "seq: integer expected";
-        if (message.nonce != null && message.hasOwnProperty("nonce"))
-            if (!(message.nonce && typeof message.nonce.length === "number" || $util.isString(message.nonce)))
-                return "nonce: buffer expected";
-        if (message.box != null && message.hasOwnProperty("box"))
-            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
-                return "box: buffer expected";
+        if (message.hashes != null && message.hasOwnProperty("hashes")) {
+            if (!Array.isArray(message.hashes))
+                return "hashes: array expected";
+            for (var i = 0; i < message.hashes.length; ++i)
+                if (!(message.hashes[i] && typeof message.hashes[i].length === "number" || $util.isString(message.hashes[i])))
+                    return "hashes: buffer[] expected";
+        }
         return null;
     };
 
     /**
-     * Creates a SyncRequest message from a plain object. Also converts values to their respective internal types.
+     * Creates a Chunks message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {SyncRequest} SyncRequest
+     * @returns {Chunks} Chunks
      */
-    SyncRequest.fromObject = function fromObject(object) {
-        if (object instanceof $root.SyncRequest)
+    Chunks.fromObject = function fromObject(object) {
+        if (object instanceof $root.Chunks)
             return object;
-        var message = new $root.SyncRequest();
-        if (object.channelId != null)
-            if (typeof object.channelId === "string")
-                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
-            else if (object.channelId.length)
-                message.channelId = object.channelId;
-        if (object.seq != null)
-            message.seq = object.seq >>> 0;
-        if (object.nonce != null)
-            if (typeof object.nonce === "string")
-                $util.base64.decode(object.nonce, message.nonce = $util.newBuffer($util.base64.length(object.nonce)), 0);
-            else if (object.nonce.length)
-                message.nonce = object.nonce;
-        if (object.box != null)
-            if (typeof object.box === "string")
-                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
-            else if (object.box.length)
-                message.box = object.box;
+        var message = new $root.Chunks();
+        if (object.hashes) {
+            if (!Array.isArray(object.hashes))
+                throw TypeError(".Chunks.hashes: array expected");
+            message.hashes = [];
+            for (var i = 0; i < object.hashes.length; ++i)
+                if (typeof object.hashes[i] === "string")
+                    $util.base64.decode(object.hashes[i], message.hashes[i] = $util.newBuffer($util.base64.length(object.hashes[i])), 0);
+                else if (object.hashes[i].length)
+                    message.hashes[i] = object.hashes[i];
+        }
         return message;
     };
 
     /**
-     * Creates a plain object from a SyncRequest message. Also converts values to other types if specified.
+     * Creates a plain object from a Chunks message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @static
-     * @param {SyncRequest} message SyncRequest
+     * @param {Chunks} message Chunks
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    SyncRequest.toObject = function toObject(message, options) {
+    Chunks.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.defaults) {
-            if (options.bytes === String)
-                object.channelId = "";
-            else {
-                object.channelId = [];
-                if (options.bytes !== Array)
-                    object.channelId = $util.newBuffer(object.channelId);
-            }
-            object.seq = 0;
-            if (options.bytes === String)
-                object.nonce = "";
-            else {
-                object.nonce = [];
-                if (options.bytes !== Array)
-                    object.nonce = $util.newBuffer(object.nonce);
-            }
-            if (options.bytes === String)
-                object.box = "";
-            else {
-                object.box = [];
-                if (options.bytes !== Array)
-                    object.box = $util.newBuffer(object.box);
-            }
+        if (options.arrays || options.defaults)
+            object.hashes = [];
+        if (message.hashes && message.hashes.length) {
+            object.hashes = [];
+            for (var j = 0; j < message.hashes.length; ++j)
+                object.hashes[j] = options.bytes === String ? $util.base64.encode(message.hashes[j], 0, message.hashes[j].length) : options.bytes === Array ? Array.prototype.slice.call(message.hashes[j]) : message.hashes[j];
         }
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            object.seq = message.seq;
-        if (message.nonce != null && message.hasOwnProperty("nonce"))
-            object.nonce = options.bytes === String ? $util.base64.encode(message.nonce, 0, message.nonce.length) : options.bytes === Array ? Array.prototype.slice.call(message.nonce) : message.nonce;
-        if (message.box != null && message.hasOwnProperty("box"))
-            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
         return object;
     };
 
     /**
-     * Converts this SyncRequest to JSON.
+     * Converts this Chunks to JSON.
      * @function toJSON
-     * @memberof SyncRequest
+     * @memberof Chunks
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    SyncRequest.prototype.toJSON = function toJSON() {
+    Chunks.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    SyncRequest.TBS = (function() {
-
-        /**
-         * Properties of a TBS.
-         * @memberof SyncRequest
-         * @interface ITBS
-         * @property {Array.<ILink>|null} [chain] TBS chain
-         * @property {IQuery|null} [query] TBS query
-         * @property {IBulk|null} [bulk] TBS bulk
-         * @property {Uint8Array|null} [responsePubKey] TBS responsePubKey
-         */
+    return Chunks;
+})();
 
-        /**
-         * Constructs a new TBS.
-         * @memberof SyncRequest
-         * @classdesc Represents a TBS.
-         * @implements ITBS
-         * @constructor
-         * @param {SyncRequest.ITBS=} [properties] Properties to set
-         */
-        function TBS(properties) {
-            this.chain = [];
-            if (properties)
-                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
-                    if (properties[keys[i]] != null)
-                        this[keys[i]] = properties[keys[i]];
-        }
+$root.ChunksResponse = (function() {
 
-        /**
-         * TBS chain.
-         * @member {Array.<ILink>} chain
-         * @memberof SyncRequest.TBS
-         * @instance
-         */
-        TBS.prototype.chain = $util.emptyArray;
+    /**
+     * Properties of a ChunksResponse.
+     * @exports IChunksResponse
+     * @interface IChunksResponse
+     * @property {Array.<Uint8Array>|null} [chunks] ChunksResponse chunks
+     * @property {number|null} [forwardIndex] ChunksResponse forwardIndex
+     */
 
-        /**
-         * TBS query.
-         * @member {IQuery|null|undefined} query
-         * @memberof SyncRequest.TBS
-         * @instance
-         */
-        TBS.prototype.query = null;
+    /**
+     * Constructs a new ChunksResponse.
+     * @exports ChunksResponse
+     * @classdesc Represents a ChunksResponse.
+     * @implements IChunksResponse
+     * @constructor
+     * @param {IChunksResponse=} [properties] Properties to set
+     */
+    function ChunksResponse(properties) {
+        this.chunks = [];
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
 
-        /**
-         * TBS bulk.
-         * @member {IBulk|null|undefined} bulk
-         * @memberof SyncRequest.TBS
-         * @instance
-         */
-        TBS.prototype.bulk = null;
+    /**
+     * ChunksResponse chunks.
+     * @member {Array.<Uint8Array>} chunks
+     * @memberof ChunksResponse
+     * @instance
+     */
+    ChunksResponse.prototype.chunks = $util.emptyArray;
 
-        /**
-         * TBS responsePubKey.
-         * @member {Uint8Array} responsePubKey
-         * @memberof SyncRequest.TBS
-         * @instance
-         */
-        TBS.prototype.responsePubKey = $util.newBuffer([]);
+    /**
+     * ChunksResponse forwardIndex.
+     * @member {number} forwardIndex
+     * @memberof ChunksResponse
+     * @instance
+     */
+    ChunksResponse.prototype.forwardIndex = 0;
 
-        // OneOf field names bound to virtual getters and setters
-        var $oneOfFields;
+    /**
+     * Creates a new ChunksResponse instance using the specified properties.
+     * @function create
+     * @memberof ChunksResponse
+     * @static
+     * @param {IChunksResponse=} [properties] Properties to set
+     * @returns {ChunksResponse} ChunksResponse instance
+     */
+    ChunksResponse.create = function create(properties) {
+        return new ChunksResponse(properties);
+    };
 
-        /**
-         * TBS content.
-         * @member {"query"|"bulk"|undefined} content
-         * @memberof SyncRequest.TBS
-         * @instance
-         */
-        Object.defineProperty(TBS.prototype, "content", {
-            get: $util.oneOfGetter($oneOfFields = ["query", "bulk"]),
-            set: $util.oneOfSetter($oneOfFields)
-        });
+    /**
+     * Encodes the specified ChunksResponse message. Does not implicitly {@link ChunksResponse.verify|verify} messages.
+     * @function encode
+     * @memberof ChunksResponse
+     * @static
+     * @param {IChunksResponse} message ChunksResponse message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    ChunksResponse.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.chunks != null && message.chunks.length)
+            for (var i = 0; i < message.chunks.length; ++i)
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.chunks[i]);
+        if (message.forwardIndex != null && message.hasOwnProperty("forwardIndex"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.forwardIndex);
+        return writer;
+    };
 
-        /**
-         * Creates a new TBS instance using the specified properties.
-         * @function create
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {SyncRequest.ITBS=} [properties] Properties to set
-         * @returns {SyncRequest.TBS} TBS instance
-         */
-        TBS.create = function create(properties) {
-            return new TBS(properties);
-        };
+    /**
+     * Encodes the specified ChunksResponse message, length delimited. Does not implicitly {@link ChunksResponse.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof ChunksResponse
+     * @static
+     * @param {IChunksResponse} message ChunksResponse message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    ChunksResponse.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
 
-        /**
-         * Encodes the specified TBS message. Does not implicitly {@link SyncRequest.TBS.verify|verify} messages.
-         * @function encode
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {SyncRequest.ITBS} message TBS message or plain object to encode
-         * @param {$protobuf.Writer} [writer] Writer to encode to
-         * @returns {$protobuf.Writer} Writer
-         */
+    /**
+     * Decodes a ChunksResponse message from the specified reader or buffer.
+     * @function decode
+     * @memberof ChunksResponse
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {ChunksResponse} ChunksResponse
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    ChunksResponse.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.ChunksResponse();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                if (!(message.chunks && message.chunks.length))
+                    message.chunks = [];
+                message.chunks.push(reader.bytes());
+                break;
+            case 2:
+                message.forwardIndex = reader.uint32();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a ChunksResponse message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof ChunksResponse
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {ChunksResponse} ChunksResponse
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    ChunksResponse.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a ChunksResponse message.
+     * @function verify
+     * @memberof ChunksResponse
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    ChunksResponse.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.chunks != null && message.hasOwnProperty("chunks")) {
+            if (!Array.isArray(message.chunks))
+                return "chunks: array expected";
+            for (var i = 0; i < message.chunks.length; ++i)
+                if (!(message.chunks[i] && typeof message.chunks[i].length === "number" || $util.isString(message.chunks[i])))
+                    return "chunks: buffer[] expected";
+        }
+        if (message.forwardIndex != null && message.hasOwnProperty("forwardIndex"))
+            if (!$util.isInteger(message.forwardIndex))
+                return "forwardIndex: integer expected";
+        return null;
+    };
+
+    /**
+     * Creates a ChunksResponse message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof ChunksResponse
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {ChunksResponse} ChunksResponse
+     */
+    ChunksResponse.fromObject = function fromObject(object) {
+        if (object instanceof $root.ChunksResponse)
+            return object;
+        var message = new $root.ChunksResponse();
+        if (object.chunks) {
+            if (!Array.isArray(object.chunks))
+                throw TypeError(".ChunksResponse.chunks: array expected");
+            message.chunks = [];
+            for (var i = 0; i < object.chunks.length; ++i)
+                if (typeof object.chunks[i] === "string")
+                    $util.base64.decode(object.chunks[i], message.chunks[i] = $util.newBuffer($util.base64.length(object.chunks[i])), 0);
+                else if (object.chunks[i].length)
+                    message.chunks[i] = object.chunks[i];
+        }
+        if (object.forwardIndex != null)
+            message.forwardIndex = object.forwardIndex >>> 0;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a ChunksResponse message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof ChunksResponse
+     * @static
+     * @param {ChunksResponse} message ChunksResponse
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    ChunksResponse.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.arrays || options.defaults)
+            object.chunks = [];
+        if (options.defaults)
+            object.forwardIndex = 0;
+        if (message.chunks && message.chunks.length) {
+            object.chunks = [];
+            for (var j = 0; j < message.chunks.length; ++j)
+                object.chunks[j] = options.bytes === String ? $util.base64.encode(message.chunks[j], 0, message.chunks[j].length) : options.bytes === Array ? Array.prototype.slice.call(message.chunks[j]) : message.chunks[j];
+        }
+        if (message.forwardIndex != null && message.hasOwnProperty("forwardIndex"))
+            object.forwardIndex = message.forwardIndex;
+        return object;
+    };
+
+    /**
+     * Converts this ChunksResponse to JSON.
+     * @function toJSON
+     * @memberof ChunksResponse
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    ChunksResponse.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return ChunksResponse;
+})();
+
+$root.SyncRequest = (function() {
+
+    /**
+     * Properties of a SyncRequest.
+     * @exports ISyncRequest
+     * @interface ISyncRequest
+     * @property {Uint8Array|null} [channelId] SyncRequest channelId
+     * @property {number|null} [seq] SyncRequest seq
+     * @property {Uint8Array|null} [nonce] SyncRequest nonce
+     * @property {Uint8Array|null} [box] SyncRequest box
+     */
+
+    /**
+     * Constructs a new SyncRequest.
+     * @exports SyncRequest
+     * @classdesc Represents a SyncRequest.
+     * @implements ISyncRequest
+     * @constructor
+     * @param {ISyncRequest=} [properties] Properties to set
+     */
+    function SyncRequest(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * SyncRequest channelId.
+     * @member {Uint8Array} channelId
+     * @memberof SyncRequest
+     * @instance
+     */
+    SyncRequest.prototype.channelId = $util.newBuffer([]);
+
+    /**
+     * SyncRequest seq.
+     * @member {number} seq
+     * @memberof SyncRequest
+     * @instance
+     */
+    SyncRequest.prototype.seq = 0;
+
+    /**
+     * SyncRequest nonce.
+     * @member {Uint8Array} nonce
+     * @memberof SyncRequest
+     * @instance
+     */
+    SyncRequest.prototype.nonce = $util.newBuffer([]);
+
+    /**
+     * SyncRequest box.
+     * @member {Uint8Array} box
+     * @memberof SyncRequest
+     * @instance
+     */
+    SyncRequest.prototype.box = $util.newBuffer([]);
+
+    /**
+     * Creates a new SyncRequest instance using the specified properties.
+     * @function create
+     * @memberof SyncRequest
+     * @static
+     * @param {ISyncRequest=} [properties] Properties to set
+     * @returns {SyncRequest} SyncRequest instance
+     */
+    SyncRequest.create = function create(properties) {
+        return new SyncRequest(properties);
+    };
+
+    /**
+     * Encodes the specified SyncRequest message. Does not implicitly {@link SyncRequest.verify|verify} messages.
+     * @function encode
+     * @memberof SyncRequest
+     * @static
+     * @param {ISyncRequest} message SyncRequest message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    SyncRequest.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.seq);
+        if (message.nonce != null && message.hasOwnProperty("nonce"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.nonce);
+        if (message.box != null && message.hasOwnProperty("box"))
+            writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.box);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified SyncRequest message, length delimited. Does not implicitly {@link SyncRequest.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof SyncRequest
+     * @static
+     * @param {ISyncRequest} message SyncRequest message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    SyncRequest.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a SyncRequest message from the specified reader or buffer.
+     * @function decode
+     * @memberof SyncRequest
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {SyncRequest} SyncRequest
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    SyncRequest.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncRequest();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.channelId = reader.bytes();
+                break;
+            case 2:
+                message.seq = reader.uint32();
+                break;
+            case 3:
+                message.nonce = reader.bytes();
+                break;
+            case 4:
+                message.box = reader.bytes();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a SyncRequest message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof SyncRequest
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {SyncRequest} SyncRequest
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    SyncRequest.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a SyncRequest message.
+     * @function verify
+     * @memberof SyncRequest
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    SyncRequest.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                return "channelId: buffer expected";
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            if (!$util.isInteger(message.seq))
+                return "seq: integer expected";
+        if (message.nonce != null && message.hasOwnProperty("nonce"))
+            if (!(message.nonce && typeof message.nonce.length === "number" || $util.isString(message.nonce)))
+                return "nonce: buffer expected";
+        if (message.box != null && message.hasOwnProperty("box"))
+            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
+                return "box: buffer expected";
+        return null;
+    };
+
+    /**
+     * Creates a SyncRequest message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof SyncRequest
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {SyncRequest} SyncRequest
+     */
+    SyncRequest.fromObject = function fromObject(object) {
+        if (object instanceof $root.SyncRequest)
+            return object;
+        var message = new $root.SyncRequest();
+        if (object.channelId != null)
+            if (typeof object.channelId === "string")
+                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+            else if (object.channelId.length)
+                message.channelId = object.channelId;
+        if (object.seq != null)
+            message.seq = object.seq >>> 0;
+        if (object.nonce != null)
+            if (typeof object.nonce === "string")
+                $util.base64.decode(object.nonce, message.nonce = $util.newBuffer($util.base64.length(object.nonce)), 0);
+            else if (object.nonce.length)
+                message.nonce = object.nonce;
+        if (object.box != null)
+            if (typeof object.box === "string")
+                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
+            else if (object.box.length)
+                message.box = object.box;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a SyncRequest message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof SyncRequest
+     * @static
+     * @param {SyncRequest} message SyncRequest
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    SyncRequest.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.channelId = "";
+            else {
+                object.channelId = [];
+                if (options.bytes !== Array)
+                    object.channelId = $util.newBuffer(object.channelId);
+            }
+            object.seq = 0;
+            if (options.bytes === String)
+                object.nonce = "";
+            else {
+                object.nonce = [];
+                if (options.bytes !== Array)
+                    object.nonce = $util.newBuffer(object.nonce);
+            }
+            if (options.bytes === String)
+                object.box = "";
+            else {
+                object.box = [];
+                if (options.bytes !== Array)
+                    object.box = $util.newBuffer(object.box);
+            }
+        }
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            object.seq = message.seq;
+        if (message.nonce != null && message.hasOwnProperty("nonce"))
+            object.nonce = options.bytes === String ? $util.base64.encode(message.nonce, 0, message.nonce.length) : options.bytes === Array ? Array.prototype.slice.call(message.nonce) : message.nonce;
+        if (message.box != null && message.hasOwnProperty("box"))
+            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
+        return object;
+    };
+
+    /**
+     * Converts this SyncRequest to JSON.
+     * @function toJSON
+     * @memberof SyncRequest
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    SyncRequest.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    SyncRequest.TBS = (function() {
+
+        /**
+         * Properties of a TBS.
+         * @memberof SyncRequest
+         * @interface ITBS
+         * @property {Array.<ILink>|null} [chain] TBS chain
+         * @property {IQuery|null} [query] TBS query
+         * @property {IBulk|null} [bulk] TBS bulk
+         * @property {IChunks|null} [chunks] TBS chunks
+         * @property {Uint8Array|null} [responsePubKey] TBS responsePubKey
+         * @property {IDeviceLink|null} [device] TBS device
+         */
+
+        /**
+         * Constructs a new TBS.
+         * @memberof SyncRequest
+         * @classdesc Represents a TBS.
+         * @implements ITBS
+         * @constructor
+         * @param {SyncRequest.ITBS=} [properties] Properties to set
+         */
+        function TBS(properties) {
+            this.chain = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * TBS chain.
+         * @member {Array.<ILink>} chain
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        TBS.prototype.chain = $util.emptyArray;
+
+        /**
+         * TBS query.
+         * @member {IQuery|null|undefined} query
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        TBS.prototype.query = null;
+
+        /**
+         * TBS bulk.
+         * @member {IBulk|null|undefined} bulk
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        TBS.prototype.bulk = null;
+
+        /**
+         * TBS chunks.
+         * @member {IChunks|null|undefined} chunks
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        TBS.prototype.chunks = null;
+
+        /**
+         * TBS responsePubKey.
+         * @member {Uint8Array} responsePubKey
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        TBS.prototype.responsePubKey = $util.newBuffer([]);
+
+        /**
+         * TBS device.
+         * @member {IDeviceLink|null|undefined} device
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        TBS.prototype.device = null;
+
+        // OneOf field names bound to virtual getters and setters
+        var $oneOfFields;
+
+        /**
+         * TBS content.
+         * @member {"query"|"bulk"|"chunks"|undefined} content
+         * @memberof SyncRequest.TBS
+         * @instance
+         */
+        Object.defineProperty(TBS.prototype, "content", {
+            get: $util.oneOfGetter($oneOfFields = ["query", "bulk", "chunks"]),
+            set: $util.oneOfSetter($oneOfFields)
+        });
+
+        /**
+         * Creates a new TBS instance using the specified properties.
+         * @function create
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {SyncRequest.ITBS=} [properties] Properties to set
+         * @returns {SyncRequest.TBS} TBS instance
+         */
+        TBS.create = function create(properties) {
+            return new TBS(properties);
+        };
+
+        /**
+         * Encodes the specified TBS message. Does not implicitly {@link SyncRequest.TBS.verify|verify} messages.
+         * @function encode
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {SyncRequest.ITBS} message TBS message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TBS.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.chain != null && message.chain.length)
+                for (var i = 0; i < message.chain.length; ++i)
+                    $root.Link.encode(message.chain[i], writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+            if (message.query != null && message.hasOwnProperty("query"))
+                $root.Query.encode(message.query, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+            if (message.bulk != null && message.hasOwnProperty("bulk"))
+                $root.Bulk.encode(message.bulk, writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
+            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
+                writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.responsePubKey);
+            if (message.device != null && message.hasOwnProperty("device"))
+                $root.DeviceLink.encode(message.device, writer.uint32(/* id 5, wireType 2 =*/42).fork()).ldelim();
+            if (message.chunks != null && message.hasOwnProperty("chunks"))
+                $root.Chunks.encode(message.chunks, writer.uint32(/* id 6, wireType 2 =*/50).fork()).ldelim();
+            return writer;
+        };
+
+        /**
+         * Encodes the specified TBS message, length delimited. Does not implicitly {@link SyncRequest.TBS.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {SyncRequest.ITBS} message TBS message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TBS.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a TBS message from the specified reader or buffer.
+         * @function decode
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {SyncRequest.TBS} TBS
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TBS.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncRequest.TBS();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    if (!(message.chain && message.chain.length))
+                        message.chain = [];
+                    message.chain.push($root.Link.decode(reader, reader.uint32()));
+                    break;
+                case 2:
+                    message.query = $root.Query.decode(reader, reader.uint32());
+                    break;
+                case 3:
+                    message.bulk = $root.Bulk.decode(reader, reader.uint32());
+                    break;
+                case 6:
+                    message.chunks = $root.Chunks.decode(reader, reader.uint32());
+                    break;
+                case 4:
+                    message.responsePubKey = reader.bytes();
+                    break;
+                case 5:
+                    message.device = $root.DeviceLink.decode(reader, reader.uint32());
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a TBS message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {SyncRequest.TBS} TBS
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TBS.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a TBS message.
+         * @function verify
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        TBS.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            var properties = {};
+            if (message.chain != null && message.hasOwnProperty("chain")) {
+                if (!Array.isArray(message.chain))
+                    return "chain: array expected";
+                for (var i = 0; i < message.chain.length; ++i) {
+                    var error = $root.Link.verify(message.chain[i]);
+                    if (error)
+                        return "chain." + error;
+                }
+            }
+            if (message.query != null && message.hasOwnProperty("query")) {
+                properties.content = 1;
+                {
+                    var error = $root.Query.verify(message.query);
+                    if (error)
+                        return "query." + error;
+                }
+            }
+            if (message.bulk != null && message.hasOwnProperty("bulk")) {
+                if (properties.content === 1)
+                    return "content: multiple values";
+                properties.content = 1;
+                {
+                    var error = $root.Bulk.verify(message.bulk);
+                    if (error)
+                        return "bulk." + error;
+                }
+            }
+            if (message.chunks != null && message.hasOwnProperty("chunks")) {
+                if (properties.content === 1)
+                    return "content: multiple values";
+                properties.content = 1;
+                {
+                    var error = $root.Chunks.verify(message.chunks);
+                    if (error)
+                        return "chunks." + error;
+                }
+            }
+            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
+                if (!(message.responsePubKey && typeof message.responsePubKey.length === "number" || $util.isString(message.responsePubKey)))
+                    return "responsePubKey: buffer expected";
+            if (message.device != null && message.hasOwnProperty("device")) {
+                var error = $root.DeviceLink.verify(message.device);
+                if (error)
+                    return "device." + error;
+            }
+            return null;
+        };
+
+        /**
+         * Creates a TBS message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {SyncRequest.TBS} TBS
+         */
+        TBS.fromObject = function fromObject(object) {
+            if (object instanceof $root.SyncRequest.TBS)
+                return object;
+            var message = new $root.SyncRequest.TBS();
+            if (object.chain) {
+                if (!Array.isArray(object.chain))
+                    throw TypeError(".SyncRequest.TBS.chain: array expected");
+                message.chain = [];
+                for (var i = 0; i < object.chain.length; ++i) {
+                    if (typeof object.chain[i] !== "object")
+                        throw TypeError(".SyncRequest.TBS.chain: object expected");
+                    message.chain[i] = $root.Link.fromObject(object.chain[i]);
+                }
+            }
+            if (object.query != null) {
+                if (typeof object.query !== "object")
+                    throw TypeError(".SyncRequest.TBS.query: object expected");
+                message.query = $root.Query.fromObject(object.query);
+            }
+            if (object.bulk != null) {
+                if (typeof object.bulk !== "object")
+                    throw TypeError(".SyncRequest.TBS.bulk: object expected");
+                message.bulk = $root.Bulk.fromObject(object.bulk);
+            }
+            if (object.chunks != null) {
+                if (typeof object.chunks !== "object")
+                    throw TypeError(".SyncRequest.TBS.chunks: object expected");
+                message.chunks = $root.Chunks.fromObject(object.chunks);
+            }
+            if (object.responsePubKey != null)
+                if (typeof object.responsePubKey === "string")
+                    $util.base64.decode(object.responsePubKey, message.responsePubKey = $util.newBuffer($util.base64.length(object.responsePubKey)), 0);
+                else if (object.responsePubKey.length)
+                    message.responsePubKey = object.responsePubKey;
+            if (object.device != null) {
+                if (typeof object.device !== "object")
+                    throw TypeError(".SyncRequest.TBS.device: object expected");
+                message.device = $root.DeviceLink.fromObject(object.device);
+            }
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a TBS message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof SyncRequest.TBS
+         * @static
+         * @param {SyncRequest.TBS} message TBS
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        TBS.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.chain = [];
+            if (options.defaults) {
+                if (options.bytes === String)
+                    object.responsePubKey = "";
+                else {
+                    object.responsePubKey = [];
+                    if (options.bytes !== Array)
+                        object.responsePubKey = $util.newBuffer(object.responsePubKey);
+                }
+                object.device = null;
+            }
+            if (message.chain && message.chain.length) {
+                object.chain = [];
+                for (var j = 0; j < message.chain.length; ++j)
+                    object.chain[j] = $root.Link.toObject(message.chain[j], options);
+            }
+            if (message.query != null && message.hasOwnProperty("query")) {
+                object.query = $root.Query.toObject(message.query, options);
+                if (options.oneofs)
+                    object.content = "query";
+            }
+            if (message.bulk != null && message.hasOwnProperty("bulk")) {
+                object.bulk = $root.Bulk.toObject(message.bulk, options);
+                if (options.oneofs)
+                    object.content = "bulk";
+            }
+            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
+                object.responsePubKey = options.bytes === String ? $util.base64.encode(message.responsePubKey, 0, message.responsePubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.responsePubKey) : message.responsePubKey;
+            if (message.device != null && message.hasOwnProperty("device"))
+                object.device = $root.DeviceLink.toObject(message.device, options);
+            if (message.chunks != null && message.hasOwnProperty("chunks")) {
+                object.chunks = $root.Chunks.toObject(message.chunks, options);
+                if (options.oneofs)
+                    object.content = "chunks";
+            }
+            return object;
+        };
+
+        /**
+         * Converts this TBS to JSON.
+         * @function toJSON
+         * @memberof SyncRequest.TBS
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        TBS.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return TBS;
+    })();
+
+    SyncRequest.Content = (function() {
+
+        /**
+         * Properties of a Content.
+         * @memberof SyncRequest
+         * @interface IContent
+         * @property {SyncRequest.ITBS|null} [tbs] Content tbs
+         * @property {Uint8Array|null} [signature] Content signature
+         */
+
+        /**
+         * Constructs a new Content.
+         * @memberof SyncRequest
+         * @classdesc Represents a Content.
+         * @implements IContent
+         * @constructor
+         * @param {SyncRequest.IContent=} [properties] Properties to set
+         */
+        function Content(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Content tbs.
+         * @member {SyncRequest.ITBS|null|undefined} tbs
+         * @memberof SyncRequest.Content
+         * @instance
+         */
+        Content.prototype.tbs = null;
+
+        /**
+         * Content signature.
+         * @member {Uint8Array} signature
+         * @memberof SyncRequest.Content
+         * @instance
+         */
+        Content.prototype.signature = $util.newBuffer([]);
+
+        /**
+         * Creates a new Content instance using the specified properties.
+         * @function create
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {SyncRequest.IContent=} [properties] Properties to set
+         * @returns {SyncRequest.Content} Content instance
+         */
+        Content.create = function create(properties) {
+            return new Content(properties);
+        };
+
+        /**
+         * Encodes the specified Content message. Does not implicitly {@link SyncRequest.Content.verify|verify} messages.
+         * @function encode
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {SyncRequest.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.tbs != null && message.hasOwnProperty("tbs"))
+                $root.SyncRequest.TBS.encode(message.tbs, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.signature);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Content message, length delimited. Does not implicitly {@link SyncRequest.Content.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {SyncRequest.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer.
+         * @function decode
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {SyncRequest.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncRequest.Content();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.tbs = $root.SyncRequest.TBS.decode(reader, reader.uint32());
+                    break;
+                case 2:
+                    message.signature = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {SyncRequest.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Content message.
+         * @function verify
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Content.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.tbs != null && message.hasOwnProperty("tbs")) {
+                var error = $root.SyncRequest.TBS.verify(message.tbs);
+                if (error)
+                    return "tbs." + error;
+            }
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                if (!(message.signature && typeof message.signature.length === "number" || $util.isString(message.signature)))
+                    return "signature: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a Content message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {SyncRequest.Content} Content
+         */
+        Content.fromObject = function fromObject(object) {
+            if (object instanceof $root.SyncRequest.Content)
+                return object;
+            var message = new $root.SyncRequest.Content();
+            if (object.tbs != null) {
+                if (typeof object.tbs !== "object")
+                    throw TypeError(".SyncRequest.Content.tbs: object expected");
+                message.tbs = $root.SyncRequest.TBS.fromObject(object.tbs);
+            }
+            if (object.signature != null)
+                if (typeof object.signature === "string")
+                    $util.base64.decode(object.signature, message.signature = $util.newBuffer($util.base64.length(object.signature)), 0);
+                else if (object.signature.length)
+                    message.signature = object.signature;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Content message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof SyncRequest.Content
+         * @static
+         * @param {SyncRequest.Content} message Content
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Content.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                object.tbs = null;
+                if (options.bytes === String)
+                    object.signature = "";
+                else {
+                    object.signature = [];
+                    if (options.bytes !== Array)
+                        object.signature = $util.newBuffer(object.signature);
+                }
+            }
+            if (message.tbs != null && message.hasOwnProperty("tbs"))
+                object.tbs = $root.SyncRequest.TBS.toObject(message.tbs, options);
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                object.signature = options.bytes === String ? $util.base64.encode(message.signature, 0, message.signature.length) : options.bytes === Array ? Array.prototype.slice.call(message.signature) : message.signature;
+            return object;
+        };
+
+        /**
+         * Converts this Content to JSON.
+         * @function toJSON
+         * @memberof SyncRequest.Content
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Content.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Content;
+    })();
+
+    return SyncRequest;
+})();
+
+$root.SyncResponse = (function() {
+
+    /**
+     * Properties of a SyncResponse.
+     * @exports ISyncResponse
+     * @interface ISyncResponse
+     * @property {Uint8Array|null} [channelId] SyncResponse channelId
+     * @property {number|null} [seq] SyncResponse seq
+     * @property {Uint8Array|null} [box] SyncResponse box
+     */
+
+    /**
+     * Constructs a new SyncResponse.
+     * @exports SyncResponse
+     * @classdesc Represents a SyncResponse.
+     * @implements ISyncResponse
+     * @constructor
+     * @param {ISyncResponse=} [properties] Properties to set
+     */
+    function SyncResponse(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * SyncResponse channelId.
+     * @member {Uint8Array} channelId
+     * @memberof SyncResponse
+     * @instance
+     */
+    SyncResponse.prototype.channelId = $util.newBuffer([]);
+
+    /**
+     * SyncResponse seq.
+     * @member {number} seq
+     * @memberof SyncResponse
+     * @instance
+     */
+    SyncResponse.prototype.seq = 0;
+
+    /**
+     * SyncResponse box.
+     * @member {Uint8Array} box
+     * @memberof SyncResponse
+     * @instance
+     */
+    SyncResponse.prototype.box = $util.newBuffer([]);
+
+    /**
+     * Creates a new SyncResponse instance using the specified properties.
+     * @function create
+     * @memberof SyncResponse
+     * @static
+     * @param {ISyncResponse=} [properties] Properties to set
+     * @returns {SyncResponse} SyncResponse instance
+     */
+    SyncResponse.create = function create(properties) {
+        return new SyncResponse(properties);
+    };
+
+    /**
+     * Encodes the specified SyncResponse message. Does not implicitly {@link SyncResponse.verify|verify} messages.
+     * @function encode
+     * @memberof SyncResponse
+     * @static
+     * @param {ISyncResponse} message SyncResponse message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    SyncResponse.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.seq);
+        if (message.box != null && message.hasOwnProperty("box"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.box);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified SyncResponse message, length delimited. Does not implicitly {@link SyncResponse.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof SyncResponse
+     * @static
+     * @param {ISyncResponse} message SyncResponse message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    SyncResponse.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a SyncResponse message from the specified reader or buffer.
+     * @function decode
+     * @memberof SyncResponse
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {SyncResponse} SyncResponse
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    SyncResponse.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncResponse();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.channelId = reader.bytes();
+                break;
+            case 2:
+                message.seq = reader.uint32();
+                break;
+            case 3:
+                message.box = reader.bytes();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a SyncResponse message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof SyncResponse
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {SyncResponse} SyncResponse
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    SyncResponse.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a SyncResponse message.
+     * @function verify
+     * @memberof SyncResponse
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    SyncResponse.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                return "channelId: buffer expected";
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            if (!$util.isInteger(message.seq))
+                return "seq: integer expected";
+        if (message.box != null && message.hasOwnProperty("box"))
+            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
+                return "box: buffer expected";
+        return null;
+    };
+
+    /**
+     * Creates a SyncResponse message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof SyncResponse
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {SyncResponse} SyncResponse
+     */
+    SyncResponse.fromObject = function fromObject(object) {
+        if (object instanceof $root.SyncResponse)
+            return object;
+        var message = new $root.SyncResponse();
+        if (object.channelId != null)
+            if (typeof object.channelId === "string")
+                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+            else if (object.channelId.length)
+                message.channelId = object.channelId;
+        if (object.seq != null)
+            message.seq = object.seq >>> 0;
+        if (object.box != null)
+            if (typeof object.box === "string")
+                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
+            else if (object.box.length)
+                message.box = object.box;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a SyncResponse message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof SyncResponse
+     * @static
+     * @param {SyncResponse} message SyncResponse
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    SyncResponse.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.channelId = "";
+            else {
+                object.channelId = [];
+                if (options.bytes !== Array)
+                    object.channelId = $util.newBuffer(object.channelId);
+            }
+            object.seq = 0;
+            if (options.bytes === String)
+                object.box = "";
+            else {
+                object.box = [];
+                if (options.bytes !== Array)
+                    object.box = $util.newBuffer(object.box);
+            }
+        }
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            object.seq = message.seq;
+        if (message.box != null && message.hasOwnProperty("box"))
+            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
+        return object;
+    };
+
+    /**
+     * Converts this SyncResponse to JSON.
+     * @function toJSON
+     * @memberof SyncResponse
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    SyncResponse.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    SyncResponse.Content = (function() {
+
+        /**
+         * Properties of a Content.
+         * @memberof SyncResponse
+         * @interface IContent
+         * @property {IQueryResponse|null} [queryResponse] Content queryResponse
+         * @property {IBulkResponse|null} [bulkResponse] Content bulkResponse
+         * @property {IChunksResponse|null} [chunksResponse] Content chunksResponse
+         */
+
+        /**
+         * Constructs a new Content.
+         * @memberof SyncResponse
+         * @classdesc Represents a Content.
+         * @implements IContent
+         * @constructor
+         * @param {SyncResponse.IContent=} [properties] Properties to set
+         */
+        function Content(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Content queryResponse.
+         * @member {IQueryResponse|null|undefined} queryResponse
+         * @memberof SyncResponse.Content
+         * @instance
+         */
+        Content.prototype.queryResponse = null;
+
+        /**
+         * Content bulkResponse.
+         * @member {IBulkResponse|null|undefined} bulkResponse
+         * @memberof SyncResponse.Content
+         * @instance
+         */
+        Content.prototype.bulkResponse = null;
+
+        /**
+         * Content chunksResponse.
+         * @member {IChunksResponse|null|undefined} chunksResponse
+         * @memberof SyncResponse.Content
+         * @instance
+         */
+        Content.prototype.chunksResponse = null;
+
+        // OneOf field names bound to virtual getters and setters
+        var $oneOfFields;
+
+        /**
+         * Content content.
+         * @member {"queryResponse"|"bulkResponse"|"chunksResponse"|undefined} content
+         * @memberof SyncResponse.Content
+         * @instance
+         */
+        Object.defineProperty(Content.prototype, "content", {
+            get: $util.oneOfGetter($oneOfFields = ["queryResponse", "bulkResponse", "chunksResponse"]),
+            set: $util.oneOfSetter($oneOfFields)
+        });
+
+        /**
+         * Creates a new Content instance using the specified properties.
+         * @function create
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {SyncResponse.IContent=} [properties] Properties to set
+         * @returns {SyncResponse.Content} Content instance
+         */
+        Content.create = function create(properties) {
+            return new Content(properties);
+        };
+
+        /**
+         * Encodes the specified Content message. Does not implicitly {@link SyncResponse.Content.verify|verify} messages.
+         * @function encode
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {SyncResponse.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.queryResponse != null && message.hasOwnProperty("queryResponse"))
+                $root.QueryResponse.encode(message.queryResponse, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+            if (message.bulkResponse != null && message.hasOwnProperty("bulkResponse"))
+                $root.BulkResponse.encode(message.bulkResponse, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+            if (message.chunksResponse != null && message.hasOwnProperty("chunksResponse"))
+                $root.ChunksResponse.encode(message.chunksResponse, writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Content message, length delimited. Does not implicitly {@link SyncResponse.Content.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {SyncResponse.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer.
+         * @function decode
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {SyncResponse.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncResponse.Content();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.queryResponse = $root.QueryResponse.decode(reader, reader.uint32());
+                    break;
+                case 2:
+                    message.bulkResponse = $root.BulkResponse.decode(reader, reader.uint32());
+                    break;
+                case 3:
+                    message.chunksResponse = $root.ChunksResponse.decode(reader, reader.uint32());
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {SyncResponse.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Content message.
+         * @function verify
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Content.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            var properties = {};
+            if (message.queryResponse != null && message.hasOwnProperty("queryResponse")) {
+                properties.content = 1;
+                {
+                    var error = $root.QueryResponse.verify(message.queryResponse);
+                    if (error)
+                        return "queryResponse." + error;
+                }
+            }
+            if (message.bulkResponse != null && message.hasOwnProperty("bulkResponse")) {
+                if (properties.content === 1)
+                    return "content: multiple values";
+                properties.content = 1;
+                {
+                    var error = $root.BulkResponse.verify(message.bulkResponse);
+                    if (error)
+                        return "bulkResponse." + error;
+                }
+            }
+            if (message.chunksResponse != null && message.hasOwnProperty("chunksResponse")) {
+                if (properties.content === 1)
+                    return "content: multiple values";
+                properties.content = 1;
+                {
+                    var error = $root.ChunksResponse.verify(message.chunksResponse);
+                    if (error)
+                        return "chunksResponse." + error;
+                }
+            }
+            return null;
+        };
+
+        /**
+         * Creates a Content message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {SyncResponse.Content} Content
+         */
+        Content.fromObject = function fromObject(object) {
+            if (object instanceof $root.SyncResponse.Content)
+                return object;
+            var message = new $root.SyncResponse.Content();
+            if (object.queryResponse != null) {
+                if (typeof object.queryResponse !== "object")
+                    throw TypeError(".SyncResponse.Content.queryResponse: object expected");
+                message.queryResponse = $root.QueryResponse.fromObject(object.queryResponse);
+            }
+            if (object.bulkResponse != null) {
+                if (typeof object.bulkResponse !== "object")
+                    throw TypeError(".SyncResponse.Content.bulkResponse: object expected");
+                message.bulkResponse = $root.BulkResponse.fromObject(object.bulkResponse);
+            }
+            if (object.chunksResponse != null) {
+                if (typeof object.chunksResponse !== "object")
+                    throw TypeError(".SyncResponse.Content.chunksResponse: object expected");
+                message.chunksResponse = $root.ChunksResponse.fromObject(object.chunksResponse);
+            }
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Content message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof SyncResponse.Content
+         * @static
+         * @param {SyncResponse.Content} message Content
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Content.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (message.queryResponse != null && message.hasOwnProperty("queryResponse")) {
+                object.queryResponse = $root.QueryResponse.toObject(message.queryResponse, options);
+                if (options.oneofs)
+                    object.content = "queryResponse";
+            }
+            if (message.bulkResponse != null && message.hasOwnProperty("bulkResponse")) {
+                object.bulkResponse = $root.BulkResponse.toObject(message.bulkResponse, options);
+                if (options.oneofs)
+                    object.content = "bulkResponse";
+            }
+            if (message.chunksResponse != null && message.hasOwnProperty("chunksResponse")) {
+                object.chunksResponse = $root.ChunksResponse.toObject(message.chunksResponse, options);
+                if (options.oneofs)
+                    object.content = "chunksResponse";
+            }
+            return object;
+        };
+
+        /**
+         * Converts this Content to JSON.
+         * @function toJSON
+         * @memberof SyncResponse.Content
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Content.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Content;
+    })();
+
+    return SyncResponse;
+})();
+
+$root.RenewalRequest = (function() {
+
+    /**
+     * Properties of a RenewalRequest.
+     * @exports IRenewalRequest
+     * @interface IRenewalRequest
+     * @property {Uint8Array|null} [channelId] RenewalRequest channelId
+     * @property {number|null} [seq] RenewalRequest seq
+     * @property {Uint8Array|null} [nonce] RenewalRequest nonce
+     * @property {Uint8Array|null} [box] RenewalRequest box
+     */
+
+    /**
+     * Constructs a new RenewalRequest.
+     * @exports RenewalRequest
+     * @classdesc Represents a RenewalRequest.
+     * @implements IRenewalRequest
+     * @constructor
+     * @param {IRenewalRequest=} [properties] Properties to set
+     */
+    function RenewalRequest(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * RenewalRequest channelId.
+     * @member {Uint8Array} channelId
+     * @memberof RenewalRequest
+     * @instance
+     */
+    RenewalRequest.prototype.channelId = $util.newBuffer([]);
+
+    /**
+     * RenewalRequest seq.
+     * @member {number} seq
+     * @memberof RenewalRequest
+     * @instance
+     */
+    RenewalRequest.prototype.seq = 0;
+
+    /**
+     * RenewalRequest nonce.
+     * @member {Uint8Array} nonce
+     * @memberof RenewalRequest
+     * @instance
+     */
+    RenewalRequest.prototype.nonce = $util.newBuffer([]);
+
+    /**
+     * RenewalRequest box.
+     * @member {Uint8Array} box
+     * @memberof RenewalRequest
+     * @instance
+     */
+    RenewalRequest.prototype.box = $util.newBuffer([]);
+
+    /**
+     * Creates a new RenewalRequest instance using the specified properties.
+     * @function create
+     * @memberof RenewalRequest
+     * @static
+     * @param {IRenewalRequest=} [properties] Properties to set
+     * @returns {RenewalRequest} RenewalRequest instance
+     */
+    RenewalRequest.create = function create(properties) {
+        return new RenewalRequest(properties);
+    };
+
+    /**
+     * Encodes the specified RenewalRequest message. Does not implicitly {@link RenewalRequest.verify|verify} messages.
+     * @function encode
+     * @memberof RenewalRequest
+     * @static
+     * @param {IRenewalRequest} message RenewalRequest message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    RenewalRequest.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.seq);
+        if (message.nonce != null && message.hasOwnProperty("nonce"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.nonce);
+        if (message.box != null && message.hasOwnProperty("box"))
+            writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.box);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified RenewalRequest message, length delimited. Does not implicitly {@link RenewalRequest.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof RenewalRequest
+     * @static
+     * @param {IRenewalRequest} message RenewalRequest message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    RenewalRequest.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a RenewalRequest message from the specified reader or buffer.
+     * @function decode
+     * @memberof RenewalRequest
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {RenewalRequest} RenewalRequest
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    RenewalRequest.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.RenewalRequest();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.channelId = reader.bytes();
+                break;
+            case 2:
+                message.seq = reader.uint32();
+                break;
+            case 3:
+                message.nonce = reader.bytes();
+                break;
+            case 4:
+                message.box = reader.bytes();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a RenewalRequest message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof RenewalRequest
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {RenewalRequest} RenewalRequest
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    RenewalRequest.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a RenewalRequest message.
+     * @function verify
+     * @memberof RenewalRequest
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    RenewalRequest.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                return "channelId: buffer expected";
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            if (!$util.isInteger(message.seq))
+                return "seq: integer expected";
+        if (message.nonce != null && message.hasOwnProperty("nonce"))
+            if (!(message.nonce && typeof message.nonce.length === "number" || $util.isString(message.nonce)))
+                return "nonce: buffer expected";
+        if (message.box != null && message.hasOwnProperty("box"))
+            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
+                return "box: buffer expected";
+        return null;
+    };
+
+    /**
+     * Creates a RenewalRequest message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof RenewalRequest
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {RenewalRequest} RenewalRequest
+     */
+    RenewalRequest.fromObject = function fromObject(object) {
+        if (object instanceof $root.RenewalRequest)
+            return object;
+        var message = new $root.RenewalRequest();
+        if (object.channelId != null)
+            if (typeof object.channelId === "string")
+                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+            else if (object.channelId.length)
+                message.channelId = object.channelId;
+        if (object.seq != null)
+            message.seq = object.seq >>> 0;
+        if (object.nonce != null)
+            if (typeof object.nonce === "string")
+                $util.base64.decode(object.nonce, message.nonce = $util.newBuffer($util.base64.length(object.nonce)), 0);
+            else if (object.nonce.length)
+                message.nonce = object.nonce;
+        if (object.box != null)
+            if (typeof object.box === "string")
+                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
+            else if (object.box.length)
+                message.box = object.box;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a RenewalRequest message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof RenewalRequest
+     * @static
+     * @param {RenewalRequest} message RenewalRequest
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    RenewalRequest.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.channelId = "";
+            else {
+                object.channelId = [];
+                if (options.bytes !== Array)
+                    object.channelId = $util.newBuffer(object.channelId);
+            }
+            object.seq = 0;
+            if (options.bytes === String)
+                object.nonce = "";
+            else {
+                object.nonce = [];
+                if (options.bytes !== Array)
+                    object.nonce = $util.newBuffer(object.nonce);
+            }
+            if (options.bytes === String)
+                object.box = "";
+            else {
+                object.box = [];
+                if (options.bytes !== Array)
+                    object.box = $util.newBuffer(object.box);
+            }
+        }
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            object.seq = message.seq;
+        if (message.nonce != null && message.hasOwnProperty("nonce"))
+            object.nonce = options.bytes === String ? $util.base64.encode(message.nonce, 0, message.nonce.length) : options.bytes === Array ? Array.prototype.slice.call(message.nonce) : message.nonce;
+        if (message.box != null && message.hasOwnProperty("box"))
+            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
+        return object;
+    };
+
+    /**
+     * Converts this RenewalRequest to JSON.
+     * @function toJSON
+     * @memberof RenewalRequest
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    RenewalRequest.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    RenewalRequest.TBS = (function() {
+
+        /**
+         * Properties of a TBS.
+         * @memberof RenewalRequest
+         * @interface ITBS
+         * @property {Array.<ILink>|null} [chain] TBS chain
+         * @property {Uint8Array|null} [responsePubKey] TBS responsePubKey
+         */
+
+        /**
+         * Constructs a new TBS.
+         * @memberof RenewalRequest
+         * @classdesc Represents a TBS.
+         * @implements ITBS
+         * @constructor
+         * @param {RenewalRequest.ITBS=} [properties] Properties to set
+         */
+        function TBS(properties) {
+            this.chain = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * TBS chain.
+         * @member {Array.<ILink>} chain
+         * @memberof RenewalRequest.TBS
+         * @instance
+         */
+        TBS.prototype.chain = $util.emptyArray;
+
+        /**
+         * TBS responsePubKey.
+         * @member {Uint8Array} responsePubKey
+         * @memberof RenewalRequest.TBS
+         * @instance
+         */
+        TBS.prototype.responsePubKey = $util.newBuffer([]);
+
+        /**
+         * Creates a new TBS instance using the specified properties.
+         * @function create
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {RenewalRequest.ITBS=} [properties] Properties to set
+         * @returns {RenewalRequest.TBS} TBS instance
+         */
+        TBS.create = function create(properties) {
+            return new TBS(properties);
+        };
+
+        /**
+         * Encodes the specified TBS message. Does not implicitly {@link RenewalRequest.TBS.verify|verify} messages.
+         * @function encode
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {RenewalRequest.ITBS} message TBS message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
         TBS.encode = function encode(message, writer) {
             if (!writer)
                 writer = $Writer.create();
             if (message.chain != null && message.chain.length)
                 for (var i = 0; i < message.chain.length; ++i)
                     $root.Link.encode(message.chain[i], writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
-            if (message.query != null && message.hasOwnProperty("query"))
-                $root.Query.encode(message.query, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
-            if (message.bulk != null && message.hasOwnProperty("bulk"))
-                $root.Bulk.encode(message.bulk, writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
-            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
-                writer.uint32(/* id 4, wireType 2 =*/34).bytes(message.responsePubKey);
+            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.responsePubKey);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified TBS message, length delimited. Does not implicitly {@link RenewalRequest.TBS.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {RenewalRequest.ITBS} message TBS message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        TBS.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a TBS message from the specified reader or buffer.
+         * @function decode
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {RenewalRequest.TBS} TBS
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TBS.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.RenewalRequest.TBS();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    if (!(message.chain && message.chain.length))
+                        message.chain = [];
+                    message.chain.push($root.Link.decode(reader, reader.uint32()));
+                    break;
+                case 2:
+                    message.responsePubKey = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a TBS message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {RenewalRequest.TBS} TBS
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        TBS.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a TBS message.
+         * @function verify
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        TBS.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.chain != null && message.hasOwnProperty("chain")) {
+                if (!Array.isArray(message.chain))
+                    return "chain: array expected";
+                for (var i = 0; i < message.chain.length; ++i) {
+                    var error = $root.Link.verify(message.chain[i]);
+                    if (error)
+                        return "chain." + error;
+                }
+            }
+            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
+                if (!(message.responsePubKey && typeof message.responsePubKey.length === "number" || $util.isString(message.responsePubKey)))
+                    return "responsePubKey: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a TBS message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {RenewalRequest.TBS} TBS
+         */
+        TBS.fromObject = function fromObject(object) {
+            if (object instanceof $root.RenewalRequest.TBS)
+                return object;
+            var message = new $root.RenewalRequest.TBS();
+            if (object.chain) {
+                if (!Array.isArray(object.chain))
+                    throw TypeError(".RenewalRequest.TBS.chain: array expected");
+                message.chain = [];
+                for (var i = 0; i < object.chain.length; ++i) {
+                    if (typeof object.chain[i] !== "object")
+                        throw TypeError(".RenewalRequest.TBS.chain: object expected");
+                    message.chain[i] = $root.Link.fromObject(object.chain[i]);
+                }
+            }
+            if (object.responsePubKey != null)
+                if (typeof object.responsePubKey === "string")
+                    $util.base64.decode(object.responsePubKey, message.responsePubKey = $util.newBuffer($util.base64.length(object.responsePubKey)), 0);
+                else if (object.responsePubKey.length)
+                    message.responsePubKey = object.responsePubKey;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a TBS message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof RenewalRequest.TBS
+         * @static
+         * @param {RenewalRequest.TBS} message TBS
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        TBS.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.chain = [];
+            if (options.defaults)
+                if (options.bytes === String)
+                    object.responsePubKey = "";
+                else {
+                    object.responsePubKey = [];
+                    if (options.bytes !== Array)
+                        object.responsePubKey = $util.newBuffer(object.responsePubKey);
+                }
+            if (message.chain && message.chain.length) {
+                object.chain = [];
+                for (var j = 0; j < message.chain.length; ++j)
+                    object.chain[j] = $root.Link.toObject(message.chain[j], options);
+            }
+            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
+                object.responsePubKey = options.bytes === String ? $util.base64.encode(message.responsePubKey, 0, message.responsePubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.responsePubKey) : message.responsePubKey;
+            return object;
+        };
+
+        /**
+         * Converts this TBS to JSON.
+         * @function toJSON
+         * @memberof RenewalRequest.TBS
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        TBS.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return TBS;
+    })();
+
+    RenewalRequest.Content = (function() {
+
+        /**
+         * Properties of a Content.
+         * @memberof RenewalRequest
+         * @interface IContent
+         * @property {RenewalRequest.ITBS|null} [tbs] Content tbs
+         * @property {Uint8Array|null} [signature] Content signature
+         */
+
+        /**
+         * Constructs a new Content.
+         * @memberof RenewalRequest
+         * @classdesc Represents a Content.
+         * @implements IContent
+         * @constructor
+         * @param {RenewalRequest.IContent=} [properties] Properties to set
+         */
+        function Content(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Content tbs.
+         * @member {RenewalRequest.ITBS|null|undefined} tbs
+         * @memberof RenewalRequest.Content
+         * @instance
+         */
+        Content.prototype.tbs = null;
+
+        /**
+         * Content signature.
+         * @member {Uint8Array} signature
+         * @memberof RenewalRequest.Content
+         * @instance
+         */
+        Content.prototype.signature = $util.newBuffer([]);
+
+        /**
+         * Creates a new Content instance using the specified properties.
+         * @function create
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {RenewalRequest.IContent=} [properties] Properties to set
+         * @returns {RenewalRequest.Content} Content instance
+         */
+        Content.create = function create(properties) {
+            return new Content(properties);
+        };
+
+        /**
+         * Encodes the specified Content message. Does not implicitly {@link RenewalRequest.Content.verify|verify} messages.
+         * @function encode
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {RenewalRequest.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.tbs != null && message.hasOwnProperty("tbs"))
+                $root.RenewalRequest.TBS.encode(message.tbs, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.signature);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Content message, length delimited. Does not implicitly {@link RenewalRequest.Content.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {RenewalRequest.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer.
+         * @function decode
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {RenewalRequest.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.RenewalRequest.Content();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.tbs = $root.RenewalRequest.TBS.decode(reader, reader.uint32());
+                    break;
+                case 2:
+                    message.signature = reader.bytes();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {RenewalRequest.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Content message.
+         * @function verify
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Content.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.tbs != null && message.hasOwnProperty("tbs")) {
+                var error = $root.RenewalRequest.TBS.verify(message.tbs);
+                if (error)
+                    return "tbs." + error;
+            }
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                if (!(message.signature && typeof message.signature.length === "number" || $util.isString(message.signature)))
+                    return "signature: buffer expected";
+            return null;
+        };
+
+        /**
+         * Creates a Content message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {RenewalRequest.Content} Content
+         */
+        Content.fromObject = function fromObject(object) {
+            if (object instanceof $root.RenewalRequest.Content)
+                return object;
+            var message = new $root.RenewalRequest.Content();
+            if (object.tbs != null) {
+                if (typeof object.tbs !== "object")
+                    throw TypeError(".RenewalRequest.Content.tbs: object expected");
+                message.tbs = $root.RenewalRequest.TBS.fromObject(object.tbs);
+            }
+            if (object.signature != null)
+                if (typeof object.signature === "string")
+                    $util.base64.decode(object.signature, message.signature = $util.newBuffer($util.base64.length(object.signature)), 0);
+                else if (object.signature.length)
+                    message.signature = object.signature;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Content message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof RenewalRequest.Content
+         * @static
+         * @param {RenewalRequest.Content} message Content
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Content.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                object.tbs = null;
+                if (options.bytes === String)
+                    object.signature = "";
+                else {
+                    object.signature = [];
+                    if (options.bytes !== Array)
+                        object.signature = $util.newBuffer(object.signature);
+                }
+            }
+            if (message.tbs != null && message.hasOwnProperty("tbs"))
+                object.tbs = $root.RenewalRequest.TBS.toObject(message.tbs, options);
+            if (message.signature != null && message.hasOwnProperty("signature"))
+                object.signature = options.bytes === String ? $util.base64.encode(message.signature, 0, message.signature.length) : options.bytes === Array ? Array.prototype.slice.call(message.signature) : message.signature;
+            return object;
+        };
+
+        /**
+         * Converts this Content to JSON.
+         * @function toJSON
+         * @memberof RenewalRequest.Content
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Content.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Content;
+    })();
+
+    return RenewalRequest;
+})();
+
+$root.RenewalResponse = (function() {
+
+    /**
+     * Properties of a RenewalResponse.
+     * @exports IRenewalResponse
+     * @interface IRenewalResponse
+     * @property {Uint8Array|null} [channelId] RenewalResponse channelId
+     * @property {number|null} [seq] RenewalResponse seq
+     * @property {Uint8Array|null} [box] RenewalResponse box
+     */
+
+    /**
+     * Constructs a new RenewalResponse.
+     * @exports RenewalResponse
+     * @classdesc Represents a RenewalResponse.
+     * @implements IRenewalResponse
+     * @constructor
+     * @param {IRenewalResponse=} [properties] Properties to set
+     */
+    function RenewalResponse(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * RenewalResponse channelId.
+     * @member {Uint8Array} channelId
+     * @memberof RenewalResponse
+     * @instance
+     */
+    RenewalResponse.prototype.channelId = $util.newBuffer([]);
+
+    /**
+     * RenewalResponse seq.
+     * @member {number} seq
+     * @memberof RenewalResponse
+     * @instance
+     */
+    RenewalResponse.prototype.seq = 0;
+
+    /**
+     * RenewalResponse box.
+     * @member {Uint8Array} box
+     * @memberof RenewalResponse
+     * @instance
+     */
+    RenewalResponse.prototype.box = $util.newBuffer([]);
+
+    /**
+     * Creates a new RenewalResponse instance using the specified properties.
+     * @function create
+     * @memberof RenewalResponse
+     * @static
+     * @param {IRenewalResponse=} [properties] Properties to set
+     * @returns {RenewalResponse} RenewalResponse instance
+     */
+    RenewalResponse.create = function create(properties) {
+        return new RenewalResponse(properties);
+    };
+
+    /**
+     * Encodes the specified RenewalResponse message. Does not implicitly {@link RenewalResponse.verify|verify} messages.
+     * @function encode
+     * @memberof RenewalResponse
+     * @static
+     * @param {IRenewalResponse} message RenewalResponse message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    RenewalResponse.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.seq);
+        if (message.box != null && message.hasOwnProperty("box"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.box);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified RenewalResponse message, length delimited. Does not implicitly {@link RenewalResponse.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof RenewalResponse
+     * @static
+     * @param {IRenewalResponse} message RenewalResponse message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    RenewalResponse.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a RenewalResponse message from the specified reader or buffer.
+     * @function decode
+     * @memberof RenewalResponse
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {RenewalResponse} RenewalResponse
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    RenewalResponse.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.RenewalResponse();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.channelId = reader.bytes();
+                break;
+            case 2:
+                message.seq = reader.uint32();
+                break;
+            case 3:
+                message.box = reader.bytes();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a RenewalResponse message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof RenewalResponse
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {RenewalResponse} RenewalResponse
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    RenewalResponse.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a RenewalResponse message.
+     * @function verify
+     * @memberof RenewalResponse
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    RenewalResponse.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                return "channelId: buffer expected";
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            if (!$util.isInteger(message.seq))
+                return "seq: integer expected";
+        if (message.box != null && message.hasOwnProperty("box"))
+            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
+                return "box: buffer expected";
+        return null;
+    };
+
+    /**
+     * Creates a RenewalResponse message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof RenewalResponse
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {RenewalResponse} RenewalResponse
+     */
+    RenewalResponse.fromObject = function fromObject(object) {
+        if (object instanceof $root.RenewalResponse)
+            return object;
+        var message = new $root.RenewalResponse();
+        if (object.channelId != null)
+            if (typeof object.channelId === "string")
+                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+            else if (object.channelId.length)
+                message.channelId = object.channelId;
+        if (object.seq != null)
+            message.seq = object.seq >>> 0;
+        if (object.box != null)
+            if (typeof object.box === "string")
+                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
+            else if (object.box.length)
+                message.box = object.box;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a RenewalResponse message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof RenewalResponse
+     * @static
+     * @param {RenewalResponse} message RenewalResponse
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    RenewalResponse.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.channelId = "";
+            else {
+                object.channelId = [];
+                if (options.bytes !== Array)
+                    object.channelId = $util.newBuffer(object.channelId);
+            }
+            object.seq = 0;
+            if (options.bytes === String)
+                object.box = "";
+            else {
+                object.box = [];
+                if (options.bytes !== Array)
+                    object.box = $util.newBuffer(object.box);
+            }
+        }
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            object.seq = message.seq;
+        if (message.box != null && message.hasOwnProperty("box"))
+            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
+        return object;
+    };
+
+    /**
+     * Converts this RenewalResponse to JSON.
+     * @function toJSON
+     * @memberof RenewalResponse
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    RenewalResponse.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    RenewalResponse.Content = (function() {
+
+        /**
+         * Properties of a Content.
+         * @memberof RenewalResponse
+         * @interface IContent
+         * @property {Array.<ILink>|null} [chain] Content chain
+         */
+
+        /**
+         * Constructs a new Content.
+         * @memberof RenewalResponse
+         * @classdesc Represents a Content.
+         * @implements IContent
+         * @constructor
+         * @param {RenewalResponse.IContent=} [properties] Properties to set
+         */
+        function Content(properties) {
+            this.chain = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Content chain.
+         * @member {Array.<ILink>} chain
+         * @memberof RenewalResponse.Content
+         * @instance
+         */
+        Content.prototype.chain = $util.emptyArray;
+
+        /**
+         * Creates a new Content instance using the specified properties.
+         * @function create
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {RenewalResponse.IContent=} [properties] Properties to set
+         * @returns {RenewalResponse.Content} Content instance
+         */
+        Content.create = function create(properties) {
+            return new Content(properties);
+        };
+
+        /**
+         * Encodes the specified Content message. Does not implicitly {@link RenewalResponse.Content.verify|verify} messages.
+         * @function encode
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {RenewalResponse.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.chain != null && message.chain.length)
+                for (var i = 0; i < message.chain.length; ++i)
+                    $root.Link.encode(message.chain[i], writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
             return writer;
         };
 
-        /**
-         * Encodes the specified TBS message, length delimited. Does not implicitly {@link SyncRequest.TBS.verify|verify} messages.
-         * @function encodeDelimited
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {SyncRequest.ITBS} message TBS message or plain object to encode
-         * @param {$protobuf.Writer} [writer] Writer to encode to
-         * @returns {$protobuf.Writer} Writer
-         */
-        TBS.encodeDelimited = function encodeDelimited(message, writer) {
-            return this.encode(message, writer).ldelim();
-        };
+        /**
+         * Encodes the specified Content message, length delimited. Does not implicitly {@link RenewalResponse.Content.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {RenewalResponse.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer.
+         * @function decode
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {RenewalResponse.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.RenewalResponse.Content();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    if (!(message.chain && message.chain.length))
+                        message.chain = [];
+                    message.chain.push($root.Link.decode(reader, reader.uint32()));
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {RenewalResponse.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Content message.
+         * @function verify
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Content.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.chain != null && message.hasOwnProperty("chain")) {
+                if (!Array.isArray(message.chain))
+                    return "chain: array expected";
+                for (var i = 0; i < message.chain.length; ++i) {
+                    var error = $root.Link.verify(message.chain[i]);
+                    if (error)
+                        return "chain." + error;
+                }
+            }
+            return null;
+        };
+
+        /**
+         * Creates a Content message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {RenewalResponse.Content} Content
+         */
+        Content.fromObject = function fromObject(object) {
+            if (object instanceof $root.RenewalResponse.Content)
+                return object;
+            var message = new $root.RenewalResponse.Content();
+            if (object.chain) {
+                if (!Array.isArray(object.chain))
+                    throw TypeError(".RenewalResponse.Content.chain: array expected");
+                message.chain = [];
+                for (var i = 0; i < object.chain.length; ++i) {
+                    if (typeof object.chain[i] !== "object")
+                        throw TypeError(".RenewalResponse.Content.chain: object expected");
+                    message.chain[i] = $root.Link.fromObject(object.chain[i]);
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Content message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof RenewalResponse.Content
+         * @static
+         * @param {RenewalResponse.Content} message Content
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Content.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.chain = [];
+            if (message.chain && message.chain.length) {
+                object.chain = [];
+                for (var j = 0; j < message.chain.length; ++j)
+                    object.chain[j] = $root.Link.toObject(message.chain[j], options);
+            }
+            return object;
+        };
+
+        /**
+         * Converts this Content to JSON.
+         * @function toJSON
+         * @memberof RenewalResponse.Content
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Content.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Content;
+    })();
+
+    return RenewalResponse;
+})();
+
+$root.Error = (function() {
+
+    /**
+     * Properties of an Error.
+     * @exports IError
+     * @interface IError
+     * @property {string|null} [reason] Error reason
+     */
+
+    /**
+     * Constructs a new Error.
+     * @exports Error
+     * @classdesc Represents an Error.
+     * @implements IError
+     * @constructor
+     * @param {IError=} [properties] Properties to set
+     */
+    function Error(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Error reason.
+     * @member {string} reason
+     * @memberof Error
+     * @instance
+     */
+    Error.prototype.reason = "";
+
+    /**
+     * Creates a new Error instance using the specified properties.
+     * @function create
+     * @memberof Error
+     * @static
+     * @param {IError=} [properties] Properties to set
+     * @returns {Error} Error instance
+     */
+    Error.create = function create(properties) {
+        return new Error(properties);
+    };
+
+    /**
+     * Encodes the specified Error message. Does not implicitly {@link Error.verify|verify} messages.
+     * @function encode
+     * @memberof Error
+     * @static
+     * @param {IError} message Error message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Error.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.reason != null && message.hasOwnProperty("reason"))
+            writer.uint32(/* id 1, wireType 2 =*/10).string(message.reason);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified Error message, length delimited. Does not implicitly {@link Error.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof Error
+     * @static
+     * @param {IError} message Error message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Error.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes an Error message from the specified reader or buffer.
+     * @function decode
+     * @memberof Error
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {Error} Error
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Error.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Error();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.reason = reader.string();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes an Error message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Error
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Error} Error
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Error.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies an Error message.
+     * @function verify
+     * @memberof Error
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Error.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.reason != null && message.hasOwnProperty("reason"))
+            if (!$util.isString(message.reason))
+                return "reason: string expected";
+        return null;
+    };
+
+    /**
+     * Creates an Error message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Error
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Error} Error
+     */
+    Error.fromObject = function fromObject(object) {
+        if (object instanceof $root.Error)
+            return object;
+        var message = new $root.Error();
+        if (object.reason != null)
+            message.reason = String(object.reason);
+        return message;
+    };
+
+    /**
+     * Creates a plain object from an Error message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Error
+     * @static
+     * @param {Error} message Error
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Error.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults)
+            object.reason = "";
+        if (message.reason != null && message.hasOwnProperty("reason"))
+            object.reason = message.reason;
+        return object;
+    };
+
+    /**
+     * Converts this Error to JSON.
+     * @function toJSON
+     * @memberof Error
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Error.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return Error;
+})();
+
+$root.Notification = (function() {
+
+    /**
+     * Properties of a Notification.
+     * @exports INotification
+     * @interface INotification
+     * @property {Uint8Array|null} [channelId] Notification channelId
+     */
+
+    /**
+     * Constructs a new Notification.
+     * @exports Notification
+     * @classdesc Represents a Notification.
+     * @implements INotification
+     * @constructor
+     * @param {INotification=} [properties] Properties to set
+     */
+    function Notification(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Notification channelId.
+     * @member {Uint8Array} channelId
+     * @memberof Notification
+     * @instance
+     */
+    Notification.prototype.channelId = $util.newBuffer([]);
+
+    /**
+     * Creates a new Notification instance using the specified properties.
+     * @function create
+     * @memberof Notification
+     * @static
+     * @param {INotification=} [properties] Properties to set
+     * @returns {Notification} Notification instance
+     */
+    Notification.create = function create(properties) {
+        return new Notification(properties);
+    };
+
+    /**
+     * Encodes the specified Notification message. Does not implicitly {@link Notification.verify|verify} messages.
+     * @function encode
+     * @memberof Notification
+     * @static
+     * @param {INotification} message Notification message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Notification.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified Notification message, length delimited. Does not implicitly {@link Notification.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof Notification
+     * @static
+     * @param {INotification} message Notification message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Notification.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a Notification message from the specified reader or buffer.
+     * @function decode
+     * @memberof Notification
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {Notification} Notification
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Notification.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Notification();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.channelId = reader.bytes();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a Notification message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Notification
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Notification} Notification
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Notification.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a Notification message.
+     * @function verify
+     * @memberof Notification
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Notification.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                return "channelId: buffer expected";
+        return null;
+    };
+
+    /**
+     * Creates a Notification message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Notification
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Notification} Notification
+     */
+    Notification.fromObject = function fromObject(object) {
+        if (object instanceof $root.Notification)
+            return object;
+        var message = new $root.Notification();
+        if (object.channelId != null)
+            if (typeof object.channelId === "string")
+                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+            else if (object.channelId.length)
+                message.channelId = object.channelId;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a Notification message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Notification
+     * @static
+     * @param {Notification} message Notification
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Notification.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults)
+            if (options.bytes === String)
+                object.channelId = "";
+            else {
+                object.channelId = [];
+                if (options.bytes !== Array)
+                    object.channelId = $util.newBuffer(object.channelId);
+            }
+        if (message.channelId != null && message.hasOwnProperty("channelId"))
+            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+        return object;
+    };
+
+    /**
+     * Converts this Notification to JSON.
+     * @function toJSON
+     * @memberof Notification
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Notification.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return Notification;
+})();
+
+$root.Ping = (function() {
+
+    /**
+     * Properties of a Ping.
+     * @exports IPing
+     * @interface IPing
+     * @property {number|null} [seq] Ping seq
+     */
+
+    /**
+     * Constructs a new Ping.
+     * @exports Ping
+     * @classdesc Represents a Ping.
+     * @implements IPing
+     * @constructor
+     * @param {IPing=} [properties] Properties to set
+     */
+    function Ping(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Ping seq.
+     * @member {number} seq
+     * @memberof Ping
+     * @instance
+     */
+    Ping.prototype.seq = 0;
+
+    /**
+     * Creates a new Ping instance using the specified properties.
+     * @function create
+     * @memberof Ping
+     * @static
+     * @param {IPing=} [properties] Properties to set
+     * @returns {Ping} Ping instance
+     */
+    Ping.create = function create(properties) {
+        return new Ping(properties);
+    };
+
+    /**
+     * Encodes the specified Ping message. Does not implicitly {@link Ping.verify|verify} messages.
+     * @function encode
+     * @memberof Ping
+     * @static
+     * @param {IPing} message Ping message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Ping.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.seq);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified Ping message, length delimited. Does not implicitly {@link Ping.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof Ping
+     * @static
+     * @param {IPing} message Ping message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Ping.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a Ping message from the specified reader or buffer.
+     * @function decode
+     * @memberof Ping
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {Ping} Ping
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Ping.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Ping();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.seq = reader.uint32();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a Ping message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Ping
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Ping} Ping
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Ping.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a Ping message.
+     * @function verify
+     * @memberof Ping
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Ping.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            if (!$util.isInteger(message.seq))
+                return "seq: integer expected";
+        return null;
+    };
+
+    /**
+     * Creates a Ping message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Ping
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Ping} Ping
+     */
+    Ping.fromObject = function fromObject(object) {
+        if (object instanceof $root.Ping)
+            return object;
+        var message = new $root.Ping();
+        if (object.seq != null)
+            message.seq = object.seq >>> 0;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a Ping message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Ping
+     * @static
+     * @param {Ping} message Ping
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Ping.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults)
+            object.seq = 0;
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            object.seq = message.seq;
+        return object;
+    };
+
+    /**
+     * Converts this Ping to JSON.
+     * @function toJSON
+     * @memberof Ping
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Ping.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return Ping;
+})();
+
+$root.Pong = (function() {
+
+    /**
+     * Properties of a Pong.
+     * @exports IPong
+     * @interface IPong
+     * @property {number|null} [seq] Pong seq
+     */
+
+    /**
+     * Constructs a new Pong.
+     * @exports Pong
+     * @classdesc Represents a Pong.
+     * @implements IPong
+     * @constructor
+     * @param {IPong=} [properties] Properties to set
+     */
+    function Pong(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Pong seq.
+     * @member {number} seq
+     * @memberof Pong
+     * @instance
+     */
+    Pong.prototype.seq = 0;
 
-        /**
-         * Decodes a TBS message from the specified reader or buffer.
-         * @function decode
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @param {number} [length] Message length if known beforehand
-         * @returns {SyncRequest.TBS} TBS
-         * @throws {Error} If the payload is not a reader or valid buffer
-         * @throws {$protobuf.util.ProtocolError} If required fields are missing
-         */
-        TBS.decode = function decode(reader, length) {
-            if (!(reader instanceof $Reader))
-                reader = $Reader.create(reader);
-            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncRequest.TBS();
-            while (reader.pos < end) {
-                var tag = reader.uint32();
-                switch (tag >>> 3) {
-                case 1:
-                    if (!(message.chain && message.chain.length))
-                        message.chain = [];
-                    message.chain.push($root.Link.decode(reader, reader.uint32()));
-                    break;
-                case 2:
-                    message.query = $root.Query.decode(reader, reader.uint32());
-                    break;
-                case 3:
-                    message.bulk = $root.Bulk.decode(reader, reader.uint32());
-                    break;
-                case 4:
-                    message.responsePubKey = reader.bytes();
-                    break;
-                default:
-                    reader.skipType(tag & 7);
-                    break;
-                }
+    /**
+     * Creates a new Pong instance using the specified properties.
+     * @function create
+     * @memberof Pong
+     * @static
+     * @param {IPong=} [properties] Properties to set
+     * @returns {Pong} Pong instance
+     */
+    Pong.create = function create(properties) {
+        return new Pong(properties);
+    };
+
+    /**
+     * Encodes the specified Pong message. Does not implicitly {@link Pong.verify|verify} messages.
+     * @function encode
+     * @memberof Pong
+     * @static
+     * @param {IPong} message Pong message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Pong.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.seq);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified Pong message, length delimited. Does not implicitly {@link Pong.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof Pong
+     * @static
+     * @param {IPong} message Pong message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Pong.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a Pong message from the specified reader or buffer.
+     * @function decode
+     * @memberof Pong
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {Pong} Pong
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Pong.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Pong();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.seq = reader.uint32();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
             }
-            return message;
-        };
+        }
+        return message;
+    };
 
-        /**
-         * Decodes a TBS message from the specified reader or buffer, length delimited.
-         * @function decodeDelimited
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @returns {SyncRequest.TBS} TBS
-         * @throws {Error} If the payload is not a reader or valid buffer
-         * @throws {$protobuf.util.ProtocolError} If required fields are missing
-         */
-        TBS.decodeDelimited = function decodeDelimited(reader) {
-            if (!(reader instanceof $Reader))
-                reader = new $Reader(reader);
-            return this.decode(reader, reader.uint32());
-        };
+    /**
+     * Decodes a Pong message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Pong
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Pong} Pong
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Pong.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a Pong message.
+     * @function verify
+     * @memberof Pong
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Pong.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            if (!$util.isInteger(message.seq))
+                return "seq: integer expected";
+        return null;
+    };
+
+    /**
+     * Creates a Pong message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Pong
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Pong} Pong
+     */
+    Pong.fromObject = function fromObject(object) {
+        if (object instanceof $root.Pong)
+            return object;
+        var message = new $root.Pong();
+        if (object.seq != null)
+            message.seq = object.seq >>> 0;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a Pong message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Pong
+     * @static
+     * @param {Pong} message Pong
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Pong.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults)
+            object.seq = 0;
+        if (message.seq != null && message.hasOwnProperty("seq"))
+            object.seq = message.seq;
+        return object;
+    };
+
+    /**
+     * Converts this Pong to JSON.
+     * @function toJSON
+     * @memberof Pong
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Pong.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return Pong;
+})();
+
+$root.Packet = (function() {
+
+    /**
+     * Properties of a Packet.
+     * @exports IPacket
+     * @interface IPacket
+     * @property {IError|null} [error] Packet error
+     * @property {IEncryptedInvite|null} [invite] Packet invite
+     * @property {ISyncRequest|null} [syncRequest] Packet syncRequest
+     * @property {ISyncResponse|null} [syncResponse] Packet syncResponse
+     * @property {INotification|null} [notification] Packet notification
+     * @property {IPing|null} [ping] Packet ping
+     * @property {IPong|null} [pong] Packet pong
+     * @property {IRenewalRequest|null} [renewalRequest] Packet renewalRequest
+     * @property {IRenewalResponse|null} [renewalResponse] Packet renewalResponse
+     */
+
+    /**
+     * Constructs a new Packet.
+     * @exports Packet
+     * @classdesc Represents a Packet.
+     * @implements IPacket
+     * @constructor
+     * @param {IPacket=} [properties] Properties to set
+     */
+    function Packet(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Packet error.
+     * @member {IError|null|undefined} error
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.error = null;
 
-        /**
-         * Verifies a TBS message.
-         * @function verify
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {Object.<string,*>} message Plain object to verify
-         * @returns {string|null} `null` if valid, otherwise the reason why it is not
-         */
-        TBS.verify = function verify(message) {
-            if (typeof message !== "object" || message === null)
-                return "object expected";
-            var properties = {};
-            if (message.chain != null && message.hasOwnProperty("chain")) {
-                if (!Array.isArray(message.chain))
-                    return "chain: array expected";
-                for (var i = 0; i < message.chain.length; ++i) {
-                    var error = $root.Link.verify(message.chain[i]);
-                    if (error)
-                        return "chain." + error;
-                }
-            }
-            if (message.query != null && message.hasOwnProperty("query")) {
-                properties.content = 1;
-                {
-                    var error = $root.Query.verify(message.query);
-                    if (error)
-                        return "query." + error;
-                }
-            }
-            if (message.bulk != null && message.hasOwnProperty("bulk")) {
-                if (properties.content === 1)
-                    return "content: multiple values";
-                properties.content = 1;
-                {
-                    var error = $root.Bulk.verify(message.bulk);
-                    if (error)
-                        return "bulk." + error;
-                }
-            }
-            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
-                if (!(message.responsePubKey && typeof message.responsePubKey.length === "number" || $util.isString(message.responsePubKey)))
-                    return "responsePubKey: buffer expected";
-            return null;
-        };
+    /**
+     * Packet invite.
+     * @member {IEncryptedInvite|null|undefined} invite
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.invite = null;
 
-        /**
-         * Creates a TBS message from a plain object. Also converts values to their respective internal types.
-         * @function fromObject
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {Object.<string,*>} object Plain object
-         * @returns {SyncRequest.TBS} TBS
-         */
-        TBS.fromObject = function fromObject(object) {
-            if (object instanceof $root.SyncRequest.TBS)
-                return object;
-            var message = new $root.SyncRequest.TBS();
-            if (object.chain) {
-                if (!Array.isArray(object.chain))
-                    throw TypeError(".SyncRequest.TBS.chain: array expected");
-                message.chain = [];
-                for (var i = 0; i < object.chain.length; ++i) {
-                    if (typeof object.chain[i] !== "object")
-                        throw TypeError(".SyncRequest.TBS.chain: object expected");
-                    message.chain[i] = $root.Link.fromObject(object.chain[i]);
-                }
-            }
-            if (object.query != null) {
-                if (typeof object.query !== "object")
-                    throw TypeError(".SyncRequest.TBS.query: object expected");
-                message.query = $root.Query.fromObject(object.query);
-            }
-            if (object.bulk != null) {
-                if (typeof object.bulk !== "object")
-                    throw TypeError(".SyncRequest.TBS.bulk: object expected");
-                message.bulk = $root.Bulk.fromObject(object.bulk);
-            }
-            if (object.responsePubKey != null)
-                if (typeof object.responsePubKey === "string")
-                    $util.base64.decode(object.responsePubKey, message.responsePubKey = $util.newBuffer($util.base64.length(object.responsePubKey)), 0);
-                else if (object.responsePubKey.length)
-                    message.responsePubKey = object.responsePubKey;
-            return message;
-        };
+    /**
+     * Packet syncRequest.
+     * @member {ISyncRequest|null|undefined} syncRequest
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.syncRequest = null;
 
-        /**
-         * Creates a plain object from a TBS message. Also converts values to other types if specified.
-         * @function toObject
-         * @memberof SyncRequest.TBS
-         * @static
-         * @param {SyncRequest.TBS} message TBS
-         * @param {$protobuf.IConversionOptions} [options] Conversion options
-         * @returns {Object.<string,*>} Plain object
-         */
-        TBS.toObject = function toObject(message, options) {
-            if (!options)
-                options = {};
-            var object = {};
-            if (options.arrays || options.defaults)
-                object.chain = [];
-            if (options.defaults)
-                if (options.bytes === String)
-                    object.responsePubKey = "";
-                else {
-                    object.responsePubKey = [];
-                    if (options.bytes !== Array)
-                        object.responsePubKey = $util.newBuffer(object.responsePubKey);
-                }
-            if (message.chain && message.chain.length) {
-                object.chain = [];
-                for (var j = 0; j < message.chain.length; ++j)
-                    object.chain[j] = $root.Link.toObject(message.chain[j], options);
-            }
-            if (message.query != null && message.hasOwnProperty("query")) {
-                object.query = $root.Query.toObject(message.query, options);
-                if (options.oneofs)
-                    object.content = "query";
-            }
-            if (message.bulk != null && message.hasOwnProperty("bulk")) {
-                object.bulk = $root.Bulk.toObject(message.bulk, options);
-                if (options.oneofs)
-                    object.content = "bulk";
-            }
-            if (message.responsePubKey != null && message.hasOwnProperty("responsePubKey"))
-                object.responsePubKey = options.bytes === String ? $util.base64.encode(message.responsePubKey, 0, message.responsePubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.responsePubKey) : message.responsePubKey;
-            return object;
-        };
+    /**
+     * Packet syncResponse.
+     * @member {ISyncResponse|null|undefined} syncResponse
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.syncResponse = null;
 
-        /**
-         * Converts this TBS to JSON.
-         * @function toJSON
-         * @memberof SyncRequest.TBS
-         * @instance
-         * @returns {Object.<string,*>} JSON object
-         */
-        TBS.prototype.toJSON = function toJSON() {
-            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
-        };
+    /**
+     * Packet notification.
+     * @member {INotification|null|undefined} notification
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.notification = null;
 
-        return TBS;
-    })();
+    /**
+     * Packet ping.
+     * @member {IPing|null|undefined} ping
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.ping = null;
 
-    SyncRequest.Content = (function() {
+    /**
+     * Packet pong.
+     * @member {IPong|null|undefined} pong
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.pong = null;
 
-        /**
-         * Properties of a Content.
-         * @memberof SyncRequest
-         * @interface IContent
-         * @property {SyncRequest.ITBS|null} [tbs] Content tbs
-         * @property {Uint8Array|null} [signature] Content signature
-         */
+    /**
+     * Packet renewalRequest.
+     * @member {IRenewalRequest|null|undefined} renewalRequest
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.renewalRequest = null;
 
-        /**
-         * Constructs a new Content.
-         * @memberof SyncRequest
-         * @classdesc Represents a Content.
-         * @implements IContent
-         * @constructor
-         * @param {SyncRequest.IContent=} [properties] Properties to set
-         */
-        function Content(properties) {
-            if (properties)
-                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
-                    if (properties[keys[i]] != null)
-                        this[keys[i]] = properties[keys[i]];
-        }
+    /**
+     * Packet renewalResponse.
+     * @member {IRenewalResponse|null|undefined} renewalResponse
+     * @memberof Packet
+     * @instance
+     */
+    Packet.prototype.renewalResponse = null;
 
-        /**
-         * Content tbs.
-         * @member {SyncRequest.ITBS|null|undefined} tbs
-         * @memberof SyncRequest.Content
-         * @instance
-         */
-        Content.prototype.tbs = null;
+    // OneOf field names bound to virtual getters and setters
+    var $oneOfFields;
 
-        /**
-         * Content signature.
-         * @member {Uint8Array} signature
-         * @memberof SyncRequest.Content
-         * @instance
-         */
-        Content.prototype.signature = $util.newBuffer([]);
+    /**
+     * Packet content.
+     * @member {"error"|"invite"|"syncRequest"|"syncResponse"|"notification"|"ping"|"pong"|"renewalRequest"|"renewalResponse"|undefined} content
+     * @memberof Packet
+     * @instance
+     */
+    Object.defineProperty(Packet.prototype, "content", {
+        get: $util.oneOfGetter($oneOfFields = ["error", "invite", "syncRequest", "syncResponse", "notification", "ping", "pong", "renewalRequest", "renewalResponse"]),
+        set: $util.oneOfSetter($oneOfFields)
+    });
 
-        /**
-         * Creates a new Content instance using the specified properties.
-         * @function create
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {SyncRequest.IContent=} [properties] Properties to set
-         * @returns {SyncRequest.Content} Content instance
-         */
-        Content.create = function create(properties) {
-            return new Content(properties);
-        };
+    /**
+     * Creates a new Packet instance using the specified properties.
+     * @function create
+     * @memberof Packet
+     * @static
+     * @param {IPacket=} [properties] Properties to set
+     * @returns {Packet} Packet instance
+     */
+    Packet.create = function create(properties) {
+        return new Packet(properties);
+    };
 
-        /**
-         * Encodes the specified Content message. Does not implicitly {@link SyncRequest.Content.verify|verify} messages.
-         * @function encode
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {SyncRequest.IContent} message Content message or plain object to encode
-         * @param {$protobuf.Writer} [writer] Writer to encode to
-         * @returns {$protobuf.Writer} Writer
-         */
-        Content.encode = function encode(message, writer) {
-            if (!writer)
-                writer = $Writer.create();
-            if (message.tbs != null && message.hasOwnProperty("tbs"))
-                $root.SyncRequest.TBS.encode(message.tbs, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
-            if (message.signature != null && message.hasOwnProperty("signature"))
-                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.signature);
-            return writer;
-        };
+    /**
+     * Encodes the specified Packet message. Does not implicitly {@link Packet.verify|verify} messages.
+     * @function encode
+     * @memberof Packet
+     * @static
+     * @param {IPacket} message Packet message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Packet.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.error != null && message.hasOwnProperty("error"))
+            $root.Error.encode(message.error, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+        if (message.invite != null && message.hasOwnProperty("invite"))
+            $root.EncryptedInvite.encode(message.invite, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+        if (message.syncRequest != null && message.hasOwnProperty("syncRequest"))
+            $root.SyncRequest.encode(message.syncRequest, writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
+        if (message.syncResponse != null && message.hasOwnProperty("syncResponse"))
+            $root.SyncResponse.encode(message.syncResponse, writer.uint32(/* id 4, wireType 2 =*/34).fork()).ldelim();
+        if (message.notification != null && message.hasOwnProperty("notification"))
+            $root.Notification.encode(message.notification, writer.uint32(/* id 5, wireType 2 =*/42).fork()).ldelim();
+        if (message.ping != null && message.hasOwnProperty("ping"))
+            $root.Ping.encode(message.ping, writer.uint32(/* id 6, wireType 2 =*/50).fork()).ldelim();
+        if (message.pong != null && message.hasOwnProperty("pong"))
+            $root.Pong.encode(message.pong, writer.uint32(/* id 7, wireType 2 =*/58).fork()).ldelim();
+        if (message.renewalRequest != null && message.hasOwnProperty("renewalRequest"))
+            $root.RenewalRequest.encode(message.renewalRequest, writer.uint32(/* id 8, wireType 2 =*/66).fork()).ldelim();
+        if (message.renewalResponse != null && message.hasOwnProperty("renewalResponse"))
+            $root.RenewalResponse.encode(message.renewalResponse, writer.uint32(/* id 9, wireType 2 =*/74).fork()).ldelim();
+        return writer;
+    };
 
-        /**
-         * Encodes the specified Content message, length delimited. Does not implicitly {@link SyncRequest.Content.verify|verify} messages.
-         * @function encodeDelimited
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {SyncRequest.IContent} message Content message or plain object to encode
-         * @param {$protobuf.Writer} [writer] Writer to encode to
-         * @returns {$protobuf.Writer} Writer
-         */
-        Content.encodeDelimited = function encodeDelimited(message, writer) {
-            return this.encode(message, writer).ldelim();
-        };
+    /**
+     * Encodes the specified Packet message, length delimited. Does not implicitly {@link Packet.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof Packet
+     * @static
+     * @param {IPacket} message Packet message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Packet.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
 
-        /**
-         * Decodes a Content message from the specified reader or buffer.
-         * @function decode
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @param {number} [length] Message length if known beforehand
-         * @returns {SyncRequest.Content} Content
-         * @throws {Error} If the payload is not a reader or valid buffer
-         * @throws {$protobuf.util.ProtocolError} If required fields are missing
-         */
-        Content.decode = function decode(reader, length) {
-            if (!(reader instanceof $Reader))
-                reader = $Reader.create(reader);
-            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncRequest.Content();
-            while (reader.pos < end) {
-                var tag = reader.uint32();
-                switch (tag >>> 3) {
-                case 1:
-                    message.tbs = $root.SyncRequest.TBS.decode(reader, reader.uint32());
-                    break;
-                case 2:
-                    message.signature = reader.bytes();
-                    break;
-                default:
-                    reader.skipType(tag & 7);
-                    break;
-                }
+    /**
+     * Decodes a Packet message from the specified reader or buffer.
+     * @function decode
+     * @memberof Packet
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {Packet} Packet
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Packet.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Packet();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.error = $root.Error.decode(reader, reader.uint32());
+                break;
+            case 2:
+                message.invite = $root.EncryptedInvite.decode(reader, reader.uint32());
+                break;
+            case 3:
+                message.syncRequest = $root.SyncRequest.decode(reader, reader.uint32());
+                break;
+            case 4:
+                message.syncResponse = $root.SyncResponse.decode(reader, reader.uint32());
+                break;
+            case 5:
+                message.notification = $root.Notification.decode(reader, reader.uint32());
+                break;
+            case 6:
+                message.ping = $root.Ping.decode(reader, reader.uint32());
+                break;
+            case 7:
+                message.pong = $root.Pong.decode(reader, reader.uint32());
+                break;
+            case 8:
+                message.renewalRequest = $root.RenewalRequest.decode(reader, reader.uint32());
+                break;
+            case 9:
+                message.renewalResponse = $root.RenewalResponse.decode(reader, reader.uint32());
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
             }
-            return message;
-        };
+        }
+        return message;
+    };
 
-        /**
-         * Decodes a Content message from the specified reader or buffer, length delimited.
-         * @function decodeDelimited
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @returns {SyncRequest.Content} Content
-         * @throws {Error} If the payload is not a reader or valid buffer
-         * @throws {$protobuf.util.ProtocolError} If required fields are missing
-         */
-        Content.decodeDelimited = function decodeDelimited(reader) {
-            if (!(reader instanceof $Reader))
-                reader = new $Reader(reader);
-            return this.decode(reader, reader.uint32());
-        };
+    /**
+     * Decodes a Packet message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Packet
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Packet} Packet
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Packet.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
 
-        /**
-         * Verifies a Content message.
-         * @function verify
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {Object.<string,*>} message Plain object to verify
-         * @returns {string|null} `null` if valid, otherwise the reason why it is not
-         */
-        Content.verify = function verify(message) {
-            if (typeof message !== "object" || message === null)
-                return "object expected";
-            if (message.tbs != null && message.hasOwnProperty("tbs")) {
-                var error = $root.SyncRequest.TBS.verify(message.tbs);
+    /**
+     * Verifies a Packet message.
+     * @function verify
+     * @memberof Packet
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Packet.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        var properties = {};
+        if (message.error != null && message.hasOwnProperty("error")) {
+            properties.content = 1;
+            {
+                var error = $root.Error.verify(message.error);
+                if (error)
+                    return "error." + error;
+            }
+        }
+        if (message.invite != null && message.hasOwnProperty("invite")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.EncryptedInvite.verify(message.invite);
+                if (error)
+                    return "invite." + error;
+            }
+        }
+        if (message.syncRequest != null && message.hasOwnProperty("syncRequest")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.SyncRequest.verify(message.syncRequest);
+                if (error)
+                    return "syncRequest." + error;
+            }
+        }
+        if (message.syncResponse != null && message.hasOwnProperty("syncResponse")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.SyncResponse.verify(message.syncResponse);
+                if (error)
+                    return "syncResponse." + error;
+            }
+        }
+        if (message.notification != null && message.hasOwnProperty("notification")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.Notification.verify(message.notification);
+                if (error)
+                    return "notification." + error;
+            }
+        }
+        if (message.ping != null && message.hasOwnProperty("ping")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.Ping.verify(message.ping);
                 if (error)
-                    return "tbs." + error;
+                    return "ping." + error;
             }
-            if (message.signature != null && message.hasOwnProperty("signature"))
-                if (!(message.signature && typeof message.signature.length === "number" || $util.isString(message.signature)))
-                    return "signature: buffer expected";
-            return null;
-        };
-
-        /**
-         * Creates a Content message from a plain object. Also converts values to their respective internal types.
-         * @function fromObject
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {Object.<string,*>} object Plain object
-         * @returns {SyncRequest.Content} Content
-         */
-        Content.fromObject = function fromObject(object) {
-            if (object instanceof $root.SyncRequest.Content)
-                return object;
-            var message = new $root.SyncRequest.Content();
-            if (object.tbs != null) {
-                if (typeof object.tbs !== "object")
-                    throw TypeError(".SyncRequest.Content.tbs: object expected");
-                message.tbs = $root.SyncRequest.TBS.fromObject(object.tbs);
+        }
+        if (message.pong != null && message.hasOwnProperty("pong")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.Pong.verify(message.pong);
+                if (error)
+                    return "pong." + error;
             }
-            if (object.signature != null)
-                if (typeof object.signature === "string")
-                    $util.base64.decode(object.signature, message.signature = $util.newBuffer($util.base64.length(object.signature)), 0);
-                else if (object.signature.length)
-                    message.signature = object.signature;
-            return message;
-        };
-
-        /**
-         * Creates a plain object from a Content message. Also converts values to other types if specified.
-         * @function toObject
-         * @memberof SyncRequest.Content
-         * @static
-         * @param {SyncRequest.Content} message Content
-         * @param {$protobuf.IConversionOptions} [options] Conversion options
-         * @returns {Object.<string,*>} Plain object
-         */
-        Content.toObject = function toObject(message, options) {
-            if (!options)
-                options = {};
-            var object = {};
-            if (options.defaults) {
-                object.tbs = null;
-                if (options.bytes === String)
-                    object.signature = "";
-                else {
-                    object.signature = [];
-                    if (options.bytes !== Array)
-                        object.signature = $util.newBuffer(object.signature);
-                }
+        }
+        if (message.renewalRequest != null && message.hasOwnProperty("renewalRequest")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.RenewalRequest.verify(message.renewalRequest);
+                if (error)
+                    return "renewalRequest." + error;
             }
-            if (message.tbs != null && message.hasOwnProperty("tbs"))
-                object.tbs = $root.SyncRequest.TBS.toObject(message.tbs, options);
-            if (message.signature != null && message.hasOwnProperty("signature"))
-                object.signature = options.bytes === String ? $util.base64.encode(message.signature, 0, message.signature.length) : options.bytes === Array ? Array.prototype.slice.call(message.signature) : message.signature;
+        }
+        if (message.renewalResponse != null && message.hasOwnProperty("renewalResponse")) {
+            if (properties.content === 1)
+                return "content: multiple values";
+            properties.content = 1;
+            {
+                var error = $root.RenewalResponse.verify(message.renewalResponse);
+                if (error)
+                    return "renewalResponse." + error;
+            }
+        }
+        return null;
+    };
+
+    /**
+     * Creates a Packet message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Packet
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Packet} Packet
+     */
+    Packet.fromObject = function fromObject(object) {
+        if (object instanceof $root.Packet)
             return object;
-        };
+        var message = new $root.Packet();
+        if (object.error != null) {
+            if (typeof object.error !== "object")
+                throw TypeError(".Packet.error: object expected");
+            message.error = $root.Error.fromObject(object.error);
+        }
+        if (object.invite != null) {
+            if (typeof object.invite !== "object")
+                throw TypeError(".Packet.invite: object expected");
+            message.invite = $root.EncryptedInvite.fromObject(object.invite);
+        }
+        if (object.syncRequest != null) {
+            if (typeof object.syncRequest !== "object")
+                throw TypeError(".Packet.syncRequest: object expected");
+            message.syncRequest = $root.SyncRequest.fromObject(object.syncRequest);
+        }
+        if (object.syncResponse != null) {
+            if (typeof object.syncResponse !== "object")
+                throw TypeError(".Packet.syncResponse: object expected");
+            message.syncResponse = $root.SyncResponse.fromObject(object.syncResponse);
+        }
+        if (object.notification != null) {
+            if (typeof object.notification !== "object")
+                throw TypeError(".Packet.notification: object expected");
+            message.notification = $root.Notification.fromObject(object.notification);
+        }
+        if (object.ping != null) {
+            if (typeof object.ping !== "object")
+                throw TypeError(".Packet.ping: object expected");
+            message.ping = $root.Ping.fromObject(object.ping);
+        }
+        if (object.pong != null) {
+            if (typeof object.pong !== "object")
+                throw TypeError(".Packet.pong: object expected");
+            message.pong = $root.Pong.fromObject(object.pong);
+        }
+        if (object.renewalRequest != null) {
+            if (typeof object.renewalRequest !== "object")
+                throw TypeError(".Packet.renewalRequest: object expected");
+            message.renewalRequest = $root.RenewalRequest.fromObject(object.renewalRequest);
+        }
+        if (object.renewalResponse != null) {
+            if (typeof object.renewalResponse !== "object")
+                throw TypeError(".Packet.renewalResponse: object expected");
+            message.renewalResponse = $root.RenewalResponse.fromObject(object.renewalResponse);
+        }
+        return message;
+    };
 
-        /**
-         * Converts this Content to JSON.
-         * @function toJSON
-         * @memberof SyncRequest.Content
-         * @instance
-         * @returns {Object.<string,*>} JSON object
-         */
-        Content.prototype.toJSON = function toJSON() {
-            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
-        };
+    /**
+     * Creates a plain object from a Packet message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Packet
+     * @static
+     * @param {Packet} message Packet
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Packet.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (message.error != null && message.hasOwnProperty("error")) {
+            object.error = $root.Error.toObject(message.error, options);
+            if (options.oneofs)
+                object.content = "error";
+        }
+        if (message.invite != null && message.hasOwnProperty("invite")) {
+            object.invite = $root.EncryptedInvite.toObject(message.invite, options);
+            if (options.oneofs)
+                object.content = "invite";
+        }
+        if (message.syncRequest != null && message.hasOwnProperty("syncRequest")) {
+            object.syncRequest = $root.SyncRequest.toObject(message.syncRequest, options);
+            if (options.oneofs)
+                object.content = "syncRequest";
+        }
+        if (message.syncResponse != null && message.hasOwnProperty("syncResponse")) {
+            object.syncResponse = $root.SyncResponse.toObject(message.syncResponse, options);
+            if (options.oneofs)
+                object.content = "syncResponse";
+        }
+        if (message.notification != null && message.hasOwnProperty("notification")) {
+            object.notification = $root.Notification.toObject(message.notification, options);
+            if (options.oneofs)
+                object.content = "notification";
+        }
+        if (message.ping != null && message.hasOwnProperty("ping")) {
+            object.ping = $root.Ping.toObject(message.ping, options);
+            if (options.oneofs)
+                object.content = "ping";
+        }
+        if (message.pong != null && message.hasOwnProperty("pong")) {
+            object.pong = $root.Pong.toObject(message.pong, options);
+            if (options.oneofs)
+                object.content = "pong";
+        }
+        if (message.renewalRequest != null && message.hasOwnProperty("renewalRequest")) {
+            object.renewalRequest = $root.RenewalRequest.toObject(message.renewalRequest, options);
+            if (options.oneofs)
+                object.content = "renewalRequest";
+        }
+        if (message.renewalResponse != null && message.hasOwnProperty("renewalResponse")) {
+            object.renewalResponse = $root.RenewalResponse.toObject(message.renewalResponse, options);
+            if (options.oneofs)
+                object.content = "renewalResponse";
+        }
+        return object;
+    };
 
-        return Content;
-    })();
+    /**
+     * Converts this Packet to JSON.
+     * @function toJSON
+     * @memberof Packet
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Packet.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return Packet;
+})();
+
+$root.Identity = (function() {
+
+    /**
+     * Properties of an Identity.
+     * @exports IIdentity
+     * @interface IIdentity
+     * @property {string|null} [name] Identity name
+     * @property {Uint8Array|null} [publicKey] Identity publicKey
+     * @property {Uint8Array|null} [secretKey] Identity secretKey
+     * @property {Array.<Identity.IChannelChain>|null} [channelChains] Identity channelChains
+     * @property {string|null} [metadata] Identity metadata
+     * @property {Array.<Identity.IIssuedLink>|null} [issuedLinks] Identity issuedLinks
+     * @property {IDeviceLink|null} [deviceLink] Identity deviceLink
+     * @property {Uint8Array|null} [primaryPubKey] Identity primaryPubKey
+     */
+
+    /**
+     * Constructs a new Identity.
+     * @exports Identity
+     * @classdesc Represents an Identity.
+     * @implements IIdentity
+     * @constructor
+     * @param {IIdentity=} [properties] Properties to set
+     */
+    function Identity(properties) {
+        this.channelChains = [];
+        this.issuedLinks = [];
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Identity name.
+     * @member {string} name
+     * @memberof Identity
+     * @instance
+     */
+    Identity.prototype.name = "";
 
-    return SyncRequest;
-})();
+    /**
+     * Identity publicKey.
+     * @member {Uint8Array} publicKey
+     * @memberof Identity
+     * @instance
+     */
+    Identity.prototype.publicKey = $util.newBuffer([]);
 
-$root.SyncResponse = (function() {
+    /**
+     * Identity secretKey.
+     * @member {Uint8Array} secretKey
+     * @memberof Identity
+     * @instance
+     */
+    Identity.prototype.secretKey = $util.newBuffer([]);
 
     /**
-     * Properties of a SyncResponse.
-     * @exports ISyncResponse
-     * @interface ISyncResponse
-     * @property {Uint8Array|null} [channelId] SyncResponse channelId
-     * @property {number|null} [seq] SyncResponse seq
-     * @property {Uint8Array|null} [box] SyncResponse box
+     * Identity channelChains.
+     * @member {Array.<Identity.IChannelChain>} channelChains
+     * @memberof Identity
+     * @instance
      */
+    Identity.prototype.channelChains = $util.emptyArray;
 
     /**
-     * Constructs a new SyncResponse.
-     * @exports SyncResponse
-     * @classdesc Represents a SyncResponse.
-     * @implements ISyncResponse
-     * @constructor
-     * @param {ISyncResponse=} [properties] Properties to set
+     * Identity metadata.
+     * @member {string} metadata
+     * @memberof Identity
+     * @instance
      */
-    function SyncResponse(properties) {
-        if (properties)
-            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
-                if (properties[keys[i]] != null)
-                    this[keys[i]] = properties[keys[i]];
-    }
+    Identity.prototype.metadata = "";
 
     /**
-     * SyncResponse channelId.
-     * @member {Uint8Array} channelId
-     * @memberof SyncResponse
+     * Identity issuedLinks.
+     * @member {Array.<Identity.IIssuedLink>} issuedLinks
+     * @memberof Identity
      * @instance
      */
-    SyncResponse.prototype.channelId = $util.newBuffer([]);
+    Identity.prototype.issuedLinks = $util.emptyArray;
 
     /**
-     * SyncResponse seq.
-     * @member {number} seq
-     * @memberof SyncResponse
+     * Identity deviceLink.
+     * @member {IDeviceLink|null|undefined} deviceLink
+     * @memberof Identity
      * @instance
      */
-    SyncResponse.prototype.seq = 0;
+    Identity.prototype.deviceLink = null;
 
     /**
-     * SyncResponse box.
-     * @member {Uint8Array} box
-     * @memberof SyncResponse
+     * Identity primaryPubKey.
+     * @member {Uint8Array} primaryPubKey
+     * @memberof Identity
      * @instance
      */
-    SyncResponse.prototype.box = $util.newBuffer([]);
+    Identity.prototype.primaryPubKey = $util.newBuffer([]);
 
     /**
-     * Creates a new SyncResponse instance using the specified properties.
+     * Creates a new Identity instance using the specified properties.
      * @function create
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
-     * @param {ISyncResponse=} [properties] Properties to set
-     * @returns {SyncResponse} SyncResponse instance
+     * @param {IIdentity=} [properties] Properties to set
+     * @returns {Identity} Identity instance
      */
-    SyncResponse.create = function create(properties) {
-        return new SyncResponse(properties);
+    Identity.create = function create(properties) {
+        return new Identity(properties);
     };
 
     /**
-     * Encodes the specified SyncResponse message. Does not implicitly {@link SyncResponse.verify|verify} messages.
+     * Encodes the specified Identity message. Does not implicitly {@link Identity.verify|verify} messages.
      * @function encode
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
-     * @param {ISyncResponse} message SyncResponse message or plain object to encode
+     * @param {IIdentity} message Identity message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    SyncResponse.encode = function encode(message, writer) {
+    Identity.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.seq);
-        if (message.box != null && message.hasOwnProperty("box"))
-            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.box);
+        if (message.name != null && message.hasOwnProperty("name"))
+            writer.uint32(/* id 1, wireType 2 =*/10).string(message.name);
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.publicKey);
+        if (message.secretKey != null && message.hasOwnProperty("secretKey"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.secretKey);
+        if (message.channelChains != null && message.channelChains.length)
+            for (var i = 0; i < message.channelChains.length; ++i)
+                $root.Identity.ChannelChain.encode(message.channelChains[i], writer.uint32(/* id 4, wireType 2 =*/34).fork()).ldelim();
+        if (message.metadata != null && message.hasOwnProperty("metadata"))
+            writer.uint32(/* id 5, wireType 2 =*/42).string(message.metadata);
+        if (message.issuedLinks != null && message.issuedLinks.length)
+            for (var i = 0; i < message.issuedLinks.length; ++i)
+                $root.Identity.IssuedLink.encode(message.issuedLinks[i], writer.uint32(/* id 6, wireType 2 =*/50).fork()).ldelim();
+        if (message.deviceLink != null && message.hasOwnProperty("deviceLink"))
+            $root.DeviceLink.encode(message.deviceLink, writer.uint32(/* id 7, wireType 2 =*/58).fork()).ldelim();
+        if (message.primaryPubKey != null && message.hasOwnProperty("primaryPubKey"))
+            writer.uint32(/* id 8, wireType 2 =*/66).bytes(message.primaryPubKey);
         return writer;
     };
 
     /**
-     * Encodes the specified SyncResponse message, length delimited. Does not implicitly {@link SyncResponse.verify|verify} messages.
+     * Encodes the specified Identity message, length delimited. Does not implicitly {@link Identity.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
-     * @param {ISyncResponse} message SyncResponse message or plain object to encode
+     * @param {IIdentity} message Identity message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    SyncResponse.encodeDelimited = function encodeDelimited(message, writer) {
+    Identity.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a SyncResponse message from the specified reader or buffer.
+     * Decodes an Identity message from the specified reader or buffer.
      * @function decode
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {SyncResponse} SyncResponse
+     * @returns {Identity} Identity
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    SyncResponse.decode = function decode(reader, length) {
+    Identity.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncResponse();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Identity();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.channelId = reader.bytes();
+                message.name = reader.string();
                 break;
             case 2:
-                message.seq = reader.uint32();
+                message.publicKey = reader.bytes();
                 break;
             case 3:
-                message.box = reader.bytes();
+                message.secretKey = reader.bytes();
+                break;
+            case 4:
+                if (!(message.channelChains && message.channelChains.length))
+                    message.channelChains = [];
+                message.channelChains.push($root.Identity.ChannelChain.decode(reader, reader.uint32()));
+                break;
+            case 5:
+                message.metadata = reader.string();
+                break;
+            case 6:
+                if (!(message.issuedLinks && message.issuedLinks.length))
+                    message.issuedLinks = [];
+                message.issuedLinks.push($root.Identity.IssuedLink.decode(reader, reader.uint32()));
+                break;
+            case 7:
+                message.deviceLink = $root.DeviceLink.decode(reader, reader.uint32());
+                break;
+            case 8:
+                message.primaryPubKey = reader.bytes();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -4840,140 +9197,471 @@ $root.SyncResponse = (function() {
     };
 
     /**
-     * Decodes a SyncResponse message from the specified reader or buffer, length delimited.
+     * Decodes an Identity message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {SyncResponse} SyncResponse
+     * @returns {Identity} Identity
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    SyncResponse.decodeDelimited = function decodeDelimited(reader) {
+    Identity.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a SyncResponse message.
+     * Verifies an Identity message.
      * @function verify
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    SyncResponse.verify = function verify(message) {
+    Identity.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
-                return "channelId: buffer expected";
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            if (!$util.isInteger(message.seq))
-                return "seq: integer expected";
-        if (message.box != null && message.hasOwnProperty("box"))
-            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
-                return "box: buffer expected";
+        if (message.name != null && message.hasOwnProperty("name"))
+            if (!$util.isString(message.name))
+                return "name: string expected";
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
+                return "publicKey: buffer expected";
+        if (message.secretKey != null && message.hasOwnProperty("secretKey"))
+            if (!(message.secretKey && typeof message.secretKey.length === "number" || $util.isString(message.secretKey)))
+                return "secretKey: buffer expected";
+        if (message.channelChains != null && message.hasOwnProperty("channelChains")) {
+            if (!Array.isArray(message.channelChains))
+                return "channelChains: array expected";
+            for (var i = 0; i < message.channelChains.length; ++i) {
+                var error = $root.Identity.ChannelChain.verify(message.channelChains[i]);
+                if (error)
+                    return "channelChains." + error;
+            }
+        }
+        if (message.metadata != null && message.hasOwnProperty("metadata"))
+            if (!$util.isString(message.metadata))
+                return "metadata: string expected";
+        if (message.issuedLinks != null && message.hasOwnProperty("issuedLinks")) {
+            if (!Array.isArray(message.issuedLinks))
+                return "issuedLinks: array expected";
+            for (var i = 0; i < message.issuedLinks.length; ++i) {
+                var error = $root.Identity.IssuedLink.verify(message.issuedLinks[i]);
+                if (error)
+                    return "issuedLinks." + error;
+            }
+        }
+        if (message.deviceLink != null && message.hasOwnProperty("deviceLink")) {
+            var error = $root.DeviceLink.verify(message.deviceLink);
+            if (error)
+                return "deviceLink." + error;
+        }
+        if (message.primaryPubKey != null && message.hasOwnProperty("primaryPubKey"))
+            if (!(message.primaryPubKey && typeof message.primaryPubKey.length === "number" || $util.isString(message.primaryPubKey)))
+                return "primaryPubKey: buffer expected";
         return null;
     };
 
     /**
-     * Creates a SyncResponse message from a plain object. Also converts values to their respective internal types.
+     * Creates an Identity message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {SyncResponse} SyncResponse
+     * @returns {Identity} Identity
      */
-    SyncResponse.fromObject = function fromObject(object) {
-        if (object instanceof $root.SyncResponse)
+    Identity.fromObject = function fromObject(object) {
+        if (object instanceof $root.Identity)
             return object;
-        var message = new $root.SyncResponse();
-        if (object.channelId != null)
-            if (typeof object.channelId === "string")
-                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
-            else if (object.channelId.length)
-                message.channelId = object.channelId;
-        if (object.seq != null)
-            message.seq = object.seq >>> 0;
-        if (object.box != null)
-            if (typeof object.box === "string")
-                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
-            else if (object.box.length)
-                message.box = object.box;
+        var message = new $root.Identity();
+        if (object.name != null)
+            message.name = String(object.name);
+        if (object.publicKey != null)
+            if (typeof object.publicKey === "string")
+                $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
+            else if (object.publicKey.length)
+                message.publicKey = object.publicKey;
+        if (object.secretKey != null)
+            if (typeof object.secretKey === "string")
+                $util.base64.decode(object.secretKey, message.secretKey = $util.newBuffer($util.base64.length(object.secretKey)), 0);
+            else if (object.secretKey.length)
+                message.secretKey = object.secretKey;
+        if (object.channelChains) {
+            if (!Array.isArray(object.channelChains))
+                throw TypeError(".Identity.channelChains: array expected");
+            message.channelChains = [];
+            for (var i = 0; i < object.channelChains.length; ++i) {
+                if (typeof object.channelChains[i] !== "object")
+                    throw TypeError(".Identity.channelChains: object expected");
+                message.channelChains[i] = $root.Identity.ChannelChain.fromObject(object.channelChains[i]);
+            }
+        }
+        if (object.metadata != null)
+            message.metadata = String(object.metadata);
+        if (object.issuedLinks) {
+            if (!Array.isArray(object.issuedLinks))
+                throw TypeError(".Identity.issuedLinks: array expected");
+            message.issuedLinks = [];
+            for (var i = 0; i < object.issuedLinks.length; ++i) {
+                if (typeof object.issuedLinks[i] !== "object")
+                    throw TypeError(".Identity.issuedLinks: object expected");
+                message.issuedLinks[i] = $root.Identity.IssuedLink.fromObject(object.issuedLinks[i]);
+            }
+        }
+        if (object.deviceLink != null) {
+            if (typeof object.deviceLink !== "object")
+                throw TypeError(".Identity.deviceLink: object expected");
+            message.deviceLink = $root.DeviceLink.fromObject(object.deviceLink);
+        }
+        if (object.primaryPubKey != null)
+            if (typeof object.primaryPubKey === "string")
+                $util.base64.decode(object.primaryPubKey, message.primaryPubKey = $util.newBuffer($util.base64.length(object.primaryPubKey)), 0);
+            else if (object.primaryPubKey.length)
+                message.primaryPubKey = object.primaryPubKey;
         return message;
     };
 
     /**
-     * Creates a plain object from a SyncResponse message. Also converts values to other types if specified.
+     * Creates a plain object from an Identity message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof SyncResponse
+     * @memberof Identity
      * @static
-     * @param {SyncResponse} message SyncResponse
+     * @param {Identity} message Identity
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    SyncResponse.toObject = function toObject(message, options) {
+    Identity.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
+        if (options.arrays || options.defaults) {
+            object.channelChains = [];
+            object.issuedLinks = [];
+        }
         if (options.defaults) {
+            object.name = "";
             if (options.bytes === String)
-                object.channelId = "";
+                object.publicKey = "";
             else {
-                object.channelId = [];
+                object.publicKey = [];
+                if (options.bytes !== Array)
+                    object.publicKey = $util.newBuffer(object.publicKey);
+            }
+            if (options.bytes === String)
+                object.secretKey = "";
+            else {
+                object.secretKey = [];
                 if (options.bytes !== Array)
-                    object.channelId = $util.newBuffer(object.channelId);
+                    object.secretKey = $util.newBuffer(object.secretKey);
             }
-            object.seq = 0;
+            object.metadata = "";
+            object.deviceLink = null;
             if (options.bytes === String)
-                object.box = "";
+                object.primaryPubKey = "";
             else {
-                object.box = [];
+                object.primaryPubKey = [];
                 if (options.bytes !== Array)
-                    object.box = $util.newBuffer(object.box);
+                    object.primaryPubKey = $util.newBuffer(object.primaryPubKey);
             }
         }
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            object.seq = message.seq;
-        if (message.box != null && message.hasOwnProperty("box"))
-            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
+        if (message.name != null && message.hasOwnProperty("name"))
+            object.name = message.name;
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
+        if (message.secretKey != null && message.hasOwnProperty("secretKey"))
+            object.secretKey = options.bytes === String ? $util.base64.encode(message.secretKey, 0, message.secretKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.secretKey) : message.secretKey;
+        if (message.channelChains && message.channelChains.length) {
+            object.channelChains = [];
+            for (var j = 0; j < message.channelChains.length; ++j)
+                object.channelChains[j] = $root.Identity.ChannelChain.toObject(message.channelChains[j], options);
+        }
+        if (message.metadata != null && message.hasOwnProperty("metadata"))
+            object.metadata = message.metadata;
+        if (message.issuedLinks && message.issuedLinks.length) {
+            object.issuedLinks = [];
+            for (var j = 0; j < message.issuedLinks.length; ++j)
+                object.issuedLinks[j] = $root.Identity.IssuedLink.toObject(message.issuedLinks[j], options);
+        }
+        if (message.deviceLink != null && message.hasOwnProperty("deviceLink"))
+            object.deviceLink = $root.DeviceLink.toObject(message.deviceLink, options);
+        if (message.primaryPubKey != null && message.hasOwnProperty("primaryPubKey"))
+            object.primaryPubKey = options.bytes === String ? $util.base64.encode(message.primaryPubKey, 0, message.primaryPubKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.primaryPubKey) : message.primaryPubKey;
         return object;
     };
 
-    /**
-     * Converts this SyncResponse to JSON.
-     * @function toJSON
-     * @memberof SyncResponse
-     * @instance
-     * @returns {Object.<string,*>} JSON object
-     */
-    SyncResponse.prototype.toJSON = function toJSON() {
-        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
-    };
+    /**
+     * Converts this Identity to JSON.
+     * @function toJSON
+     * @memberof Identity
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Identity.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    Identity.ChannelChain = (function() {
+
+        /**
+         * Properties of a ChannelChain.
+         * @memberof Identity
+         * @interface IChannelChain
+         * @property {Uint8Array|null} [channelId] ChannelChain channelId
+         * @property {Array.<ILink>|null} [links] ChannelChain links
+         */
+
+        /**
+         * Constructs a new ChannelChain.
+         * @memberof Identity
+         * @classdesc Represents a ChannelChain.
+         * @implements IChannelChain
+         * @constructor
+         * @param {Identity.IChannelChain=} [properties] Properties to set
+         */
+        function ChannelChain(properties) {
+            this.links = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * ChannelChain channelId.
+         * @member {Uint8Array} channelId
+         * @memberof Identity.ChannelChain
+         * @instance
+         */
+        ChannelChain.prototype.channelId = $util.newBuffer([]);
+
+        /**
+         * ChannelChain links.
+         * @member {Array.<ILink>} links
+         * @memberof Identity.ChannelChain
+         * @instance
+         */
+        ChannelChain.prototype.links = $util.emptyArray;
+
+        /**
+         * Creates a new ChannelChain instance using the specified properties.
+         * @function create
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {Identity.IChannelChain=} [properties] Properties to set
+         * @returns {Identity.ChannelChain} ChannelChain instance
+         */
+        ChannelChain.create = function create(properties) {
+            return new ChannelChain(properties);
+        };
+
+        /**
+         * Encodes the specified ChannelChain message. Does not implicitly {@link Identity.ChannelChain.verify|verify} messages.
+         * @function encode
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {Identity.IChannelChain} message ChannelChain message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        ChannelChain.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.channelId != null && message.hasOwnProperty("channelId"))
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+            if (message.links != null && message.links.length)
+                for (var i = 0; i < message.links.length; ++i)
+                    $root.Link.encode(message.links[i], writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+            return writer;
+        };
+
+        /**
+         * Encodes the specified ChannelChain message, length delimited. Does not implicitly {@link Identity.ChannelChain.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {Identity.IChannelChain} message ChannelChain message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        ChannelChain.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a ChannelChain message from the specified reader or buffer.
+         * @function decode
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {Identity.ChannelChain} ChannelChain
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        ChannelChain.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Identity.ChannelChain();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.channelId = reader.bytes();
+                    break;
+                case 2:
+                    if (!(message.links && message.links.length))
+                        message.links = [];
+                    message.links.push($root.Link.decode(reader, reader.uint32()));
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a ChannelChain message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {Identity.ChannelChain} ChannelChain
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        ChannelChain.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a ChannelChain message.
+         * @function verify
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        ChannelChain.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.channelId != null && message.hasOwnProperty("channelId"))
+                if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                    return "channelId: buffer expected";
+            if (message.links != null && message.hasOwnProperty("links")) {
+                if (!Array.isArray(message.links))
+                    return "links: array expected";
+                for (var i = 0; i < message.links.length; ++i) {
+                    var error = $root.Link.verify(message.links[i]);
+                    if (error)
+                        return "links." + error;
+                }
+            }
+            return null;
+        };
+
+        /**
+         * Creates a ChannelChain message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {Identity.ChannelChain} ChannelChain
+         */
+        ChannelChain.fromObject = function fromObject(object) {
+            if (object instanceof $root.Identity.ChannelChain)
+                return object;
+            var message = new $root.Identity.ChannelChain();
+            if (object.channelId != null)
+                if (typeof object.channelId === "string")
+                    $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+                else if (object.channelId.length)
+                    message.channelId = object.channelId;
+            if (object.links) {
+                if (!Array.isArray(object.links))
+                    throw TypeError(".Identity.ChannelChain.links: array expected");
+                message.links = [];
+                for (var i = 0; i < object.links.length; ++i) {
+                    if (typeof object.links[i] !== "object")
+                        throw TypeError(".Identity.ChannelChain.links: object expected");
+                    message.links[i] = $root.Link.fromObject(object.links[i]);
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a ChannelChain message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Identity.ChannelChain
+         * @static
+         * @param {Identity.ChannelChain} message ChannelChain
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        ChannelChain.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.links = [];
+            if (options.defaults)
+                if (options.bytes === String)
+                    object.channelId = "";
+                else {
+                    object.channelId = [];
+                    if (options.bytes !== Array)
+                        object.channelId = $util.newBuffer(object.channelId);
+                }
+            if (message.channelId != null && message.hasOwnProperty("channelId"))
+                object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+            if (message.links && message.links.length) {
+                object.links = [];
+                for (var j = 0; j < message.links.length; ++j)
+                    object.links[j] = $root.Link.toObject(message.links[j], options);
+            }
+            return object;
+        };
+
+        /**
+         * Converts this ChannelChain to JSON.
+         * @function toJSON
+         * @memberof Identity.ChannelChain
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        ChannelChain.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
 
-    SyncResponse.Content = (function() {
+        return ChannelChain;
+    })();
+
+    Identity.IssuedLink = (function() {
 
         /**
-         * Properties of a Content.
-         * @memberof SyncResponse
-         * @interface IContent
-         * @property {IQueryResponse|null} [queryResponse] Content queryResponse
-         * @property {IBulkResponse|null} [bulkResponse] Content bulkResponse
+         * Properties of an IssuedLink.
+         * @memberof Identity
+         * @interface IIssuedLink
+         * @property {Uint8Array|null} [channelId] IssuedLink channelId
+         * @property {ILink|null} [link] IssuedLink link
+         * @property {number|null} [issuedAt] IssuedLink issuedAt
          */
 
         /**
-         * Constructs a new Content.
-         * @memberof SyncResponse
-         * @classdesc Represents a Content.
-         * @implements IContent
+         * Constructs a new IssuedLink.
+         * @memberof Identity
+         * @classdesc Represents an IssuedLink.
+         * @implements IIssuedLink
          * @constructor
-         * @param {SyncResponse.IContent=} [properties] Properties to set
+         * @param {Identity.IIssuedLink=} [properties] Properties to set
          */
-        function Content(properties) {
+        function IssuedLink(properties) {
             if (properties)
                 for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                     if (properties[keys[i]] != null)
@@ -4981,102 +9669,101 @@ $root.SyncResponse = (function() {
         }
 
         /**
-         * Content queryResponse.
-         * @member {IQueryResponse|null|undefined} queryResponse
-         * @memberof SyncResponse.Content
+         * IssuedLink channelId.
+         * @member {Uint8Array} channelId
+         * @memberof Identity.IssuedLink
          * @instance
          */
-        Content.prototype.queryResponse = null;
+        IssuedLink.prototype.channelId = $util.newBuffer([]);
 
         /**
-         * Content bulkResponse.
-         * @member {IBulkResponse|null|undefined} bulkResponse
-         * @memberof SyncResponse.Content
+         * IssuedLink link.
+         * @member {ILink|null|undefined} link
+         * @memberof Identity.IssuedLink
          * @instance
          */
-        Content.prototype.bulkResponse = null;
-
-        // OneOf field names bound to virtual getters and setters
-        var $oneOfFields;
+        IssuedLink.prototype.link = null;
 
         /**
-         * Content content.
-         * @member {"queryResponse"|"bulkResponse"|undefined} content
-         * @memberof SyncResponse.Content
+         * IssuedLink issuedAt.
+         * @member {number} issuedAt
+         * @memberof Identity.IssuedLink
          * @instance
          */
-        Object.defineProperty(Content.prototype, "content", {
-            get: $util.oneOfGetter($oneOfFields = ["queryResponse", "bulkResponse"]),
-            set: $util.oneOfSetter($oneOfFields)
-        });
+        IssuedLink.prototype.issuedAt = 0;
 
         /**
-         * Creates a new Content instance using the specified properties.
+         * Creates a new IssuedLink instance using the specified properties.
          * @function create
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
-         * @param {SyncResponse.IContent=} [properties] Properties to set
-         * @returns {SyncResponse.Content} Content instance
+         * @param {Identity.IIssuedLink=} [properties] Properties to set
+         * @returns {Identity.IssuedLink} IssuedLink instance
          */
-        Content.create = function create(properties) {
-            return new Content(properties);
+        IssuedLink.create = function create(properties) {
+            return new IssuedLink(properties);
         };
 
         /**
-         * Encodes the specified Content message. Does not implicitly {@link SyncResponse.Content.verify|verify} messages.
+         * Encodes the specified IssuedLink message. Does not implicitly {@link Identity.IssuedLink.verify|verify} messages.
          * @function encode
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
-         * @param {SyncResponse.IContent} message Content message or plain object to encode
+         * @param {Identity.IIssuedLink} message IssuedLink message or plain object to encode
          * @param {$protobuf.Writer} [writer] Writer to encode to
          * @returns {$protobuf.Writer} Writer
          */
-        Content.encode = function encode(message, writer) {
+        IssuedLink.encode = function encode(message, writer) {
             if (!writer)
                 writer = $Writer.create();
-            if (message.queryResponse != null && message.hasOwnProperty("queryResponse"))
-                $root.QueryResponse.encode(message.queryResponse, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
-            if (message.bulkResponse != null && message.hasOwnProperty("bulkResponse"))
-                $root.BulkResponse.encode(message.bulkResponse, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+            if (message.channelId != null && message.hasOwnProperty("channelId"))
+                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+            if (message.link != null && message.hasOwnProperty("link"))
+                $root.Link.encode(message.link, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+            if (message.issuedAt != null && message.hasOwnProperty("issuedAt"))
+                writer.uint32(/* id 3, wireType 1 =*/25).double(message.issuedAt);
             return writer;
         };
 
         /**
-         * Encodes the specified Content message, length delimited. Does not implicitly {@link SyncResponse.Content.verify|verify} messages.
+         * Encodes the specified IssuedLink message, length delimited. Does not implicitly {@link Identity.IssuedLink.verify|verify} messages.
          * @function encodeDelimited
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
-         * @param {SyncResponse.IContent} message Content message or plain object to encode
+         * @param {Identity.IIssuedLink} message IssuedLink message or plain object to encode
          * @param {$protobuf.Writer} [writer] Writer to encode to
          * @returns {$protobuf.Writer} Writer
          */
-        Content.encodeDelimited = function encodeDelimited(message, writer) {
+        IssuedLink.encodeDelimited = function encodeDelimited(message, writer) {
             return this.encode(message, writer).ldelim();
         };
 
         /**
-         * Decodes a Content message from the specified reader or buffer.
+         * Decodes an IssuedLink message from the specified reader or buffer.
          * @function decode
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
          * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
          * @param {number} [length] Message length if known beforehand
-         * @returns {SyncResponse.Content} Content
+         * @returns {Identity.IssuedLink} IssuedLink
          * @throws {Error} If the payload is not a reader or valid buffer
          * @throws {$protobuf.util.ProtocolError} If required fields are missing
          */
-        Content.decode = function decode(reader, length) {
+        IssuedLink.decode = function decode(reader, length) {
             if (!(reader instanceof $Reader))
                 reader = $Reader.create(reader);
-            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.SyncResponse.Content();
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Identity.IssuedLink();
             while (reader.pos < end) {
                 var tag = reader.uint32();
                 switch (tag >>> 3) {
                 case 1:
-                    message.queryResponse = $root.QueryResponse.decode(reader, reader.uint32());
+                    message.channelId = reader.bytes();
                     break;
                 case 2:
-                    message.bulkResponse = $root.BulkResponse.decode(reader, reader.uint32());
+                    message.link = $root.Link.decode(reader, reader.uint32());
+                    break;
+                case 3:
+                    message.issuedAt = reader.double();
                     break;
                 default:
                     reader.skipType(tag & 7);
@@ -5087,140 +9774,145 @@ $root.SyncResponse = (function() {
         };
 
         /**
-         * Decodes a Content message from the specified reader or buffer, length delimited.
+         * Decodes an IssuedLink message from the specified reader or buffer, length delimited.
          * @function decodeDelimited
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
          * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @returns {SyncResponse.Content} Content
+         * @returns {Identity.IssuedLink} IssuedLink
          * @throws {Error} If the payload is not a reader or valid buffer
          * @throws {$protobuf.util.ProtocolError} If required fields are missing
          */
-        Content.decodeDelimited = function decodeDelimited(reader) {
+        IssuedLink.decodeDelimited = function decodeDelimited(reader) {
             if (!(reader instanceof $Reader))
                 reader = new $Reader(reader);
             return this.decode(reader, reader.uint32());
         };
 
         /**
-         * Verifies a Content message.
+         * Verifies an IssuedLink message.
          * @function verify
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
          * @param {Object.<string,*>} message Plain object to verify
          * @returns {string|null} `null` if valid, otherwise the reason why it is not
          */
-        Content.verify = function verify(message) {
+        IssuedLink.verify = function verify(message) {
             if (typeof message !== "object" || message === null)
                 return "object expected";
-            var properties = {};
-            if (message.queryResponse != null && message.hasOwnProperty("queryResponse")) {
-                properties.content = 1;
-                {
-                    var error = $root.QueryResponse.verify(message.queryResponse);
-                    if (error)
-                        return "queryResponse." + error;
-                }
-            }
-            if (message.bulkResponse != null && message.hasOwnProperty("bulkResponse")) {
-                if (properties.content === 1)
-                    return "content: multiple values";
-                properties.content = 1;
-                {
-                    var error = $root.BulkResponse.verify(message.bulkResponse);
-                    if (error)
-                        return "bulkResponse." + error;
-                }
+            if (message.channelId != null && message.hasOwnProperty("channelId"))
+                if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
+                    return "channelId: buffer expected";
+            if (message.link != null && message.hasOwnProperty("link")) {
+                var error = $root.Link.verify(message.link);
+                if (error)
+                    return "link." + error;
             }
+            if (message.issuedAt != null && message.hasOwnProperty("issuedAt"))
+                if (typeof message.issuedAt !== "number")
+                    return "issuedAt: number expected";
             return null;
         };
 
         /**
-         * Creates a Content message from a plain object. Also converts values to their respective internal types.
+         * Creates an IssuedLink message from a plain object. Also converts values to their respective internal types.
          * @function fromObject
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
          * @param {Object.<string,*>} object Plain object
-         * @returns {SyncResponse.Content} Content
+         * @returns {Identity.IssuedLink} IssuedLink
          */
-        Content.fromObject = function fromObject(object) {
-            if (object instanceof $root.SyncResponse.Content)
+        IssuedLink.fromObject = function fromObject(object) {
+            if (object instanceof $root.Identity.IssuedLink)
                 return object;
-            var message = new $root.SyncResponse.Content();
-            if (object.queryResponse != null) {
-                if (typeof object.queryResponse !== "object")
-                    throw TypeError(".SyncResponse.Content.queryResponse: object expected");
-                message.queryResponse = $root.QueryResponse.fromObject(object.queryResponse);
-            }
-            if (object.bulkResponse != null) {
-                if (typeof object.bulkResponse !== "object")
-                    throw TypeError(".SyncResponse.Content.bulkResponse: object expected");
-                message.bulkResponse = $root.BulkResponse.fromObject(object.bulkResponse);
+            var message = new $root.Identity.IssuedLink();
+            if (object.channelId != null)
+                if (typeof object.channelId === "string")
+                    $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
+                else if (object.channelId.length)
+                    message.channelId = object.channelId;
+            if (object.link != null) {
+                if (typeof object.link !== "object")
+                    throw TypeError(".Identity.IssuedLink.link: object expected");
+                message.link = $root.Link.fromObject(object.link);
             }
+            if (object.issuedAt != null)
+                message.issuedAt = Number(object.issuedAt);
             return message;
         };
 
         /**
-         * Creates a plain object from a Content message. Also converts values to other types if specified.
+         * Creates a plain object from an IssuedLink message. Also converts values to other types if specified.
          * @function toObject
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @static
-         * @param {SyncResponse.Content} message Content
+         * @param {Identity.IssuedLink} message IssuedLink
          * @param {$protobuf.IConversionOptions} [options] Conversion options
          * @returns {Object.<string,*>} Plain object
          */
-        Content.toObject = function toObject(message, options) {
+        IssuedLink.toObject = function toObject(message, options) {
             if (!options)
                 options = {};
             var object = {};
-            if (message.queryResponse != null && message.hasOwnProperty("queryResponse")) {
-                object.queryResponse = $root.QueryResponse.toObject(message.queryResponse, options);
-                if (options.oneofs)
-                    object.content = "queryResponse";
-            }
-            if (message.bulkResponse != null && message.hasOwnProperty("bulkResponse")) {
-                object.bulkResponse = $root.BulkResponse.toObject(message.bulkResponse, options);
-                if (options.oneofs)
-                    object.content = "bulkResponse";
+            if (options.defaults) {
+                if (options.bytes === String)
+                    object.channelId = "";
+                else {
+                    object.channelId = [];
+                    if (options.bytes !== Array)
+                        object.channelId = $util.newBuffer(object.channelId);
+                }
+                object.link = null;
+                object.issuedAt = 0;
             }
+            if (message.channelId != null && message.hasOwnProperty("channelId"))
+                object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+            if (message.link != null && message.hasOwnProperty("link"))
+                object.link = $root.Link.toObject(message.link, options);
+            if (message.issuedAt != null && message.hasOwnProperty("issuedAt"))
+                object.issuedAt = options.json && !isFinite(message.issuedAt) ? String(message.issuedAt) : message.issuedAt;
             return object;
         };
 
         /**
-         * Converts this Content to JSON.
+         * Converts this IssuedLink to JSON.
          * @function toJSON
-         * @memberof SyncResponse.Content
+         * @memberof Identity.IssuedLink
          * @instance
          * @returns {Object.<string,*>} JSON object
          */
-        Content.prototype.toJSON = function toJSON() {
+        IssuedLink.prototype.toJSON = function toJSON() {
             return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
         };
 
-        return Content;
+        return IssuedLink;
     })();
 
-    return SyncResponse;
+    return Identity;
 })();
 
-$root.Error = (function() {
+$root.Channel = (function() {
 
     /**
-     * Properties of an Error.
-     * @exports IError
-     * @interface IError
-     * @property {string|null} [reason] Error reason
+     * Properties of a Channel.
+     * @exports IChannel
+     * @interface IChannel
+     * @property {Uint8Array|null} [publicKey] Channel publicKey
+     * @property {string|null} [name] Channel name
+     * @property {boolean|null} [isFeed] Channel isFeed
+     * @property {string|null} [metadata] Channel metadata
+     * @property {Channel.IRetention|null} [retention] Channel retention
      */
 
     /**
-     * Constructs a new Error.
-     * @exports Error
-     * @classdesc Represents an Error.
-     * @implements IError
+     * Constructs a new Channel.
+     * @exports Channel
+     * @classdesc Represents a Channel.
+     * @implements IChannel
      * @constructor
-     * @param {IError=} [properties] Properties to set
+     * @param {IChannel=} [properties] Properties to set
      */
-    function Error(properties) {
+    function Channel(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -5228,75 +9920,127 @@ $root.Error = (function() {
     }
 
     /**
-     * Error reason.
-     * @member {string} reason
-     * @memberof Error
+     * Channel publicKey.
+     * @member {Uint8Array} publicKey
+     * @memberof Channel
      * @instance
      */
-    Error.prototype.reason = "";
+    Channel.prototype.publicKey = $util.newBuffer([]);
 
     /**
-     * Creates a new Error instance using the specified properties.
+     * Channel name.
+     * @member {string} name
+     * @memberof Channel
+     * @instance
+     */
+    Channel.prototype.name = "";
+
+    /**
+     * Channel isFeed.
+     * @member {boolean} isFeed
+     * @memberof Channel
+     * @instance
+     */
+    Channel.prototype.isFeed = false;
+
+    /**
+     * Channel metadata.
+     * @member {string} metadata
+     * @memberof Channel
+     * @instance
+     */
+    Channel.prototype.metadata = "";
+
+    /**
+     * Channel retention.
+     * @member {Channel.IRetention|null|undefined} retention
+     * @memberof Channel
+     * @instance
+     */
+    Channel.prototype.retention = null;
+
+    /**
+     * Creates a new Channel instance using the specified properties.
      * @function create
-     * @memberof Error
+     * @memberof Channel
      * @static
-     * @param {IError=} [properties] Properties to set
-     * @returns {Error} Error instance
+     * @param {IChannel=} [properties] Properties to set
+     * @returns {Channel} Channel instance
      */
-    Error.create = function create(properties) {
-        return new Error(properties);
+    Channel.create = function create(properties) {
+        return new Channel(properties);
     };
 
     /**
-     * Encodes the specified Error message. Does not implicitly {@link Error.verify|verify} messages.
+     * Encodes the specified Channel message. Does not implicitly {@link Channel.verify|verify} messages.
      * @function encode
-     * @memberof Error
+     * @memberof Channel
      * @static
-     * @param {IError} message Error message or plain object to encode
+     * @param {IChannel} message Channel message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Error.encode = function encode(message, writer) {
+    Channel.encode = function encode(message, writer) {
         if (!writer)
-            writer = $Writer.create();
-        if (message.reason != null && message.hasOwnProperty("reason"))
-            writer.uint32(/* id 1, wireType 2 =*/10).string(message.reason);
+            writer = $Writer.create();
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.publicKey);
+        if (message.name != null && message.hasOwnProperty("name"))
+            writer.uint32(/* id 2, wireType 2 =*/18).string(message.name);
+        if (message.isFeed != null && message.hasOwnProperty("isFeed"))
+            writer.uint32(/* id 3, wireType 0 =*/24).bool(message.isFeed);
+        if (message.metadata != null && message.hasOwnProperty("metadata"))
+            writer.uint32(/* id 4, wireType 2 =*/34).string(message.metadata);
+        if (message.retention != null && message.hasOwnProperty("retention"))
+            $root.Channel.Retention.encode(message.retention, writer.uint32(/* id 5, wireType 2 =*/42).fork()).ldelim();
         return writer;
     };
 
     /**
-     * Encodes the specified Error message, length delimited. Does not implicitly {@link Error.verify|verify} messages.
+     * Encodes the specified Channel message, length delimited. Does not implicitly {@link Channel.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Error
+     * @memberof Channel
      * @static
-     * @param {IError} message Error message or plain object to encode
+     * @param {IChannel} message Channel message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Error.encodeDelimited = function encodeDelimited(message, writer) {
+    Channel.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes an Error message from the specified reader or buffer.
+     * Decodes a Channel message from the specified reader or buffer.
      * @function decode
-     * @memberof Error
+     * @memberof Channel
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Error} Error
+     * @returns {Channel} Channel
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Error.decode = function decode(reader, length) {
+    Channel.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Error();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Channel();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.reason = reader.string();
+                message.publicKey = reader.bytes();
+                break;
+            case 2:
+                message.name = reader.string();
+                break;
+            case 3:
+                message.isFeed = reader.bool();
+                break;
+            case 4:
+                message.metadata = reader.string();
+                break;
+            case 5:
+                message.retention = $root.Channel.Retention.decode(reader, reader.uint32());
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -5307,107 +10051,367 @@ $root.Error = (function() {
     };
 
     /**
-     * Decodes an Error message from the specified reader or buffer, length delimited.
+     * Decodes a Channel message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Error
+     * @memberof Channel
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Error} Error
+     * @returns {Channel} Channel
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Error.decodeDelimited = function decodeDelimited(reader) {
+    Channel.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies an Error message.
+     * Verifies a Channel message.
      * @function verify
-     * @memberof Error
+     * @memberof Channel
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Error.verify = function verify(message) {
+    Channel.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.reason != null && message.hasOwnProperty("reason"))
-            if (!$util.isString(message.reason))
-                return "reason: string expected";
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
+                return "publicKey: buffer expected";
+        if (message.name != null && message.hasOwnProperty("name"))
+            if (!$util.isString(message.name))
+                return "name: string expected";
+        if (message.isFeed != null && message.hasOwnProperty("isFeed"))
+            if (typeof message.isFeed !== "boolean")
+                return "isFeed: boolean expected";
+        if (message.metadata != null && message.hasOwnProperty("metadata"))
+            if (!$util.isString(message.metadata))
+                return "metadata: string expected";
+        if (message.retention != null && message.hasOwnProperty("retention")) {
+            var error = $root.Channel.Retention.verify(message.retention);
+            if (error)
+                return "retention." + error;
+        }
         return null;
     };
 
     /**
-     * Creates an Error message from a plain object. Also converts values to their respective internal types.
+     * Creates a Channel message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Error
+     * @memberof Channel
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Error} Error
+     * @returns {Channel} Channel
      */
-    Error.fromObject = function fromObject(object) {
-        if (object instanceof $root.Error)
+    Channel.fromObject = function fromObject(object) {
+        if (object instanceof $root.Channel)
             return object;
-        var message = new $root.Error();
-        if (object.reason != null)
-            message.reason = String(object.reason);
+        var message = new $root.Channel();
+        if (object.publicKey != null)
+            if (typeof object.publicKey === "string")
+                $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
+            else if (object.publicKey.length)
+                message.publicKey = object.publicKey;
+        if (object.name != null)
+            message.name = String(object.name);
+        if (object.isFeed != null)
+            message.isFeed = Boolean(object.isFeed);
+        if (object.metadata != null)
+            message.metadata = String(object.metadata);
+        if (object.retention != null) {
+            if (typeof object.retention !== "object")
+                throw TypeError(".Channel.retention: object expected");
+            message.retention = $root.Channel.Retention.fromObject(object.retention);
+        }
         return message;
     };
 
     /**
-     * Creates a plain object from an Error message. Also converts values to other types if specified.
+     * Creates a plain object from a Channel message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Error
+     * @memberof Channel
      * @static
-     * @param {Error} message Error
+     * @param {Channel} message Channel
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Error.toObject = function toObject(message, options) {
+    Channel.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.defaults)
-            object.reason = "";
-        if (message.reason != null && message.hasOwnProperty("reason"))
-            object.reason = message.reason;
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.publicKey = "";
+            else {
+                object.publicKey = [];
+                if (options.bytes !== Array)
+                    object.publicKey = $util.newBuffer(object.publicKey);
+            }
+            object.name = "";
+            object.isFeed = false;
+            object.metadata = "";
+            object.retention = null;
+        }
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
+        if (message.name != null && message.hasOwnProperty("name"))
+            object.name = message.name;
+        if (message.isFeed != null && message.hasOwnProperty("isFeed"))
+            object.isFeed = message.isFeed;
+        if (message.metadata != null && message.hasOwnProperty("metadata"))
+            object.metadata = message.metadata;
+        if (message.retention != null && message.hasOwnProperty("retention"))
+            object.retention = $root.Channel.Retention.toObject(message.retention, options);
         return object;
     };
 
-    /**
-     * Converts this Error to JSON.
-     * @function toJSON
-     * @memberof Error
-     * @instance
-     * @returns {Object.<string,*>} JSON object
-     */
-    Error.prototype.toJSON = function toJSON() {
-        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
-    };
+    /**
+     * Converts this Channel to JSON.
+     * @function toJSON
+     * @memberof Channel
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Channel.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    Channel.Retention = (function() {
+
+        /**
+         * Properties of a Retention.
+         * @memberof Channel
+         * @interface IRetention
+         * @property {number|null} [maxAge] Retention maxAge
+         * @property {number|null} [maxCount] Retention maxCount
+         */
+
+        /**
+         * Constructs a new Retention.
+         * @memberof Channel
+         * @classdesc Represents a Retention.
+         * @implements IRetention
+         * @constructor
+         * @param {Channel.IRetention=} [properties] Properties to set
+         */
+        function Retention(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Retention maxAge.
+         * @member {number} maxAge
+         * @memberof Channel.Retention
+         * @instance
+         */
+        Retention.prototype.maxAge = 0;
+
+        /**
+         * Retention maxCount.
+         * @member {number} maxCount
+         * @memberof Channel.Retention
+         * @instance
+         */
+        Retention.prototype.maxCount = 0;
+
+        /**
+         * Creates a new Retention instance using the specified properties.
+         * @function create
+         * @memberof Channel.Retention
+         * @static
+         * @param {Channel.IRetention=} [properties] Properties to set
+         * @returns {Channel.Retention} Retention instance
+         */
+        Retention.create = function create(properties) {
+            return new Retention(properties);
+        };
+
+        /**
+         * Encodes the specified Retention message. Does not implicitly {@link Channel.Retention.verify|verify} messages.
+         * @function encode
+         * @memberof Channel.Retention
+         * @static
+         * @param {Channel.IRetention} message Retention message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Retention.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.maxAge != null && message.hasOwnProperty("maxAge"))
+                writer.uint32(/* id 1, wireType 1 =*/9).double(message.maxAge);
+            if (message.maxCount != null && message.hasOwnProperty("maxCount"))
+                writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.maxCount);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Retention message, length delimited. Does not implicitly {@link Channel.Retention.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof Channel.Retention
+         * @static
+         * @param {Channel.IRetention} message Retention message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Retention.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Retention message from the specified reader or buffer.
+         * @function decode
+         * @memberof Channel.Retention
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {Channel.Retention} Retention
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Retention.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Channel.Retention();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.maxAge = reader.double();
+                    break;
+                case 2:
+                    message.maxCount = reader.uint32();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Retention message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof Channel.Retention
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {Channel.Retention} Retention
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Retention.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Retention message.
+         * @function verify
+         * @memberof Channel.Retention
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Retention.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.maxAge != null && message.hasOwnProperty("maxAge"))
+                if (typeof message.maxAge !== "number")
+                    return "maxAge: number expected";
+            if (message.maxCount != null && message.hasOwnProperty("maxCount"))
+                if (!$util.isInteger(message.maxCount))
+                    return "maxCount: integer expected";
+            return null;
+        };
+
+        /**
+         * Creates a Retention message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Channel.Retention
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {Channel.Retention} Retention
+         */
+        Retention.fromObject = function fromObject(object) {
+            if (object instanceof $root.Channel.Retention)
+                return object;
+            var message = new $root.Channel.Retention();
+            if (object.maxAge != null)
+                message.maxAge = Number(object.maxAge);
+            if (object.maxCount != null)
+                message.maxCount = object.maxCount >>> 0;
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Retention message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Channel.Retention
+         * @static
+         * @param {Channel.Retention} message Retention
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Retention.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                object.maxAge = 0;
+                object.maxCount = 0;
+            }
+            if (message.maxAge != null && message.hasOwnProperty("maxAge"))
+                object.maxAge = options.json && !isFinite(message.maxAge) ? String(message.maxAge) : message.maxAge;
+            if (message.maxCount != null && message.hasOwnProperty("maxCount"))
+                object.maxCount = message.maxCount;
+            return object;
+        };
+
+        /**
+         * Converts this Retention to JSON.
+         * @function toJSON
+         * @memberof Channel.Retention
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Retention.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
 
-    return Error;
+        return Retention;
+    })();
+
+    return Channel;
 })();
 
-$root.Notification = (function() {
+$root.RevokedKey = (function() {
 
     /**
-     * Properties of a Notification.
-     * @exports INotification
-     * @interface INotification
-     * @property {Uint8Array|null} [channelId] Notification channelId
+     * Properties of a RevokedKey.
+     * @exports IRevokedKey
+     * @interface IRevokedKey
+     * @property {Uint8Array|null} [publicKey] RevokedKey publicKey
+     * @property {number|null} [timestamp] RevokedKey timestamp
+     * @property {Uint8Array|null} [hash] RevokedKey hash
+     * @property {number|Long|null} [height] RevokedKey height
      */
 
     /**
-     * Constructs a new Notification.
-     * @exports Notification
-     * @classdesc Represents a Notification.
-     * @implements INotification
+     * Constructs a new RevokedKey.
+     * @exports RevokedKey
+     * @classdesc Represents a RevokedKey.
+     * @implements IRevokedKey
      * @constructor
-     * @param {INotification=} [properties] Properties to set
+     * @param {IRevokedKey=} [properties] Properties to set
      */
-    function Notification(properties) {
+    function RevokedKey(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -5415,75 +10419,114 @@ $root.Notification = (function() {
     }
 
     /**
-     * Notification channelId.
-     * @member {Uint8Array} channelId
-     * @memberof Notification
+     * RevokedKey publicKey.
+     * @member {Uint8Array} publicKey
+     * @memberof RevokedKey
      * @instance
      */
-    Notification.prototype.channelId = $util.newBuffer([]);
+    RevokedKey.prototype.publicKey = $util.newBuffer([]);
 
     /**
-     * Creates a new Notification instance using the specified properties.
+     * RevokedKey timestamp.
+     * @member {number} timestamp
+     * @memberof RevokedKey
+     * @instance
+     */
+    RevokedKey.prototype.timestamp = 0;
+
+    /**
+     * RevokedKey hash.
+     * @member {Uint8Array} hash
+     * @memberof RevokedKey
+     * @instance
+     */
+    RevokedKey.prototype.hash = $util.newBuffer([]);
+
+    /**
+     * RevokedKey height.
+     * @member {number|Long} height
+     * @memberof RevokedKey
+     * @instance
+     */
+    RevokedKey.prototype.height = $util.Long ? $util.Long.fromBits(0,0,false) : 0;
+
+    /**
+     * Creates a new RevokedKey instance using the specified properties.
      * @function create
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
-     * @param {INotification=} [properties] Properties to set
-     * @returns {Notification} Notification instance
+     * @param {IRevokedKey=} [properties] Properties to set
+     * @returns {RevokedKey} RevokedKey instance
      */
-    Notification.create = function create(properties) {
-        return new Notification(properties);
+    RevokedKey.create = function create(properties) {
+        return new RevokedKey(properties);
     };
 
     /**
-     * Encodes the specified Notification message. Does not implicitly {@link Notification.verify|verify} messages.
+     * Encodes the specified RevokedKey message. Does not implicitly {@link RevokedKey.verify|verify} messages.
      * @function encode
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
-     * @param {INotification} message Notification message or plain object to encode
+     * @param {IRevokedKey} message RevokedKey message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Notification.encode = function encode(message, writer) {
+    RevokedKey.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.publicKey);
+        if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+            writer.uint32(/* id 2, wireType 1 =*/17).double(message.timestamp);
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.hash);
+        if (message.height != null && message.hasOwnProperty("height"))
+            writer.uint32(/* id 4, wireType 0 =*/32).int64(message.height);
         return writer;
     };
 
     /**
-     * Encodes the specified Notification message, length delimited. Does not implicitly {@link Notification.verify|verify} messages.
+     * Encodes the specified RevokedKey message, length delimited. Does not implicitly {@link RevokedKey.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
-     * @param {INotification} message Notification message or plain object to encode
+     * @param {IRevokedKey} message RevokedKey message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Notification.encodeDelimited = function encodeDelimited(message, writer) {
+    RevokedKey.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a Notification message from the specified reader or buffer.
+     * Decodes a RevokedKey message from the specified reader or buffer.
      * @function decode
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Notification} Notification
+     * @returns {RevokedKey} RevokedKey
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Notification.decode = function decode(reader, length) {
+    RevokedKey.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Notification();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.RevokedKey();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.channelId = reader.bytes();
+                message.publicKey = reader.bytes();
+                break;
+            case 2:
+                message.timestamp = reader.double();
+                break;
+            case 3:
+                message.hash = reader.bytes();
+                break;
+            case 4:
+                message.height = reader.int64();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -5494,116 +10537,167 @@ $root.Notification = (function() {
     };
 
     /**
-     * Decodes a Notification message from the specified reader or buffer, length delimited.
+     * Decodes a RevokedKey message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Notification} Notification
+     * @returns {RevokedKey} RevokedKey
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Notification.decodeDelimited = function decodeDelimited(reader) {
+    RevokedKey.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a Notification message.
+     * Verifies a RevokedKey message.
      * @function verify
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Notification.verify = function verify(message) {
+    RevokedKey.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
-                return "channelId: buffer expected";
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
+                return "publicKey: buffer expected";
+        if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+            if (typeof message.timestamp !== "number")
+                return "timestamp: number expected";
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            if (!(message.hash && typeof message.hash.length === "number" || $util.isString(message.hash)))
+                return "hash: buffer expected";
+        if (message.height != null && message.hasOwnProperty("height"))
+            if (!$util.isInteger(message.height) && !(message.height && $util.isInteger(message.height.low) && $util.isInteger(message.height.high)))
+                return "height: integer|Long expected";
         return null;
     };
 
     /**
-     * Creates a Notification message from a plain object. Also converts values to their respective internal types.
+     * Creates a RevokedKey message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Notification} Notification
+     * @returns {RevokedKey} RevokedKey
      */
-    Notification.fromObject = function fromObject(object) {
-        if (object instanceof $root.Notification)
+    RevokedKey.fromObject = function fromObject(object) {
+        if (object instanceof $root.RevokedKey)
             return object;
-        var message = new $root.Notification();
-        if (object.channelId != null)
-            if (typeof object.channelId === "string")
-                $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
-            else if (object.channelId.length)
-                message.channelId = object.channelId;
+        var message = new $root.RevokedKey();
+        if (object.publicKey != null)
+            if (typeof object.publicKey === "string")
+                $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
+            else if (object.publicKey.length)
+                message.publicKey = object.publicKey;
+        if (object.timestamp != null)
+            message.timestamp = Number(object.timestamp);
+        if (object.hash != null)
+            if (typeof object.hash === "string")
+                $util.base64.decode(object.hash, message.hash = $util.newBuffer($util.base64.length(object.hash)), 0);
+            else if (object.hash.length)
+                message.hash = object.hash;
+        if (object.height != null)
+            if ($util.Long)
+                (message.height = $util.Long.fromValue(object.height)).unsigned = false;
+            else if (typeof object.height === "string")
+                message.height = parseInt(object.height, 10);
+            else if (typeof object.height === "number")
+                message.height = object.height;
+            else if (typeof object.height === "object")
+                message.height = new $util.LongBits(object.height.low >>> 0, object.height.high >>> 0).toNumber();
         return message;
     };
 
     /**
-     * Creates a plain object from a Notification message. Also converts values to other types if specified.
+     * Creates a plain object from a RevokedKey message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Notification
+     * @memberof RevokedKey
      * @static
-     * @param {Notification} message Notification
+     * @param {RevokedKey} message RevokedKey
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Notification.toObject = function toObject(message, options) {
+    RevokedKey.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.defaults)
+        if (options.defaults) {
             if (options.bytes === String)
-                object.channelId = "";
+                object.publicKey = "";
             else {
-                object.channelId = [];
+                object.publicKey = [];
                 if (options.bytes !== Array)
-                    object.channelId = $util.newBuffer(object.channelId);
+                    object.publicKey = $util.newBuffer(object.publicKey);
             }
-        if (message.channelId != null && message.hasOwnProperty("channelId"))
-            object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
+            object.timestamp = 0;
+            if (options.bytes === String)
+                object.hash = "";
+            else {
+                object.hash = [];
+                if (options.bytes !== Array)
+                    object.hash = $util.newBuffer(object.hash);
+            }
+            if ($util.Long) {
+                var long = new $util.Long(0, 0, false);
+                object.height = options.longs === String ? long.toString() : options.longs === Number ? long.toNumber() : long;
+            } else
+                object.height = options.longs === String ? "0" : 0;
+        }
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
+        if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+            object.timestamp = options.json && !isFinite(message.timestamp) ? String(message.timestamp) : message.timestamp;
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            object.hash = options.bytes === String ? $util.base64.encode(message.hash, 0, message.hash.length) : options.bytes === Array ? Array.prototype.slice.call(message.hash) : message.hash;
+        if (message.height != null && message.hasOwnProperty("height"))
+            if (typeof message.height === "number")
+                object.height = options.longs === String ? String(message.height) : message.height;
+            else
+                object.height = options.longs === String ? $util.Long.prototype.toString.call(message.height) : options.longs === Number ? new $util.LongBits(message.height.low >>> 0, message.height.high >>> 0).toNumber() : message.height;
         return object;
     };
 
     /**
-     * Converts this Notification to JSON.
+     * Converts this RevokedKey to JSON.
      * @function toJSON
-     * @memberof Notification
+     * @memberof RevokedKey
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    Notification.prototype.toJSON = function toJSON() {
+    RevokedKey.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    return Notification;
+    return RevokedKey;
 })();
 
-$root.Ping = (function() {
+$root.Persistence = (function() {
 
     /**
-     * Properties of a Ping.
-     * @exports IPing
-     * @interface IPing
-     * @property {number|null} [seq] Ping seq
+     * Properties of a Persistence.
+     * @exports IPersistence
+     * @interface IPersistence
+     * @property {Uint8Array|null} [salt] Persistence salt
+     * @property {number|null} [opslimit] Persistence opslimit
+     * @property {number|null} [memlimit] Persistence memlimit
+     * @property {number|null} [algorithm] Persistence algorithm
      */
 
     /**
-     * Constructs a new Ping.
-     * @exports Ping
-     * @classdesc Represents a Ping.
-     * @implements IPing
+     * Constructs a new Persistence.
+     * @exports Persistence
+     * @classdesc Represents a Persistence.
+     * @implements IPersistence
      * @constructor
-     * @param {IPing=} [properties] Properties to set
+     * @param {IPersistence=} [properties] Properties to set
      */
-    function Ping(properties) {
+    function Persistence(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -5611,75 +10705,114 @@ $root.Ping = (function() {
     }
 
     /**
-     * Ping seq.
-     * @member {number} seq
-     * @memberof Ping
+     * Persistence salt.
+     * @member {Uint8Array} salt
+     * @memberof Persistence
      * @instance
      */
-    Ping.prototype.seq = 0;
+    Persistence.prototype.salt = $util.newBuffer([]);
 
     /**
-     * Creates a new Ping instance using the specified properties.
+     * Persistence opslimit.
+     * @member {number} opslimit
+     * @memberof Persistence
+     * @instance
+     */
+    Persistence.prototype.opslimit = 0;
+
+    /**
+     * Persistence memlimit.
+     * @member {number} memlimit
+     * @memberof Persistence
+     * @instance
+     */
+    Persistence.prototype.memlimit = 0;
+
+    /**
+     * Persistence algorithm.
+     * @member {number} algorithm
+     * @memberof Persistence
+     * @instance
+     */
+    Persistence.prototype.algorithm = 0;
+
+    /**
+     * Creates a new Persistence instance using the specified properties.
      * @function create
-     * @memberof Ping
+     * @memberof Persistence
      * @static
-     * @param {IPing=} [properties] Properties to set
-     * @returns {Ping} Ping instance
+     * @param {IPersistence=} [properties] Properties to set
+     * @returns {Persistence} Persistence instance
      */
-    Ping.create = function create(properties) {
-        return new Ping(properties);
+    Persistence.create = function create(properties) {
+        return new Persistence(properties);
     };
 
     /**
-     * Encodes the specified Ping message. Does not implicitly {@link Ping.verify|verify} messages.
+     * Encodes the specified Persistence message. Does not implicitly {@link Persistence.verify|verify} messages.
      * @function encode
-     * @memberof Ping
+     * @memberof Persistence
      * @static
-     * @param {IPing} message Ping message or plain object to encode
+     * @param {IPersistence} message Persistence message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Ping.encode = function encode(message, writer) {
+    Persistence.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.seq);
+        if (message.salt != null && message.hasOwnProperty("salt"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.salt);
+        if (message.opslimit != null && message.hasOwnProperty("opslimit"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.opslimit);
+        if (message.memlimit != null && message.hasOwnProperty("memlimit"))
+            writer.uint32(/* id 3, wireType 0 =*/24).uint32(message.memlimit);
+        if (message.algorithm != null && message.hasOwnProperty("algorithm"))
+            writer.uint32(/* id 4, wireType 0 =*/32).int32(message.algorithm);
         return writer;
     };
 
     /**
-     * Encodes the specified Ping message, length delimited. Does not implicitly {@link Ping.verify|verify} messages.
+     * Encodes the specified Persistence message, length delimited. Does not implicitly {@link Persistence.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Ping
+     * @memberof Persistence
      * @static
-     * @param {IPing} message Ping message or plain object to encode
+     * @param {IPersistence} message Persistence message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Ping.encodeDelimited = function encodeDelimited(message, writer) {
+    Persistence.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a Ping message from the specified reader or buffer.
+     * Decodes a Persistence message from the specified reader or buffer.
      * @function decode
-     * @memberof Ping
+     * @memberof Persistence
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Ping} Ping
+     * @returns {Persistence} Persistence
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Ping.decode = function decode(reader, length) {
+    Persistence.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Ping();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Persistence();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.seq = reader.uint32();
+                message.salt = reader.bytes();
+                break;
+            case 2:
+                message.opslimit = reader.uint32();
+                break;
+            case 3:
+                message.memlimit = reader.uint32();
+                break;
+            case 4:
+                message.algorithm = reader.int32();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -5690,107 +10823,143 @@ $root.Ping = (function() {
     };
 
     /**
-     * Decodes a Ping message from the specified reader or buffer, length delimited.
+     * Decodes a Persistence message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Ping
+     * @memberof Persistence
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Ping} Ping
+     * @returns {Persistence} Persistence
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Ping.decodeDelimited = function decodeDelimited(reader) {
+    Persistence.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a Ping message.
+     * Verifies a Persistence message.
      * @function verify
-     * @memberof Ping
+     * @memberof Persistence
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Ping.verify = function verify(message) {
+    Persistence.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            if (!$util.isInteger(message.seq))
-                return "seq: integer expected";
+        if (message.salt != null && message.hasOwnProperty("salt"))
+            if (!(message.salt && typeof message.salt.length === "number" || $util.isString(message.salt)))
+                return "salt: buffer expected";
+        if (message.opslimit != null && message.hasOwnProperty("opslimit"))
+            if (!$util.isInteger(message.opslimit))
+                return "opslimit: integer expected";
+        if (message.memlimit != null && message.hasOwnProperty("memlimit"))
+            if (!$util.isInteger(message.memlimit))
+                return "memlimit: integer expected";
+        if (message.algorithm != null && message.hasOwnProperty("algorithm"))
+            if (!$util.isInteger(message.algorithm))
+                return "algorithm: integer expected";
         return null;
     };
 
     /**
-     * Creates a Ping message from a plain object. Also converts values to their respective internal types.
+     * Creates a Persistence message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Ping
+     * @memberof Persistence
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Ping} Ping
+     * @returns {Persistence} Persistence
      */
-    Ping.fromObject = function fromObject(object) {
-        if (object instanceof $root.Ping)
+    Persistence.fromObject = function fromObject(object) {
+        if (object instanceof $root.Persistence)
             return object;
-        var message = new $root.Ping();
-        if (object.seq != null)
-            message.seq = object.seq >>> 0;
+        var message = new $root.Persistence();
+        if (object.salt != null)
+            if (typeof object.salt === "string")
+                $util.base64.decode(object.salt, message.salt = $util.newBuffer($util.base64.length(object.salt)), 0);
+            else if (object.salt.length)
+                message.salt = object.salt;
+        if (object.opslimit != null)
+            message.opslimit = object.opslimit >>> 0;
+        if (object.memlimit != null)
+            message.memlimit = object.memlimit >>> 0;
+        if (object.algorithm != null)
+            message.algorithm = object.algorithm | 0;
         return message;
     };
 
     /**
-     * Creates a plain object from a Ping message. Also converts values to other types if specified.
+     * Creates a plain object from a Persistence message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Ping
+     * @memberof Persistence
      * @static
-     * @param {Ping} message Ping
+     * @param {Persistence} message Persistence
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Ping.toObject = function toObject(message, options) {
+    Persistence.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.defaults)
-            object.seq = 0;
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            object.seq = message.seq;
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.salt = "";
+            else {
+                object.salt = [];
+                if (options.bytes !== Array)
+                    object.salt = $util.newBuffer(object.salt);
+            }
+            object.opslimit = 0;
+            object.memlimit = 0;
+            object.algorithm = 0;
+        }
+        if (message.salt != null && message.hasOwnProperty("salt"))
+            object.salt = options.bytes === String ? $util.base64.encode(message.salt, 0, message.salt.length) : options.bytes === Array ? Array.prototype.slice.call(message.salt) : message.salt;
+        if (message.opslimit != null && message.hasOwnProperty("opslimit"))
+            object.opslimit = message.opslimit;
+        if (message.memlimit != null && message.hasOwnProperty("memlimit"))
+            object.memlimit = message.memlimit;
+        if (message.algorithm != null && message.hasOwnProperty("algorithm"))
+            object.algorithm = message.algorithm;
         return object;
     };
 
     /**
-     * Converts this Ping to JSON.
+     * Converts this Persistence to JSON.
      * @function toJSON
-     * @memberof Ping
+     * @memberof Persistence
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    Ping.prototype.toJSON = function toJSON() {
+    Persistence.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    return Ping;
+    return Persistence;
 })();
 
-$root.Pong = (function() {
+$root.IdentityExport = (function() {
 
     /**
-     * Properties of a Pong.
-     * @exports IPong
-     * @interface IPong
-     * @property {number|null} [seq] Pong seq
+     * Properties of an IdentityExport.
+     * @exports IIdentityExport
+     * @interface IIdentityExport
+     * @property {number|null} [version] IdentityExport version
+     * @property {IPersistence|null} [keyParams] IdentityExport keyParams
+     * @property {Uint8Array|null} [box] IdentityExport box
      */
 
     /**
-     * Constructs a new Pong.
-     * @exports Pong
-     * @classdesc Represents a Pong.
-     * @implements IPong
+     * Constructs a new IdentityExport.
+     * @exports IdentityExport
+     * @classdesc Represents an IdentityExport.
+     * @implements IIdentityExport
      * @constructor
-     * @param {IPong=} [properties] Properties to set
+     * @param {IIdentityExport=} [properties] Properties to set
      */
-    function Pong(properties) {
+    function IdentityExport(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -5798,75 +10967,101 @@ $root.Pong = (function() {
     }
 
     /**
-     * Pong seq.
-     * @member {number} seq
-     * @memberof Pong
+     * IdentityExport version.
+     * @member {number} version
+     * @memberof IdentityExport
      * @instance
      */
-    Pong.prototype.seq = 0;
+    IdentityExport.prototype.version = 0;
 
     /**
-     * Creates a new Pong instance using the specified properties.
+     * IdentityExport keyParams.
+     * @member {IPersistence|null|undefined} keyParams
+     * @memberof IdentityExport
+     * @instance
+     */
+    IdentityExport.prototype.keyParams = null;
+
+    /**
+     * IdentityExport box.
+     * @member {Uint8Array} box
+     * @memberof IdentityExport
+     * @instance
+     */
+    IdentityExport.prototype.box = $util.newBuffer([]);
+
+    /**
+     * Creates a new IdentityExport instance using the specified properties.
      * @function create
-     * @memberof Pong
+     * @memberof IdentityExport
      * @static
-     * @param {IPong=} [properties] Properties to set
-     * @returns {Pong} Pong instance
+     * @param {IIdentityExport=} [properties] Properties to set
+     * @returns {IdentityExport} IdentityExport instance
      */
-    Pong.create = function create(properties) {
-        return new Pong(properties);
+    IdentityExport.create = function create(properties) {
+        return new IdentityExport(properties);
     };
 
     /**
-     * Encodes the specified Pong message. Does not implicitly {@link Pong.verify|verify} messages.
+     * Encodes the specified IdentityExport message. Does not implicitly {@link IdentityExport.verify|verify} messages.
      * @function encode
-     * @memberof Pong
+     * @memberof IdentityExport
      * @static
-     * @param {IPong} message Pong message or plain object to encode
+     * @param {IIdentityExport} message IdentityExport message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Pong.encode = function encode(message, writer) {
+    IdentityExport.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.seq);
+        if (message.version != null && message.hasOwnProperty("version"))
+            writer.uint32(/* id 1, wireType 0 =*/8).uint32(message.version);
+        if (message.keyParams != null && message.hasOwnProperty("keyParams"))
+            $root.Persistence.encode(message.keyParams, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+        if (message.box != null && message.hasOwnProperty("box"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.box);
         return writer;
     };
 
     /**
-     * Encodes the specified Pong message, length delimited. Does not implicitly {@link Pong.verify|verify} messages.
+     * Encodes the specified IdentityExport message, length delimited. Does not implicitly {@link IdentityExport.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Pong
+     * @memberof IdentityExport
      * @static
-     * @param {IPong} message Pong message or plain object to encode
+     * @param {IIdentityExport} message IdentityExport message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Pong.encodeDelimited = function encodeDelimited(message, writer) {
+    IdentityExport.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a Pong message from the specified reader or buffer.
+     * Decodes an IdentityExport message from the specified reader or buffer.
      * @function decode
-     * @memberof Pong
+     * @memberof IdentityExport
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Pong} Pong
+     * @returns {IdentityExport} IdentityExport
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Pong.decode = function decode(reader, length) {
+    IdentityExport.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Pong();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.IdentityExport();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.seq = reader.uint32();
+                message.version = reader.uint32();
+                break;
+            case 2:
+                message.keyParams = $root.Persistence.decode(reader, reader.uint32());
+                break;
+            case 3:
+                message.box = reader.bytes();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -5877,113 +11072,380 @@ $root.Pong = (function() {
     };
 
     /**
-     * Decodes a Pong message from the specified reader or buffer, length delimited.
+     * Decodes an IdentityExport message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Pong
+     * @memberof IdentityExport
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Pong} Pong
+     * @returns {IdentityExport} IdentityExport
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Pong.decodeDelimited = function decodeDelimited(reader) {
+    IdentityExport.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a Pong message.
+     * Verifies an IdentityExport message.
      * @function verify
-     * @memberof Pong
+     * @memberof IdentityExport
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Pong.verify = function verify(message) {
+    IdentityExport.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            if (!$util.isInteger(message.seq))
-                return "seq: integer expected";
+        if (message.version != null && message.hasOwnProperty("version"))
+            if (!$util.isInteger(message.version))
+                return "version: integer expected";
+        if (message.keyParams != null && message.hasOwnProperty("keyParams")) {
+            var error = $root.Persistence.verify(message.keyParams);
+            if (error)
+                return "keyParams." + error;
+        }
+        if (message.box != null && message.hasOwnProperty("box"))
+            if (!(message.box && typeof message.box.length === "number" || $util.isString(message.box)))
+                return "box: buffer expected";
         return null;
     };
 
-    /**
-     * Creates a Pong message from a plain object. Also converts values to their respective internal types.
-     * @function fromObject
-     * @memberof Pong
-     * @static
-     * @param {Object.<string,*>} object Plain object
-     * @returns {Pong} Pong
-     */
-    Pong.fromObject = function fromObject(object) {
-        if (object instanceof $root.Pong)
+    /**
+     * Creates an IdentityExport message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof IdentityExport
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {IdentityExport} IdentityExport
+     */
+    IdentityExport.fromObject = function fromObject(object) {
+        if (object instanceof $root.IdentityExport)
+            return object;
+        var message = new $root.IdentityExport();
+        if (object.version != null)
+            message.version = object.version >>> 0;
+        if (object.keyParams != null) {
+            if (typeof object.keyParams !== "object")
+                throw TypeError(".IdentityExport.keyParams: object expected");
+            message.keyParams = $root.Persistence.fromObject(object.keyParams);
+        }
+        if (object.box != null)
+            if (typeof object.box === "string")
+                $util.base64.decode(object.box, message.box = $util.newBuffer($util.base64.length(object.box)), 0);
+            else if (object.box.length)
+                message.box = object.box;
+        return message;
+    };
+
+    /**
+     * Creates a plain object from an IdentityExport message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof IdentityExport
+     * @static
+     * @param {IdentityExport} message IdentityExport
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    IdentityExport.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            object.version = 0;
+            object.keyParams = null;
+            if (options.bytes === String)
+                object.box = "";
+            else {
+                object.box = [];
+                if (options.bytes !== Array)
+                    object.box = $util.newBuffer(object.box);
+            }
+        }
+        if (message.version != null && message.hasOwnProperty("version"))
+            object.version = message.version;
+        if (message.keyParams != null && message.hasOwnProperty("keyParams"))
+            object.keyParams = $root.Persistence.toObject(message.keyParams, options);
+        if (message.box != null && message.hasOwnProperty("box"))
+            object.box = options.bytes === String ? $util.base64.encode(message.box, 0, message.box.length) : options.bytes === Array ? Array.prototype.slice.call(message.box) : message.box;
+        return object;
+    };
+
+    /**
+     * Converts this IdentityExport to JSON.
+     * @function toJSON
+     * @memberof IdentityExport
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    IdentityExport.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    IdentityExport.Content = (function() {
+
+        /**
+         * Properties of a Content.
+         * @memberof IdentityExport
+         * @interface IContent
+         * @property {IIdentity|null} [identity] Content identity
+         * @property {Array.<IChannel>|null} [channels] Content channels
+         */
+
+        /**
+         * Constructs a new Content.
+         * @memberof IdentityExport
+         * @classdesc Represents a Content.
+         * @implements IContent
+         * @constructor
+         * @param {IdentityExport.IContent=} [properties] Properties to set
+         */
+        function Content(properties) {
+            this.channels = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Content identity.
+         * @member {IIdentity|null|undefined} identity
+         * @memberof IdentityExport.Content
+         * @instance
+         */
+        Content.prototype.identity = null;
+
+        /**
+         * Content channels.
+         * @member {Array.<IChannel>} channels
+         * @memberof IdentityExport.Content
+         * @instance
+         */
+        Content.prototype.channels = $util.emptyArray;
+
+        /**
+         * Creates a new Content instance using the specified properties.
+         * @function create
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {IdentityExport.IContent=} [properties] Properties to set
+         * @returns {IdentityExport.Content} Content instance
+         */
+        Content.create = function create(properties) {
+            return new Content(properties);
+        };
+
+        /**
+         * Encodes the specified Content message. Does not implicitly {@link IdentityExport.Content.verify|verify} messages.
+         * @function encode
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {IdentityExport.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.identity != null && message.hasOwnProperty("identity"))
+                $root.Identity.encode(message.identity, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
+            if (message.channels != null && message.channels.length)
+                for (var i = 0; i < message.channels.length; ++i)
+                    $root.Channel.encode(message.channels[i], writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Content message, length delimited. Does not implicitly {@link IdentityExport.Content.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {IdentityExport.IContent} message Content message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Content.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer.
+         * @function decode
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {IdentityExport.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.IdentityExport.Content();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.identity = $root.Identity.decode(reader, reader.uint32());
+                    break;
+                case 2:
+                    if (!(message.channels && message.channels.length))
+                        message.channels = [];
+                    message.channels.push($root.Channel.decode(reader, reader.uint32()));
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a Content message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {IdentityExport.Content} Content
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Content.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a Content message.
+         * @function verify
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Content.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.identity != null && message.hasOwnProperty("identity")) {
+                var error = $root.Identity.verify(message.identity);
+                if (error)
+                    return "identity." + error;
+            }
+            if (message.channels != null && message.hasOwnProperty("channels")) {
+                if (!Array.isArray(message.channels))
+                    return "channels: array expected";
+                for (var i = 0; i < message.channels.length; ++i) {
+                    var error = $root.Channel.verify(message.channels[i]);
+                    if (error)
+                        return "channels." + error;
+                }
+            }
+            return null;
+        };
+
+        /**
+         * Creates a Content message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {IdentityExport.Content} Content
+         */
+        Content.fromObject = function fromObject(object) {
+            if (object instanceof $root.IdentityExport.Content)
+                return object;
+            var message = new $root.IdentityExport.Content();
+            if (object.identity != null) {
+                if (typeof object.identity !== "object")
+                    throw TypeError(".IdentityExport.Content.identity: object expected");
+                message.identity = $root.Identity.fromObject(object.identity);
+            }
+            if (object.channels) {
+                if (!Array.isArray(object.channels))
+                    throw TypeError(".IdentityExport.Content.channels: array expected");
+                message.channels = [];
+                for (var i = 0; i < object.channels.length; ++i) {
+                    if (typeof object.channels[i] !== "object")
+                        throw TypeError(".IdentityExport.Content.channels: object expected");
+                    message.channels[i] = $root.Channel.fromObject(object.channels[i]);
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a Content message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof IdentityExport.Content
+         * @static
+         * @param {IdentityExport.Content} message Content
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Content.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.channels = [];
+            if (options.defaults)
+                object.identity = null;
+            if (message.identity != null && message.hasOwnProperty("identity"))
+                object.identity = $root.Identity.toObject(message.identity, options);
+            if (message.channels && message.channels.length) {
+                object.channels = [];
+                for (var j = 0; j < message.channels.length; ++j)
+                    object.channels[j] = $root.Channel.toObject(message.channels[j], options);
+            }
             return object;
-        var message = new $root.Pong();
-        if (object.seq != null)
-            message.seq = object.seq >>> 0;
-        return message;
-    };
+        };
 
-    /**
-     * Creates a plain object from a Pong message. Also converts values to other types if specified.
-     * @function toObject
-     * @memberof Pong
-     * @static
-     * @param {Pong} message Pong
-     * @param {$protobuf.IConversionOptions} [options] Conversion options
-     * @returns {Object.<string,*>} Plain object
-     */
-    Pong.toObject = function toObject(message, options) {
-        if (!options)
-            options = {};
-        var object = {};
-        if (options.defaults)
-            object.seq = 0;
-        if (message.seq != null && message.hasOwnProperty("seq"))
-            object.seq = message.seq;
-        return object;
-    };
+        /**
+         * Converts this Content to JSON.
+         * @function toJSON
+         * @memberof IdentityExport.Content
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Content.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
 
-    /**
-     * Converts this Pong to JSON.
-     * @function toJSON
-     * @memberof Pong
-     * @instance
-     * @returns {Object.<string,*>} JSON object
-     */
-    Pong.prototype.toJSON = function toJSON() {
-        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
-    };
+        return Content;
+    })();
 
-    return Pong;
+    return IdentityExport;
 })();
 
-$root.Packet = (function() {
+$root.Member = (function() {
 
     /**
-     * Properties of a Packet.
-     * @exports IPacket
-     * @interface IPacket
-     * @property {IError|null} [error] Packet error
-     * @property {IEncryptedInvite|null} [invite] Packet invite
-     * @property {ISyncRequest|null} [syncRequest] Packet syncRequest
-     * @property {ISyncResponse|null} [syncResponse] Packet syncResponse
-     * @property {INotification|null} [notification] Packet notification
-     * @property {IPing|null} [ping] Packet ping
-     * @property {IPong|null} [pong] Packet pong
+     * Properties of a Member.
+     * @exports IMember
+     * @interface IMember
+     * @property {Uint8Array|null} [publicKey] Member publicKey
+     * @property {Array.<Member.IDisplayPath>|null} [displayPaths] Member displayPaths
+     * @property {Uint8Array|null} [inviter] Member inviter
+     * @property {number|null} [firstPostAt] Member firstPostAt
+     * @property {number|null} [lastPostAt] Member lastPostAt
+     * @property {number|null} [validTo] Member validTo
      */
 
     /**
-     * Constructs a new Packet.
-     * @exports Packet
-     * @classdesc Represents a Packet.
-     * @implements IPacket
+     * Constructs a new Member.
+     * @exports Member
+     * @classdesc Represents a Member.
+     * @implements IMember
      * @constructor
-     * @param {IPacket=} [properties] Properties to set
+     * @param {IMember=} [properties] Properties to set
      */
-    function Packet(properties) {
+    function Member(properties) {
+        this.displayPaths = [];
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -5991,167 +11453,143 @@ $root.Packet = (function() {
     }
 
     /**
-     * Packet error.
-     * @member {IError|null|undefined} error
-     * @memberof Packet
-     * @instance
-     */
-    Packet.prototype.error = null;
-
-    /**
-     * Packet invite.
-     * @member {IEncryptedInvite|null|undefined} invite
-     * @memberof Packet
-     * @instance
-     */
-    Packet.prototype.invite = null;
-
-    /**
-     * Packet syncRequest.
-     * @member {ISyncRequest|null|undefined} syncRequest
-     * @memberof Packet
+     * Member publicKey.
+     * @member {Uint8Array} publicKey
+     * @memberof Member
      * @instance
      */
-    Packet.prototype.syncRequest = null;
+    Member.prototype.publicKey = $util.newBuffer([]);
 
     /**
-     * Packet syncResponse.
-     * @member {ISyncResponse|null|undefined} syncResponse
-     * @memberof Packet
+     * Member displayPaths.
+     * @member {Array.<Member.IDisplayPath>} displayPaths
+     * @memberof Member
      * @instance
      */
-    Packet.prototype.syncResponse = null;
+    Member.prototype.displayPaths = $util.emptyArray;
 
     /**
-     * Packet notification.
-     * @member {INotification|null|undefined} notification
-     * @memberof Packet
+     * Member inviter.
+     * @member {Uint8Array} inviter
+     * @memberof Member
      * @instance
      */
-    Packet.prototype.notification = null;
+    Member.prototype.inviter = $util.newBuffer([]);
 
     /**
-     * Packet ping.
-     * @member {IPing|null|undefined} ping
-     * @memberof Packet
+     * Member firstPostAt.
+     * @member {number} firstPostAt
+     * @memberof Member
      * @instance
      */
-    Packet.prototype.ping = null;
+    Member.prototype.firstPostAt = 0;
 
     /**
-     * Packet pong.
-     * @member {IPong|null|undefined} pong
-     * @memberof Packet
+     * Member lastPostAt.
+     * @member {number} lastPostAt
+     * @memberof Member
      * @instance
      */
-    Packet.prototype.pong = null;
-
-    // OneOf field names bound to virtual getters and setters
-    var $oneOfFields;
+    Member.prototype.lastPostAt = 0;
 
     /**
-     * Packet content.
-     * @member {"error"|"invite"|"syncRequest"|"syncResponse"|"notification"|"ping"|"pong"|undefined} content
-     * @memberof Packet
+     * Member validTo.
+     * @member {number} validTo
+     * @memberof Member
      * @instance
      */
-    Object.defineProperty(Packet.prototype, "content", {
-        get: $util.oneOfGetter($oneOfFields = ["error", "invite", "syncRequest", "syncResponse", "notification", "ping", "pong"]),
-        set: $util.oneOfSetter($oneOfFields)
-    });
+    Member.prototype.validTo = 0;
 
     /**
-     * Creates a new Packet instance using the specified properties.
+     * Creates a new Member instance using the specified properties.
      * @function create
-     * @memberof Packet
+     * @memberof Member
      * @static
-     * @param {IPacket=} [properties] Properties to set
-     * @returns {Packet} Packet instance
+     * @param {IMember=} [properties] Properties to set
+     * @returns {Member} Member instance
      */
-    Packet.create = function create(properties) {
-        return new Packet(properties);
+    Member.create = function create(properties) {
+        return new Member(properties);
     };
 
     /**
-     * Encodes the specified Packet message. Does not implicitly {@link Packet.verify|verify} messages.
+     * Encodes the specified Member message. Does not implicitly {@link Member.verify|verify} messages.
      * @function encode
-     * @memberof Packet
+     * @memberof Member
      * @static
-     * @param {IPacket} message Packet message or plain object to encode
+     * @param {IMember} message Member message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Packet.encode = function encode(message, writer) {
+    Member.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.error != null && message.hasOwnProperty("error"))
-            $root.Error.encode(message.error, writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
-        if (message.invite != null && message.hasOwnProperty("invite"))
-            $root.EncryptedInvite.encode(message.invite, writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
-        if (message.syncRequest != null && message.hasOwnProperty("syncRequest"))
-            $root.SyncRequest.encode(message.syncRequest, writer.uint32(/* id 3, wireType 2 =*/26).fork()).ldelim();
-        if (message.syncResponse != null && message.hasOwnProperty("syncResponse"))
-            $root.SyncResponse.encode(message.syncResponse, writer.uint32(/* id 4, wireType 2 =*/34).fork()).ldelim();
-        if (message.notification != null && message.hasOwnProperty("notification"))
-            $root.Notification.encode(message.notification, writer.uint32(/* id 5, wireType 2 =*/42).fork()).ldelim();
-        if (message.ping != null && message.hasOwnProperty("ping"))
-            $root.Ping.encode(message.ping, writer.uint32(/* id 6, wireType 2 =*/50).fork()).ldelim();
-        if (message.pong != null && message.hasOwnProperty("pong"))
-            $root.Pong.encode(message.pong, writer.uint32(/* id 7, wireType 2 =*/58).fork()).ldelim();
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.publicKey);
+        if (message.displayPaths != null && message.displayPaths.length)
+            for (var i = 0; i < message.displayPaths.length; ++i)
+                $root.Member.DisplayPath.encode(message.displayPaths[i], writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
+        if (message.inviter != null && message.hasOwnProperty("inviter"))
+            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.inviter);
+        if (message.firstPostAt != null && message.hasOwnProperty("firstPostAt"))
+            writer.uint32(/* id 4, wireType 1 =*/33).double(message.firstPostAt);
+        if (message.lastPostAt != null && message.hasOwnProperty("lastPostAt"))
+            writer.uint32(/* id 5, wireType 1 =*/41).double(message.lastPostAt);
+        if (message.validTo != null && message.hasOwnProperty("validTo"))
+            writer.uint32(/* id 6, wireType 1 =*/49).double(message.validTo);
         return writer;
     };
 
     /**
-     * Encodes the specified Packet message, length delimited. Does not implicitly {@link Packet.verify|verify} messages.
+     * Encodes the specified Member message, length delimited. Does not implicitly {@link Member.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Packet
+     * @memberof Member
      * @static
-     * @param {IPacket} message Packet message or plain object to encode
+     * @param {IMember} message Member message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Packet.encodeDelimited = function encodeDelimited(message, writer) {
+    Member.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a Packet message from the specified reader or buffer.
+     * Decodes a Member message from the specified reader or buffer.
      * @function decode
-     * @memberof Packet
+     * @memberof Member
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Packet} Packet
+     * @returns {Member} Member
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Packet.decode = function decode(reader, length) {
+    Member.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Packet();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Member();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.error = $root.Error.decode(reader, reader.uint32());
+                message.publicKey = reader.bytes();
                 break;
             case 2:
-                message.invite = $root.EncryptedInvite.decode(reader, reader.uint32());
+                if (!(message.displayPaths && message.displayPaths.length))
+                    message.displayPaths = [];
+                message.displayPaths.push($root.Member.DisplayPath.decode(reader, reader.uint32()));
                 break;
             case 3:
-                message.syncRequest = $root.SyncRequest.decode(reader, reader.uint32());
+                message.inviter = reader.bytes();
                 break;
             case 4:
-                message.syncResponse = $root.SyncResponse.decode(reader, reader.uint32());
+                message.firstPostAt = reader.double();
                 break;
             case 5:
-                message.notification = $root.Notification.decode(reader, reader.uint32());
+                message.lastPostAt = reader.double();
                 break;
             case 6:
-                message.ping = $root.Ping.decode(reader, reader.uint32());
-                break;
-            case 7:
-                message.pong = $root.Pong.decode(reader, reader.uint32());
+                message.validTo = reader.double();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -6162,242 +11600,392 @@ $root.Packet = (function() {
     };
 
     /**
-     * Decodes a Packet message from the specified reader or buffer, length delimited.
+     * Decodes a Member message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Packet
+     * @memberof Member
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Packet} Packet
+     * @returns {Member} Member
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Packet.decodeDelimited = function decodeDelimited(reader) {
+    Member.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a Packet message.
+     * Verifies a Member message.
      * @function verify
-     * @memberof Packet
+     * @memberof Member
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Packet.verify = function verify(message) {
+    Member.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        var properties = {};
-        if (message.error != null && message.hasOwnProperty("error")) {
-            properties.content = 1;
-            {
-                var error = $root.Error.verify(message.error);
-                if (error)
-                    return "error." + error;
-            }
-        }
-        if (message.invite != null && message.hasOwnProperty("invite")) {
-            if (properties.content === 1)
-                return "content: multiple values";
-            properties.content = 1;
-            {
-                var error = $root.EncryptedInvite.verify(message.invite);
-                if (error)
-                    return "invite." + error;
-            }
-        }
-        if (message.syncRequest != null && message.hasOwnProperty("syncRequest")) {
-            if (properties.content === 1)
-                return "content: multiple values";
-            properties.content = 1;
-            {
-                var error = $root.SyncRequest.verify(message.syncRequest);
-                if (error)
-                    return "syncRequest." + error;
-            }
-        }
-        if (message.syncResponse != null && message.hasOwnProperty("syncResponse")) {
-            if (properties.content === 1)
-                return "content: multiple values";
-            properties.content = 1;
-            {
-                var error = $root.SyncResponse.verify(message.syncResponse);
-                if (error)
-                    return "syncResponse." + error;
-            }
-        }
-        if (message.notification != null && message.hasOwnProperty("notification")) {
-            if (properties.content === 1)
-                return "content: multiple values";
-            properties.content = 1;
-            {
-                var error = $root.Notification.verify(message.notification);
-                if (error)
-                    return "notification." + error;
-            }
-        }
-        if (message.ping != null && message.hasOwnProperty("ping")) {
-            if (properties.content === 1)
-                return "content: multiple values";
-            properties.content = 1;
-            {
-                var error = $root.Ping.verify(message.ping);
-                if (error)
-                    return "ping." + error;
-            }
-        }
-        if (message.pong != null && message.hasOwnProperty("pong")) {
-            if (properties.content === 1)
-                return "content: multiple values";
-            properties.content = 1;
-            {
-                var error = $root.Pong.verify(message.pong);
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
+                return "publicKey: buffer expected";
+        if (message.displayPaths != null && message.hasOwnProperty("displayPaths")) {
+            if (!Array.isArray(message.displayPaths))
+                return "displayPaths: array expected";
+            for (var i = 0; i < message.displayPaths.length; ++i) {
+                var error = $root.Member.DisplayPath.verify(message.displayPaths[i]);
                 if (error)
-                    return "pong." + error;
+                    return "displayPaths." + error;
             }
         }
+        if (message.inviter != null && message.hasOwnProperty("inviter"))
+            if (!(message.inviter && typeof message.inviter.length === "number" || $util.isString(message.inviter)))
+                return "inviter: buffer expected";
+        if (message.firstPostAt != null && message.hasOwnProperty("firstPostAt"))
+            if (typeof message.firstPostAt !== "number")
+                return "firstPostAt: number expected";
+        if (message.lastPostAt != null && message.hasOwnProperty("lastPostAt"))
+            if (typeof message.lastPostAt !== "number")
+                return "lastPostAt: number expected";
+        if (message.validTo != null && message.hasOwnProperty("validTo"))
+            if (typeof message.validTo !== "number")
+                return "validTo: number expected";
         return null;
     };
 
     /**
-     * Creates a Packet message from a plain object. Also converts values to their respective internal types.
+     * Creates a Member message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Packet
+     * @memberof Member
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Packet} Packet
+     * @returns {Member} Member
      */
-    Packet.fromObject = function fromObject(object) {
-        if (object instanceof $root.Packet)
+    Member.fromObject = function fromObject(object) {
+        if (object instanceof $root.Member)
             return object;
-        var message = new $root.Packet();
-        if (object.error != null) {
-            if (typeof object.error !== "object")
-                throw TypeError(".Packet.error: object expected");
-            message.error = $root.Error.fromObject(object.error);
-        }
-        if (object.invite != null) {
-            if (typeof object.invite !== "object")
-                throw TypeError(".Packet.invite: object expected");
-            message.invite = $root.EncryptedInvite.fromObject(object.invite);
-        }
-        if (object.syncRequest != null) {
-            if (typeof object.syncRequest !== "object")
-                throw TypeError(".Packet.syncRequest: object expected");
-            message.syncRequest = $root.SyncRequest.fromObject(object.syncRequest);
-        }
-        if (object.syncResponse != null) {
-            if (typeof object.syncResponse !== "object")
-                throw TypeError(".Packet.syncResponse: object expected");
-            message.syncResponse = $root.SyncResponse.fromObject(object.syncResponse);
-        }
-        if (object.notification != null) {
-            if (typeof object.notification !== "object")
-                throw TypeError(".Packet.notification: object expected");
-            message.notification = $root.Notification.fromObject(object.notification);
-        }
-        if (object.ping != null) {
-            if (typeof object.ping !== "object")
-                throw TypeError(".Packet.ping: object expected");
-            message.ping = $root.Ping.fromObject(object.ping);
-        }
-        if (object.pong != null) {
-            if (typeof object.pong !== "object")
-                throw TypeError(".Packet.pong: object expected");
-            message.pong = $root.Pong.fromObject(object.pong);
+        var message = new $root.Member();
+        if (object.publicKey != null)
+            if (typeof object.publicKey === "string")
+                $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
+            else if (object.publicKey.length)
+                message.publicKey = object.publicKey;
+        if (object.displayPaths) {
+            if (!Array.isArray(object.displayPaths))
+                throw TypeError(".Member.displayPaths: array expected");
+            message.displayPaths = [];
+            for (var i = 0; i < object.displayPaths.length; ++i) {
+                if (typeof object.displayPaths[i] !== "object")
+                    throw TypeError(".Member.displayPaths: object expected");
+                message.displayPaths[i] = $root.Member.DisplayPath.fromObject(object.displayPaths[i]);
+            }
         }
+        if (object.inviter != null)
+            if (typeof object.inviter === "string")
+                $util.base64.decode(object.inviter, message.inviter = $util.newBuffer($util.base64.length(object.inviter)), 0);
+            else if (object.inviter.length)
+                message.inviter = object.inviter;
+        if (object.firstPostAt != null)
+            message.firstPostAt = Number(object.firstPostAt);
+        if (object.lastPostAt != null)
+            message.lastPostAt = Number(object.lastPostAt);
+        if (object.validTo != null)
+            message.validTo = Number(object.validTo);
         return message;
     };
 
     /**
-     * Creates a plain object from a Packet message. Also converts values to other types if specified.
+     * Creates a plain object from a Member message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Packet
+     * @memberof Member
      * @static
-     * @param {Packet} message Packet
+     * @param {Member} message Member
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Packet.toObject = function toObject(message, options) {
+    Member.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (message.error != null && message.hasOwnProperty("error")) {
-            object.error = $root.Error.toObject(message.error, options);
-            if (options.oneofs)
-                object.content = "error";
-        }
-        if (message.invite != null && message.hasOwnProperty("invite")) {
-            object.invite = $root.EncryptedInvite.toObject(message.invite, options);
-            if (options.oneofs)
-                object.content = "invite";
-        }
-        if (message.syncRequest != null && message.hasOwnProperty("syncRequest")) {
-            object.syncRequest = $root.SyncRequest.toObject(message.syncRequest, options);
-            if (options.oneofs)
-                object.content = "syncRequest";
-        }
-        if (message.syncResponse != null && message.hasOwnProperty("syncResponse")) {
-            object.syncResponse = $root.SyncResponse.toObject(message.syncResponse, options);
-            if (options.oneofs)
-                object.content = "syncResponse";
-        }
-        if (message.notification != null && message.hasOwnProperty("notification")) {
-            object.notification = $root.Notification.toObject(message.notification, options);
-            if (options.oneofs)
-                object.content = "notification";
-        }
-        if (message.ping != null && message.hasOwnProperty("ping")) {
-            object.ping = $root.Ping.toObject(message.ping, options);
-            if (options.oneofs)
-                object.content = "ping";
+        if (options.arrays || options.defaults)
+            object.displayPaths = [];
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.publicKey = "";
+            else {
+                object.publicKey = [];
+                if (options.bytes !== Array)
+                    object.publicKey = $util.newBuffer(object.publicKey);
+            }
+            if (options.bytes === String)
+                object.inviter = "";
+            else {
+                object.inviter = [];
+                if (options.bytes !== Array)
+                    object.inviter = $util.newBuffer(object.inviter);
+            }
+            object.firstPostAt = 0;
+            object.lastPostAt = 0;
+            object.validTo = 0;
         }
-        if (message.pong != null && message.hasOwnProperty("pong")) {
-            object.pong = $root.Pong.toObject(message.pong, options);
-            if (options.oneofs)
-                object.content = "pong";
+        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+            object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
+        if (message.displayPaths && message.displayPaths.length) {
+            object.displayPaths = [];
+            for (var j = 0; j < message.displayPaths.length; ++j)
+                object.displayPaths[j] = $root.Member.DisplayPath.toObject(message.displayPaths[j], options);
         }
+        if (message.inviter != null && message.hasOwnProperty("inviter"))
+            object.inviter = options.bytes === String ? $util.base64.encode(message.inviter, 0, message.inviter.length) : options.bytes === Array ? Array.prototype.slice.call(message.inviter) : message.inviter;
+        if (message.firstPostAt != null && message.hasOwnProperty("firstPostAt"))
+            object.firstPostAt = options.json && !isFinite(message.firstPostAt) ? String(message.firstPostAt) : message.firstPostAt;
+        if (message.lastPostAt != null && message.hasOwnProperty("lastPostAt"))
+            object.lastPostAt = options.json && !isFinite(message.lastPostAt) ? String(message.lastPostAt) : message.lastPostAt;
+        if (message.validTo != null && message.hasOwnProperty("validTo"))
+            object.validTo = options.json && !isFinite(message.validTo) ? String(message.validTo) : message.validTo;
         return object;
     };
 
     /**
-     * Converts this Packet to JSON.
+     * Converts this Member to JSON.
      * @function toJSON
-     * @memberof Packet
+     * @memberof Member
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    Packet.prototype.toJSON = function toJSON() {
+    Member.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    return Packet;
+    Member.DisplayPath = (function() {
+
+        /**
+         * Properties of a DisplayPath.
+         * @memberof Member
+         * @interface IDisplayPath
+         * @property {Array.<string>|null} [names] DisplayPath names
+         */
+
+        /**
+         * Constructs a new DisplayPath.
+         * @memberof Member
+         * @classdesc Represents a DisplayPath.
+         * @implements IDisplayPath
+         * @constructor
+         * @param {Member.IDisplayPath=} [properties] Properties to set
+         */
+        function DisplayPath(properties) {
+            this.names = [];
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * DisplayPath names.
+         * @member {Array.<string>} names
+         * @memberof Member.DisplayPath
+         * @instance
+         */
+        DisplayPath.prototype.names = $util.emptyArray;
+
+        /**
+         * Creates a new DisplayPath instance using the specified properties.
+         * @function create
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {Member.IDisplayPath=} [properties] Properties to set
+         * @returns {Member.DisplayPath} DisplayPath instance
+         */
+        DisplayPath.create = function create(properties) {
+            return new DisplayPath(properties);
+        };
+
+        /**
+         * Encodes the specified DisplayPath message. Does not implicitly {@link Member.DisplayPath.verify|verify} messages.
+         * @function encode
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {Member.IDisplayPath} message DisplayPath message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        DisplayPath.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.names != null && message.names.length)
+                for (var i = 0; i < message.names.length; ++i)
+                    writer.uint32(/* id 1, wireType 2 =*/10).string(message.names[i]);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified DisplayPath message, length delimited. Does not implicitly {@link Member.DisplayPath.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {Member.IDisplayPath} message DisplayPath message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        DisplayPath.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes a DisplayPath message from the specified reader or buffer.
+         * @function decode
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {Member.DisplayPath} DisplayPath
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        DisplayPath.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Member.DisplayPath();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    if (!(message.names && message.names.length))
+                        message.names = [];
+                    message.names.push(reader.string());
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes a DisplayPath message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {Member.DisplayPath} DisplayPath
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        DisplayPath.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies a DisplayPath message.
+         * @function verify
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        DisplayPath.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.names != null && message.hasOwnProperty("names")) {
+                if (!Array.isArray(message.names))
+                    return "names: array expected";
+                for (var i = 0; i < message.names.length; ++i)
+                    if (!$util.isString(message.names[i]))
+                        return "names: string[] expected";
+            }
+            return null;
+        };
+
+        /**
+         * Creates a DisplayPath message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {Member.DisplayPath} DisplayPath
+         */
+        DisplayPath.fromObject = function fromObject(object) {
+            if (object instanceof $root.Member.DisplayPath)
+                return object;
+            var message = new $root.Member.DisplayPath();
+            if (object.names) {
+                if (!Array.isArray(object.names))
+                    throw TypeError(".Member.DisplayPath.names: array expected");
+                message.names = [];
+                for (var i = 0; i < object.names.length; ++i)
+                    message.names[i] = String(object.names[i]);
+            }
+            return message;
+        };
+
+        /**
+         * Creates a plain object from a DisplayPath message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Member.DisplayPath
+         * @static
+         * @param {Member.DisplayPath} message DisplayPath
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        DisplayPath.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.arrays || options.defaults)
+                object.names = [];
+            if (message.names && message.names.length) {
+                object.names = [];
+                for (var j = 0; j < message.names.length; ++j)
+                    object.names[j] = message.names[j];
+            }
+            return object;
+        };
+
+        /**
+         * Converts this DisplayPath to JSON.
+         * @function toJSON
+         * @memberof Member.DisplayPath
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        DisplayPath.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return DisplayPath;
+    })();
+
+    return Member;
 })();
 
-$root.Identity = (function() {
+$root.Edit = (function() {
 
     /**
-     * Properties of an Identity.
-     * @exports IIdentity
-     * @interface IIdentity
-     * @property {string|null} [name] Identity name
-     * @property {Uint8Array|null} [publicKey] Identity publicKey
-     * @property {Uint8Array|null} [secretKey] Identity secretKey
-     * @property {Array.<Identity.IChannelChain>|null} [channelChains] Identity channelChains
-     * @property {string|null} [metadata] Identity metadata
+     * Properties of an Edit.
+     * @exports IEdit
+     * @interface IEdit
+     * @property {Uint8Array|null} [target] Edit target
+     * @property {Uint8Array|null} [hash] Edit hash
+     * @property {number|null} [timestamp] Edit timestamp
+     * @property {number|Long|null} [height] Edit height
+     * @property {string|null} [text] Edit text
+     * @property {boolean|null} [isDeleted] Edit isDeleted
      */
 
     /**
-     * Constructs a new Identity.
-     * @exports Identity
-     * @classdesc Represents an Identity.
-     * @implements IIdentity
+     * Constructs a new Edit.
+     * @exports Edit
+     * @classdesc Represents an Edit.
+     * @implements IEdit
      * @constructor
-     * @param {IIdentity=} [properties] Properties to set
+     * @param {IEdit=} [properties] Properties to set
      */
-    function Identity(properties) {
-        this.channelChains = [];
+    function Edit(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -6405,130 +11993,140 @@ $root.Identity = (function() {
     }
 
     /**
-     * Identity name.
-     * @member {string} name
-     * @memberof Identity
+     * Edit target.
+     * @member {Uint8Array} target
+     * @memberof Edit
      * @instance
      */
-    Identity.prototype.name = "";
+    Edit.prototype.target = $util.newBuffer([]);
 
     /**
-     * Identity publicKey.
-     * @member {Uint8Array} publicKey
-     * @memberof Identity
+     * Edit hash.
+     * @member {Uint8Array} hash
+     * @memberof Edit
+     * @instance
+     */
+    Edit.prototype.hash = $util.newBuffer([]);
+
+    /**
+     * Edit timestamp.
+     * @member {number} timestamp
+     * @memberof Edit
      * @instance
      */
-    Identity.prototype.publicKey = $util.newBuffer([]);
+    Edit.prototype.timestamp = 0;
 
     /**
-     * Identity secretKey.
-     * @member {Uint8Array} secretKey
-     * @memberof Identity
+     * Edit height.
+     * @member {number|Long} height
+     * @memberof Edit
      * @instance
      */
-    Identity.prototype.secretKey = $util.newBuffer([]);
+    Edit.prototype.height = $util.Long ? $util.Long.fromBits(0,0,false) : 0;
 
     /**
-     * Identity channelChains.
-     * @member {Array.<Identity.IChannelChain>} channelChains
-     * @memberof Identity
+     * Edit text.
+     * @member {string} text
+     * @memberof Edit
      * @instance
      */
-    Identity.prototype.channelChains = $util.emptyArray;
+    Edit.prototype.text = "";
 
     /**
-     * Identity metadata.
-     * @member {string} metadata
-     * @memberof Identity
+     * Edit isDeleted.
+     * @member {boolean} isDeleted
+     * @memberof Edit
      * @instance
      */
-    Identity.prototype.metadata = "";
+    Edit.prototype.isDeleted = false;
 
     /**
-     * Creates a new Identity instance using the specified properties.
+     * Creates a new Edit instance using the specified properties.
      * @function create
-     * @memberof Identity
+     * @memberof Edit
      * @static
-     * @param {IIdentity=} [properties] Properties to set
-     * @returns {Identity} Identity instance
+     * @param {IEdit=} [properties] Properties to set
+     * @returns {Edit} Edit instance
      */
-    Identity.create = function create(properties) {
-        return new Identity(properties);
+    Edit.create = function create(properties) {
+        return new Edit(properties);
     };
 
     /**
-     * Encodes the specified Identity message. Does not implicitly {@link Identity.verify|verify} messages.
+     * Encodes the specified Edit message. Does not implicitly {@link Edit.verify|verify} messages.
      * @function encode
-     * @memberof Identity
+     * @memberof Edit
      * @static
-     * @param {IIdentity} message Identity message or plain object to encode
+     * @param {IEdit} message Edit message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Identity.encode = function encode(message, writer) {
+    Edit.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.name != null && message.hasOwnProperty("name"))
-            writer.uint32(/* id 1, wireType 2 =*/10).string(message.name);
-        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
-            writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.publicKey);
-        if (message.secretKey != null && message.hasOwnProperty("secretKey"))
-            writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.secretKey);
-        if (message.channelChains != null && message.channelChains.length)
-            for (var i = 0; i < message.channelChains.length; ++i)
-                $root.Identity.ChannelChain.encode(message.channelChains[i], writer.uint32(/* id 4, wireType 2 =*/34).fork()).ldelim();
-        if (message.metadata != null && message.hasOwnProperty("metadata"))
-            writer.uint32(/* id 5, wireType 2 =*/42).string(message.metadata);
+        if (message.target != null && message.hasOwnProperty("target"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.target);
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.hash);
+        if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+            writer.uint32(/* id 3, wireType 1 =*/25).double(message.timestamp);
+        if (message.text != null && message.hasOwnProperty("text"))
+            writer.uint32(/* id 4, wireType 2 =*/34).string(message.text);
+        if (message.isDeleted != null && message.hasOwnProperty("isDeleted"))
+            writer.uint32(/* id 5, wireType 0 =*/40).bool(message.isDeleted);
+        if (message.height != null && message.hasOwnProperty("height"))
+            writer.uint32(/* id 6, wireType 0 =*/48).int64(message.height);
         return writer;
     };
 
     /**
-     * Encodes the specified Identity message, length delimited. Does not implicitly {@link Identity.verify|verify} messages.
+     * Encodes the specified Edit message, length delimited. Does not implicitly {@link Edit.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Identity
+     * @memberof Edit
      * @static
-     * @param {IIdentity} message Identity message or plain object to encode
+     * @param {IEdit} message Edit message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Identity.encodeDelimited = function encodeDelimited(message, writer) {
+    Edit.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes an Identity message from the specified reader or buffer.
+     * Decodes an Edit message from the specified reader or buffer.
      * @function decode
-     * @memberof Identity
+     * @memberof Edit
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Identity} Identity
+     * @returns {Edit} Edit
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Identity.decode = function decode(reader, length) {
+    Edit.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Identity();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Edit();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.name = reader.string();
+                message.target = reader.bytes();
                 break;
             case 2:
-                message.publicKey = reader.bytes();
+                message.hash = reader.bytes();
                 break;
             case 3:
-                message.secretKey = reader.bytes();
+                message.timestamp = reader.double();
+                break;
+            case 6:
+                message.height = reader.int64();
                 break;
             case 4:
-                if (!(message.channelChains && message.channelChains.length))
-                    message.channelChains = [];
-                message.channelChains.push($root.Identity.ChannelChain.decode(reader, reader.uint32()));
+                message.text = reader.string();
                 break;
             case 5:
-                message.metadata = reader.string();
+                message.isDeleted = reader.bool();
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -6539,419 +12137,422 @@ $root.Identity = (function() {
     };
 
     /**
-     * Decodes an Identity message from the specified reader or buffer, length delimited.
+     * Decodes an Edit message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Identity
+     * @memberof Edit
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Identity} Identity
+     * @returns {Edit} Edit
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Identity.decodeDelimited = function decodeDelimited(reader) {
+    Edit.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies an Identity message.
+     * Verifies an Edit message.
      * @function verify
-     * @memberof Identity
+     * @memberof Edit
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Identity.verify = function verify(message) {
+    Edit.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.name != null && message.hasOwnProperty("name"))
-            if (!$util.isString(message.name))
-                return "name: string expected";
-        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
-            if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
-                return "publicKey: buffer expected";
-        if (message.secretKey != null && message.hasOwnProperty("secretKey"))
-            if (!(message.secretKey && typeof message.secretKey.length === "number" || $util.isString(message.secretKey)))
-                return "secretKey: buffer expected";
-        if (message.channelChains != null && message.hasOwnProperty("channelChains")) {
-            if (!Array.isArray(message.channelChains))
-                return "channelChains: array expected";
-            for (var i = 0; i < message.channelChains.length; ++i) {
-                var error = $root.Identity.ChannelChain.verify(message.channelChains[i]);
-                if (error)
-                    return "channelChains." + error;
-            }
-        }
-        if (message.metadata != null && message.hasOwnProperty("metadata"))
-            if (!$util.isString(message.metadata))
-                return "metadata: string expected";
+        if (message.target != null && message.hasOwnProperty("target"))
+            if (!(message.target && typeof message.target.length === "number" || $util.isString(message.target)))
+                return "target: buffer expected";
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            if (!(message.hash && typeof message.hash.length === "number" || $util.isString(message.hash)))
+                return "hash: buffer expected";
+        if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+            if (typeof message.timestamp !== "number")
+                return "timestamp: number expected";
+        if (message.height != null && message.hasOwnProperty("height"))
+            if (!$util.isInteger(message.height) && !(message.height && $util.isInteger(message.height.low) && $util.isInteger(message.height.high)))
+                return "height: integer|Long expected";
+        if (message.text != null && message.hasOwnProperty("text"))
+            if (!$util.isString(message.text))
+                return "text: string expected";
+        if (message.isDeleted != null && message.hasOwnProperty("isDeleted"))
+            if (typeof message.isDeleted !== "boolean")
+                return "isDeleted: boolean expected";
         return null;
     };
 
     /**
-     * Creates an Identity message from a plain object. Also converts values to their respective internal types.
+     * Creates an Edit message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Identity
+     * @memberof Edit
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Identity} Identity
+     * @returns {Edit} Edit
      */
-    Identity.fromObject = function fromObject(object) {
-        if (object instanceof $root.Identity)
+    Edit.fromObject = function fromObject(object) {
+        if (object instanceof $root.Edit)
             return object;
-        var message = new $root.Identity();
-        if (object.name != null)
-            message.name = String(object.name);
-        if (object.publicKey != null)
-            if (typeof object.publicKey === "string")
-                $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
-            else if (object.publicKey.length)
-                message.publicKey = object.publicKey;
-        if (object.secretKey != null)
-            if (typeof object.secretKey === "string")
-                $util.base64.decode(object.secretKey, message.secretKey = $util.newBuffer($util.base64.length(object.secretKey)), 0);
-            else if (object.secretKey.length)
-                message.secretKey = object.secretKey;
-        if (object.channelChains) {
-            if (!Array.isArray(object.channelChains))
-                throw TypeError(".Identity.channelChains: array expected");
-            message.channelChains = [];
-            for (var i = 0; i < object.channelChains.length; ++i) {
-                if (typeof object.channelChains[i] !== "object")
-                    throw TypeError(".Identity.channelChains: object expected");
-                message.channelChains[i] = $root.Identity.ChannelChain.fromObject(object.channelChains[i]);
-            }
-        }
-        if (object.metadata != null)
-            message.metadata = String(object.metadata);
+        var message = new $root.Edit();
+        if (object.target != null)
+            if (typeof object.target === "string")
+                $util.base64.decode(object.target, message.target = $util.newBuffer($util.base64.length(object.target)), 0);
+            else if (object.target.length)
+                message.target = object.target;
+        if (object.hash != null)
+            if (typeof object.hash === "string")
+                $util.base64.decode(object.hash, message.hash = $util.newBuffer($util.base64.length(object.hash)), 0);
+            else if (object.hash.length)
+                message.hash = object.hash;
+        if (object.timestamp != null)
+            message.timestamp = Number(object.timestamp);
+        if (object.height != null)
+            if ($util.Long)
+                (message.height = $util.Long.fromValue(object.height)).unsigned = false;
+            else if (typeof object.height === "string")
+                message.height = parseInt(object.height, 10);
+            else if (typeof object.height === "number")
+                message.height = object.height;
+            else if (typeof object.height === "object")
+                message.height = new $util.LongBits(object.height.low >>> 0, object.height.high >>> 0).toNumber();
+        if (object.text != null)
+            message.text = String(object.text);
+        if (object.isDeleted != null)
+            message.isDeleted = Boolean(object.isDeleted);
         return message;
     };
 
     /**
-     * Creates a plain object from an Identity message. Also converts values to other types if specified.
+     * Creates a plain object from an Edit message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Identity
+     * @memberof Edit
      * @static
-     * @param {Identity} message Identity
+     * @param {Edit} message Edit
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Identity.toObject = function toObject(message, options) {
+    Edit.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.arrays || options.defaults)
-            object.channelChains = [];
         if (options.defaults) {
-            object.name = "";
             if (options.bytes === String)
-                object.publicKey = "";
+                object.target = "";
             else {
-                object.publicKey = [];
+                object.target = [];
                 if (options.bytes !== Array)
-                    object.publicKey = $util.newBuffer(object.publicKey);
+                    object.target = $util.newBuffer(object.target);
             }
             if (options.bytes === String)
-                object.secretKey = "";
+                object.hash = "";
             else {
-                object.secretKey = [];
+                object.hash = [];
                 if (options.bytes !== Array)
-                    object.secretKey = $util.newBuffer(object.secretKey);
+                    object.hash = $util.newBuffer(object.hash);
             }
-            object.metadata = "";
-        }
-        if (message.name != null && message.hasOwnProperty("name"))
-            object.name = message.name;
-        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
-            object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
-        if (message.secretKey != null && message.hasOwnProperty("secretKey"))
-            object.secretKey = options.bytes === String ? $util.base64.encode(message.secretKey, 0, message.secretKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.secretKey) : message.secretKey;
-        if (message.channelChains && message.channelChains.length) {
-            object.channelChains = [];
-            for (var j = 0; j < message.channelChains.length; ++j)
-                object.channelChains[j] = $root.Identity.ChannelChain.toObject(message.channelChains[j], options);
+            object.timestamp = 0;
+            object.text = "";
+            object.isDeleted = false;
+            if ($util.Long) {
+                var long = new $util.Long(0, 0, false);
+                object.height = options.longs === String ? long.toString() : options.longs === Number ? long.toNumber() : long;
+            } else
+                object.height = options.longs === String ? "0" : 0;
         }
-        if (message.metadata != null && message.hasOwnProperty("metadata"))
-            object.metadata = message.metadata;
+        if (message.target != null && message.hasOwnProperty("target"))
+            object.target = options.bytes === String ? $util.base64.encode(message.target, 0, message.target.length) : options.bytes === Array ? Array.prototype.slice.call(message.target) : message.target;
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            object.hash = options.bytes === String ? $util.base64.encode(message.hash, 0, message.hash.length) : options.bytes === Array ? Array.prototype.slice.call(message.hash) : message.hash;
+        if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+            object.timestamp = options.json && !isFinite(message.timestamp) ? String(message.timestamp) : message.timestamp;
+        if (message.text != null && message.hasOwnProperty("text"))
+            object.text = message.text;
+        if (message.isDeleted != null && message.hasOwnProperty("isDeleted"))
+            object.isDeleted = message.isDeleted;
+        if (message.height != null && message.hasOwnProperty("height"))
+            if (typeof message.height === "number")
+                object.height = options.longs === String ? String(message.height) : message.height;
+            else
+                object.height = options.longs === String ? $util.Long.prototype.toString.call(message.height) : options.longs === Number ? new $util.LongBits(message.height.low >>> 0, message.height.high >>> 0).toNumber() : message.height;
         return object;
     };
 
     /**
-     * Converts this Identity to JSON.
+     * Converts this Edit to JSON.
      * @function toJSON
-     * @memberof Identity
+     * @memberof Edit
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    Identity.prototype.toJSON = function toJSON() {
+    Edit.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    Identity.ChannelChain = (function() {
-
-        /**
-         * Properties of a ChannelChain.
-         * @memberof Identity
-         * @interface IChannelChain
-         * @property {Uint8Array|null} [channelId] ChannelChain channelId
-         * @property {Array.<ILink>|null} [links] ChannelChain links
-         */
-
-        /**
-         * Constructs a new ChannelChain.
-         * @memberof Identity
-         * @classdesc Represents a ChannelChain.
-         * @implements IChannelChain
-         * @constructor
-         * @param {Identity.IChannelChain=} [properties] Properties to set
-         */
-        function ChannelChain(properties) {
-            this.links = [];
-            if (properties)
-                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
-                    if (properties[keys[i]] != null)
-                        this[keys[i]] = properties[keys[i]];
-        }
+    return Edit;
+})();
 
-        /**
-         * ChannelChain channelId.
-         * @member {Uint8Array} channelId
-         * @memberof Identity.ChannelChain
-         * @instance
-         */
-        ChannelChain.prototype.channelId = $util.newBuffer([]);
+$root.Thread = (function() {
 
-        /**
-         * ChannelChain links.
-         * @member {Array.<ILink>} links
-         * @memberof Identity.ChannelChain
-         * @instance
-         */
-        ChannelChain.prototype.links = $util.emptyArray;
+    /**
+     * Properties of a Thread.
+     * @exports IThread
+     * @interface IThread
+     * @property {Uint8Array|null} [root] Thread root
+     * @property {number|null} [replyCount] Thread replyCount
+     * @property {number|null} [lastReplyAt] Thread lastReplyAt
+     */
 
-        /**
-         * Creates a new ChannelChain instance using the specified properties.
-         * @function create
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {Identity.IChannelChain=} [properties] Properties to set
-         * @returns {Identity.ChannelChain} ChannelChain instance
-         */
-        ChannelChain.create = function create(properties) {
-            return new ChannelChain(properties);
-        };
+    /**
+     * Constructs a new Thread.
+     * @exports Thread
+     * @classdesc Represents a Thread.
+     * @implements IThread
+     * @constructor
+     * @param {IThread=} [properties] Properties to set
+     */
+    function Thread(properties) {
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
 
-        /**
-         * Encodes the specified ChannelChain message. Does not implicitly {@link Identity.ChannelChain.verify|verify} messages.
-         * @function encode
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {Identity.IChannelChain} message ChannelChain message or plain object to encode
-         * @param {$protobuf.Writer} [writer] Writer to encode to
-         * @returns {$protobuf.Writer} Writer
-         */
-        ChannelChain.encode = function encode(message, writer) {
-            if (!writer)
-                writer = $Writer.create();
-            if (message.channelId != null && message.hasOwnProperty("channelId"))
-                writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.channelId);
-            if (message.links != null && message.links.length)
-                for (var i = 0; i < message.links.length; ++i)
-                    $root.Link.encode(message.links[i], writer.uint32(/* id 2, wireType 2 =*/18).fork()).ldelim();
-            return writer;
-        };
+    /**
+     * Thread root.
+     * @member {Uint8Array} root
+     * @memberof Thread
+     * @instance
+     */
+    Thread.prototype.root = $util.newBuffer([]);
 
-        /**
-         * Encodes the specified ChannelChain message, length delimited. Does not implicitly {@link Identity.ChannelChain.verify|verify} messages.
-         * @function encodeDelimited
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {Identity.IChannelChain} message ChannelChain message or plain object to encode
-         * @param {$protobuf.Writer} [writer] Writer to encode to
-         * @returns {$protobuf.Writer} Writer
-         */
-        ChannelChain.encodeDelimited = function encodeDelimited(message, writer) {
-            return this.encode(message, writer).ldelim();
-        };
+    /**
+     * Thread replyCount.
+     * @member {number} replyCount
+     * @memberof Thread
+     * @instance
+     */
+    Thread.prototype.replyCount = 0;
 
-        /**
-         * Decodes a ChannelChain message from the specified reader or buffer.
-         * @function decode
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @param {number} [length] Message length if known beforehand
-         * @returns {Identity.ChannelChain} ChannelChain
-         * @throws {Error} If the payload is not a reader or valid buffer
-         * @throws {$protobuf.util.ProtocolError} If required fields are missing
-         */
-        ChannelChain.decode = function decode(reader, length) {
-            if (!(reader instanceof $Reader))
-                reader = $Reader.create(reader);
-            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Identity.ChannelChain();
-            while (reader.pos < end) {
-                var tag = reader.uint32();
-                switch (tag >>> 3) {
-                case 1:
-                    message.channelId = reader.bytes();
-                    break;
-                case 2:
-                    if (!(message.links && message.links.length))
-                        message.links = [];
-                    message.links.push($root.Link.decode(reader, reader.uint32()));
-                    break;
-                default:
-                    reader.skipType(tag & 7);
-                    break;
-                }
-            }
-            return message;
-        };
+    /**
+     * Thread lastReplyAt.
+     * @member {number} lastReplyAt
+     * @memberof Thread
+     * @instance
+     */
+    Thread.prototype.lastReplyAt = 0;
 
-        /**
-         * Decodes a ChannelChain message from the specified reader or buffer, length delimited.
-         * @function decodeDelimited
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-         * @returns {Identity.ChannelChain} ChannelChain
-         * @throws {Error} If the payload is not a reader or valid buffer
-         * @throws {$protobuf.util.ProtocolError} If required fields are missing
-         */
-        ChannelChain.decodeDelimited = function decodeDelimited(reader) {
-            if (!(reader instanceof $Reader))
-                reader = new $Reader(reader);
-            return this.decode(reader, reader.uint32());
-        };
+    /**
+     * Creates a new Thread instance using the specified properties.
+     * @function create
+     * @memberof Thread
+     * @static
+     * @param {IThread=} [properties] Properties to set
+     * @returns {Thread} Thread instance
+     */
+    Thread.create = function create(properties) {
+        return new Thread(properties);
+    };
 
-        /**
-         * Verifies a ChannelChain message.
-         * @function verify
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {Object.<string,*>} message Plain object to verify
-         * @returns {string|null} `null` if valid, otherwise the reason why it is not
-         */
-        ChannelChain.verify = function verify(message) {
-            if (typeof message !== "object" || message === null)
-                return "object expected";
-            if (message.channelId != null && message.hasOwnProperty("channelId"))
-                if (!(message.channelId && typeof message.channelId.length === "number" || $util.isString(message.channelId)))
-                    return "channelId: buffer expected";
-            if (message.links != null && message.hasOwnProperty("links")) {
-                if (!Array.isArray(message.links))
-                    return "links: array expected";
-                for (var i = 0; i < message.links.length; ++i) {
-                    var error = $root.Link.verify(message.links[i]);
-                    if (error)
-                        return "links." + error;
-                }
-            }
-            return null;
-        };
+    /**
+     * Encodes the specified Thread message. Does not implicitly {@link Thread.verify|verify} messages.
+     * @function encode
+     * @memberof Thread
+     * @static
+     * @param {IThread} message Thread message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Thread.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.root != null && message.hasOwnProperty("root"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.root);
+        if (message.replyCount != null && message.hasOwnProperty("replyCount"))
+            writer.uint32(/* id 2, wireType 0 =*/16).uint32(message.replyCount);
+        if (message.lastReplyAt != null && message.hasOwnProperty("lastReplyAt"))
+            writer.uint32(/* id 3, wireType 1 =*/25).double(message.lastReplyAt);
+        return writer;
+    };
 
-        /**
-         * Creates a ChannelChain message from a plain object. Also converts values to their respective internal types.
-         * @function fromObject
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {Object.<string,*>} object Plain object
-         * @returns {Identity.ChannelChain} ChannelChain
-         */
-        ChannelChain.fromObject = function fromObject(object) {
-            if (object instanceof $root.Identity.ChannelChain)
-                return object;
-            var message = new $root.Identity.ChannelChain();
-            if (object.channelId != null)
-                if (typeof object.channelId === "string")
-                    $util.base64.decode(object.channelId, message.channelId = $util.newBuffer($util.base64.length(object.channelId)), 0);
-                else if (object.channelId.length)
-                    message.channelId = object.channelId;
-            if (object.links) {
-                if (!Array.isArray(object.links))
-                    throw TypeError(".Identity.ChannelChain.links: array expected");
-                message.links = [];
-                for (var i = 0; i < object.links.length; ++i) {
-                    if (typeof object.links[i] !== "object")
-                        throw TypeError(".Identity.ChannelChain.links: object expected");
-                    message.links[i] = $root.Link.fromObject(object.links[i]);
-                }
-            }
-            return message;
-        };
+    /**
+     * Encodes the specified Thread message, length delimited. Does not implicitly {@link Thread.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof Thread
+     * @static
+     * @param {IThread} message Thread message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    Thread.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
 
-        /**
-         * Creates a plain object from a ChannelChain message. Also converts values to other types if specified.
-         * @function toObject
-         * @memberof Identity.ChannelChain
-         * @static
-         * @param {Identity.ChannelChain} message ChannelChain
-         * @param {$protobuf.IConversionOptions} [options] Conversion options
-         * @returns {Object.<string,*>} Plain object
-         */
-        ChannelChain.toObject = function toObject(message, options) {
-            if (!options)
-                options = {};
-            var object = {};
-            if (options.arrays || options.defaults)
-                object.links = [];
-            if (options.defaults)
-                if (options.bytes === String)
-                    object.channelId = "";
-                else {
-                    object.channelId = [];
-                    if (options.bytes !== Array)
-                        object.channelId = $util.newBuffer(object.channelId);
-                }
-            if (message.channelId != null && message.hasOwnProperty("channelId"))
-                object.channelId = options.bytes === String ? $util.base64.encode(message.channelId, 0, message.channelId.length) : options.bytes === Array ? Array.prototype.slice.call(message.channelId) : message.channelId;
-            if (message.links && message.links.length) {
-                object.links = [];
-                for (var j = 0; j < message.links.length; ++j)
-                    object.links[j] = $root.Link.toObject(message.links[j], options);
+    /**
+     * Decodes a Thread message from the specified reader or buffer.
+     * @function decode
+     * @memberof Thread
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {Thread} Thread
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Thread.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Thread();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.root = reader.bytes();
+                break;
+            case 2:
+                message.replyCount = reader.uint32();
+                break;
+            case 3:
+                message.lastReplyAt = reader.double();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
             }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a Thread message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof Thread
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {Thread} Thread
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    Thread.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a Thread message.
+     * @function verify
+     * @memberof Thread
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    Thread.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.root != null && message.hasOwnProperty("root"))
+            if (!(message.root && typeof message.root.length === "number" || $util.isString(message.root)))
+                return "root: buffer expected";
+        if (message.replyCount != null && message.hasOwnProperty("replyCount"))
+            if (!$util.isInteger(message.replyCount))
+                return "replyCount: integer expected";
+        if (message.lastReplyAt != null && message.hasOwnProperty("lastReplyAt"))
+            if (typeof message.lastReplyAt !== "number")
+                return "lastReplyAt: number expected";
+        return null;
+    };
+
+    /**
+     * Creates a Thread message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof Thread
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {Thread} Thread
+     */
+    Thread.fromObject = function fromObject(object) {
+        if (object instanceof $root.Thread)
             return object;
-        };
+        var message = new $root.Thread();
+        if (object.root != null)
+            if (typeof object.root === "string")
+                $util.base64.decode(object.root, message.root = $util.newBuffer($util.base64.length(object.root)), 0);
+            else if (object.root.length)
+                message.root = object.root;
+        if (object.replyCount != null)
+            message.replyCount = object.replyCount >>> 0;
+        if (object.lastReplyAt != null)
+            message.lastReplyAt = Number(object.lastReplyAt);
+        return message;
+    };
 
-        /**
-         * Converts this ChannelChain to JSON.
-         * @function toJSON
-         * @memberof Identity.ChannelChain
-         * @instance
-         * @returns {Object.<string,*>} JSON object
-         */
-        ChannelChain.prototype.toJSON = function toJSON() {
-            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
-        };
+    /**
+     * Creates a plain object from a Thread message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof Thread
+     * @static
+     * @param {Thread} message Thread
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    Thread.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.root = "";
+            else {
+                object.root = [];
+                if (options.bytes !== Array)
+                    object.root = $util.newBuffer(object.root);
+            }
+            object.replyCount = 0;
+            object.lastReplyAt = 0;
+        }
+        if (message.root != null && message.hasOwnProperty("root"))
+            object.root = options.bytes === String ? $util.base64.encode(message.root, 0, message.root.length) : options.bytes === Array ? Array.prototype.slice.call(message.root) : message.root;
+        if (message.replyCount != null && message.hasOwnProperty("replyCount"))
+            object.replyCount = message.replyCount;
+        if (message.lastReplyAt != null && message.hasOwnProperty("lastReplyAt"))
+            object.lastReplyAt = options.json && !isFinite(message.lastReplyAt) ? String(message.lastReplyAt) : message.lastReplyAt;
+        return object;
+    };
 
-        return ChannelChain;
-    })();
+    /**
+     * Converts this Thread to JSON.
+     * @function toJSON
+     * @memberof Thread
+     * @instance
+     * @returns {Object.<string,*>} JSON object
+     */
+    Thread.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
 
-    return Identity;
+    return Thread;
 })();
 
-$root.Channel = (function() {
+$root.ThreadReply = (function() {
 
     /**
-     * Properties of a Channel.
-     * @exports IChannel
-     * @interface IChannel
-     * @property {Uint8Array|null} [publicKey] Channel publicKey
-     * @property {string|null} [name] Channel name
-     * @property {boolean|null} [isFeed] Channel isFeed
-     * @property {string|null} [metadata] Channel metadata
+     * Properties of a ThreadReply.
+     * @exports IThreadReply
+     * @interface IThreadReply
+     * @property {Uint8Array|null} [hash] ThreadReply hash
+     * @property {number|Long|null} [height] ThreadReply height
      */
 
     /**
-     * Constructs a new Channel.
-     * @exports Channel
-     * @classdesc Represents a Channel.
-     * @implements IChannel
+     * Constructs a new ThreadReply.
+     * @exports ThreadReply
+     * @classdesc Represents a ThreadReply.
+     * @implements IThreadReply
      * @constructor
-     * @param {IChannel=} [properties] Properties to set
+     * @param {IThreadReply=} [properties] Properties to set
      */
-    function Channel(properties) {
+    function ThreadReply(properties) {
         if (properties)
             for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
                 if (properties[keys[i]] != null)
@@ -6959,114 +12560,311 @@ $root.Channel = (function() {
     }
 
     /**
-     * Channel publicKey.
-     * @member {Uint8Array} publicKey
-     * @memberof Channel
+     * ThreadReply hash.
+     * @member {Uint8Array} hash
+     * @memberof ThreadReply
      * @instance
      */
-    Channel.prototype.publicKey = $util.newBuffer([]);
+    ThreadReply.prototype.hash = $util.newBuffer([]);
 
     /**
-     * Channel name.
-     * @member {string} name
-     * @memberof Channel
+     * ThreadReply height.
+     * @member {number|Long} height
+     * @memberof ThreadReply
      * @instance
      */
-    Channel.prototype.name = "";
+    ThreadReply.prototype.height = $util.Long ? $util.Long.fromBits(0,0,false) : 0;
 
     /**
-     * Channel isFeed.
-     * @member {boolean} isFeed
-     * @memberof Channel
+     * Creates a new ThreadReply instance using the specified properties.
+     * @function create
+     * @memberof ThreadReply
+     * @static
+     * @param {IThreadReply=} [properties] Properties to set
+     * @returns {ThreadReply} ThreadReply instance
+     */
+    ThreadReply.create = function create(properties) {
+        return new ThreadReply(properties);
+    };
+
+    /**
+     * Encodes the specified ThreadReply message. Does not implicitly {@link ThreadReply.verify|verify} messages.
+     * @function encode
+     * @memberof ThreadReply
+     * @static
+     * @param {IThreadReply} message ThreadReply message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    ThreadReply.encode = function encode(message, writer) {
+        if (!writer)
+            writer = $Writer.create();
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.hash);
+        if (message.height != null && message.hasOwnProperty("height"))
+            writer.uint32(/* id 2, wireType 0 =*/16).int64(message.height);
+        return writer;
+    };
+
+    /**
+     * Encodes the specified ThreadReply message, length delimited. Does not implicitly {@link ThreadReply.verify|verify} messages.
+     * @function encodeDelimited
+     * @memberof ThreadReply
+     * @static
+     * @param {IThreadReply} message ThreadReply message or plain object to encode
+     * @param {$protobuf.Writer} [writer] Writer to encode to
+     * @returns {$protobuf.Writer} Writer
+     */
+    ThreadReply.encodeDelimited = function encodeDelimited(message, writer) {
+        return this.encode(message, writer).ldelim();
+    };
+
+    /**
+     * Decodes a ThreadReply message from the specified reader or buffer.
+     * @function decode
+     * @memberof ThreadReply
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @param {number} [length] Message length if known beforehand
+     * @returns {ThreadReply} ThreadReply
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    ThreadReply.decode = function decode(reader, length) {
+        if (!(reader instanceof $Reader))
+            reader = $Reader.create(reader);
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.ThreadReply();
+        while (reader.pos < end) {
+            var tag = reader.uint32();
+            switch (tag >>> 3) {
+            case 1:
+                message.hash = reader.bytes();
+                break;
+            case 2:
+                message.height = reader.int64();
+                break;
+            default:
+                reader.skipType(tag & 7);
+                break;
+            }
+        }
+        return message;
+    };
+
+    /**
+     * Decodes a ThreadReply message from the specified reader or buffer, length delimited.
+     * @function decodeDelimited
+     * @memberof ThreadReply
+     * @static
+     * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+     * @returns {ThreadReply} ThreadReply
+     * @throws {Error} If the payload is not a reader or valid buffer
+     * @throws {$protobuf.util.ProtocolError} If required fields are missing
+     */
+    ThreadReply.decodeDelimited = function decodeDelimited(reader) {
+        if (!(reader instanceof $Reader))
+            reader = new $Reader(reader);
+        return this.decode(reader, reader.uint32());
+    };
+
+    /**
+     * Verifies a ThreadReply message.
+     * @function verify
+     * @memberof ThreadReply
+     * @static
+     * @param {Object.<string,*>} message Plain object to verify
+     * @returns {string|null} `null` if valid, otherwise the reason why it is not
+     */
+    ThreadReply.verify = function verify(message) {
+        if (typeof message !== "object" || message === null)
+            return "object expected";
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            if (!(message.hash && typeof message.hash.length === "number" || $util.isString(message.hash)))
+                return "hash: buffer expected";
+        if (message.height != null && message.hasOwnProperty("height"))
+            if (!$util.isInteger(message.height) && !(message.height && $util.isInteger(message.height.low) && $util.isInteger(message.height.high)))
+                return "height: integer|Long expected";
+        return null;
+    };
+
+    /**
+     * Creates a ThreadReply message from a plain object. Also converts values to their respective internal types.
+     * @function fromObject
+     * @memberof ThreadReply
+     * @static
+     * @param {Object.<string,*>} object Plain object
+     * @returns {ThreadReply} ThreadReply
+     */
+    ThreadReply.fromObject = function fromObject(object) {
+        if (object instanceof $root.ThreadReply)
+            return object;
+        var message = new $root.ThreadReply();
+        if (object.hash != null)
+            if (typeof object.hash === "string")
+                $util.base64.decode(object.hash, message.hash = $util.newBuffer($util.base64.length(object.hash)), 0);
+            else if (object.hash.length)
+                message.hash = object.hash;
+        if (object.height != null)
+            if ($util.Long)
+                (message.height = $util.Long.fromValue(object.height)).unsigned = false;
+            else if (typeof object.height === "string")
+                message.height = parseInt(object.height, 10);
+            else if (typeof object.height === "number")
+                message.height = object.height;
+            else if (typeof object.height === "object")
+                message.height = new $util.LongBits(object.height.low >>> 0, object.height.high >>> 0).toNumber();
+        return message;
+    };
+
+    /**
+     * Creates a plain object from a ThreadReply message. Also converts values to other types if specified.
+     * @function toObject
+     * @memberof ThreadReply
+     * @static
+     * @param {ThreadReply} message ThreadReply
+     * @param {$protobuf.IConversionOptions} [options] Conversion options
+     * @returns {Object.<string,*>} Plain object
+     */
+    ThreadReply.toObject = function toObject(message, options) {
+        if (!options)
+            options = {};
+        var object = {};
+        if (options.defaults) {
+            if (options.bytes === String)
+                object.hash = "";
+            else {
+                object.hash = [];
+                if (options.bytes !== Array)
+                    object.hash = $util.newBuffer(object.hash);
+            }
+            if ($util.Long) {
+                var long = new $util.Long(0, 0, false);
+                object.height = options.longs === String ? long.toString() : options.longs === Number ? long.toNumber() : long;
+            } else
+                object.height = options.longs === String ? "0" : 0;
+        }
+        if (message.hash != null && message.hasOwnProperty("hash"))
+            object.hash = options.bytes === String ? $util.base64.encode(message.hash, 0, message.hash.length) : options.bytes === Array ? Array.prototype.slice.call(message.hash) : message.hash;
+        if (message.height != null && message.hasOwnProperty("height"))
+            if (typeof message.height === "number")
+                object.height = options.longs === String ? String(message.height) : message.height;
+            else
+                object.height = options.longs === String ? $util.Long.prototype.toString.call(message.height) : options.longs === Number ? new $util.LongBits(message.height.low >>> 0, message.height.high >>> 0).toNumber() : message.height;
+        return object;
+    };
+
+    /**
+     * Converts this ThreadReply to JSON.
+     * @function toJSON
+     * @memberof ThreadReply
      * @instance
+     * @returns {Object.<string,*>} JSON object
      */
-    Channel.prototype.isFeed = false;
+    ThreadReply.prototype.toJSON = function toJSON() {
+        return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+    };
+
+    return ThreadReply;
+})();
+
+$root.Reactions = (function() {
 
     /**
-     * Channel metadata.
-     * @member {string} metadata
-     * @memberof Channel
+     * Properties of a Reactions.
+     * @exports IReactions
+     * @interface IReactions
+     * @property {Array.<Reactions.IEntry>|null} [entries] Reactions entries
+     */
+
+    /**
+     * Constructs a new Reactions.
+     * @exports Reactions
+     * @classdesc Represents a Reactions.
+     * @implements IReactions
+     * @constructor
+     * @param {IReactions=} [properties] Properties to set
+     */
+    function Reactions(properties) {
+        this.entries = [];
+        if (properties)
+            for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                if (properties[keys[i]] != null)
+                    this[keys[i]] = properties[keys[i]];
+    }
+
+    /**
+     * Reactions entries.
+     * @member {Array.<Reactions.IEntry>} entries
+     * @memberof Reactions
      * @instance
      */
-    Channel.prototype.metadata = "";
+    Reactions.prototype.entries = $util.emptyArray;
 
     /**
-     * Creates a new Channel instance using the specified properties.
+     * Creates a new Reactions instance using the specified properties.
      * @function create
-     * @memberof Channel
+     * @memberof Reactions
      * @static
-     * @param {IChannel=} [properties] Properties to set
-     * @returns {Channel} Channel instance
+     * @param {IReactions=} [properties] Properties to set
+     * @returns {Reactions} Reactions instance
      */
-    Channel.create = function create(properties) {
-        return new Channel(properties);
+    Reactions.create = function create(properties) {
+        return new Reactions(properties);
     };
 
     /**
-     * Encodes the specified Channel message. Does not implicitly {@link Channel.verify|verify} messages.
+     * Encodes the specified Reactions message. Does not implicitly {@link Reactions.verify|verify} messages.
      * @function encode
-     * @memberof Channel
+     * @memberof Reactions
      * @static
-     * @param {IChannel} message Channel message or plain object to encode
+     * @param {IReactions} message Reactions message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Channel.encode = function encode(message, writer) {
+    Reactions.encode = function encode(message, writer) {
         if (!writer)
             writer = $Writer.create();
-        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
-            writer.uint32(/* id 1, wireType 2 =*/10).bytes(message.publicKey);
-        if (message.name != null && message.hasOwnProperty("name"))
-            writer.uint32(/* id 2, wireType 2 =*/18).string(message.name);
-        if (message.isFeed != null && message.hasOwnProperty("isFeed"))
-            writer.uint32(/* id 3, wireType 0 =*/24).bool(message.isFeed);
-        if (message.metadata != null && message.hasOwnProperty("metadata"))
-            writer.uint32(/* id 4, wireType 2 =*/34).string(message.metadata);
+        if (message.entries != null && message.entries.length)
+            for (var i = 0; i < message.entries.length; ++i)
+                $root.Reactions.Entry.encode(message.entries[i], writer.uint32(/* id 1, wireType 2 =*/10).fork()).ldelim();
         return writer;
     };
 
     /**
-     * Encodes the specified Channel message, length delimited. Does not implicitly {@link Channel.verify|verify} messages.
+     * Encodes the specified Reactions message, length delimited. Does not implicitly {@link Reactions.verify|verify} messages.
      * @function encodeDelimited
-     * @memberof Channel
+     * @memberof Reactions
      * @static
-     * @param {IChannel} message Channel message or plain object to encode
+     * @param {IReactions} message Reactions message or plain object to encode
      * @param {$protobuf.Writer} [writer] Writer to encode to
      * @returns {$protobuf.Writer} Writer
      */
-    Channel.encodeDelimited = function encodeDelimited(message, writer) {
+    Reactions.encodeDelimited = function encodeDelimited(message, writer) {
         return this.encode(message, writer).ldelim();
     };
 
     /**
-     * Decodes a Channel message from the specified reader or buffer.
+     * Decodes a Reactions message from the specified reader or buffer.
      * @function decode
-     * @memberof Channel
+     * @memberof Reactions
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
      * @param {number} [length] Message length if known beforehand
-     * @returns {Channel} Channel
+     * @returns {Reactions} Reactions
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Channel.decode = function decode(reader, length) {
+    Reactions.decode = function decode(reader, length) {
         if (!(reader instanceof $Reader))
             reader = $Reader.create(reader);
-        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Channel();
+        var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Reactions();
         while (reader.pos < end) {
             var tag = reader.uint32();
             switch (tag >>> 3) {
             case 1:
-                message.publicKey = reader.bytes();
-                break;
-            case 2:
-                message.name = reader.string();
-                break;
-            case 3:
-                message.isFeed = reader.bool();
-                break;
-            case 4:
-                message.metadata = reader.string();
+                if (!(message.entries && message.entries.length))
+                    message.entries = [];
+                message.entries.push($root.Reactions.Entry.decode(reader, reader.uint32()));
                 break;
             default:
                 reader.skipType(tag & 7);
@@ -7077,121 +12875,434 @@ $root.Channel = (function() {
     };
 
     /**
-     * Decodes a Channel message from the specified reader or buffer, length delimited.
+     * Decodes a Reactions message from the specified reader or buffer, length delimited.
      * @function decodeDelimited
-     * @memberof Channel
+     * @memberof Reactions
      * @static
      * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
-     * @returns {Channel} Channel
+     * @returns {Reactions} Reactions
      * @throws {Error} If the payload is not a reader or valid buffer
      * @throws {$protobuf.util.ProtocolError} If required fields are missing
      */
-    Channel.decodeDelimited = function decodeDelimited(reader) {
+    Reactions.decodeDelimited = function decodeDelimited(reader) {
         if (!(reader instanceof $Reader))
             reader = new $Reader(reader);
         return this.decode(reader, reader.uint32());
     };
 
     /**
-     * Verifies a Channel message.
+     * Verifies a Reactions message.
      * @function verify
-     * @memberof Channel
+     * @memberof Reactions
      * @static
      * @param {Object.<string,*>} message Plain object to verify
      * @returns {string|null} `null` if valid, otherwise the reason why it is not
      */
-    Channel.verify = function verify(message) {
+    Reactions.verify = function verify(message) {
         if (typeof message !== "object" || message === null)
             return "object expected";
-        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
-            if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
-                return "publicKey: buffer expected";
-        if (message.name != null && message.hasOwnProperty("name"))
-            if (!$util.isString(message.name))
-                return "name: string expected";
-        if (message.isFeed != null && message.hasOwnProperty("isFeed"))
-            if (typeof message.isFeed !== "boolean")
-                return "isFeed: boolean expected";
-        if (message.metadata != null && message.hasOwnProperty("metadata"))
-            if (!$util.isString(message.metadata))
-                return "metadata: string expected";
+        if (message.entries != null && message.hasOwnProperty("entries")) {
+            if (!Array.isArray(message.entries))
+                return "entries: array expected";
+            for (var i = 0; i < message.entries.length; ++i) {
+                var error = $root.Reactions.Entry.verify(message.entries[i]);
+                if (error)
+                    return "entries." + error;
+            }
+        }
         return null;
     };
 
     /**
-     * Creates a Channel message from a plain object. Also converts values to their respective internal types.
+     * Creates a Reactions message from a plain object. Also converts values to their respective internal types.
      * @function fromObject
-     * @memberof Channel
+     * @memberof Reactions
      * @static
      * @param {Object.<string,*>} object Plain object
-     * @returns {Channel} Channel
+     * @returns {Reactions} Reactions
      */
-    Channel.fromObject = function fromObject(object) {
-        if (object instanceof $root.Channel)
+    Reactions.fromObject = function fromObject(object) {
+        if (object instanceof $root.Reactions)
             return object;
-        var message = new $root.Channel();
-        if (object.publicKey != null)
-            if (typeof object.publicKey === "string")
-                $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
-            else if (object.publicKey.length)
-                message.publicKey = object.publicKey;
-        if (object.name != null)
-            message.name = String(object.name);
-        if (object.isFeed != null)
-            message.isFeed = Boolean(object.isFeed);
-        if (object.metadata != null)
-            message.metadata = String(object.metadata);
+        var message = new $root.Reactions();
+        if (object.entries) {
+            if (!Array.isArray(object.entries))
+                throw TypeError(".Reactions.entries: array expected");
+            message.entries = [];
+            for (var i = 0; i < object.entries.length; ++i) {
+                if (typeof object.entries[i] !== "object")
+                    throw TypeError(".Reactions.entries: object expected");
+                message.entries[i] = $root.Reactions.Entry.fromObject(object.entries[i]);
+            }
+        }
         return message;
     };
 
     /**
-     * Creates a plain object from a Channel message. Also converts values to other types if specified.
+     * Creates a plain object from a Reactions message. Also converts values to other types if specified.
      * @function toObject
-     * @memberof Channel
+     * @memberof Reactions
      * @static
-     * @param {Channel} message Channel
+     * @param {Reactions} message Reactions
      * @param {$protobuf.IConversionOptions} [options] Conversion options
      * @returns {Object.<string,*>} Plain object
      */
-    Channel.toObject = function toObject(message, options) {
+    Reactions.toObject = function toObject(message, options) {
         if (!options)
             options = {};
         var object = {};
-        if (options.defaults) {
-            if (options.bytes === String)
-                object.publicKey = "";
-            else {
-                object.publicKey = [];
-                if (options.bytes !== Array)
-                    object.publicKey = $util.newBuffer(object.publicKey);
-            }
-            object.name = "";
-            object.isFeed = false;
-            object.metadata = "";
+        if (options.arrays || options.defaults)
+            object.entries = [];
+        if (message.entries && message.entries.length) {
+            object.entries = [];
+            for (var j = 0; j < message.entries.length; ++j)
+                object.entries[j] = $root.Reactions.Entry.toObject(message.entries[j], options);
         }
-        if (message.publicKey != null && message.hasOwnProperty("publicKey"))
-            object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
-        if (message.name != null && message.hasOwnProperty("name"))
-            object.name = message.name;
-        if (message.isFeed != null && message.hasOwnProperty("isFeed"))
-            object.isFeed = message.isFeed;
-        if (message.metadata != null && message.hasOwnProperty("metadata"))
-            object.metadata = message.metadata;
         return object;
     };
 
     /**
-     * Converts this Channel to JSON.
+     * Converts this Reactions to JSON.
      * @function toJSON
-     * @memberof Channel
+     * @memberof Reactions
      * @instance
      * @returns {Object.<string,*>} JSON object
      */
-    Channel.prototype.toJSON = function toJSON() {
+    Reactions.prototype.toJSON = function toJSON() {
         return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
     };
 
-    return Channel;
+    Reactions.Entry = (function() {
+
+        /**
+         * Properties of an Entry.
+         * @memberof Reactions
+         * @interface IEntry
+         * @property {string|null} [reaction] Entry reaction
+         * @property {Uint8Array|null} [publicKey] Entry publicKey
+         * @property {Uint8Array|null} [hash] Entry hash
+         * @property {number|null} [timestamp] Entry timestamp
+         * @property {number|Long|null} [height] Entry height
+         * @property {boolean|null} [isRemoved] Entry isRemoved
+         */
+
+        /**
+         * Constructs a new Entry.
+         * @memberof Reactions
+         * @classdesc Represents an Entry.
+         * @implements IEntry
+         * @constructor
+         * @param {Reactions.IEntry=} [properties] Properties to set
+         */
+        function Entry(properties) {
+            if (properties)
+                for (var keys = Object.keys(properties), i = 0; i < keys.length; ++i)
+                    if (properties[keys[i]] != null)
+                        this[keys[i]] = properties[keys[i]];
+        }
+
+        /**
+         * Entry reaction.
+         * @member {string} reaction
+         * @memberof Reactions.Entry
+         * @instance
+         */
+        Entry.prototype.reaction = "";
+
+        /**
+         * Entry publicKey.
+         * @member {Uint8Array} publicKey
+         * @memberof Reactions.Entry
+         * @instance
+         */
+        Entry.prototype.publicKey = $util.newBuffer([]);
+
+        /**
+         * Entry hash.
+         * @member {Uint8Array} hash
+         * @memberof Reactions.Entry
+         * @instance
+         */
+        Entry.prototype.hash = $util.newBuffer([]);
+
+        /**
+         * Entry timestamp.
+         * @member {number} timestamp
+         * @memberof Reactions.Entry
+         * @instance
+         */
+        Entry.prototype.timestamp = 0;
+
+        /**
+         * Entry height.
+         * @member {number|Long} height
+         * @memberof Reactions.Entry
+         * @instance
+         */
+        Entry.prototype.height = $util.Long ? $util.Long.fromBits(0,0,false) : 0;
+
+        /**
+         * Entry isRemoved.
+         * @member {boolean} isRemoved
+         * @memberof Reactions.Entry
+         * @instance
+         */
+        Entry.prototype.isRemoved = false;
+
+        /**
+         * Creates a new Entry instance using the specified properties.
+         * @function create
+         * @memberof Reactions.Entry
+         * @static
+         * @param {Reactions.IEntry=} [properties] Properties to set
+         * @returns {Reactions.Entry} Entry instance
+         */
+        Entry.create = function create(properties) {
+            return new Entry(properties);
+        };
+
+        /**
+         * Encodes the specified Entry message. Does not implicitly {@link Reactions.Entry.verify|verify} messages.
+         * @function encode
+         * @memberof Reactions.Entry
+         * @static
+         * @param {Reactions.IEntry} message Entry message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Entry.encode = function encode(message, writer) {
+            if (!writer)
+                writer = $Writer.create();
+            if (message.reaction != null && message.hasOwnProperty("reaction"))
+                writer.uint32(/* id 1, wireType 2 =*/10).string(message.reaction);
+            if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+                writer.uint32(/* id 2, wireType 2 =*/18).bytes(message.publicKey);
+            if (message.hash != null && message.hasOwnProperty("hash"))
+                writer.uint32(/* id 3, wireType 2 =*/26).bytes(message.hash);
+            if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+                writer.uint32(/* id 4, wireType 1 =*/33).double(message.timestamp);
+            if (message.isRemoved != null && message.hasOwnProperty("isRemoved"))
+                writer.uint32(/* id 5, wireType 0 =*/40).bool(message.isRemoved);
+            if (message.height != null && message.hasOwnProperty("height"))
+                writer.uint32(/* id 6, wireType 0 =*/48).int64(message.height);
+            return writer;
+        };
+
+        /**
+         * Encodes the specified Entry message, length delimited. Does not implicitly {@link Reactions.Entry.verify|verify} messages.
+         * @function encodeDelimited
+         * @memberof Reactions.Entry
+         * @static
+         * @param {Reactions.IEntry} message Entry message or plain object to encode
+         * @param {$protobuf.Writer} [writer] Writer to encode to
+         * @returns {$protobuf.Writer} Writer
+         */
+        Entry.encodeDelimited = function encodeDelimited(message, writer) {
+            return this.encode(message, writer).ldelim();
+        };
+
+        /**
+         * Decodes an Entry message from the specified reader or buffer.
+         * @function decode
+         * @memberof Reactions.Entry
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @param {number} [length] Message length if known beforehand
+         * @returns {Reactions.Entry} Entry
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Entry.decode = function decode(reader, length) {
+            if (!(reader instanceof $Reader))
+                reader = $Reader.create(reader);
+            var end = length === undefined ? reader.len : reader.pos + length, message = new $root.Reactions.Entry();
+            while (reader.pos < end) {
+                var tag = reader.uint32();
+                switch (tag >>> 3) {
+                case 1:
+                    message.reaction = reader.string();
+                    break;
+                case 2:
+                    message.publicKey = reader.bytes();
+                    break;
+                case 3:
+                    message.hash = reader.bytes();
+                    break;
+                case 4:
+                    message.timestamp = reader.double();
+                    break;
+                case 6:
+                    message.height = reader.int64();
+                    break;
+                case 5:
+                    message.isRemoved = reader.bool();
+                    break;
+                default:
+                    reader.skipType(tag & 7);
+                    break;
+                }
+            }
+            return message;
+        };
+
+        /**
+         * Decodes an Entry message from the specified reader or buffer, length delimited.
+         * @function decodeDelimited
+         * @memberof Reactions.Entry
+         * @static
+         * @param {$protobuf.Reader|Uint8Array} reader Reader or buffer to decode from
+         * @returns {Reactions.Entry} Entry
+         * @throws {Error} If the payload is not a reader or valid buffer
+         * @throws {$protobuf.util.ProtocolError} If required fields are missing
+         */
+        Entry.decodeDelimited = function decodeDelimited(reader) {
+            if (!(reader instanceof $Reader))
+                reader = new $Reader(reader);
+            return this.decode(reader, reader.uint32());
+        };
+
+        /**
+         * Verifies an Entry message.
+         * @function verify
+         * @memberof Reactions.Entry
+         * @static
+         * @param {Object.<string,*>} message Plain object to verify
+         * @returns {string|null} `null` if valid, otherwise the reason why it is not
+         */
+        Entry.verify = function verify(message) {
+            if (typeof message !== "object" || message === null)
+                return "object expected";
+            if (message.reaction != null && message.hasOwnProperty("reaction"))
+                if (!$util.isString(message.reaction))
+                    return "reaction: string expected";
+            if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+                if (!(message.publicKey && typeof message.publicKey.length === "number" || $util.isString(message.publicKey)))
+                    return "publicKey: buffer expected";
+            if (message.hash != null && message.hasOwnProperty("hash"))
+                if (!(message.hash && typeof message.hash.length === "number" || $util.isString(message.hash)))
+                    return "hash: buffer expected";
+            if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+                if (typeof message.timestamp !== "number")
+                    return "timestamp: number expected";
+            if (message.height != null && message.hasOwnProperty("height"))
+                if (!$util.isInteger(message.height) && !(message.height && $util.isInteger(message.height.low) && $util.isInteger(message.height.high)))
+                    return "height: integer|Long expected";
+            if (message.isRemoved != null && message.hasOwnProperty("isRemoved"))
+                if (typeof message.isRemoved !== "boolean")
+                    return "isRemoved: boolean expected";
+            return null;
+        };
+
+        /**
+         * Creates an Entry message from a plain object. Also converts values to their respective internal types.
+         * @function fromObject
+         * @memberof Reactions.Entry
+         * @static
+         * @param {Object.<string,*>} object Plain object
+         * @returns {Reactions.Entry} Entry
+         */
+        Entry.fromObject = function fromObject(object) {
+            if (object instanceof $root.Reactions.Entry)
+                return object;
+            var message = new $root.Reactions.Entry();
+            if (object.reaction != null)
+                message.reaction = String(object.reaction);
+            if (object.publicKey != null)
+                if (typeof object.publicKey === "string")
+                    $util.base64.decode(object.publicKey, message.publicKey = $util.newBuffer($util.base64.length(object.publicKey)), 0);
+                else if (object.publicKey.length)
+                    message.publicKey = object.publicKey;
+            if (object.hash != null)
+                if (typeof object.hash === "string")
+                    $util.base64.decode(object.hash, message.hash = $util.newBuffer($util.base64.length(object.hash)), 0);
+                else if (object.hash.length)
+                    message.hash = object.hash;
+            if (object.timestamp != null)
+                message.timestamp = Number(object.timestamp);
+            if (object.height != null)
+                if ($util.Long)
+                    (message.height = $util.Long.fromValue(object.height)).unsigned = false;
+                else if (typeof object.height === "string")
+                    message.height = parseInt(object.height, 10);
+                else if (typeof object.height === "number")
+                    message.height = object.height;
+                else if (typeof object.height === "object")
+                    message.height = new $util.LongBits(object.height.low >>> 0, object.height.high >>> 0).toNumber();
+            if (object.isRemoved != null)
+                message.isRemoved = Boolean(object.isRemoved);
+            return message;
+        };
+
+        /**
+         * Creates a plain object from an Entry message. Also converts values to other types if specified.
+         * @function toObject
+         * @memberof Reactions.Entry
+         * @static
+         * @param {Reactions.Entry} message Entry
+         * @param {$protobuf.IConversionOptions} [options] Conversion options
+         * @returns {Object.<string,*>} Plain object
+         */
+        Entry.toObject = function toObject(message, options) {
+            if (!options)
+                options = {};
+            var object = {};
+            if (options.defaults) {
+                object.reaction = "";
+                if (options.bytes === String)
+                    object.publicKey = "";
+                else {
+                    object.publicKey = [];
+                    if (options.bytes !== Array)
+                        object.publicKey = $util.newBuffer(object.publicKey);
+                }
+                if (options.bytes === String)
+                    object.hash = "";
+                else {
+                    object.hash = [];
+                    if (options.bytes !== Array)
+                        object.hash = $util.newBuffer(object.hash);
+                }
+                object.timestamp = 0;
+                object.isRemoved = false;
+                if ($util.Long) {
+                    var long = new $util.Long(0, 0, false);
+                    object.height = options.longs === String ? long.toString() : options.longs === Number ? long.toNumber() : long;
+                } else
+                    object.height = options.longs === String ? "0" : 0;
+            }
+            if (message.reaction != null && message.hasOwnProperty("reaction"))
+                object.reaction = message.reaction;
+            if (message.publicKey != null && message.hasOwnProperty("publicKey"))
+                object.publicKey = options.bytes === String ? $util.base64.encode(message.publicKey, 0, message.publicKey.length) : options.bytes === Array ? Array.prototype.slice.call(message.publicKey) : message.publicKey;
+            if (message.hash != null && message.hasOwnProperty("hash"))
+                object.hash = options.bytes === String ? $util.base64.encode(message.hash, 0, message.hash.length) : options.bytes === Array ? Array.prototype.slice.call(message.hash) : message.hash;
+            if (message.timestamp != null && message.hasOwnProperty("timestamp"))
+                object.timestamp = options.json && !isFinite(message.timestamp) ? String(message.timestamp) : message.timestamp;
+            if (message.isRemoved != null && message.hasOwnProperty("isRemoved"))
+                object.isRemoved = message.isRemoved;
+            if (message.height != null && message.hasOwnProperty("height"))
+                if (typeof message.height === "number")
+                    object.height = options.longs === String ? String(message.height) : message.height;
+                else
+                    object.height = options.longs === String ? $util.Long.prototype.toString.call(message.height) : options.longs === Number ? new $util.LongBits(message.height.low >>> 0, message.height.high >>> 0).toNumber() : message.height;
+            return object;
+        };
+
+        /**
+         * Converts this Entry to JSON.
+         * @function toJSON
+         * @memberof Reactions.Entry
+         * @instance
+         * @returns {Object.<string,*>} JSON object
+         */
+        Entry.prototype.toJSON = function toJSON() {
+            return this.constructor.toObject(this, $protobuf.util.toJSONOptions);
+        };
+
+        return Entry;
+    })();
+
+    return Reactions;
 })();
 
 module.exports = $root;
@@ -0,0 +1,53 @@
+const Identity = require('./protocol/identity')
+
+// Storage schema migrations, run by `Protocol#load()` before deserializing
+// any identities or channels.
+//
+// Every migration has a `version` (the schema version it upgrades storage
+// to), a human readable `description`, and an `up(protocol)` method that
+// returns a list of storage batch operations (see `lib/storage/batch.js`).
+// The operations are applied atomically together with the version bump.
+//
+// NOTE: Never modify or reorder published migrations, append new ones.
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Start tracking storage schema version',
+
+    async up () {
+      // Baseline: entities stored before versioning already match it
+      return []
+    }
+  },
+  {
+    version: 2,
+    description: 'Store ledgers of issued links outside of identities',
+
+    async up (protocol) {
+      const { storage } = protocol
+      const operations = []
+      for (const id of await storage.getEntityKeys('identity')) {
+        const decrypted = protocol.decryptData(
+          await storage.retrieveEntity('identity', id))
+        if (!decrypted) {
+          // NOTE: `load()` reports the invalid passphrase
+          continue
+        }
+
+        const identity = Identity.deserializeData(decrypted, {
+          sodium: protocol.sodium
+        })
+        operations.push(...await protocol.identityOperations(identity))
+      }
+      return operations
+    }
+  }
+]
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION
+}
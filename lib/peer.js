@@ -3,13 +3,17 @@ const WaitList = require('promise-waitlist')
 
 const Chain = require('./protocol/chain')
 const Channel = require('./protocol/channel')
+const DeviceLink = require('./protocol/device-link')
 const Identity = require('./protocol/identity')
+const Link = require('./protocol/link')
 const Message = require('./protocol/message')
 
 const {
   Hello: PHello,
   Shake: PShake,
   Packet: PPacket,
+  RenewalRequest: PRenewalRequest,
+  RenewalResponse: PRenewalResponse,
   SyncRequest: PSyncRequest,
   SyncResponse: PSyncResponse
 } = require('./messages')
@@ -18,13 +22,15 @@ const SyncAgent = require('./sync-agent')
 
 const {
   compareDistance,
+  now,
   BanError,
   EphemeralBox
 } = require('./utils')
 
 const debug = createDebug('peerlinks:peer')
 
-const VERSION = 1
+// NOTE: Version 2 added link renewal
+const VERSION = 2
 const MAX_ERROR_REASON_LEN = 1024
 const ID_LENGTH = 32
 const HANDSHAKE_TIMEOUT = 5000
@@ -32,6 +38,8 @@ const PING_INTERVAL_MIN = 5000
 const PING_INTERVAL_MAX = 30000
 const PONG_TIMEOUT = 5000
 const MAX_PING_RETRIES = 3
+const RENEWAL_TIMEOUT = 15000
+const RENEWAL_INTERVAL = 3600 * 1000 // 1 hour
 
 // "Unique" id for logging
 let uid = 0
@@ -47,7 +55,10 @@ class Peer {
       identities = [],
       channels = [],
       inviteWaitList = new WaitList(),
-      chainWaitList = new WaitList()
+      chainWaitList = new WaitList(),
+      renewalPolicy = async () => true,
+      renewalInterval = RENEWAL_INTERVAL,
+      saveIdentity = async () => {}
     } = options
 
     if (!sodium) {
@@ -75,6 +86,9 @@ class Peer {
     this.channels = channels
     this.inviteWaitList = inviteWaitList
     this.chainWaitList = chainWaitList
+    this.renewalPolicy = renewalPolicy
+    this.renewalInterval = renewalInterval
+    this.saveIdentity = saveIdentity
 
     this.ping = {
       timer: null,
@@ -89,6 +103,12 @@ class Peer {
 
     // Channel => "active" | "pending"
     this.syncAgents = new Map()
+
+    // See: requestRenewal()
+    this.renewalSeq = 0
+
+    // See: renewalLoop()
+    this.renewalTimer = null
   }
 
   //
@@ -258,6 +278,12 @@ class Peer {
         case 'pong':
           await this.onPong(packet.pong)
           break
+        case 'renewalRequest':
+          await this.onRenewalRequest(packet.renewalRequest)
+          break
+        case 'renewalResponse':
+          await this.onRenewalResponse(packet.renewalResponse)
+          break
         default:
           throw new BanError('Unsupported packet type: ' + packet.content)
       }
@@ -279,6 +305,106 @@ class Peer {
     await this.socket.send(packet)
   }
 
+  /**
+   * Ask remote peer for a renewed chain of `identity` in `channel`. Remote
+   * peer can only renew the chain if it has the identity that issued the
+   * last link of the chain.
+   *
+   * @param {Identity} identity - Identity with a chain close to expiration
+   * @param {Channel} channel - Channel of the chain
+   * @param {Number} [timeout] - Optional timeout value in milliseconds
+   * @returns {Promise} A Promise with the renewed Chain (already added to
+   *     the identity), or `null` if the remote peer declined the request
+   */
+  async requestRenewal (identity, channel, timeout = RENEWAL_TIMEOUT) {
+    const sodium = this.sodium
+
+    if (identity.isDevice) {
+      throw new Error('Device identities can\'t renew chains')
+    }
+
+    const chain = identity.getChain(channel)
+    if (!chain) {
+      throw new Error('No valid chain to renew')
+    }
+
+    const seq = this.renewalSeq
+    this.renewalSeq = (this.renewalSeq + 1) >>> 0
+
+    const requestBox = new EphemeralBox({ sodium })
+    const tbs = {
+      chain: chain.serialize(),
+      responsePubKey: requestBox.publicKey
+    }
+    const signature = identity.sign(PRenewalRequest.TBS.encode(tbs).finish())
+
+    const clear = PRenewalRequest.Content.encode({ tbs, signature }).finish()
+    const { box, nonce } = channel.encrypt(clear)
+
+    this.debug('requesting renewal channel.id=%s seq=%d', channel.debugId,
+      seq)
+    const response = this.waitList.waitFor(`renewal ${seq}`, timeout)
+    const send = this.socket.send(PPacket.encode({
+      renewalRequest: {
+        channelId: channel.id,
+        seq,
+        nonce,
+        box
+      }
+    }).finish())
+
+    const [packet] = await Promise.all([response, send])
+    if (!packet.box || packet.box.length === 0) {
+      this.debug('renewal declined channel.id=%s seq=%d', channel.debugId,
+        seq)
+      return null
+    }
+
+    let renewed
+    try {
+      const content = PRenewalResponse.Content.decode(
+        requestBox.decrypt(packet.box))
+      renewed = Chain.deserialize(content.chain, { sodium })
+    } catch (err) {
+      this.debug('renewal response decoding err=%j', err.stack)
+      throw new BanError('Failed to decode RenewalResponse.Content')
+    }
+
+    try {
+      identity.addChain(channel, renewed)
+    } catch (err) {
+      throw new BanError('Invalid renewed chain: ' + err.message)
+    }
+    return renewed
+  }
+
+  /**
+   * **(Internal)** Invoke `renew()` (see `Protocol#renewChains()`) every
+   * `renewalInterval` milliseconds until the peer is destroyed.
+   *
+   * @param {Function} renew - async function to invoke
+   * @returns {Promise}
+   */
+  async renewalLoop (renew) {
+    while (!this.destroyed) {
+      await renew()
+
+      // NOTE: The peer could have been destroyed during `renew()`
+      if (this.destroyed) {
+        break
+      }
+
+      await new Promise((resolve) => {
+        this.renewalTimer = setTimeout(resolve, this.renewalInterval)
+
+        // Renewals alone should not keep the process running
+        if (this.renewalTimer.unref) {
+          this.renewalTimer.unref()
+        }
+      })
+    }
+  }
+
   /** **(Internal)** */
   waitForSync (timeout) {
     if (this.destroyed) {
@@ -328,6 +454,7 @@ class Peer {
     }
 
     clearTimeout(this.ping.timer)
+    clearTimeout(this.renewalTimer)
     this.waitList.close()
   }
 
@@ -338,6 +465,12 @@ class Peer {
   /** **(Internal)** */
   onNewChannel (channel) {
     this.synchronize(channel)
+
+    // Remote might have asked about the channel before it was added. Let it
+    // sync back so that it learns our chain.
+    this.onNewMessage(channel).catch((err) => {
+      this.debug('failed to announce new channel err=%j', err.message)
+    })
   }
 
   /** **(Internal)** */
@@ -417,6 +550,9 @@ class Peer {
       case 'bulk':
         response = await this.onBulk(channel, seq, content.tbs.bulk)
         break
+      case 'chunks':
+        response = await this.onChunks(channel, seq, content.tbs.chunks)
+        break
       default:
         throw new BanError(
           'Unsupported sync request type: ' + content.tbs.content)
@@ -440,21 +576,142 @@ class Peer {
     }).finish())
   }
 
+  /** **(Internal)** */
+  async onRenewalRequest (packet) {
+    const sodium = this.sodium
+    const seq = packet.seq
+
+    Channel.checkId(packet.channelId, 'Invalid channelId in RenewalRequest')
+    const channel = this.getChannel(packet.channelId)
+
+    const respond = async (box) => {
+      await this.socket.send(PPacket.encode({
+        renewalResponse: {
+          channelId: packet.channelId,
+          seq,
+          box
+        }
+      }).finish())
+    }
+
+    if (!channel || channel.isFeed) {
+      this.debug('declining renewal for unknown channel')
+      return await respond()
+    }
+
+    let content
+    try {
+      content = PRenewalRequest.Content.decode(
+        channel.decrypt(packet.box, packet.nonce))
+    } catch (err) {
+      this.debug('renewal request content decoding err=%j', err.stack)
+      throw new BanError('Failed to decode RenewalRequest.Content')
+    }
+
+    const chain = Chain.deserialize(content.tbs.chain, { sodium })
+    const leafKey = chain.getLeafKey(channel)
+
+    // NOTE: The chain might have expired while the request was in flight
+    if (!leafKey || !chain.needsRenewal()) {
+      this.debug('declining renewal of expired or fresh chain')
+      return await respond()
+    }
+
+    if (channel.isChainRevoked(chain)) {
+      this.debug('declining renewal of revoked chain')
+      return await respond()
+    }
+
+    const isValid = Identity.verify({
+      sodium,
+      signature: content.signature,
+      tbs: PRenewalRequest.TBS.encode(content.tbs).finish(),
+      publicKey: leafKey
+    })
+    if (!isValid) {
+      throw new BanError('Invalid RenewalRequest signature')
+    }
+
+    // Only the issuer of the last link could renew it
+    const issuerKey = chain.length === 1
+      ? channel.publicKey
+      : chain.links[chain.length - 2].trusteePubKey
+    const issuer = this.identities.find((identity) => {
+      return identity.publicKey.equals(issuerKey) &&
+        identity.canInvite(channel)
+    })
+    if (!issuer) {
+      this.debug('declining renewal without issuer identity')
+      return await respond()
+    }
+
+    const { trusteePubKey, trusteeDisplayName, capabilities } =
+      chain.links[chain.length - 1]
+
+    const isApproved = await this.renewalPolicy({
+      channel,
+      issuer,
+      chain,
+      trusteePubKey,
+      trusteeDisplayName,
+      issuedLinks: issuer.getIssuedLinks({ channel, trusteePubKey })
+    })
+    if (!isApproved) {
+      this.debug('renewal declined by policy')
+      return await respond()
+    }
+
+    // NOTE: Renewed link grants the same capabilities
+    const link = issuer.issueLink(channel, {
+      trusteePubKey,
+      trusteeDisplayName,
+      capabilities
+    })
+    const renewed = Chain.append(
+      issuer.getChain(channel, now(), Link.INVITE), link)
+
+    // Persist the ledger of issued links
+    await this.saveIdentity(issuer)
+
+    this.debug('renewing chain in channel.id=%s', channel.debugId)
+    const encoded = PRenewalResponse.Content.encode({
+      chain: renewed.serialize()
+    }).finish()
+    await respond(EphemeralBox.encryptFor(content.tbs.responsePubKey,
+      encoded, { sodium }))
+  }
+
+  /** **(Internal)** */
+  async onRenewalResponse (packet) {
+    Channel.checkId(packet.channelId, 'Invalid channelId in RenewalResponse')
+
+    this.waitList.resolve(`renewal ${packet.seq}`, packet)
+  }
+
   getSyncRequestKey (channel, content) {
     const sodium = this.sodium
 
     const chain = Chain.deserialize(content.tbs.chain, { sodium })
-    if (!chain.verify(channel)) {
+    if (!chain.verify(channel) || !chain.hasCapability(Link.READ)) {
       return false
     }
 
     const leafKey = chain.getLeafKey(channel)
 
+    let signerKey = leafKey
+    if (content.tbs.device) {
+      const device = DeviceLink.deserialize(content.tbs.device, { sodium })
+      if (!device.verify(leafKey)) {
+        return false
+      }
+      signerKey = device.devicePubKey
+    }
+
     const isValid = Identity.verify({
       sodium,
       signature: content.signature,
       tbs: PSyncRequest.TBS.encode(content.tbs).finish(),
-      publicKey: leafKey
+      publicKey: signerKey
     })
     if (!isValid) {
       return false
@@ -499,6 +756,9 @@ class Peer {
       case 'bulkResponse':
         await this.onBulkResponse(channel, seq, content.bulkResponse)
         break
+      case 'chunksResponse':
+        await this.onChunksResponse(channel, seq, content.chunksResponse)
+        break
       default:
         throw new BanError(
           'Unsupported sync response content type: ' + content.content)
@@ -550,6 +810,23 @@ class Peer {
     return await this.getSyncAgent(channel).receiveBulkResponse(seq, packet)
   }
 
+  /** **(Internal)** */
+  async onChunks (channel, seq, packet) {
+    for (const hash of packet.hashes) {
+      Message.checkHash(hash, 'Invalid chunk hash in Chunks')
+    }
+
+    this.debug('chunks for channel.id=%s hashes.length=%d', channel.debugId,
+      packet.hashes.length)
+    return await this.getSyncAgent(channel).receiveChunks(seq, packet)
+  }
+
+  /** **(Internal)** */
+  async onChunksResponse (channel, seq, packet) {
+    // NOTE: `Channel#receiveChunks()` will check the hash of each chunk
+    return await this.getSyncAgent(channel).receiveChunksResponse(seq, packet)
+  }
+
   /** **(Internal)** */
   async onNotification (packet) {
     Channel.checkId(packet.channelId, 'Invalid channelId in Notification')
@@ -641,6 +918,7 @@ class Peer {
 
 // Convenience
 Peer.VERSION = VERSION
+Peer.RENEWAL_INTERVAL = RENEWAL_INTERVAL
 Peer.MAX_ERROR_REASON_LEN = MAX_ERROR_REASON_LEN
 Peer.ID_LENGTH = ID_LENGTH
 Peer.HANDSHAKE_TIMEOUT = HANDSHAKE_TIMEOUT
@@ -648,5 +926,6 @@ Peer.PING_INTERVAL_MIN = PING_INTERVAL_MIN
 Peer.PING_INTERVAL_MAX = PING_INTERVAL_MAX
 Peer.PONG_TIMEOUT = PONG_TIMEOUT
 Peer.MAX_PING_RETRIES = MAX_PING_RETRIES
+Peer.RENEWAL_TIMEOUT = RENEWAL_TIMEOUT
 
 module.exports = Peer
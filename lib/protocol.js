@@ -3,16 +3,46 @@ const createDebug = require('debug')
 
 const Chain = require('./protocol/chain')
 const Channel = require('./protocol/channel')
+const DeviceLink = require('./protocol/device-link')
 const Identity = require('./protocol/identity')
 const Link = require('./protocol/link')
 const Message = require('./protocol/message')
 const StorageCache = require('./protocol/cache')
+const LRU = require('./protocol/lru')
 const MemoryStorage = require('./storage/memory')
+const FileStorage = require('./storage/file')
 const Peer = require('./peer')
+const { applyBatch } = require('./storage/batch')
+const { MIGRATIONS, SCHEMA_VERSION } = require('./migrations')
+const {
+  IdentityExport: PIdentityExport,
+  Persistence: PPersistence
+} = require('./messages')
 const { isSameChainMap } = require('./utils')
 
 const debug = createDebug('peerlinks:protocol')
 
+// Ledgers of issued links, one entity per link. See: identityOperations()
+const ISSUED_LINKS_PREFIX = 'issued-link'
+
+// Entities encrypted with the passphrase
+const ENCRYPTED_PREFIXES = ['channel', 'identity', ISSUED_LINKS_PREFIX]
+
+// See: changePassphrase()
+const PENDING_PREFIX = 'pending-'
+const PERSISTENCE_PREFIX = 'persistence'
+const COMMIT_ID = 'commit'
+const KEY_PARAMS_ID = 'key-params'
+
+// See: exportIdentity()
+const EXPORT_VERSION = 1
+
+// See: migrate()
+const SCHEMA_PREFIX = 'schema'
+const SCHEMA_VERSION_ID = 'version'
+
+const kPassphrase = Symbol('passphrase')
+
 class Protocol {
   /**
    * Instance of the PeerLinks Protocol. Responsible for managing:
@@ -24,9 +54,28 @@ class Protocol {
    * @class
    * @param {Object} options - configuration of the Protocol instance. May have
    *     a `.storage` key with an instance of Storage provider to
-   *     be used.
+   *     be used, and a `.maxCacheSize` key with a byte budget for messages
+   *     cached in memory (shared by all channels). `.renewalPolicy` is an
+   *     async function that receives `{ channel, issuer, chain,
+   *     trusteePubKey, trusteeDisplayName, issuedLinks }` and decides
+   *     whether to renew links for remote peers (default: always renew).
+   *     `issuedLinks` are the issuer's ledger entries for the trustee (see
+   *     `Identity#getIssuedLinks()`). `.renewalInterval` is the delay in
+   *     milliseconds between the checks for chains close to expiration on
+   *     every connection (default: 1 hour). `.validation` is either `'lenient'`
+   *     (default: flag received messages with invalid bodies of standard
+   *     kinds, see `Message#getKindError()`), `'strict'` (reject them), or
+   *     `'off'`.
    */
-  constructor ({ sodium, storage, passphrase } = {}) {
+  constructor ({
+    sodium,
+    storage,
+    passphrase,
+    maxCacheSize,
+    renewalPolicy,
+    renewalInterval,
+    validation
+  } = {}) {
     if (!sodium) {
       throw new Error('Missing required `sodium` option')
     }
@@ -34,6 +83,16 @@ class Protocol {
     this.sodium = sodium
     this.storage = storage || new MemoryStorage()
 
+    // Message cache shared by all channels
+    this.lru = new LRU({ maxSize: maxCacheSize })
+
+    // See: Peer#onRenewalRequest
+    this.renewalPolicy = renewalPolicy
+    this.renewalInterval = renewalInterval
+
+    // See: Channel#receive()
+    this.validation = validation
+
     this.peers = new Set()
 
     this.id = Buffer.alloc(Peer.ID_LENGTH)
@@ -59,23 +118,11 @@ class Protocol {
     // Channel => [ Chain ]
     this.cachedChainMap = new Map()
 
+    // NOTE: The key is derived in `load()` using stored `crypto_pwhash`
+    // parameters.
+    this[kPassphrase] = passphrase
     this.encryptionKey = null
-    if (passphrase) {
-      this.debug('generating encryption key...')
-      const salt = Buffer.alloc(sodium.crypto_pwhash_SALTBYTES)
-      sodium.crypto_generichash(salt, Buffer.from('peerlinks-persistence'))
-
-      this.encryptionKey = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES)
-      sodium.crypto_pwhash(
-        this.encryptionKey,
-        Buffer.from(passphrase),
-        salt,
-        sodium.crypto_pwhash_OPSLIMIT_MODERATE,
-        sodium.crypto_pwhash_MEMLIMIT_MODERATE,
-        sodium.crypto_pwhash_ALG_DEFAULT)
-
-      this.debug('generated encryption key')
-    }
+    this.keyParams = null
 
     this.debug('created')
   }
@@ -91,6 +138,14 @@ class Protocol {
    * @returns {Promise} boolean value. If `false` - the decryption has failed.
    */
   async load () {
+    await this.recoverPassphraseChange()
+
+    if (!await this.loadEncryptionKey()) {
+      return false
+    }
+
+    await this.migrate()
+
     const channelIds = await this.storage.getEntityKeys('channel')
     for (const id of channelIds) {
       const serialized = await this.storage.retrieveEntity('channel', id)
@@ -100,7 +155,9 @@ class Protocol {
       }
       const channel = await Channel.deserializeData(decrypted, {
         sodium: this.sodium,
-        storage: this.storage
+        storage: this.storage,
+        cache: { lru: this.lru },
+        validation: this.validation
       })
       this.addChannel(channel, false)
       this.debug('loaded channel.name=%s', channel.name)
@@ -116,6 +173,21 @@ class Protocol {
       const identity = Identity.deserializeData(decrypted, {
         sodium: this.sodium
       })
+
+      const entries = []
+      for (const entryId of await this.getIssuedLinkIds(identity)) {
+        const serialized = await this.storage.retrieveEntity(
+          ISSUED_LINKS_PREFIX, entryId)
+        const decrypted = this.decryptData(serialized)
+        if (!decrypted) {
+          return false
+        }
+        entries.push(Identity.deserializeIssuedLinkData(decrypted, {
+          sodium: this.sodium
+        }))
+      }
+      identity.addIssuedLinks(entries)
+
       this.identities.push(identity)
       this.debug('loaded id.name=%s', identity.name)
     }
@@ -130,14 +202,17 @@ class Protocol {
    * @param {Identity} id - Identity instance to add
    * @returns {Promise}
    */
-  async addIdentity (id) {
+  async addIdentity (id, save = true) {
     if (this.identities.some((existing) => id.name === existing.name)) {
       throw new Error('Duplicate identity')
     }
 
     this.identities.push(id)
     this.identities.sort(Identity.compare)
-    await this.saveIdentity(id)
+
+    if (save) {
+      await this.saveIdentity(id)
+    }
   }
 
   async removeIdentity (identity) {
@@ -149,8 +224,51 @@ class Protocol {
     }
     this.identities.splice(index, 1)
 
-    await this.storage.removeEntity('identity',
-      identity.publicKey.toString('hex'))
+    const operations = [{
+      type: 'removeEntity',
+      prefix: 'identity',
+      id: identity.publicKey.toString('hex')
+    }]
+    for (const id of await this.getIssuedLinkIds(identity)) {
+      operations.push({ type: 'removeEntity', prefix: ISSUED_LINKS_PREFIX, id })
+    }
+    await applyBatch(this.storage, operations)
+  }
+
+  /**
+   * Rename and save to persistence the identity. Chains are kept.
+   *
+   * @param {Identity} identity - Identity instance to rename
+   * @param {string} name - New name of the identity
+   * @returns {Promise}
+   */
+  async renameIdentity (identity, name) {
+    if (!this.identities.includes(identity)) {
+      throw new Error('Unknown identity')
+    }
+    if (!name) {
+      throw new Error('Invalid identity name')
+    }
+
+    const existing = this.getIdentity(name)
+    if (existing === identity) {
+      return
+    }
+    if (existing) {
+      throw new Error('Duplicate identity')
+    }
+
+    this.debug('renaming id.name=%s to %s', identity.name, name)
+
+    const oldName = identity.name
+    identity.name = name
+    try {
+      await this.saveIdentity(identity)
+    } catch (e) {
+      identity.name = oldName
+      this.identities.sort(Identity.compare)
+      throw e
+    }
   }
 
   /**
@@ -161,15 +279,10 @@ class Protocol {
    *   supplied channel
    */
   async addChannel (channel, save = true) {
-    const existing = this.getChannel(channel.name) ||
-      this.channels.find((existing) => existing.equals(channel))
+    const existing = this.findExistingChannel(channel)
     if (existing) {
-      if (existing.equals(channel)) {
-        this.debug('updating existing channel.id=%s', channel.debugId)
-        return existing
-      }
-
-      throw new Error(`Channel with a duplicate name: "${channel.name}"`)
+      this.debug('updating existing channel.id=%s', channel.debugId)
+      return existing
     }
 
     this.debug('adding channel.id=%s', channel.debugId)
@@ -223,15 +336,58 @@ class Protocol {
       waiter.cancel()
     }
 
-    await this.storage.removeEntity('channel', channel.id.toString('hex'))
-    await this.storage.removeChannelMessages(channel.id)
-
-    // Cleanup chains
+    // Cleanup chains along with the channel itself
+    const operations = [{
+      type: 'removeEntity',
+      prefix: 'channel',
+      id: channel.id.toString('hex')
+    }, ...await channel.getIndexRemovals(),
+    ...await channel.getChunkRemovals()]
     for (const identity of this.identities) {
       if (identity.removeChain(channel)) {
-        await this.saveIdentity(identity)
+        operations.push(...await this.identityOperations(identity))
       }
     }
+    await applyBatch(this.storage, operations)
+
+    await channel.cache.removeChannelMessages()
+  }
+
+  /**
+   * Rename and save to persistence the channel. Messages are kept.
+   *
+   * @param {Channel} channel - Channel instance to rename
+   * @param {string} name - New name of the channel
+   * @returns {Promise}
+   */
+  async renameChannel (channel, name) {
+    if (!this.channels.includes(channel)) {
+      throw new Error('Unknown channel')
+    }
+    if (!name) {
+      throw new Error('Invalid channel name')
+    }
+
+    const existing = this.getChannel(name)
+    if (existing === channel) {
+      return
+    }
+    if (existing) {
+      throw new Error(`Channel with a duplicate name: "${name}"`)
+    }
+
+    this.debug('renaming channel.id=%s to %s', channel.debugId, name)
+
+    // NOTE: `channel.debugId` is not updated, waiters are keyed by it
+    const oldName = channel.name
+    channel.name = name
+    try {
+      await this.saveChannel(channel)
+    } catch (e) {
+      channel.name = oldName
+      this.channels.sort(Channel.compare)
+      throw e
+    }
   }
 
   /**
@@ -242,8 +398,7 @@ class Protocol {
    */
   async saveChannel (channel) {
     this.debug('saving channel.name=%s', channel.name)
-    await this.storage.storeEntity('channel', channel.id.toString('hex'),
-      this.encryptData(channel.serializeData()))
+    await applyBatch(this.storage, [this.channelOperation(channel)])
     this.channels.sort(Channel.compare)
   }
 
@@ -255,12 +410,90 @@ class Protocol {
    */
   async saveIdentity (id) {
     this.debug('saving id.name=%s', id.name)
-    await this.storage.storeEntity(
-      'identity', id.publicKey.toString('hex'),
-      this.encryptData(id.serializeData()))
+    await applyBatch(this.storage, await this.identityOperations(id))
     this.identities.sort(Identity.compare)
   }
 
+  /**
+   * Re-encrypt all stored identities and channels with a new passphrase.
+   *
+   * The change is committed with a single write. If interrupted, `load()`
+   * either discards the partial change (the old passphrase remains valid) or
+   * completes it (the new passphrase becomes valid).
+   *
+   * NOTE: Must not be called concurrently with other writes to the storage.
+   *
+   * @param {string} oldPassphrase - current passphrase (empty if none)
+   * @param {string} newPassphrase - new passphrase (empty to disable
+   *     encryption)
+   * @returns {Promise}
+   */
+  async changePassphrase (oldPassphrase, newPassphrase) {
+    const oldKey = this.encryptionKey
+    const isValid = oldKey
+      ? !!oldPassphrase &&
+        this.deriveKey(oldPassphrase, this.keyParams).equals(oldKey)
+      : !oldPassphrase
+    if (!isValid) {
+      throw new Error('Invalid old passphrase')
+    }
+
+    const newParams = newPassphrase ? this.generateKeyParams() : null
+    const newKey = newParams && this.deriveKey(newPassphrase, newParams)
+
+    if (!await this.reencryptEntities(oldKey, newKey, newParams)) {
+      throw new Error('Failed to decrypt stored entities')
+    }
+  }
+
+  /**
+   * Upgrade stored entities to the latest schema version. Invoked by `load()`
+   * before deserializing identities and channels.
+   *
+   * @param {Object} [options] - `.dryRun` (default: `false`) only reports
+   *     migrations without applying them
+   * @returns {Promise} Array of `{ version, description }` objects for
+   *     applied (or pending, if `dryRun` is `true`) migrations
+   */
+  async migrate ({ dryRun = false } = {}) {
+    let version = await this.getSchemaVersion()
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Unsupported storage schema version: ${version}`)
+    }
+
+    // Nothing to migrate in a fresh storage
+    if (version === 0 && await this.isStorageEmpty()) {
+      if (!dryRun) {
+        await applyBatch(this.storage, [
+          this.schemaVersionOperation(SCHEMA_VERSION)
+        ])
+      }
+      return []
+    }
+
+    const pending = MIGRATIONS.filter((migration) => {
+      return migration.version > version
+    })
+    const result = pending.map(({ version, description }) => {
+      return { version, description }
+    })
+    if (dryRun) {
+      return result
+    }
+
+    for (const migration of pending) {
+      this.debug('migrating schema from=%d to=%d', version, migration.version)
+      const operations = await migration.up(this)
+      await applyBatch(this.storage, [
+        ...operations,
+        this.schemaVersionOperation(migration.version)
+      ])
+      version = migration.version
+    }
+
+    return result
+  }
+
   //
   // Identity
   //
@@ -269,29 +502,102 @@ class Protocol {
    * Create new identity and a channel associated to it. Store both in
    * persistence.
    *
+   * NOTE: A new channel is created even if `options.seedPhrase` is present.
+   * Use `recoverIdentityPair()` to restore an existing one.
+   *
    * @param {string} name - Name of identity (and channel)
+   * @param {Object} [options] - Channel options. `.seedPhrase` (see
+   *     `Identity.generateSeedPhrase()`) makes the keys recoverable
    * @returns {Promise} A Promise with a tuple of newly created Identity and
    *   Channel
    */
-  async createIdentityPair (name, options) {
-    const identity = new Identity(name, { sodium: this.sodium })
+  async createIdentityPair (name, { seedPhrase, ...options } = {}) {
+    const identity = seedPhrase
+      ? Identity.fromSeedPhrase(name, seedPhrase, { sodium: this.sodium })
+      : new Identity(name, { sodium: this.sodium })
+    if (this.isDuplicateIdentity(identity)) {
+      throw new Error('Duplicate identity')
+    }
 
     const channel = await Channel.fromIdentity(identity, {
       ...options,
 
       name: identity.name,
       sodium: this.sodium,
-      storage: this.storage
+      storage: this.storage,
+      cache: { lru: this.lru },
+      validation: this.validation
     })
-    await this.addChannel(channel)
+    if (this.findExistingChannel(channel)) {
+      throw new Error(`Channel with a duplicate name: "${channel.name}"`)
+    }
 
-    // NOTE: Save identity after the channel to save the chain
-    await this.addIdentity(identity)
+    // NOTE: Identity is saved with the chain created by the channel
+    await applyBatch(this.storage, [
+      this.channelOperation(channel),
+      ...await this.identityOperations(identity)
+    ])
+    await this.addChannel(channel, false)
+    await this.addIdentity(identity, false)
 
     this.debug('created id.name=%s', identity.name)
     return [identity, channel]
   }
 
+  /**
+   * Recover identity created with a seed phrase, and its channel. Unlike
+   * `createIdentityPair()` no root message is posted, the channel is
+   * synchronized from peers instead.
+   *
+   * @param {string} name - Name of identity (and channel, if it is not
+   *     present already)
+   * @param {string} seedPhrase - Seed phrase used to create the identity
+   * @param {Object} [options] - Channel options
+   * @returns {Promise} A Promise with a tuple of recovered Identity and
+   *   Channel
+   */
+  async recoverIdentityPair (name, seedPhrase, options) {
+    const identity = Identity.fromSeedPhrase(name, seedPhrase, {
+      sodium: this.sodium
+    })
+    if (this.isDuplicateIdentity(identity)) {
+      throw new Error('Duplicate identity')
+    }
+
+    let channel = this.channels.find((channel) => {
+      return channel.publicKey.equals(identity.publicKey)
+    })
+    const isNew = !channel
+    if (isNew) {
+      channel = new Channel({
+        ...options,
+
+        name: identity.name,
+        publicKey: identity.publicKey,
+        sodium: this.sodium,
+        storage: this.storage,
+        cache: { lru: this.lru },
+        validation: this.validation
+      })
+
+      // NOTE: Throws on channels with duplicate names
+      this.findExistingChannel(channel)
+    }
+    identity.addChain(channel, new Chain([]))
+
+    await applyBatch(this.storage, [
+      ...(isNew ? [this.channelOperation(channel)] : []),
+      ...await this.identityOperations(identity)
+    ])
+    if (isNew) {
+      await this.addChannel(channel, false)
+    }
+    await this.addIdentity(identity, false)
+
+    this.debug('recovered id.name=%s', identity.name)
+    return [identity, channel]
+  }
+
   /**
    * Get identity from the in-memory list.
    *
@@ -311,6 +617,134 @@ class Protocol {
     return this.identities.map((id) => id.name)
   }
 
+  /**
+   * Export identity (keys and chains) to be imported on another device.
+   *
+   * NOTE: Chains are verified on import, so channels that are not included
+   * must already be present on the importing side.
+   *
+   * @param {Identity} identity - Identity to export
+   * @param {string} passphrase - Passphrase to encrypt the export with
+   * @param {Object} [options] - `.channels` (default: `false`) includes
+   *     channels that identity has chains for
+   * @returns {Buffer} encrypted blob to be passed to `importIdentity()`
+   */
+  exportIdentity (identity, passphrase, { channels = false } = {}) {
+    if (!passphrase) {
+      throw new Error('Passphrase is required for export')
+    }
+
+    const channelIds = new Set(identity.chains.keys())
+    const exported = channels
+      ? this.channels.filter((channel) => {
+        return channelIds.has(channel.id.toString('hex'))
+      })
+      : []
+
+    const content = PIdentityExport.Content.encode({
+      identity: identity.serialize(),
+      channels: exported.map((channel) => channel.serialize())
+    }).finish()
+
+    const keyParams = this.generateKeyParams()
+    const key = this.deriveKey(passphrase, keyParams)
+    return PIdentityExport.encode({
+      version: EXPORT_VERSION,
+      keyParams,
+      box: this.encryptData(content, key)
+    }).finish()
+  }
+
+  /**
+   * Import identity exported with `exportIdentity()`, and channels that came
+   * with it.
+   *
+   * @param {Buffer} blob - result of `exportIdentity()`
+   * @param {string} passphrase - Passphrase used for the export
+   * @returns {Promise} A Promise with imported Identity
+   */
+  async importIdentity (blob, passphrase) {
+    let decoded
+    try {
+      decoded = PIdentityExport.decode(blob)
+    } catch (e) {
+      throw new Error('Invalid identity export')
+    }
+    if (decoded.version !== EXPORT_VERSION) {
+      throw new Error(
+        `Unsupported identity export version: ${decoded.version}`)
+    }
+    if (!decoded.keyParams) {
+      throw new Error('Invalid identity export')
+    }
+
+    const key = this.deriveKey(passphrase, decoded.keyParams)
+    const data = this.decryptData(decoded.box, key)
+    if (!data) {
+      throw new Error('Invalid passphrase, or corrupted identity export')
+    }
+    const content = PIdentityExport.Content.decode(data)
+
+    const identity = Identity.deserialize(content.identity, {
+      sodium: this.sodium
+    })
+    if (this.isDuplicateIdentity(identity)) {
+      throw new Error('Duplicate identity')
+    }
+
+    const channels = await Promise.all(content.channels.map((decoded) => {
+      return Channel.deserialize(decoded, {
+        sodium: this.sodium,
+        storage: this.storage,
+        cache: { lru: this.lru },
+        validation: this.validation
+      })
+    }))
+
+    // NOTE: Throws on channels with duplicate names
+    const added = channels.filter((channel) => {
+      return !this.findExistingChannel(channel)
+    })
+
+    for (const [channelId, chains] of identity.chains) {
+      // Expired chains can't be used anyway
+      const valid = chains.filter((chain) => chain.isValid())
+      if (valid.length === 0) {
+        this.debug('dropping expired chains for channel.id=%s', channelId)
+        identity.chains.delete(channelId)
+        continue
+      }
+      identity.chains.set(channelId, valid)
+
+      const channel = channels.concat(this.channels).find((channel) => {
+        return channel.id.toString('hex') === channelId
+      })
+      if (!channel) {
+        throw new Error(`Unknown channel for imported chain: ${channelId}`)
+      }
+
+      // NOTE: Chains of devices end with the primary key
+      for (const chain of valid) {
+        const leafKey = chain.getLeafKey(channel)
+        if (!leafKey || !leafKey.equals(identity.getPrimaryKey())) {
+          throw new Error('Invalid chain in identity export')
+        }
+      }
+    }
+
+    await applyBatch(this.storage, [
+      ...added.map((channel) => this.channelOperation(channel)),
+      ...await this.identityOperations(identity)
+    ])
+    for (const channel of added) {
+      await this.addChannel(channel, false)
+    }
+    await this.addIdentity(identity, false)
+
+    this.debug('imported id.name=%s', identity.name)
+    return identity
+  }
+
   //
   // Channels
   //
@@ -338,19 +772,32 @@ class Protocol {
     options = {
       ...options,
       sodium: this.sodium,
-      storage: this.storage
+      storage: this.storage,
+      cache: { lru: this.lru },
+      validation: this.validation
     }
     const channel = await Channel.fromInvite(invite, {
       ...options,
       identity
     })
 
-    // Save updated chain
-    await this.saveIdentity(identity)
+    // NOTE: we return existing channel here to handle duplicates
+    const existing = this.findExistingChannel(channel)
+    if (existing) {
+      // Save updated chain
+      await this.saveIdentity(identity)
+      return existing
+    }
 
-    // Save channel
-    // NOTE: we return value here to handle duplicates
-    return await this.addChannel(channel)
+    // NOTE: Add channel before saving so that peers can sync it right away
+    await this.addChannel(channel, false)
+
+    // Save updated chain and the channel together
+    await applyBatch(this.storage, [
+      ...await this.identityOperations(identity),
+      this.channelOperation(channel)
+    ])
+    return channel
   }
 
   async feedFromPublicKey (publicKey, options) {
@@ -358,6 +805,8 @@ class Protocol {
       ...options,
       sodium: this.sodium,
       storage: this.storage,
+      cache: { lru: this.lru },
+      validation: this.validation,
       isFeed: true
     }
     const channel = await Channel.fromPublicKey(publicKey, options)
@@ -384,10 +833,69 @@ class Protocol {
     }
   }
 
+  /**
+   * Get the contents of the attachment, fetching the missing chunks from the
+   * connected peers.
+   *
+   * @param {Channel} channel - A Channel instance of the `message`
+   * @param {Message} message - Message of `Message.ATTACHMENT` kind
+   * @returns {Promise} `Buffer`, or `null` if none of the peers have all
+   *     chunks of the attachment
+   */
+  async fetchAttachment (channel, message) {
+    const local = await channel.getAttachment(message)
+    if (local) {
+      return local
+    }
+
+    for (const peer of Array.from(this.peers)) {
+      if (peer.destroyed) {
+        continue
+      }
+
+      let data
+      try {
+        data = await channel.fetchAttachment(message,
+          peer.getSyncAgent(channel))
+      } catch (err) {
+        if (err.ban) {
+          peer.destroy(err).catch(() => {})
+        }
+        this.debug('attachment fetch error=%s', err.message)
+        continue
+      }
+
+      if (data) {
+        return data
+      }
+    }
+
+    return null
+  }
+
   //
   // Invite
   //
 
+  /**
+   * Issue an invite with `id.issueInvite()` and persist the updated ledger of
+   * issued links (see `Identity#getIssuedLinks()`).
+   *
+   * @param {Identity} id - Issuer
+   * @param {Channel} channel - Channel to invite to
+   * @param {Buffer} requestData - `request` from `requestInvite()`
+   * @param {string} trusteeDisplayName - Name of the trustee in the chain
+   * @param {Object} [options] - Options for `Identity#issueInvite()`
+   * @returns {Promise} A Promise with `{ encryptedInvite, peerId }`
+   */
+  async issueInvite (id, channel, requestData, trusteeDisplayName,
+    options = {}) {
+    const result = id.issueInvite(channel, requestData, trusteeDisplayName,
+      options)
+    await this.saveIdentity(id)
+    return result
+  }
+
   /**
    * Wait for an Invite from the remote peer.
    *
@@ -438,7 +946,10 @@ class Protocol {
       identities: this.identities,
       channels: this.channels,
       inviteWaitList: this.waitList,
-      chainWaitList: this.waitList
+      chainWaitList: this.waitList,
+      renewalPolicy: this.renewalPolicy,
+      renewalInterval: this.renewalInterval,
+      saveIdentity: (identity) => this.saveIdentity(identity)
     })
 
     const syncLoop = async () => {
@@ -471,6 +982,10 @@ class Protocol {
         `peer ${peer.remoteId.toString('hex')}`, peer)
       this.waitList.resolve('peer', peer)
 
+      peer.renewalLoop(() => this.renewChains(peer)).catch((err) => {
+        peer.destroy(err).catch(() => {})
+      })
+
       this.debug('running peer.id=%s loop', peer.debugId)
       await Promise.race([
         peer.loop(),
@@ -592,6 +1107,16 @@ class Protocol {
     return this.peers.size
   }
 
+  /**
+   * Get counters of the message cache shared by all channels.
+   *
+   * @returns {Object} `{ size, maxSize, count, hits, misses, evictions }`.
+   *     `size` and `maxSize` are in bytes.
+   */
+  getCacheStats () {
+    return this.lru.getStats()
+  }
+
   /**
    * Disconnect all peers. Zero private keys in identities.
    *
@@ -624,8 +1149,378 @@ class Protocol {
     debug('[%s] ' + fmt, ...[this.debugId].concat(args))
   }
 
-  encryptData (data) {
-    if (!this.encryptionKey) {
+  /**
+   * **(Internal)** Ask connected peer to renew chains that are close to
+   * expiration. Invoked periodically, see `Peer#renewalLoop()`.
+   */
+  async renewChains (peer) {
+    for (const identity of this.identities.slice()) {
+      // Chains of devices are renewed by their primary identities
+      if (identity.isDevice) {
+        continue
+      }
+
+      for (const channel of this.channels.slice()) {
+        if (peer.destroyed) {
+          return
+        }
+
+        const chain = identity.getChain(channel)
+        if (!chain || !chain.needsRenewal()) {
+          continue
+        }
+
+        let renewed
+        try {
+          renewed = await peer.requestRenewal(identity, channel)
+        } catch (err) {
+          if (err.ban) {
+            throw err
+          }
+          this.debug('renewal error=%s', err.message)
+          continue
+        }
+
+        if (renewed) {
+          this.debug('renewed chain id.name=%s channel.id=%s',
+            identity.name, channel.debugId)
+          await this.saveIdentity(identity)
+        }
+      }
+    }
+  }
+
+  /** **(Internal)** */
+  isDuplicateIdentity (identity) {
+    return this.identities.some((existing) => {
+      return existing.name === identity.name ||
+        existing.publicKey.equals(identity.publicKey)
+    })
+  }
+
+  /**
+   * **(Internal)** Return existing channel equal to `channel`, or throw if
+   * a different one has the same name.
+   */
+  findExistingChannel (channel) {
+    const existing = this.getChannel(channel.name) ||
+      this.channels.find((existing) => existing.equals(channel))
+    if (!existing) {
+      return undefined
+    }
+
+    if (!existing.equals(channel)) {
+      throw new Error(`Channel with a duplicate name: "${channel.name}"`)
+    }
+    return existing
+  }
+
+  /** **(Internal)** */
+  async getSchemaVersion () {
+    const blob = await this.storage.retrieveEntity(SCHEMA_PREFIX,
+      SCHEMA_VERSION_ID)
+    if (!blob) {
+      return 0
+    }
+    if (blob.length !== 4) {
+      throw new Error('Invalid stored schema version')
+    }
+    return blob.readUInt32BE(0)
+  }
+
+  /** **(Internal)** */
+  schemaVersionOperation (version) {
+    const blob = Buffer.alloc(4)
+    blob.writeUInt32BE(version, 0)
+    return {
+      type: 'storeEntity',
+      prefix: SCHEMA_PREFIX,
+      id: SCHEMA_VERSION_ID,
+      blob
+    }
+  }
+
+  /** **(Internal)** */
+  async isStorageEmpty () {
+    for (const prefix of ENCRYPTED_PREFIXES) {
+      const ids = await this.storage.getEntityKeys(prefix)
+      if (ids.length !== 0) {
+        return false
+      }
+    }
+    return true
+  }
+
+  /** **(Internal)** */
+  channelOperation (channel) {
+    return {
+      type: 'storeEntity',
+      prefix: 'channel',
+      id: channel.id.toString('hex'),
+      blob: this.encryptData(channel.serializeData())
+    }
+  }
+
+  /**
+   * **(Internal)** Operations that save the identity. Entries of the ledger of
+   * issued links are stored once each, and removed once they are dropped
+   * from the ledger (see `Identity.MAX_ISSUED_LINKS`).
+   *
+   * @param {Identity} id - Identity instance to save
+   * @returns {Promise} A Promise with a list of batch operations
+   */
+  async identityOperations (id) {
+    const operations = [{
+      type: 'storeEntity',
+      prefix: 'identity',
+      id: id.publicKey.toString('hex'),
+      blob: this.encryptData(id.serializeData())
+    }]
+
+    const stored = new Set(await this.getIssuedLinkIds(id))
+    for (const entry of id.getIssuedLinks()) {
+      const entryId = this.issuedLinkId(id, entry)
+      if (stored.delete(entryId)) {
+        continue
+      }
+
+      operations.push({
+        type: 'storeEntity',
+        prefix: ISSUED_LINKS_PREFIX,
+        id: entryId,
+        blob: this.encryptData(Identity.serializeIssuedLinkData(entry))
+      })
+    }
+
+    for (const entryId of stored) {
+      operations.push({
+        type: 'removeEntity',
+        prefix: ISSUED_LINKS_PREFIX,
+        id: entryId
+      })
+    }
+    return operations
+  }
+
+  /** **(Internal)** */
+  issuedLinkId (id, { link }) {
+    return `${id.publicKey.toString('hex')}/${link.signature.toString('hex')}`
+  }
+
+  /** **(Internal)** */
+  async getIssuedLinkIds (id) {
+    const prefix = `${id.publicKey.toString('hex')}/`
+    const ids = await this.storage.getEntityKeys(ISSUED_LINKS_PREFIX)
+    return ids.filter((entryId) => entryId.startsWith(prefix))
+  }
+
+  /** **(Internal)** */
+  async loadEncryptionKey () {
+    const passphrase = this[kPassphrase]
+    this[kPassphrase] = null
+
+    const stored = await this.storage.retrieveEntity(PERSISTENCE_PREFIX,
+      KEY_PARAMS_ID)
+    if (stored) {
+      this.keyParams = PPersistence.decode(stored)
+    }
+
+    if (!passphrase) {
+      return true
+    }
+
+    if (this.keyParams) {
+      this.encryptionKey = this.deriveKey(passphrase, this.keyParams)
+      return true
+    }
+
+    const params = this.generateKeyParams()
+    const key = this.deriveKey(passphrase, params)
+
+    let isEmpty = true
+    for (const prefix of ENCRYPTED_PREFIXES) {
+      const ids = await this.storage.getEntityKeys(prefix)
+      isEmpty = isEmpty && ids.length === 0
+    }
+
+    if (isEmpty) {
+      await this.storage.storeEntity(PERSISTENCE_PREFIX, KEY_PARAMS_ID,
+        PPersistence.encode(params).finish())
+      this.keyParams = params
+      this.encryptionKey = key
+      return true
+    }
+
+    // Store encrypted before per-installation salt was introduced
+    this.debug('migrating from legacy encryption key')
+    const legacyKey = this.deriveKey(passphrase, this.getLegacyKeyParams())
+    return await this.reencryptEntities(legacyKey, key, params)
+  }
+
+  /** **(Internal)** */
+  generateKeyParams () {
+    const sodium = this.sodium
+
+    const salt = Buffer.alloc(sodium.crypto_pwhash_SALTBYTES)
+    sodium.randombytes_buf(salt)
+
+    return {
+      salt,
+      opslimit: sodium.crypto_pwhash_OPSLIMIT_MODERATE,
+      memlimit: sodium.crypto_pwhash_MEMLIMIT_MODERATE,
+      algorithm: sodium.crypto_pwhash_ALG_DEFAULT
+    }
+  }
+
+  /** **(Internal)** */
+  getLegacyKeyParams () {
+    const sodium = this.sodium
+
+    const salt = Buffer.alloc(sodium.crypto_pwhash_SALTBYTES)
+    sodium.crypto_generichash(salt, Buffer.from('peerlinks-persistence'))
+
+    return {
+      salt,
+      opslimit: sodium.crypto_pwhash_OPSLIMIT_MODERATE,
+      memlimit: sodium.crypto_pwhash_MEMLIMIT_MODERATE,
+      algorithm: sodium.crypto_pwhash_ALG_DEFAULT
+    }
+  }
+
+  /** **(Internal)** */
+  deriveKey (passphrase, { salt, opslimit, memlimit, algorithm }) {
+    const sodium = this.sodium
+
+    this.debug('generating encryption key...')
+    const key = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES)
+    sodium.crypto_pwhash(
+      key,
+      Buffer.from(passphrase),
+      salt,
+      opslimit,
+      memlimit,
+      algorithm)
+
+    this.debug('generated encryption key')
+    return key
+  }
+
+  /**
+   * **(Internal)** Re-encrypt all stored entities from `oldKey` to `newKey`.
+   *
+   * The re-encrypted entities are staged first and then committed with a
+   * single write of `newParams`. See `recoverPassphraseChange()`.
+   *
+   * @returns {Promise} `false` if entities could not be decrypted with
+   *     `oldKey`
+   */
+  async reencryptEntities (oldKey, newKey, newParams) {
+    this.debug('staging re-encrypted entities')
+    const staged = []
+    for (const prefix of ENCRYPTED_PREFIXES) {
+      const ids = await this.storage.getEntityKeys(prefix)
+      for (const id of ids) {
+        const blob = await this.storage.retrieveEntity(prefix, id)
+        const decrypted = this.decryptData(blob, oldKey)
+        if (!decrypted) {
+          this.debug('failed to decrypt %s=%s', prefix, id)
+          await this.discardPassphraseChange()
+          return false
+        }
+
+        staged.push({
+          type: 'storeEntity',
+          prefix: PENDING_PREFIX + prefix,
+          id,
+          blob: this.encryptData(decrypted, newKey)
+        })
+      }
+    }
+    await applyBatch(this.storage, staged)
+
+    // NOTE: Empty commit means that encryption is disabled
+    this.debug('committing passphrase change')
+    await this.storage.storeEntity(PERSISTENCE_PREFIX, COMMIT_ID,
+      newParams ? PPersistence.encode(newParams).finish() : Buffer.alloc(0))
+    this.keyParams = newParams
+    this.encryptionKey = newKey
+
+    await this.applyPassphraseChange()
+    return true
+  }
+
+  /** **(Internal)** */
+  async recoverPassphraseChange () {
+    const commit = await this.storage.retrieveEntity(PERSISTENCE_PREFIX,
+      COMMIT_ID)
+    if (commit) {
+      this.debug('completing interrupted passphrase change')
+      await this.applyPassphraseChange()
+    } else {
+      await this.discardPassphraseChange()
+    }
+  }
+
+  /** **(Internal)** */
+  async applyPassphraseChange () {
+    const commit = await this.storage.retrieveEntity(PERSISTENCE_PREFIX,
+      COMMIT_ID)
+    const operations = []
+    if (commit.length === 0) {
+      operations.push({
+        type: 'removeEntity',
+        prefix: PERSISTENCE_PREFIX,
+        id: KEY_PARAMS_ID
+      })
+    } else {
+      operations.push({
+        type: 'storeEntity',
+        prefix: PERSISTENCE_PREFIX,
+        id: KEY_PARAMS_ID,
+        blob: commit
+      })
+    }
+
+    for (const prefix of ENCRYPTED_PREFIXES) {
+      const ids = await this.storage.getEntityKeys(PENDING_PREFIX + prefix)
+      for (const id of ids) {
+        const blob = await this.storage.retrieveEntity(
+          PENDING_PREFIX + prefix, id)
+        operations.push(
+          { type: 'storeEntity', prefix, id, blob },
+          { type: 'removeEntity', prefix: PENDING_PREFIX + prefix, id })
+      }
+    }
+
+    // NOTE: With storage that doesn't support batches this is replayed on
+    // `load()` if interrupted, since the commit marker is removed last.
+    operations.push({
+      type: 'removeEntity',
+      prefix: PERSISTENCE_PREFIX,
+      id: COMMIT_ID
+    })
+    await applyBatch(this.storage, operations)
+    this.debug('passphrase change complete')
+  }
+
+  /** **(Internal)** */
+  async discardPassphraseChange () {
+    const operations = []
+    for (const prefix of ENCRYPTED_PREFIXES) {
+      const ids = await this.storage.getEntityKeys(PENDING_PREFIX + prefix)
+      for (const id of ids) {
+        operations.push({
+          type: 'removeEntity',
+          prefix: PENDING_PREFIX + prefix,
+          id
+        })
+      }
+    }
+    await applyBatch(this.storage, operations)
+  }
+
+  encryptData (data, key = this.encryptionKey) {
+    if (!key) {
       return data
     }
 
@@ -639,19 +1534,23 @@ class Protocol {
     const ciphertext = result.slice(nonce.length)
 
     sodium.randombytes_buf(nonce)
-    sodium.crypto_secretbox_easy(ciphertext, data, nonce,
-      this.encryptionKey)
+    sodium.crypto_secretbox_easy(ciphertext, data, nonce, key)
 
     return result
   }
 
-  decryptData (encrypted) {
-    if (!this.encryptionKey) {
+  decryptData (encrypted, key = this.encryptionKey) {
+    if (!key) {
       return encrypted
     }
 
     const sodium = this.sodium
 
+    if (encrypted.length <
+        sodium.crypto_secretbox_NONCEBYTES + sodium.crypto_secretbox_MACBYTES) {
+      return undefined
+    }
+
     const nonce = encrypted.slice(0, sodium.crypto_secretbox_NONCEBYTES)
     const ciphertext = encrypted.slice(nonce.length)
     const cleartext = Buffer.alloc(ciphertext.length -
@@ -660,7 +1559,7 @@ class Protocol {
       cleartext,
       ciphertext,
       nonce,
-      this.encryptionKey)
+      key)
 
     if (!success) {
       return undefined
@@ -669,14 +1568,19 @@ class Protocol {
   }
 }
 
+// Convenience
+Protocol.SCHEMA_VERSION = SCHEMA_VERSION
+
 module.exports = {
   Chain,
   Channel,
+  DeviceLink,
   Identity,
   Link,
   Message,
   Protocol,
   StorageCache,
   MemoryStorage,
+  FileStorage,
   Peer
 }
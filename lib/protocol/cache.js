@@ -1,19 +1,24 @@
-const LRU = require('quick-lru')
 const createDebug = require('debug')
 
+const LRU = require('./lru')
 const Message = require('./message')
+const { applyBatch } = require('../storage/batch')
 
-const MAX_LRU_SIZE = 16 * 1024
+// Rough memory cost of a deserialized message on top of its data
+const ENTRY_OVERHEAD = 512
 
 const debug = createDebug('peerlinks:cache')
 
 class StorageCache {
+  /**
+   * Per-channel cache on top of the storage backend.
+   *
+   * @class
+   * @param {Object} options - `.lru` is an `LRU` instance shared with other
+   *     caches. If not present - a new one is created with
+   *     `.maxLRUSize` bytes budget
+   */
   constructor (options) {
-    options = {
-      maxLRUSize: MAX_LRU_SIZE,
-      ...options
-    }
-
     this.sodium = options.sodium
     this.channel = options.channel
     this.backend = options.backend
@@ -29,29 +34,25 @@ class StorageCache {
 
     this.debugId = this.channel.id.toString('hex').slice(0, 8)
 
-    this.lru = new LRU({ maxSize: options.maxLRUSize })
+    this.lru = options.lru || new LRU({ maxSize: options.maxLRUSize })
+
+    // NOTE: LRU is shared, so keys are prefixed with channel id
+    this.keyPrefix = this.channel.id.toString('hex') + '/'
 
     this.lastCount = null
     this.leaves = null
   }
 
   async addMessage (message) {
-    const { nonce, box } = this.channel.encrypt(message.serializeData())
-
-    const result = await this.backend.addMessage({
-      channelId: this.channel.id,
-      hash: message.hash,
-      parents: message.parents,
-      height: message.height,
-      data: Buffer.concat([nonce, box])
-    })
+    const encoded = this.encodeMessage(message)
+    const result = await this.backend.addMessage(encoded)
 
     // Invalidate caches
     this.debug('invalidating cache')
     this.lastCount = null
     this.leaves = null
 
-    this.lru.set(message.hash.toString('hex'), message)
+    this.cacheMessage(message, encoded.data.length)
 
     return result
   }
@@ -78,7 +79,7 @@ class StorageCache {
   }
 
   async hasMessage (hash) {
-    if (this.lru.has(hash.toString('hex'))) {
+    if (this.lru.has(this.key(hash))) {
       this.debug('hasMessage() hit')
       return true
     }
@@ -87,8 +88,7 @@ class StorageCache {
   }
 
   async getMessage (hash) {
-    const cacheKey = hash.toString('hex')
-    const cached = this.lru.get(cacheKey)
+    const cached = this.lru.get(this.key(hash))
     if (cached) {
       this.debug('getMessage() hit')
       return cached
@@ -97,13 +97,13 @@ class StorageCache {
     this.debug('getMessage() miss')
     const data = await this.backend.getMessage(this.channel.id, hash)
     const message = this.deserializeMessage(data)
-    this.lru.set(cacheKey, message)
+    this.cacheMessage(message, data.length)
     return message
   }
 
   async getMessages (hashes) {
     const result = hashes.map((hash) => {
-      return this.lru.get(hash.toString('hex'))
+      return this.lru.get(this.key(hash))
     })
 
     const missing = result.map((cached, i) => {
@@ -125,7 +125,7 @@ class StorageCache {
       const message = this.deserializeMessage(data)
       result[missing[i].index] = message
 
-      this.lru.set(message.hash.toString('hex'), message)
+      this.cacheMessage(message, data.length)
     }
     return result
   }
@@ -146,10 +146,41 @@ class StorageCache {
     return await this.backend.query(this.channel.id, ...args)
   }
 
+  async removeMessages (hashes) {
+    await this.backend.removeMessages(this.channel.id, hashes)
+
+    this.debug('invalidating cache')
+    this.lastCount = null
+    this.leaves = null
+    for (const hash of hashes) {
+      this.lru.delete(this.key(hash))
+    }
+  }
+
   async removeChannelMessages () {
-    // NOTE: We do not need to invalidate LRU since `Cache` is already per
-    // Channel.
     await this.backend.removeChannelMessages(this.channel.id)
+
+    this.lastCount = null
+    this.leaves = null
+    this.lru.deletePrefix(this.keyPrefix)
+  }
+
+  /**
+   * Get counters of the (possibly shared) LRU.
+   *
+   * @returns {Object} `{ size, maxSize, count, hits, misses, evictions }`
+   */
+  getStats () {
+    return this.lru.getStats()
+  }
+
+  /**
+   * Create a batch of writes that are committed to the backend together.
+   *
+   * @returns {StorageBatch}
+   */
+  createBatch () {
+    return new StorageBatch(this)
   }
 
   //
@@ -173,6 +204,7 @@ class StorageCache {
   }
 
   async clear () {
+    // NOTE: Backend is cleared for all channels
     this.lru.clear()
     this.lastCount = null
     this.leaves = null
@@ -183,6 +215,45 @@ class StorageCache {
   // Internal
   //
 
+  async commitBatch (batch) {
+    await applyBatch(this.backend, batch.operations)
+
+    if (batch.messages.size === 0) {
+      return
+    }
+
+    this.debug('invalidating cache')
+    this.lastCount = null
+    this.leaves = null
+
+    for (const { type, message } of batch.operations) {
+      if (type === 'addMessage') {
+        this.cacheMessage(batch.messages.get(message.hash.toString('hex')),
+          message.data.length)
+      }
+    }
+  }
+
+  key (hash) {
+    return this.keyPrefix + hash.toString('hex')
+  }
+
+  cacheMessage (message, dataSize) {
+    this.lru.set(this.key(message.hash), message, dataSize + ENTRY_OVERHEAD)
+  }
+
+  encodeMessage (message) {
+    const { nonce, box } = this.channel.encrypt(message.serializeData())
+
+    return {
+      channelId: this.channel.id,
+      hash: message.hash,
+      parents: message.parents,
+      height: message.height,
+      data: Buffer.concat([nonce, box])
+    }
+  }
+
   deserializeMessage (box) {
     const nonce = box.slice(0, this.sodium.crypto_secretbox_NONCEBYTES)
     box = box.slice(nonce.length)
@@ -197,7 +268,162 @@ class StorageCache {
   }
 }
 
+class StorageBatch {
+  /**
+   * Pending writes of the `StorageCache`. Messages added to the batch are
+   * visible through `hasMessage()`/`getMessages()` of the batch, but not of
+   * the cache until `commit()`. Similarly, entries of the in-memory indexes
+   * are staged with `setIndexEntry()` and applied after `commit()`.
+   *
+   * @class
+   * @param {StorageCache} cache - owner of the batch
+   */
+  constructor (cache) {
+    this.cache = cache
+
+    this.messages = new Map()
+    this.operations = []
+
+    // Index (Map) => Map of staged entries
+    this.indexes = new Map()
+
+    // Indexes to be cleared before applying the staged entries
+    this.cleared = new Set()
+  }
+
+  async hasMessage (hash) {
+    if (this.messages.has(hash.toString('hex'))) {
+      return true
+    }
+    return await this.cache.hasMessage(hash)
+  }
+
+  async getMessages (hashes) {
+    const result = hashes.map((hash) => {
+      return this.messages.get(hash.toString('hex'))
+    })
+
+    const missing = hashes.filter((hash, i) => !result[i])
+    if (missing.length === 0) {
+      return result
+    }
+
+    const fetched = await this.cache.getMessages(missing)
+    return result.map((message) => message || fetched.shift())
+  }
+
+  addMessage (message) {
+    const key = message.hash.toString('hex')
+    if (this.messages.has(key)) {
+      return
+    }
+
+    this.messages.set(key, message)
+    this.operations.push({
+      type: 'addMessage',
+      message: this.cache.encodeMessage(message)
+    })
+  }
+
+  storeEntity (prefix, id, blob) {
+    // Only the last write of the entity matters
+    this.operations = this.operations.filter((op) => {
+      return op.type !== 'storeEntity' || op.prefix !== prefix || op.id !== id
+    })
+    this.operations.push({ type: 'storeEntity', prefix, id, blob })
+  }
+
+  removeEntity (prefix, id) {
+    this.operations.push({ type: 'removeEntity', prefix, id })
+  }
+
+  /**
+   * Stage the `value` of the `key` in the in-memory `index`. The `index` is
+   * updated only if the batch is successfully committed.
+   *
+   * @param {Map} index - index to update
+   * @param {string} key - key in the `index`
+   * @param {*} value - new value (must not be modified afterwards)
+   */
+  setIndexEntry (index, key, value) {
+    let staged = this.indexes.get(index)
+    if (!staged) {
+      staged = new Map()
+      this.indexes.set(index, staged)
+    }
+    staged.set(key, value)
+  }
+
+  /**
+   * Stage removal of all entries of the in-memory `index`. Entries staged
+   * afterwards are applied to the emptied `index`.
+   *
+   * @param {Map} index - index to clear
+   */
+  clearIndex (index) {
+    this.indexes.set(index, new Map())
+    this.cleared.add(index)
+  }
+
+  /**
+   * Get the staged or the current value of the `key` in the `index`.
+   *
+   * @param {Map} index - in-memory index
+   * @param {string} key - key in the `index`
+   * @returns {*}
+   */
+  getIndexEntry (index, key) {
+    const staged = this.indexes.get(index)
+    if (staged && staged.has(key)) {
+      return staged.get(key)
+    }
+    if (this.cleared.has(index)) {
+      return undefined
+    }
+    return index.get(key)
+  }
+
+  /**
+   * Check if the batch has staged updates of the `index`.
+   *
+   * @param {Map} index - in-memory index
+   * @returns {boolean}
+   */
+  hasIndexEntries (index) {
+    return this.indexes.has(index)
+  }
+
+  /**
+   * Write all pending operations to the backend.
+   *
+   * @returns {Promise}
+   */
+  async commit () {
+    const batch = {
+      messages: this.messages,
+      operations: this.operations
+    }
+    const indexes = this.indexes
+    const cleared = this.cleared
+    this.messages = new Map()
+    this.operations = []
+    this.indexes = new Map()
+    this.cleared = new Set()
+
+    await this.cache.commitBatch(batch)
+
+    for (const index of cleared) {
+      index.clear()
+    }
+    for (const [index, staged] of indexes) {
+      for (const [key, value] of staged) {
+        index.set(key, value)
+      }
+    }
+  }
+}
+
 // Convenience
-StorageCache.MAX_LRU_SIZE = MAX_LRU_SIZE
+StorageCache.MAX_LRU_SIZE = LRU.MAX_SIZE
 
 module.exports = StorageCache
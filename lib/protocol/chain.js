@@ -43,22 +43,71 @@ class Chain {
     return this.links.every((link) => link.isValid(timestamp))
   }
 
+  // Time when the first of the links expires
+  getValidTo () {
+    return this.links.reduce((acc, link) => {
+      return Math.min(acc, link.validTo)
+    }, Infinity)
+  }
+
+  // Root chains never expire
+  needsRenewal (timestamp = now()) {
+    return this.getValidTo() - timestamp < Link.RENEWAL_DELTA
+  }
+
   canAppend () {
     return this.links.length < MAX_LENGTH
   }
 
+  /**
+   * Capabilities of the leaf key: intersection of capabilities of all links.
+   * Every key except for the leaf has to be allowed to invite, otherwise the
+   * chain grants nothing.
+   *
+   * @returns {number} bitmask of `Link.READ`, `Link.POST`, `Link.INVITE`
+   */
+  getCapabilities () {
+    let result = Link.ALL_CAPABILITIES
+    for (const link of this.links) {
+      if ((result & Link.INVITE) === 0) {
+        return 0
+      }
+      result &= link.getCapabilities()
+    }
+    return result
+  }
+
+  hasCapability (capability) {
+    return (this.getCapabilities() & capability) === capability
+  }
+
+  // Chains with more capabilities are better, then shorter chains (root
+  // chain is the best), then chains that expire later.
+  // NOTE: Chains with different capabilities of the same count are not
+  // comparable by them, see `Identity#getChain()` for picking the chain with
+  // the required capability.
   isBetterThan (other) {
-    if (other.links.length === 0) {
-      return false
+    const count = countCapabilities(this.getCapabilities())
+    const otherCount = countCapabilities(other.getCapabilities())
+    if (count !== otherCount) {
+      return count > otherCount
     }
 
-    // Root chain should not be replaced
-    if (this.links.length === 0) {
-      return true
+    if (this.length !== other.length) {
+      return this.length < other.length
     }
 
-    // TODO(indutny): heuristic comparison of lengths and expirations?
-    return false
+    return this.getValidTo() > other.getValidTo()
+  }
+
+  equals (other) {
+    if (this.length !== other.length) {
+      return false
+    }
+
+    return this.links.every((link, i) => {
+      return link.signature.equals(other.links[i].signature)
+    })
   }
 
   serialize () {
@@ -80,6 +129,25 @@ class Chain {
   static compare (a, b) {
     return chainCompare(a, b)
   }
+
+  // Sort the best chains first
+  static compareQuality (a, b) {
+    if (a.isBetterThan(b)) {
+      return -1
+    } else if (b.isBetterThan(a)) {
+      return 1
+    } else {
+      return 0
+    }
+  }
+}
+
+function countCapabilities (capabilities) {
+  let count = 0
+  for (; capabilities !== 0; capabilities &= capabilities - 1) {
+    count++
+  }
+  return count
 }
 
 // Convenience
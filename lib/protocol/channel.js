@@ -3,9 +3,18 @@ const WaitList = require('promise-waitlist')
 
 const { now, BanError } = require('../utils')
 const MemoryStorage = require('../storage/memory')
-const { Channel: PChannel } = require('../messages')
+const {
+  Channel: PChannel,
+  Edit: PEdit,
+  Member: PMember,
+  Reactions: PReactions,
+  RevokedKey: PRevokedKey,
+  Thread: PThread,
+  ThreadReply: PThreadReply
+} = require('../messages')
 
 const Chain = require('./chain')
+const Link = require('./link')
 const Message = require('./message')
 const StorageCache = require('./cache')
 
@@ -16,7 +25,28 @@ const MAX_PARENT_DELTA = 30 * 24 * 3600 // 30 days
 const MAX_QUERY_LIMIT = 1024
 const MAX_UNRESOLVED_COUNT = 256 * 1024
 const MAX_BULK_COUNT = 128
+const MAX_CHUNKS_COUNT = 16
 const MAX_LEAVES_COUNT = 128
+const PRUNE_BATCH = 1024
+const REINDEX_BATCH = 1024
+
+const MAX_DISPLAY_PATHS = 8
+
+const CHUNK_SIZE = 64 * 1024
+
+// NOTE: The list of chunk hashes has to fit into a single chunk
+const MAX_ATTACHMENT_SIZE = CHUNK_SIZE * (CHUNK_SIZE / Message.HASH_SIZE)
+
+// See: Message.validateJSON()
+const VALIDATION_MODES = new Set(['off', 'lenient', 'strict'])
+
+const REVOCATIONS_PREFIX = 'revocations'
+const MEMBERS_PREFIX = 'members'
+const EDITS_PREFIX = 'edits'
+const THREADS_PREFIX = 'threads'
+const THREAD_REPLIES_PREFIX = 'thread-replies'
+const REACTIONS_PREFIX = 'reactions'
+const CHUNKS_PREFIX = 'chunks'
 
 const ID_KEY = Buffer.from('peerlinks-channel-id')
 const ENC_KEY = Buffer.from('peerlinks-symmetric')
@@ -31,7 +61,9 @@ class Channel {
       maxQueryLimit: MAX_QUERY_LIMIT,
       maxUnresolvedCount: MAX_UNRESOLVED_COUNT,
       maxBulkCount: MAX_BULK_COUNT,
-      ...options
+      maxChunksCount: MAX_CHUNKS_COUNT,
+      ...options,
+      validation: options.validation || 'lenient'
     }
     this.name = this.options.name
     this.publicKey = this.options.publicKey
@@ -47,6 +79,10 @@ class Channel {
     if (!this.publicKey) {
       throw new Error('Missing required `publicKey` option')
     }
+    if (!VALIDATION_MODES.has(this.options.validation)) {
+      throw new Error('Invalid `validation` option: ' +
+        this.options.validation)
+    }
 
     const sodium = this.sodium
 
@@ -72,6 +108,39 @@ class Channel {
     // To be JSON stringified and stored in persistence
     this.metadata = null
 
+    // Hex public key => earliest revocation `{ timestamp, hash, height }`.
+    // See: isChainRevoked()
+    this.revocations = new Map()
+
+    // Hex public key => member. See: getMembers()
+    this.members = new Map()
+
+    // Hex hash of the edited message => latest edit. See: resolveMessage()
+    this.edits = new Map()
+
+    // Hex hash of the thread's root => thread. See: getThreads()
+    this.threads = new Map()
+
+    // Hex hash of the thread's root => [ { hash, height } ] in CRDT order.
+    // Loaded on demand, see: loadThreadReplies()
+    this.threadReplies = new Map()
+
+    // Hex hash of the message with reactions => `true`
+    this.reactionTargets = new Map()
+
+    // Hex hash of the message => Map of `${hexKey}/${reaction}` => latest
+    // reaction. Loaded on demand, see: loadReactions()
+    this.reactions = new Map()
+
+    // See: prune()
+    this.retention = null
+    if (this.options.retention) {
+      this.setRetention(this.options.retention)
+    }
+
+    // Serializes updates of the messages and indexes, see: exclusive()
+    this.updates = Promise.resolve()
+
     this.waitList = new WaitList()
   }
 
@@ -99,6 +168,33 @@ class Channel {
     this.metadata = metadata
   }
 
+  getRetention () {
+    return this.retention
+  }
+
+  /**
+   * Set retention policy to be applied by `prune()`.
+   *
+   * @param {Object|null} policy - `.maxAge` (in seconds) and/or `.maxCount`.
+   *     `null` disables pruning.
+   */
+  setRetention (policy) {
+    if (!policy || (!policy.maxAge && !policy.maxCount)) {
+      this.retention = null
+      return
+    }
+
+    const { maxAge = 0, maxCount = 0 } = policy
+    if (maxAge < 0 || !Number.isFinite(maxAge)) {
+      throw new Error('Invalid retention `maxAge`: ' + maxAge)
+    }
+    if (maxCount < 0 || !Number.isSafeInteger(maxCount)) {
+      throw new Error('Invalid retention `maxCount`: ' + maxCount)
+    }
+
+    this.retention = { maxAge, maxCount }
+  }
+
   // Mostly for testing
   async getRoot () {
     const messages = await this.getMessagesAtOffset(0)
@@ -209,7 +305,28 @@ class Channel {
       sodium: this.sodium
     })
 
-    await this.cache.addMessage(message)
+    if (message.isRevocation) {
+      this.checkRevocation(message)
+    }
+
+    await this.exclusive(async () => {
+      const batch = this.cache.createBatch()
+      const target = await this.getTarget(message, batch)
+
+      const kindError = this.options.validation === 'off'
+        ? null
+        : message.getKindError() || this.checkTarget(message, target) ||
+          this.checkAttachment(message)
+      if (kindError) {
+        throw new Error('Invalid message body: ' + kindError)
+      }
+      await this.loadTargetIndex(message, target)
+
+      batch.addMessage(message)
+      this.indexMessage(message, batch, target)
+      this.indexRevocation(message, batch)
+      await this.commitBatch(batch)
+    })
     this.debug('posted message.hash=%s', message.debugHash)
 
     this.waitList.resolve(`${this.debugId} outgoing`, message)
@@ -218,9 +335,29 @@ class Channel {
     return message
   }
 
-  async receive (message) {
+  async receive (message, batch = null) {
+    if (!batch) {
+      const isReceived = await this.exclusive(async () => {
+        const batch = this.cache.createBatch()
+        if (!await this.receive(message, batch)) {
+          return false
+        }
+
+        await this.commitBatch(batch)
+        return true
+      })
+
+      if (isReceived) {
+        this.onReceived(message)
+      }
+      return isReceived
+    }
+
+    // NOTE: Messages in the batch are visible through it, but not through the
+    // cache until the batch is committed
+
     // Duplicate
-    if (await this.cache.hasMessage(message.hash)) {
+    if (await batch.hasMessage(message.hash)) {
       this.debug('received duplicate hash=%s', message.debugHash)
       return false
     }
@@ -232,6 +369,10 @@ class Channel {
       throw new BanError('Invalid message signature, or invalid chain')
     }
 
+    if (!message.chain.hasCapability(Link.POST)) {
+      throw new BanError('Message chain is not allowed to post')
+    }
+
     if (message.parents.length > MAX_LEAVES_COUNT) {
       throw new BanError('Invalid parent count: ' + message.parents.length)
     }
@@ -239,7 +380,7 @@ class Channel {
     //
     // Check parents and parent delta
     //
-    const parents = await this.getMessages(message.parents)
+    const parents = await batch.getMessages(message.parents)
     const missingIndex = parents.findIndex((parent) => !parent)
     if (missingIndex !== -1) {
       throw new BanError('Message parent: ' +
@@ -289,15 +430,135 @@ class Channel {
       Channel.checkJSONLimit(message.body.json, message.chain.length)
     }
 
-    await this.cache.addMessage(message)
-    this.debug('received message.hash=%s', message.debugHash)
+    //
+    // Check revocations
+    //
 
-    this.waitList.resolve(`${this.debugId} incoming`, message)
-    this.waitList.resolve(`${this.debugId} update`)
+    // NOTE: Revocations earlier in the bulk are visible only through the
+    // batch
+    const chainRevocations = message.chain.getPublicKeys().map((publicKey) => {
+      return this.getRevocationAt(batch, publicKey, message.timestamp)
+    }).filter((revocation) => revocation)
+    const deviceRevocation = message.device
+      ? this.getRevocationAt(batch, message.device.devicePubKey,
+        message.timestamp)
+      : null
+
+    // Author has seen the revocation. Otherwise the message could be
+    // concurrent to it, and is stored (but not indexed) to not depend on the
+    // order of the synchronization. See: reindex()
+    if (await this.hasAncestor(parents, chainRevocations, batch)) {
+      throw new BanError('Message chain is revoked')
+    }
+    if (deviceRevocation &&
+        await this.hasAncestor(parents, [deviceRevocation], batch)) {
+      throw new BanError('Message device is revoked')
+    }
+    const isRevoked = chainRevocations.length !== 0 || !!deviceRevocation
+
+    const target = await this.getTarget(message, batch)
+    this.checkKind(message, target)
+    await this.loadTargetIndex(message, target)
+
+    if (message.isRevocation) {
+      this.checkRevocation(message)
+    }
+
+    // NOTE: The caller notifies waiters after committing the batch
+    batch.addMessage(message)
+    if (isRevoked) {
+      this.debug('received revoked message.hash=%s', message.debugHash)
+    } else {
+      this.indexMessage(message, batch, target)
+    }
+
+    // NOTE: Revocations of the revoked keys are kept too, so that they
+    // don't depend on the order of the synchronization either
+    this.indexRevocation(message, batch)
 
     return true
   }
 
+  /**
+   * Check if the `chain` passes through a key that was revoked at or before
+   * `timestamp`.
+   *
+   * @param {Chain} chain - chain to check
+   * @param {number} [timestamp] - time of use
+   * @returns {boolean}
+   */
+  isChainRevoked (chain, timestamp = now()) {
+    if (this.revocations.size === 0) {
+      return false
+    }
+
+    return chain.getPublicKeys().some((publicKey) => {
+      return this.isKeyRevoked(publicKey, timestamp)
+    })
+  }
+
+  /**
+   * Check if the `publicKey` (either a chain key or a device key) was revoked
+   * at or before `timestamp`.
+   *
+   * @param {Buffer} publicKey - key to check
+   * @param {number} [timestamp] - time of use
+   * @returns {boolean}
+   */
+  isKeyRevoked (publicKey, timestamp = now()) {
+    const revocation = this.revocations.get(publicKey.toString('hex'))
+    return revocation !== undefined && revocation.timestamp <= timestamp
+  }
+
+  /**
+   * Check if the `message` was posted with a revoked chain or device. Such
+   * messages are stored when their authors haven't seen the revocation, but
+   * they are not indexed and should not be displayed.
+   *
+   * @param {Message} message - message to check
+   * @returns {boolean}
+   */
+  isMessageRevoked (message) {
+    if (this.isChainRevoked(message.chain, message.timestamp)) {
+      return true
+    }
+    return !!message.device &&
+      this.isKeyRevoked(message.device.devicePubKey, message.timestamp)
+  }
+
+  /**
+   * @returns {Array} list of `{ publicKey, timestamp }`
+   */
+  getRevocations () {
+    return Array.from(this.revocations).map(([hex, { timestamp }]) => {
+      return { publicKey: Buffer.from(hex, 'hex'), timestamp }
+    })
+  }
+
+  /**
+   * List authors of the channel messages (one entry per distinct leaf key of
+   * the message chains), ordered by the first post.
+   *
+   * @returns {Array} list of `{ publicKey, displayPaths, inviter,
+   *     firstPostAt, lastPostAt, validTo }`. `inviter` is the issuer of the
+   *     leaf link in the first seen chain (`null` for the channel root),
+   *     `validTo` is the latest expiration time of the seen chains.
+   */
+  getMembers () {
+    return Array.from(this.members.values()).map((member) => {
+      return Channel.copyMember(member)
+    }).sort((a, b) => a.firstPostAt - b.firstPostAt)
+  }
+
+  /**
+   * @param {Buffer} publicKey - leaf key of the member
+   * @returns {Object|undefined} see `getMembers()`
+   */
+  getMember (publicKey) {
+    const member = this.members.get(publicKey.toString('hex'))
+    return member && Channel.copyMember(member)
+  }
+
   async getMessageCount () {
     return await this.cache.getMessageCount()
   }
@@ -310,6 +571,233 @@ class Channel {
     return await this.cache.getReverseMessagesAtOffset(offset, limit)
   }
 
+  /**
+   * Apply the latest edit or deletion to the message. Edits of deleted
+   * messages are ignored, an edit always wins over the edits in its parents.
+   * Concurrent edits are ordered by their heights and timestamps.
+   *
+   * @param {Message} message - message to resolve
+   * @returns {Object} `{ message, json, isEdited, isDeleted, editedAt,
+   *     isRevoked }`. `json` has the `text` of the latest edit, or is
+   *     `undefined` for deleted messages. See `isMessageRevoked()` for
+   *     `isRevoked`.
+   */
+  resolveMessage (message) {
+    const isRevoked = this.isMessageRevoked(message)
+    const edit = this.edits.get(message.hash.toString('hex'))
+    if (!edit) {
+      return {
+        message,
+        json: message.json,
+        isEdited: false,
+        isDeleted: false,
+        editedAt: null,
+        isRevoked
+      }
+    }
+
+    return {
+      message,
+      json: edit.isDeleted ? undefined : { ...message.json, text: edit.text },
+      isEdited: !edit.isDeleted,
+      isDeleted: edit.isDeleted,
+      editedAt: edit.timestamp,
+      isRevoked
+    }
+  }
+
+  /**
+   * List threads of the channel, the most recently active first.
+   *
+   * @returns {Array} list of `{ root, replyCount, lastReplyAt }`, where
+   *     `root` is the hash of the thread's root message
+   */
+  getThreads () {
+    return Array.from(this.threads.values()).map((thread) => {
+      return { ...thread }
+    }).sort((a, b) => b.lastReplyAt - a.lastReplyAt)
+  }
+
+  /**
+   * @param {Buffer} root - hash of the thread's root message
+   * @returns {number}
+   */
+  getReplyCount (root) {
+    const thread = this.threads.get(root.toString('hex'))
+    return thread ? thread.replyCount : 0
+  }
+
+  /**
+   * Get replies of the thread in CRDT order. Pruned replies are skipped.
+   *
+   * @param {Buffer} root - hash of the thread's root message
+   * @param {number} offset - offset in the replies of the thread
+   * @param {number} [limit] - maximum number of replies to return
+   * @returns {Promise} list of Messages
+   */
+  async getThreadReplies (root, offset, limit = 1) {
+    const key = root.toString('hex')
+    if (!this.threads.has(key)) {
+      return []
+    }
+
+    const replies = await this.loadThreadReplies(key)
+    const hashes = replies.slice(offset, offset + limit).map(({ hash }) => {
+      return hash
+    })
+    const messages = await this.getMessages(hashes)
+    return messages.filter((message) => message)
+  }
+
+  /**
+   * Get reactions to the message aggregated by the reaction.
+   *
+   * @param {Buffer} target - hash of the message
+   * @returns {Promise} list of `{ reaction, count, publicKeys }`, the most
+   *     popular reactions first
+   */
+  async getReactions (target) {
+    const key = target.toString('hex')
+    if (!this.reactionTargets.has(key)) {
+      return []
+    }
+
+    const byReaction = new Map()
+    for (const entry of (await this.loadReactions(key)).values()) {
+      if (entry.isRemoved) {
+        continue
+      }
+
+      let publicKeys = byReaction.get(entry.reaction)
+      if (!publicKeys) {
+        publicKeys = []
+        byReaction.set(entry.reaction, publicKeys)
+      }
+      publicKeys.push(entry.publicKey)
+    }
+
+    return Array.from(byReaction).map(([reaction, publicKeys]) => {
+      return { reaction, count: publicKeys.length, publicKeys }
+    }).sort((a, b) => {
+      if (a.count !== b.count) {
+        return b.count - a.count
+      }
+      return a.reaction < b.reaction ? -1 : a.reaction > b.reaction ? 1 : 0
+    })
+  }
+
+  /**
+   * Same as `getMessagesAtOffset()`, but every message is resolved with
+   * `resolveMessage()`.
+   */
+  async getResolvedMessagesAtOffset (offset, limit = 1) {
+    const messages = await this.getMessagesAtOffset(offset, limit)
+    return messages.map((message) => this.resolveMessage(message))
+  }
+
+  /**
+   * Same as `getReverseMessagesAtOffset()`, but every message is resolved
+   * with `resolveMessage()`.
+   */
+  async getReverseResolvedMessagesAtOffset (offset, limit = 1) {
+    const messages = await this.getReverseMessagesAtOffset(offset, limit)
+    return messages.map((message) => this.resolveMessage(message))
+  }
+
+  /**
+   * Split `data` into encrypted chunks and store them. The returned `hash` and
+   * `size` should be posted with `Message.attachment()`.
+   *
+   * @param {Buffer} data - contents of the attachment
+   * @returns {Promise} `{ hash, size }`
+   */
+  async storeAttachment (data) {
+    if (data.length === 0) {
+      throw new Error('Empty attachment')
+    }
+    if (data.length > MAX_ATTACHMENT_SIZE) {
+      throw new Error('Attachment is too large')
+    }
+
+    const batch = this.cache.createBatch()
+    const hashes = []
+    for (let offset = 0; offset < data.length; offset += CHUNK_SIZE) {
+      const chunk = data.slice(offset, offset + CHUNK_SIZE)
+      const hash = this.hashChunk(chunk)
+      this.storeChunk(hash, chunk, batch)
+      hashes.push(hash)
+    }
+
+    // The attachment is addressed by the hash of its chunk list
+    const list = Buffer.concat(hashes)
+    const hash = this.hashChunk(list)
+    this.storeChunk(hash, list, batch)
+
+    await batch.commit()
+    this.debug('stored attachment hash=%s chunks.length=%d',
+      hash.toString('hex').slice(0, 8), hashes.length)
+
+    return { hash, size: data.length }
+  }
+
+  /**
+   * Get the contents of the attachment from the local storage.
+   *
+   * @param {Message} message - message of `Message.ATTACHMENT` kind
+   * @returns {Promise} `Buffer`, or `null` if some of the chunks are missing
+   *     (see `Protocol#fetchAttachment()`)
+   */
+  async getAttachment (message) {
+    return await this.fetchAttachment(message, null)
+  }
+
+  /**
+   * Get the contents of the attachment, requesting the missing chunks from
+   * the `remote`.
+   *
+   * @param {Message} message - message of `Message.ATTACHMENT` kind
+   * @param {SyncAgent|null} remote - `null` to use only the local storage
+   * @returns {Promise} `Buffer`, or `null` if some of the chunks are missing
+   */
+  async fetchAttachment (message, remote) {
+    if (message.kind !== Message.ATTACHMENT || message.getKindError()) {
+      throw new Error('Not an attachment message')
+    }
+
+    const error = this.checkAttachment(message)
+    if (error) {
+      throw new Error(error)
+    }
+
+    const size = message.json.size
+    const hash = Buffer.from(message.json.hash, 'hex')
+
+    const [list] = await this.loadChunks([hash], remote)
+    if (!list) {
+      return null
+    }
+
+    if (list.length !== Math.ceil(size / CHUNK_SIZE) * Message.HASH_SIZE) {
+      throw new Error('Invalid attachment chunk list')
+    }
+
+    const hashes = []
+    for (let offset = 0; offset < list.length; offset += Message.HASH_SIZE) {
+      hashes.push(list.slice(offset, offset + Message.HASH_SIZE))
+    }
+
+    const chunks = await this.loadChunks(hashes, remote)
+    if (chunks.some((chunk) => !chunk)) {
+      return null
+    }
+
+    const data = Buffer.concat(chunks)
+    if (data.length !== size) {
+      throw new Error('Invalid attachment size')
+    }
+    return data
+  }
+
   async getLeaves () {
     const leaves = await this.cache.getLeaves()
     return leaves.slice(0, MAX_LEAVES_COUNT)
@@ -330,6 +818,70 @@ class Channel {
     }, Number.MAX_SAFE_INTEGER)
   }
 
+  /**
+   * Remove messages that are outside of the retention policy. Leaves and
+   * messages that could still become parents of new messages (see
+   * `MAX_PARENT_DELTA`) are always kept. Pruning is conservative and stops at
+   * the first message that has to be kept in CRDT order.
+   *
+   * @param {number} [timestamp] - current time
+   * @returns {Promise} number of removed messages
+   */
+  async prune (timestamp = now()) {
+    if (!this.retention) {
+      return 0
+    }
+
+    const { maxAge, maxCount } = this.retention
+
+    const leaves = await this.cache.getLeaves()
+    const leafHashes = new Set(leaves.map((leaf) => {
+      return leaf.hash.toString('hex')
+    }))
+    const minParentTimestamp =
+      this.computeMaxTimestamp(leaves) - MAX_PARENT_DELTA
+
+    const minTimestamp = maxAge ? timestamp - maxAge : -Infinity
+
+    const count = await this.getMessageCount()
+    const maxIndex = maxCount ? count - maxCount : 0
+
+    const hashes = []
+    for (let offset = 0; offset < count; offset += PRUNE_BATCH) {
+      const messages = await this.getMessagesAtOffset(offset, PRUNE_BATCH)
+
+      const end = messages.findIndex((message, i) => {
+        const isExpired = message.timestamp < minTimestamp
+        const isOverflow = offset + i < maxIndex
+
+        return (!isExpired && !isOverflow) ||
+          message.timestamp >= minParentTimestamp
+      })
+
+      const prunable = end === -1 ? messages : messages.slice(0, end)
+      for (const message of prunable) {
+        if (!leafHashes.has(message.hash.toString('hex'))) {
+          hashes.push(message.hash)
+        }
+      }
+
+      if (end !== -1) {
+        break
+      }
+    }
+
+    if (hashes.length === 0) {
+      return 0
+    }
+
+    await this.cache.removeMessages(hashes)
+    this.debug('pruned messages.count=%d', hashes.length)
+
+    this.waitList.resolve(`${this.debugId} update`)
+
+    return hashes.length
+  }
+
   async query (cursor, isBackward, limit) {
     if (cursor.hash) {
       Message.checkHash(cursor.hash, 'Invalid cursor.hash length in query()')
@@ -387,6 +939,30 @@ class Channel {
     }
   }
 
+  async chunks (hashes) {
+    this.debug('chunks request hashes.length=%d', hashes.length)
+    hashes = hashes.slice(0, this.options.maxChunksCount)
+
+    hashes.forEach((hash) => {
+      Message.checkHash(hash, 'Invalid hash size in chunks()')
+    })
+
+    const chunks = []
+    for (const hash of hashes) {
+      const chunk = await this.loadChunk(hash)
+      if (chunk) {
+        chunks.push(chunk)
+      }
+    }
+
+    this.debug('chunks response chunks.length=%d', chunks.length)
+
+    return {
+      chunks,
+      forwardIndex: hashes.length
+    }
+  }
+
   async sync (remote, isFull = false) {
     this.debug('starting sync to remote isFull=%j', isFull)
 
@@ -423,9 +999,11 @@ class Channel {
       this.debug('partial dag external.count=%d known.count=%d',
         external.length, known.length)
 
+      // NOTE: Parents always precede their children in the CRDT order, so
+      // external parents in full sync were pruned by the remote. Messages
+      // that depend on them are not `known` and are skipped.
       if (isFull && external.length !== 0) {
-        throw new BanError(
-          'Synchronization failed. Missing parent in full sync')
+        this.debug('skipping pruned parents count=%d', external.length)
       }
 
       // Request messages with known parents
@@ -437,7 +1015,7 @@ class Channel {
       }
 
       // Add external dependencies to unresolved
-      for (const hash of external) {
+      for (const hash of isFull ? [] : external) {
         unresolved.add(hash.toString('hex'))
 
         if (unresolved.size > this.options.maxUnresolvedCount) {
@@ -478,17 +1056,31 @@ class Channel {
         throw new BanError('Failed to make progress')
       }
 
-      for (const message of messages) {
-        const hexHash = message.hash.toString('hex')
-        if (!expected.has(hexHash)) {
-          throw new BanError(
-            `Unexpected message in bulk response: ${hexHash}`)
-        }
+      const received = await this.exclusive(async () => {
+        const batch = this.cache.createBatch()
+        const result = []
+
+        for (const message of messages) {
+          const hexHash = message.hash.toString('hex')
+          if (!expected.has(hexHash)) {
+            throw new BanError(
+              `Unexpected message in bulk response: ${hexHash}`)
+          }
 
-        if (await this.receive(message)) {
-          delta++
+          if (await this.receive(message, batch)) {
+            result.push(message)
+          }
         }
+
+        // Store the whole response at once
+        await this.commitBatch(batch)
+        return result
+      })
+
+      for (const message of received) {
+        this.onReceived(message)
       }
+      delta += received.length
 
       hashes = hashes.slice(forwardIndex)
     }
@@ -496,6 +1088,40 @@ class Channel {
     return delta
   }
 
+  // Returns Map of hex hash => chunk for the chunks that the `remote` has
+  async receiveChunks (remote, hashes) {
+    const received = new Map()
+
+    const expected = new Set(hashes.map((hash) => hash.toString('hex')))
+    while (hashes.length !== 0) {
+      const { chunks, forwardIndex } = await remote.chunks(hashes)
+      if (forwardIndex <= 0) {
+        throw new BanError('Failed to make progress')
+      }
+
+      const batch = this.cache.createBatch()
+      for (const chunk of chunks) {
+        if (chunk.length > CHUNK_SIZE) {
+          throw new BanError('Invalid chunk size: ' + chunk.length)
+        }
+
+        const hash = this.hashChunk(chunk)
+        const hexHash = hash.toString('hex')
+        if (!expected.has(hexHash)) {
+          throw new BanError(`Unexpected chunk in chunks response: ${hexHash}`)
+        }
+
+        this.storeChunk(hash, chunk, batch)
+        received.set(hexHash, chunk)
+      }
+      await batch.commit()
+
+      hashes = hashes.slice(forwardIndex)
+    }
+
+    return received
+  }
+
   encrypt (data) {
     const sodium = this.sodium
 
@@ -533,6 +1159,773 @@ class Channel {
   // Private
   //
 
+  // In 'lenient' mode invalid messages are only flagged, see:
+  // `Message#getKindError()`
+  checkKind (message, target) {
+    if (this.options.validation === 'off') {
+      return
+    }
+
+    const error = message.getKindError() ||
+      this.checkTarget(message, target) ||
+      this.checkAttachment(message)
+    if (!error) {
+      return
+    }
+    message.kindError = error
+
+    if (this.options.validation === 'strict') {
+      throw new BanError('Invalid message body: ' + error)
+    }
+    this.debug('flagged message.hash=%s error=%j', message.debugHash, error)
+  }
+
+  // Message referenced by the body of the standard kind
+  async getTarget (message, batch) {
+    if (message.getKindError()) {
+      return null
+    }
+
+    let hash
+    switch (message.kind) {
+      case Message.EDIT:
+      case Message.DELETE:
+        hash = message.json.target
+        break
+      case Message.REPLY:
+        hash = message.json.thread
+        break
+      case Message.REACTION:
+        hash = message.json.target
+        break
+      default:
+        return null
+    }
+
+    const [target] = await batch.getMessages([Buffer.from(hash, 'hex')])
+    return target || null
+  }
+
+  // Returns the reason why the `message` can't refer to the `target`
+  checkTarget (message, target) {
+    // NOTE: Target could be pruned, the message is kept but not applied
+    if (!target) {
+      return null
+    }
+
+    switch (message.kind) {
+      case Message.EDIT:
+      case Message.DELETE: {
+        const json = target.json
+        if (!json || typeof json !== 'object' ||
+            [Message.EDIT, Message.DELETE].includes(target.kind)) {
+          return 'Invalid edit target'
+        }
+        if (!this.getAuthorKey(target).equals(this.getAuthorKey(message))) {
+          return 'Edit author doesn\'t match the target'
+        }
+        return null
+      }
+      case Message.REPLY: {
+        const json = target.json
+        const isRoot = json !== undefined && !(target.kind && [
+          Message.REPLY,
+          Message.REACTION,
+          Message.EDIT,
+          Message.DELETE
+        ].includes(target.kind))
+        return isRoot ? null : 'Invalid thread root'
+      }
+      case Message.REACTION: {
+        const isValid = target.json !== undefined && ![
+          Message.REACTION,
+          Message.EDIT,
+          Message.DELETE
+        ].includes(target.kind)
+        return isValid ? null : 'Invalid reaction target'
+      }
+      default:
+        return null
+    }
+  }
+
+  // Size limits of attachments depend on the chain length of the author, see:
+  // `Channel.attachmentLimit()`
+  checkAttachment (message) {
+    if (message.kind !== Message.ATTACHMENT) {
+      return null
+    }
+
+    const limit = Channel.attachmentLimit(message.chain.length)
+    return message.json.size > limit ? 'Attachment is too large' : null
+  }
+
+  getAuthorKey (message) {
+    const keys = message.chain.getPublicKeys()
+    return keys.length === 0 ? this.publicKey : keys[keys.length - 1]
+  }
+
+  checkRevocation (message) {
+    const revoked = message.revokedChain
+    const deviceKey = message.revokedDeviceKey
+    if (revoked.length === 0 && !deviceKey) {
+      throw new BanError('Channel root can\'t be revoked')
+    }
+    if (deviceKey &&
+        deviceKey.length !== this.sodium.crypto_sign_PUBLICKEYBYTES) {
+      throw new BanError('Invalid revoked device key length')
+    }
+    if (!revoked.verify(this, message.timestamp)) {
+      throw new BanError('Invalid revocation chain')
+    }
+
+    // Only the channel owner and the issuers in the revoked chain. Devices
+    // could be revoked by their primary key (the leaf) too.
+    const keys = [this.publicKey].concat(revoked.getPublicKeys())
+    const issuers = deviceKey ? keys : keys.slice(0, -1)
+    const author = message.chain.getLeafKey(this, message.timestamp)
+    if (!issuers.some((issuer) => issuer.equals(author))) {
+      throw new BanError('Revocation author is not an issuer of the chain')
+    }
+  }
+
+  // Revocation of the `publicKey` (including the ones staged in the `batch`)
+  // that applies at `timestamp`
+  getRevocationAt (batch, publicKey, timestamp) {
+    const revocation = batch.getIndexEntry(this.revocations,
+      publicKey.toString('hex'))
+    if (!revocation || revocation.timestamp > timestamp) {
+      return null
+    }
+    return revocation
+  }
+
+  // Returns `true` if any of `messages` (`{ hash, height }`) is one of the
+  // `parents` or their ancestors. Pruned ancestors are skipped.
+  async hasAncestor (parents, messages, batch) {
+    if (messages.length === 0) {
+      return false
+    }
+
+    const hashes = new Set(messages.map(({ hash }) => hash.toString('hex')))
+    const minHeight = Math.min(...messages.map(({ height }) => height))
+
+    const visited = new Set()
+    let queue = parents
+    while (queue.length !== 0) {
+      const next = new Map()
+      for (const message of queue) {
+        const hex = message.hash.toString('hex')
+        if (hashes.has(hex)) {
+          return true
+        }
+
+        // Ancestors have lower heights
+        if (message.height <= minHeight) {
+          continue
+        }
+        for (const parent of message.parents) {
+          const parentHex = parent.toString('hex')
+          if (!visited.has(parentHex)) {
+            visited.add(parentHex)
+            next.set(parentHex, parent)
+          }
+        }
+      }
+
+      const fetched = await batch.getMessages(Array.from(next.values()))
+      queue = fetched.filter((message) => message)
+    }
+    return false
+  }
+
+  // Stage updates of the in-memory indexes and queue their persistence in the
+  // `batch`. Staged updates are visible to the rest of the bulk response
+  // through the `batch`, but are applied to the indexes only after it is
+  // committed.
+  indexMessage (message, batch, target = null) {
+    const member = this.indexMember(message, batch)
+    if (member) {
+      batch.storeEntity(MEMBERS_PREFIX,
+        this.indexId(member.publicKey.toString('hex')),
+        this.encryptIndex(PMember.encode(member).finish()))
+    }
+
+    const isValidTarget = target && !message.getKindError() &&
+      !this.checkTarget(message, target)
+    const edit = isValidTarget ? this.indexEdit(message, batch) : null
+    if (edit) {
+      batch.storeEntity(EDITS_PREFIX,
+        this.indexId(edit.target.toString('hex')),
+        this.encryptIndex(PEdit.encode(edit).finish()))
+    }
+
+    const thread = isValidTarget ? this.indexReply(message, batch) : null
+    if (thread) {
+      const root = message.json.thread
+      batch.storeEntity(THREADS_PREFIX, this.indexId(root),
+        this.encryptIndex(PThread.encode(thread).finish()))
+
+      const reply = { hash: message.hash, height: message.height }
+      batch.storeEntity(THREAD_REPLIES_PREFIX,
+        this.indexId(`${root}/${message.hash.toString('hex')}`),
+        this.encryptIndex(PThreadReply.encode(reply).finish()))
+    }
+
+    const reactions = isValidTarget ? this.indexReaction(message, batch) : null
+    if (reactions) {
+      const entries = Array.from(reactions.values())
+      batch.storeEntity(REACTIONS_PREFIX, this.indexId(message.json.target),
+        this.encryptIndex(PReactions.encode({ entries }).finish()))
+    }
+  }
+
+  // Same as `indexMessage()`, but for the revocations
+  indexRevocation (message, batch) {
+    if (!message.isRevocation) {
+      return
+    }
+
+    const revoked = message.revokedChain.getPublicKeys()
+    const publicKey = message.revokedDeviceKey || revoked[revoked.length - 1]
+    const hex = publicKey.toString('hex')
+    const existing = batch.getIndexEntry(this.revocations, hex)
+    if (existing !== undefined && existing.timestamp <= message.timestamp) {
+      return
+    }
+
+    const revocation = {
+      timestamp: message.timestamp,
+      hash: message.hash,
+      height: message.height
+    }
+    batch.setIndexEntry(this.revocations, hex, revocation)
+    this.debug('revoked key=%s timestamp=%d', hex.slice(0, 8),
+      message.timestamp)
+
+    batch.storeEntity(REVOCATIONS_PREFIX, this.indexId(hex),
+      this.encryptIndex(PRevokedKey.encode({
+        publicKey,
+        ...revocation
+      }).finish()))
+  }
+
+  // Returns the member if it has changed
+  indexMember (message, batch) {
+    const { chain, timestamp } = message
+    const keys = [this.publicKey].concat(chain.getPublicKeys())
+    const publicKey = keys[keys.length - 1]
+    const hex = publicKey.toString('hex')
+    const displayPath = chain.getDisplayPath()
+    const validTo = chain.getValidTo()
+
+    const existing = batch.getIndexEntry(this.members, hex)
+    if (!existing) {
+      const created = {
+        publicKey,
+        displayPaths: [{ names: displayPath }],
+        inviter: keys.length > 1 ? keys[keys.length - 2] : Buffer.alloc(0),
+        firstPostAt: timestamp,
+        lastPostAt: timestamp,
+        validTo
+      }
+      batch.setIndexEntry(this.members, hex, created)
+      return created
+    }
+
+    const member = {
+      ...existing,
+      displayPaths: existing.displayPaths.slice()
+    }
+
+    let isChanged = false
+    if (timestamp < member.firstPostAt) {
+      member.firstPostAt = timestamp
+      isChanged = true
+    }
+    if (timestamp > member.lastPostAt) {
+      member.lastPostAt = timestamp
+      isChanged = true
+    }
+    if (validTo > member.validTo) {
+      member.validTo = validTo
+      isChanged = true
+    }
+
+    const isKnownPath = member.displayPaths.some(({ names }) => {
+      return names.length === displayPath.length &&
+        names.every((name, i) => name === displayPath[i])
+    })
+    if (!isKnownPath && member.displayPaths.length < MAX_DISPLAY_PATHS) {
+      member.displayPaths.push({ names: displayPath })
+      isChanged = true
+    }
+
+    if (!isChanged) {
+      return null
+    }
+    batch.setIndexEntry(this.members, hex, member)
+    return member
+  }
+
+  // Returns the edit if it has changed
+  indexEdit (message, batch) {
+    const { kind } = message
+    if (kind !== Message.EDIT && kind !== Message.DELETE) {
+      return null
+    }
+
+    const key = message.json.target
+    const existing = batch.getIndexEntry(this.edits, key)
+    if (existing) {
+      // Deletion is final
+      if (existing.isDeleted) {
+        return null
+      }
+
+      if (kind === Message.EDIT && !this.isNewer(message, existing)) {
+        return null
+      }
+    }
+
+    const edit = {
+      target: Buffer.from(key, 'hex'),
+      hash: message.hash,
+      timestamp: message.timestamp,
+      height: message.height,
+      text: kind === Message.EDIT ? message.json.text : '',
+      isDeleted: kind === Message.DELETE
+    }
+    batch.setIndexEntry(this.edits, key, edit)
+    return edit
+  }
+
+  // Returns the thread if it has changed
+  indexReply (message, batch) {
+    if (message.kind !== Message.REPLY) {
+      return null
+    }
+
+    const root = message.json.thread
+    const existing = batch.getIndexEntry(this.threadReplies, root)
+    if (!existing) {
+      throw new Error('Internal error: thread replies are not loaded')
+    }
+
+    // Replies mostly arrive in CRDT order
+    const reply = { hash: message.hash, height: message.height }
+    let index = existing.length
+    while (index > 0 && Channel.compareCRDT(existing[index - 1], reply) > 0) {
+      index--
+    }
+
+    // Already indexed
+    if (index > 0 && existing[index - 1].hash.equals(reply.hash)) {
+      return null
+    }
+
+    const replies = existing.slice()
+    replies.splice(index, 0, reply)
+    batch.setIndexEntry(this.threadReplies, root, replies)
+
+    const previous = batch.getIndexEntry(this.threads, root) || {
+      root: Buffer.from(root, 'hex'),
+      replyCount: 0,
+      lastReplyAt: message.timestamp
+    }
+    const thread = {
+      root: previous.root,
+      replyCount: previous.replyCount + 1,
+      lastReplyAt: Math.max(previous.lastReplyAt, message.timestamp)
+    }
+    batch.setIndexEntry(this.threads, root, thread)
+    return thread
+  }
+
+  // Returns reactions to the target if they have changed
+  indexReaction (message, batch) {
+    if (message.kind !== Message.REACTION) {
+      return null
+    }
+
+    const { target, reaction, remove = false } = message.json
+    const existing = batch.getIndexEntry(this.reactions, target)
+    if (!existing) {
+      throw new Error('Internal error: reactions are not loaded')
+    }
+
+    // One reaction per key per emoji, the latest add or remove wins
+    const publicKey = this.getAuthorKey(message)
+    const key = `${publicKey.toString('hex')}/${reaction}`
+    const previous = existing.get(key)
+    if (previous && !this.isNewer(message, previous)) {
+      return null
+    }
+
+    const reactions = new Map(existing)
+    reactions.set(key, {
+      reaction,
+      publicKey,
+      hash: message.hash,
+      timestamp: message.timestamp,
+      height: message.height,
+      isRemoved: remove
+    })
+    batch.setIndexEntry(this.reactions, target, reactions)
+    batch.setIndexEntry(this.reactionTargets, target, true)
+    return reactions
+  }
+
+  // Descendants win over their ancestors (which have lower heights), other
+  // messages are ordered by height, timestamp, and hash
+  isNewer (message, entry) {
+    if (entry.height !== message.height) {
+      return entry.height < message.height
+    }
+    if (entry.timestamp !== message.timestamp) {
+      return entry.timestamp < message.timestamp
+    }
+    return Buffer.compare(entry.hash, message.hash) < 0
+  }
+
+  // Load indexes that `indexMessage()` has to update synchronously
+  async loadTargetIndex (message, target) {
+    if (!target) {
+      return
+    }
+
+    if (message.kind === Message.REPLY) {
+      await this.loadThreadReplies(message.json.thread)
+    } else if (message.kind === Message.REACTION) {
+      await this.loadReactions(message.json.target)
+    }
+  }
+
+  async loadReactions (target) {
+    if (this.reactions.has(target)) {
+      return this.reactions.get(target)
+    }
+
+    const reactions = new Map()
+    if (this.reactionTargets.has(target)) {
+      const decoded = await this.loadIndex(REACTIONS_PREFIX, PReactions,
+        this.indexId(target))
+      for (const entry of (decoded ? decoded.entries : [])) {
+        const key = `${entry.publicKey.toString('hex')}/${entry.reaction}`
+        reactions.set(key, {
+          reaction: entry.reaction,
+          publicKey: entry.publicKey,
+          hash: entry.hash,
+          timestamp: entry.timestamp,
+          height: entry.height.toNumber(),
+          isRemoved: entry.isRemoved
+        })
+      }
+    }
+
+    // NOTE: Could have been loaded concurrently
+    if (!this.reactions.has(target)) {
+      this.reactions.set(target, reactions)
+    }
+    return this.reactions.get(target)
+  }
+
+  async loadThreadReplies (root) {
+    if (this.threadReplies.has(root)) {
+      return this.threadReplies.get(root)
+    }
+
+    const replies = []
+    if (this.threads.has(root)) {
+      const keys = await this.getIndexKeys(THREAD_REPLIES_PREFIX, `${root}/`)
+      for (const key of keys) {
+        const reply = await this.loadIndex(THREAD_REPLIES_PREFIX, PThreadReply,
+          this.indexId(key))
+        if (reply) {
+          replies.push({ hash: reply.hash, height: reply.height.toNumber() })
+        }
+      }
+      replies.sort(Channel.compareCRDT)
+    }
+
+    // NOTE: Could have been loaded concurrently
+    if (!this.threadReplies.has(root)) {
+      this.threadReplies.set(root, replies)
+    }
+    return this.threadReplies.get(root)
+  }
+
+  // Load chunks from the storage, and request the missing ones from the
+  // `remote` (if present)
+  async loadChunks (hashes, remote) {
+    const chunks = []
+    for (const hash of hashes) {
+      chunks.push(await this.loadChunk(hash))
+    }
+
+    const missing = hashes.filter((hash, i) => !chunks[i])
+    if (missing.length === 0 || !remote) {
+      return chunks
+    }
+
+    const received = await this.receiveChunks(remote, missing)
+    return chunks.map((chunk, i) => {
+      return chunk || received.get(hashes[i].toString('hex')) || null
+    })
+  }
+
+  async loadChunk (hash) {
+    const blob = await this.cache.retrieveEntity(CHUNKS_PREFIX,
+      this.chunkId(hash))
+    return blob ? this.decryptIndex(blob) : null
+  }
+
+  storeChunk (hash, chunk, batch) {
+    batch.storeEntity(CHUNKS_PREFIX, this.chunkId(hash),
+      this.encryptIndex(chunk))
+  }
+
+  hashChunk (chunk) {
+    const hash = Buffer.alloc(Message.HASH_SIZE)
+    this.sodium.crypto_generichash(hash, chunk)
+    return hash
+  }
+
+  chunkId (hash) {
+    return `${this.id.toString('hex')}/${hash.toString('hex')}`
+  }
+
+  /**
+   * **(Internal)** Storage operations that remove all indexes of the
+   * channel.
+   *
+   * @returns {Promise} list of batch operations
+   */
+  async getIndexRemovals () {
+    const prefixes = [
+      REVOCATIONS_PREFIX,
+      MEMBERS_PREFIX,
+      EDITS_PREFIX,
+      THREADS_PREFIX,
+      THREAD_REPLIES_PREFIX,
+      REACTIONS_PREFIX
+    ]
+
+    const operations = []
+    for (const prefix of prefixes) {
+      for (const key of await this.getIndexKeys(prefix)) {
+        operations.push({ type: 'removeEntity', prefix, id: this.indexId(key) })
+      }
+    }
+    return operations
+  }
+
+  /**
+   * **(Internal)** Storage operations that remove all attachment chunks of
+   * the channel.
+   *
+   * @returns {Promise} list of batch operations
+   */
+  async getChunkRemovals () {
+    const prefix = `${this.id.toString('hex')}/`
+    const ids = await this.cache.getEntityKeys(CHUNKS_PREFIX)
+    return ids.filter((id) => id.startsWith(prefix)).map((id) => {
+      return { type: 'removeEntity', prefix: CHUNKS_PREFIX, id }
+    })
+  }
+
+  encryptIndex (data) {
+    const { nonce, box } = this.encrypt(data)
+    return Buffer.concat([nonce, box])
+  }
+
+  decryptIndex (blob) {
+    const nonce = blob.slice(0, this.sodium.crypto_secretbox_NONCEBYTES)
+    return this.decrypt(blob.slice(nonce.length), nonce)
+  }
+
+  // Id of the per-entry index entity, e.g. a single member
+  indexId (key) {
+    return `${this.id.toString('hex')}/${key}`
+  }
+
+  // Keys of the per-entry index entities of the channel that start with
+  // `start`, see: indexId()
+  async getIndexKeys (prefix, start = '') {
+    const idPrefix = this.indexId(start)
+    const skip = idPrefix.length - start.length
+    const ids = await this.cache.getEntityKeys(prefix)
+    return ids.filter((id) => id.startsWith(idPrefix)).map((id) => {
+      return id.slice(skip)
+    })
+  }
+
+  async loadIndex (prefix, decoder, id = this.id.toString('hex')) {
+    const blob = await this.cache.retrieveEntity(prefix, id)
+    if (!blob) {
+      return null
+    }
+
+    return decoder.decode(this.decryptIndex(blob))
+  }
+
+  async loadIndexes () {
+    this.revocations.clear()
+    for (const key of await this.getIndexKeys(REVOCATIONS_PREFIX)) {
+      const revoked = await this.loadIndex(REVOCATIONS_PREFIX, PRevokedKey,
+        this.indexId(key))
+      if (revoked) {
+        this.revocations.set(key, {
+          timestamp: revoked.timestamp,
+          hash: revoked.hash,
+          height: revoked.height.toNumber()
+        })
+      }
+    }
+
+    this.members.clear()
+    for (const key of await this.getIndexKeys(MEMBERS_PREFIX)) {
+      const member = await this.loadIndex(MEMBERS_PREFIX, PMember,
+        this.indexId(key))
+      if (!member) {
+        continue
+      }
+
+      this.members.set(key, {
+        publicKey: member.publicKey,
+        displayPaths: member.displayPaths.map(({ names }) => {
+          return { names }
+        }),
+        inviter: member.inviter,
+        firstPostAt: member.firstPostAt,
+        lastPostAt: member.lastPostAt,
+        validTo: member.validTo
+      })
+    }
+
+    this.edits.clear()
+    for (const key of await this.getIndexKeys(EDITS_PREFIX)) {
+      const edit = await this.loadIndex(EDITS_PREFIX, PEdit, this.indexId(key))
+      if (!edit) {
+        continue
+      }
+
+      this.edits.set(key, {
+        target: edit.target,
+        hash: edit.hash,
+        timestamp: edit.timestamp,
+        height: edit.height.toNumber(),
+        text: edit.text,
+        isDeleted: edit.isDeleted
+      })
+    }
+
+    this.threads.clear()
+    this.threadReplies.clear()
+    for (const key of await this.getIndexKeys(THREADS_PREFIX)) {
+      const thread = await this.loadIndex(THREADS_PREFIX, PThread,
+        this.indexId(key))
+      if (!thread) {
+        continue
+      }
+
+      this.threads.set(key, {
+        root: thread.root,
+        replyCount: thread.replyCount,
+        lastReplyAt: thread.lastReplyAt
+      })
+    }
+
+    // NOTE: Reactions are loaded on demand
+    this.reactionTargets.clear()
+    this.reactions.clear()
+    for (const target of await this.getIndexKeys(REACTIONS_PREFIX)) {
+      this.reactionTargets.set(target, true)
+    }
+  }
+
+  // Commit the `batch`. Messages that were indexed before the keys revoked in
+  // the `batch` have to be removed from the indexes, so they are rebuilt.
+  async commitBatch (batch) {
+    const isRevoking = batch.hasIndexEntries(this.revocations)
+    await batch.commit()
+    if (isRevoking) {
+      await this.reindex()
+    }
+  }
+
+  // Rebuild the indexes (except revocations) from the stored messages without
+  // the revoked ones, see: isMessageRevoked()
+  async reindex () {
+    this.debug('reindexing')
+
+    const batch = this.cache.createBatch()
+    for (const { prefix, id } of await this.getIndexRemovals()) {
+      if (prefix !== REVOCATIONS_PREFIX) {
+        batch.removeEntity(prefix, id)
+      }
+    }
+
+    const indexes = [
+      this.members,
+      this.edits,
+      this.threads,
+      this.threadReplies,
+      this.reactionTargets,
+      this.reactions
+    ]
+    for (const index of indexes) {
+      batch.clearIndex(index)
+    }
+
+    const count = await this.getMessageCount()
+    for (let offset = 0; offset < count; offset += REINDEX_BATCH) {
+      const messages = await this.getMessagesAtOffset(offset, REINDEX_BATCH)
+      for (const message of messages) {
+        if (this.isMessageRevoked(message)) {
+          continue
+        }
+
+        // NOTE: Thread replies and reactions are rebuilt instead of being
+        // loaded, see: loadTargetIndex()
+        const target = await this.getTarget(message, batch)
+        if (target && message.kind === Message.REPLY &&
+            !batch.getIndexEntry(this.threadReplies, message.json.thread)) {
+          batch.setIndexEntry(this.threadReplies, message.json.thread, [])
+        } else if (target && message.kind === Message.REACTION &&
+            !batch.getIndexEntry(this.reactions, message.json.target)) {
+          batch.setIndexEntry(this.reactions, message.json.target, new Map())
+        }
+
+        this.indexMessage(message, batch, target)
+      }
+    }
+
+    await batch.commit()
+  }
+
+  // Run `task` after the pending updates of the channel. Batches stage copies
+  // of the index entries, so concurrent batches would overwrite each other's
+  // updates on commit.
+  exclusive (task) {
+    const result = this.updates.then(task)
+
+    // Failed update must not block the ones after it
+    this.updates = result.catch(() => {})
+
+    return result
+  }
+
+  onReceived (message) {
+    this.debug('received message.hash=%s', message.debugHash)
+
+    // Revoked messages are stored, but not displayed
+    if (!this.isMessageRevoked(message)) {
+      this.waitList.resolve(`${this.debugId} incoming`, message)
+    }
+    this.waitList.resolve(`${this.debugId} update`)
+  }
+
   computeHeight (parents) {
     return parents.reduce((acc, parent) => {
       return Math.max(acc, parent.height + 1)
@@ -625,7 +2018,8 @@ class Channel {
       name: this.name,
       isFeed: this.isFeed,
 
-      metadata: this.metadata ? JSON.stringify(this.metadata) : ''
+      metadata: this.metadata ? JSON.stringify(this.metadata) : '',
+      retention: this.retention
     }
   }
 
@@ -638,7 +2032,8 @@ class Channel {
       ...options,
       name: decoded.name,
       publicKey: decoded.publicKey,
-      isFeed: decoded.isFeed
+      isFeed: decoded.isFeed,
+      retention: decoded.retention
     })
     if (decoded.metadata) {
       try {
@@ -647,6 +2042,7 @@ class Channel {
         channel.debug('failed to parse stored metadata')
       }
     }
+    await channel.loadIndexes()
     return channel
   }
 
@@ -654,6 +2050,25 @@ class Channel {
     return await Channel.deserialize(PChannel.decode(data), options)
   }
 
+  static copyMember (member) {
+    return {
+      publicKey: member.publicKey,
+      displayPaths: member.displayPaths.map(({ names }) => names.slice()),
+      inviter: member.inviter.length === 0 ? null : member.inviter,
+      firstPostAt: member.firstPostAt,
+      lastPostAt: member.lastPostAt,
+      validTo: member.validTo
+    }
+  }
+
+  // Messages are ordered by `height` and then by `hash`
+  static compareCRDT (a, b) {
+    if (a.height !== b.height) {
+      return a.height - b.height
+    }
+    return Buffer.compare(a.hash, b.hash)
+  }
+
   static compare (a, b) {
     if (a.name > b.name) {
       return 1
@@ -680,6 +2095,16 @@ class Channel {
     }
   }
 
+  static attachmentLimit (chainLength) {
+    switch (chainLength) {
+      case 0: return MAX_ATTACHMENT_SIZE
+      case 1: return 33554432
+      case 2: return 8388608
+      case 3: return 1048576
+      default: throw new Error('Unexpected chain length: ' + chainLength)
+    }
+  }
+
   static checkJSONLimit (json = '', chainLength) {
     const limit = Channel.jsonLimit(chainLength)
     if (json.length > limit) {
@@ -707,6 +2132,20 @@ Channel.MAX_PARENT_DELTA = MAX_PARENT_DELTA
 Channel.MAX_QUERY_LIMIT = MAX_QUERY_LIMIT
 Channel.MAX_UNRESOLVED_COUNT = MAX_UNRESOLVED_COUNT
 Channel.MAX_BULK_COUNT = MAX_BULK_COUNT
+Channel.MAX_CHUNKS_COUNT = MAX_CHUNKS_COUNT
 Channel.MAX_LEAVES_COUNT = MAX_LEAVES_COUNT
+Channel.PRUNE_BATCH = PRUNE_BATCH
+Channel.REINDEX_BATCH = REINDEX_BATCH
+Channel.MAX_DISPLAY_PATHS = MAX_DISPLAY_PATHS
+Channel.CHUNK_SIZE = CHUNK_SIZE
+Channel.MAX_ATTACHMENT_SIZE = MAX_ATTACHMENT_SIZE
+Channel.VALIDATION_MODES = VALIDATION_MODES
+Channel.REVOCATIONS_PREFIX = REVOCATIONS_PREFIX
+Channel.MEMBERS_PREFIX = MEMBERS_PREFIX
+Channel.EDITS_PREFIX = EDITS_PREFIX
+Channel.THREADS_PREFIX = THREADS_PREFIX
+Channel.THREAD_REPLIES_PREFIX = THREAD_REPLIES_PREFIX
+Channel.REACTIONS_PREFIX = REACTIONS_PREFIX
+Channel.CHUNKS_PREFIX = CHUNKS_PREFIX
 
 module.exports = Channel
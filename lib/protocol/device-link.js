@@ -0,0 +1,124 @@
+const { DeviceLink: PDeviceLink } = require('../messages')
+const { now, BanError } = require('../utils')
+
+const Link = require('./link')
+
+const TBS_PREFIX = Buffer.from('peerlinks-device-link')
+
+class DeviceLink {
+  /**
+   * Delegation of the primary key to the device key. Messages signed by the
+   * device key are attributed to the primary key.
+   *
+   * @class
+   */
+  constructor (options) {
+    const {
+      sodium,
+      validFrom,
+      validTo,
+      devicePubKey,
+      deviceName,
+      signature
+    } = options
+
+    if (!sodium) {
+      throw new Error('Missing required `sodium` option')
+    }
+
+    if (!deviceName) {
+      throw new BanError('`deviceName` is mandatory for the DeviceLink')
+    }
+    if (deviceName.length > Link.MAX_DISPLAY_NAME_LENGTH) {
+      throw new BanError('Invalid deviceName length: ' + deviceName.length)
+    }
+    if (signature.length !== sodium.crypto_sign_BYTES) {
+      throw new BanError('Invalid signature length')
+    }
+    if (devicePubKey.length !== sodium.crypto_sign_PUBLICKEYBYTES) {
+      throw new BanError('Invalid public key length')
+    }
+
+    this.sodium = sodium
+
+    this.validFrom = validFrom
+    this.validTo = validTo
+    this.devicePubKey = devicePubKey
+    this.deviceName = deviceName
+    this.signature = signature
+  }
+
+  verify (primaryPubKey, timestamp = now()) {
+    if (!this.isValid(timestamp)) {
+      return false
+    }
+
+    const tbs = DeviceLink.tbs({
+      devicePubKey: this.devicePubKey,
+      deviceName: this.deviceName,
+      validFrom: this.validFrom,
+      validTo: this.validTo
+    })
+
+    const sodium = this.sodium
+    return sodium.crypto_sign_verify_detached(this.signature, tbs,
+      primaryPubKey)
+  }
+
+  isValid (timestamp = now()) {
+    return this.validFrom <= timestamp && timestamp < this.validTo
+  }
+
+  static tbs (options) {
+    const {
+      devicePubKey,
+      deviceName,
+      validFrom,
+      validTo
+    } = options
+
+    // NOTE: The prefix separates device links from the channel links
+    return Buffer.concat([
+      TBS_PREFIX,
+      PDeviceLink.TBS.encode({
+        devicePubKey,
+        deviceName,
+        validFrom,
+        validTo
+      }).finish()
+    ])
+  }
+
+  serialize () {
+    return {
+      tbs: {
+        devicePubKey: this.devicePubKey,
+        deviceName: this.deviceName,
+        validFrom: this.validFrom,
+        validTo: this.validTo
+      },
+      signature: this.signature
+    }
+  }
+
+  serializeData () {
+    return PDeviceLink.encode(this.serialize()).finish()
+  }
+
+  static deserialize (decoded, options) {
+    return new DeviceLink({
+      sodium: options.sodium,
+      validFrom: decoded.tbs.validFrom,
+      validTo: decoded.tbs.validTo,
+      devicePubKey: decoded.tbs.devicePubKey,
+      deviceName: decoded.tbs.deviceName,
+      signature: decoded.signature
+    })
+  }
+
+  static deserializeData (data, options) {
+    return DeviceLink.deserialize(PDeviceLink.decode(data), options)
+  }
+}
+
+module.exports = DeviceLink
@@ -1,9 +1,17 @@
+const bip39 = require('bip39')
 const createDebug = require('debug')
 const usodium = require('sodium-universal')
 
-const { now, BanError, EphemeralBox } = require('../utils')
+const {
+  now,
+  BanError,
+  EphemeralBox,
+  encodeBase58URI,
+  decodeBase58URI
+} = require('../utils')
 
 const {
+  EncryptedInvite: PEncryptedInvite,
   Identity: PIdentity,
   Invite: PInvite,
   InviteRequest: PInviteRequest
@@ -12,6 +20,7 @@ const {
 const { ID_LENGTH } = require('../constants')
 const Message = require('./message')
 const Chain = require('./chain')
+const DeviceLink = require('./device-link')
 const Link = require('./link')
 
 const LINK_EXPIRATION_DELTA = Link.EXPIRATION_DELTA
@@ -22,12 +31,24 @@ const debug = createDebug('peerlinks:identity')
 const MAX_INVITE_NAME_LENGTH = 128
 const INVITE_REQUEST_ID_LENGTH = 32
 
+// Candidate chains per channel (see `addChain()`)
+const MAX_CHAINS = 4
+
+// Oldest entries are dropped from the ledger after this
+const MAX_ISSUED_LINKS = 4096
+
+// 24 words
+const SEED_PHRASE_ENTROPY_LENGTH = 32
+
+// See: encodeInviteRequest(), encodeInvite()
+const INVITE_URI_VERSION = 1
+
 // The property is ours. The symbol prevents uncontrolled use from other
 // internal modules.
 const kSecretKey = Symbol('secretKey')
 
 class Identity {
-  constructor (name, { publicKey, secretKey, sodium } = {}) {
+  constructor (name, { publicKey, secretKey, seed, sodium } = {}) {
     if (!sodium) {
       throw new Error('Missing required `sodium` option')
     }
@@ -45,12 +66,24 @@ class Identity {
       this.publicKey = Buffer.alloc(sodium.crypto_sign_PUBLICKEYBYTES)
       // TODO(indutny): use sodium_malloc
       this[kSecretKey] = Buffer.alloc(sodium.crypto_sign_SECRETKEYBYTES)
-      sodium.crypto_sign_keypair(this.publicKey, this[kSecretKey])
+      if (seed) {
+        sodium.crypto_sign_seed_keypair(this.publicKey, this[kSecretKey], seed)
+      } else {
+        sodium.crypto_sign_keypair(this.publicKey, this[kSecretKey])
+      }
     }
 
-    // Channel => Chain
+    // Channel id => [ Chain ], best chains first
     this.chains = new Map()
 
+    // Ledger of issued links: [ { channelId, link, issuedAt } ], oldest first.
+    // See: getIssuedLinks()
+    this.issuedLinks = []
+
+    // Only for device identities. See: setDeviceLink()
+    this.deviceLink = null
+    this.primaryPubKey = null
+
     // To be JSON stringified and stored in persistence
     this.metadata = null
 
@@ -79,11 +112,16 @@ class Identity {
   //
 
   issueLink (channel, options) {
+    if (this.isDevice) {
+      throw new Error('Device identities can\'t issue links')
+    }
+
     const {
       validFrom = now() - LINK_EXPIRATION_LEEWAY,
       validTo = now() + LINK_EXPIRATION_DELTA,
       trusteePubKey,
-      trusteeDisplayName
+      trusteeDisplayName,
+      capabilities = 0
     } = options
 
     const sodium = this.sodium
@@ -92,54 +130,142 @@ class Identity {
       trusteePubKey: trusteePubKey,
       trusteeDisplayName,
       validFrom: validFrom,
-      validTo: validTo
+      validTo: validTo,
+      capabilities
     })
     const signature = this.sign(tbs)
 
-    return new Link({
+    const link = new Link({
       sodium,
       validFrom,
       validTo,
       trusteePubKey,
       trusteeDisplayName,
+      capabilities,
       signature
     })
+
+    this.issuedLinks.push({ channelId: channel.id, link, issuedAt: now() })
+    if (this.issuedLinks.length > MAX_ISSUED_LINKS) {
+      this.issuedLinks.shift()
+    }
+
+    return link
+  }
+
+  /**
+   * List links issued by this identity (oldest first). The chain of the
+   * trustee (e.g. for revocation) is `Chain.append(getChain(channel), link)`.
+   *
+   * @param {Object} [filter] - `.channel`, `.trusteePubKey`,
+   *     `.trusteeDisplayName` limit results to the matching links.
+   *     `.validAt` (timestamp) - only the links that are valid at that time
+   * @returns {Object[]} list of `{ channelId, link, issuedAt }`
+   */
+  getIssuedLinks (filter = {}) {
+    const {
+      channel,
+      trusteePubKey,
+      trusteeDisplayName,
+      validAt
+    } = filter
+
+    return this.issuedLinks.filter(({ channelId, link }) => {
+      if (channel && !channel.id.equals(channelId)) {
+        return false
+      }
+      if (trusteePubKey && !trusteePubKey.equals(link.trusteePubKey)) {
+        return false
+      }
+      if (trusteeDisplayName !== undefined &&
+          trusteeDisplayName !== link.trusteeDisplayName) {
+        return false
+      }
+      if (validAt !== undefined && !link.isValid(validAt)) {
+        return false
+      }
+      return true
+    })
+  }
+
+  /**
+   * Add stored entries to the ledger of issued links.
+   *
+   * @param {Object[]} entries - list of `{ channelId, link, issuedAt }` (see
+   *     `deserializeIssuedLinkData()`)
+   */
+  addIssuedLinks (entries) {
+    this.issuedLinks = this.issuedLinks.concat(entries).sort((a, b) => {
+      return a.issuedAt - b.issuedAt
+    }).slice(-MAX_ISSUED_LINKS)
   }
 
+  /**
+   * Add a candidate chain for the channel. Expired chains are dropped, and
+   * at most `MAX_CHAINS` best chains are kept.
+   *
+   * @param {Channel} channel - Channel of the chain
+   * @param {Chain} chain - Chain that leads to identity's public key
+   * @param {number} [timestamp] - current time
+   */
   addChain (channel, chain, timestamp = now()) {
     if (!chain.verify(channel, timestamp)) {
       throw new Error('Invalid chain')
     }
 
     const leafKey = chain.getLeafKey(channel, timestamp)
-    if (!leafKey.equals(this.publicKey)) {
+    if (!leafKey.equals(this.getPrimaryKey())) {
       throw new Error('Invalid leaf key in the chain')
     }
 
-    const key = channel.id.toString('hex')
-    if (this.chains.has(key)) {
-      const existing = this.chains.get(key)
-
-      // Do not replace better chains with worse chains
-      if (existing.isBetterThan(chain)) {
-        return
-      }
+    const existing = this.getChains(channel)
+    if (existing.some((other) => other.equals(chain))) {
+      return
     }
-    this.chains.set(key, chain)
+
+    const candidates = existing
+      .filter((other) => other.isValid(timestamp))
+      .concat([chain])
+      .sort(Chain.compareQuality)
+      .slice(0, MAX_CHAINS)
+    this.chains.set(channel.id.toString('hex'), candidates)
   }
 
-  getChain (channel, timestamp = now()) {
-    const chain = this.chains.get(channel.id.toString('hex'))
-    if (!chain) {
+  /**
+   * Get the best chain that is still valid and not revoked at `timestamp`.
+   *
+   * @param {Channel} channel - Channel of the chain
+   * @param {number} [timestamp] - time of use
+   * @param {number} [capability] - bitmask of `Link.READ`, `Link.POST`,
+   *     `Link.INVITE` that the chain has to have (default: none)
+   * @returns {Chain|undefined|false} `undefined` if there are no chains for
+   *     the channel, `false` if none of them could be used
+   */
+  getChain (channel, timestamp = now(), capability = 0) {
+    const candidates = this.chains.get(channel.id.toString('hex'))
+    if (!candidates) {
       return
     }
 
-    // Purge invalid chains
-    if (!chain.isValid(timestamp + LINK_EXPIRATION_LEEWAY)) {
+    if (this.isDevice && !this.isDeviceUsable(channel, timestamp)) {
       return false
     }
 
-    return chain
+    // Fallback to worse chains when the better ones expire
+    const chain = candidates.find((chain) => {
+      return chain.hasCapability(capability) &&
+        chain.isValid(timestamp + LINK_EXPIRATION_LEEWAY) &&
+        !channel.isChainRevoked(chain, timestamp)
+    })
+    return chain || false
+  }
+
+  /**
+   * @param {Channel} channel - Channel of the chains
+   * @returns {Chain[]} all candidate chains, best first
+   */
+  getChains (channel) {
+    return (this.chains.get(channel.id.toString('hex')) || []).slice()
   }
 
   removeChain (channel) {
@@ -153,9 +279,12 @@ class Identity {
 
   getChannelIds (timestamp = now()) {
     const result = []
-    for (const [key, chain] of this.chains) {
+    for (const [key, chains] of this.chains) {
       // TODO(indutny): why do you add leeway?
-      if (chain.isValid(timestamp + LINK_EXPIRATION_LEEWAY)) {
+      const isValid = chains.some((chain) => {
+        return chain.isValid(timestamp + LINK_EXPIRATION_LEEWAY)
+      })
+      if (isValid) {
         result.push(Buffer.from(key, 'hex'))
       }
     }
@@ -173,7 +302,8 @@ class Identity {
       parents
     } = options
 
-    const chain = this.getChain(channel, timestamp)
+    const chain = this.getChain(channel, timestamp, Link.POST) ||
+      this.getChain(channel, timestamp)
     if (!chain) {
       throw new Error(
         `No chain available for a channel ${channel.id.toString('hex')}`)
@@ -184,12 +314,14 @@ class Identity {
         `Cannot post to the channel ${channel.id.toString('hex')}`)
     }
 
+    const device = this.deviceLink
     const tbs = Message.tbs({
       chain: chain.serialize(),
       timestamp,
       body,
       parents,
-      height
+      height,
+      device: device ? device.serialize() : null
     })
 
     const signature = this.sign(tbs)
@@ -200,10 +332,93 @@ class Identity {
       chain,
       timestamp,
       body,
+      device,
       signature
     }
   }
 
+  //
+  // Devices
+  //
+
+  get isDevice () {
+    return !!this.deviceLink
+  }
+
+  /**
+   * @returns {Buffer} the key that chains lead to: public key of the primary
+   *     identity for devices, own public key otherwise
+   */
+  getPrimaryKey () {
+    return this.primaryPubKey || this.publicKey
+  }
+
+  /**
+   * Delegate posting and synchronization on behalf of this identity to the
+   * device key. Unlike `issueLink()` it doesn't extend the chains.
+   *
+   * @param {Object} options - `.devicePubKey` and `.deviceName` are
+   *     mandatory, `.validFrom`/`.validTo` are optional
+   * @returns {DeviceLink} to be passed to `setDeviceLink()` of the device
+   */
+  issueDeviceLink (options) {
+    if (this.isDevice) {
+      throw new Error('Device identities can\'t issue device links')
+    }
+
+    const {
+      validFrom = now() - LINK_EXPIRATION_LEEWAY,
+      validTo = now() + LINK_EXPIRATION_DELTA,
+      devicePubKey,
+      deviceName
+    } = options
+
+    const tbs = DeviceLink.tbs({
+      devicePubKey,
+      deviceName,
+      validFrom,
+      validTo
+    })
+
+    return new DeviceLink({
+      sodium: this.sodium,
+      validFrom,
+      validTo,
+      devicePubKey,
+      deviceName,
+      signature: this.sign(tbs)
+    })
+  }
+
+  /**
+   * Turn this identity into a device of the primary identity. Chains of the
+   * primary identity could be added with `addChain()` afterwards.
+   *
+   * @param {DeviceLink} deviceLink - result of `issueDeviceLink()` of the
+   *     primary identity
+   * @param {Buffer} primaryPubKey - public key of the primary identity
+   */
+  setDeviceLink (deviceLink, primaryPubKey) {
+    if (!deviceLink.devicePubKey.equals(this.publicKey)) {
+      throw new Error('Device link is issued for a different key')
+    }
+    if (!deviceLink.verify(primaryPubKey)) {
+      throw new Error('Invalid device link')
+    }
+    if (this.primaryPubKey && !this.primaryPubKey.equals(primaryPubKey)) {
+      throw new Error('Device already belongs to a different identity')
+    }
+
+    this.deviceLink = deviceLink
+    this.primaryPubKey = primaryPubKey
+  }
+
+  /** **(Internal)** */
+  isDeviceUsable (channel, timestamp = now()) {
+    return this.deviceLink.isValid(timestamp) &&
+      !channel.isKeyRevoked(this.publicKey, timestamp)
+  }
+
   //
   // Sign/verify
   //
@@ -274,22 +489,36 @@ class Identity {
   }
 
   canPost (channel, timestamp = now()) {
-    const chain = this.getChain(channel, timestamp)
-    if (!chain) {
+    const chain = this.getChain(channel, timestamp, Link.POST)
+    if (!chain || !chain.hasCapability(Link.POST)) {
       return false
     }
     return chain.verify(channel, timestamp)
   }
 
   canInvite (channel, timestamp = now()) {
-    if (!this.canPost(channel, timestamp)) {
+    if (this.isDevice) {
       return false
     }
 
-    return this.getChain(channel, timestamp).canAppend()
+    const chain = this.getChain(channel, timestamp, Link.INVITE)
+    if (!chain || !chain.hasCapability(Link.INVITE)) {
+      return false
+    }
+    return chain.verify(channel, timestamp) && chain.canAppend()
   }
 
-  issueInvite (channel, requestData, trusteeDisplayName) {
+  /**
+   * Issue an invite in response to `requestInvite()` of the trustee.
+   *
+   * @param {Channel} channel - Channel to invite to
+   * @param {Buffer} requestData - `request` from `requestInvite()`
+   * @param {string} trusteeDisplayName - Name of the trustee in the chain
+   * @param {Object} [options] - `.capabilities` is a bitmask of `Link.READ`,
+   *     `Link.POST`, `Link.INVITE` granted to the trustee (default: all)
+   * @returns {Object} `{ encryptedInvite, peerId }`
+   */
+  issueInvite (channel, requestData, trusteeDisplayName, options = {}) {
     const sodium = this.sodium
     const request = PInviteRequest.decode(requestData)
 
@@ -300,11 +529,22 @@ class Identity {
       throw new BanError('Invalid `peerId` length')
     }
 
-    if (!this.canPost(channel)) {
+    if (this.isDevice) {
+      throw new Error('Device identities can\'t invite')
+    }
+
+    const chain = this.getChain(channel, now(), Link.INVITE) ||
+      this.getChain(channel)
+    if (!chain || !chain.verify(channel)) {
       throw new Error(
         'Can\'t invite to the channel without having write access to it')
     }
 
+    if (!chain.hasCapability(Link.INVITE)) {
+      throw new Error(
+        'Can\'t invite to the channel without invite capability')
+    }
+
     if (!this.canInvite(channel)) {
       throw new Error(
         'Can\'t invite to the channel due to maximum trust chain length')
@@ -312,10 +552,10 @@ class Identity {
 
     const link = this.issueLink(channel, {
       trusteePubKey: request.trusteePubKey,
-      trusteeDisplayName
+      trusteeDisplayName,
+      capabilities: options.capabilities
     })
 
-    const chain = this.getChain(channel)
     const inviteChain = Chain.append(chain, link)
 
     const invite = PInvite.encode({
@@ -339,6 +579,56 @@ class Identity {
     }
   }
 
+  /**
+   * Encode `request` from `requestInvite()` as a text that could be sent to
+   * the issuer by hand.
+   *
+   * @param {Buffer} request - `request` from `requestInvite()`
+   * @returns {string} `peerlinks:invite-request:1:...`
+   */
+  static encodeInviteRequest (request) {
+    return encodeBase58URI('invite-request', INVITE_URI_VERSION, request)
+  }
+
+  /**
+   * @param {string} uri - result of `encodeInviteRequest()`
+   * @returns {Buffer} `request` to be passed to `issueInvite()`
+   */
+  static decodeInviteRequest (uri) {
+    const request = decodeBase58URI('invite-request', INVITE_URI_VERSION, uri)
+    try {
+      PInviteRequest.decode(request)
+    } catch (e) {
+      throw new Error('Invalid invite-request URI: ' + e.message)
+    }
+    return request
+  }
+
+  /**
+   * Encode `encryptedInvite` from `issueInvite()` as a text.
+   *
+   * @param {Object} encryptedInvite - `{ requestId, box }`
+   * @returns {string} `peerlinks:invite:1:...`
+   */
+  static encodeInvite (encryptedInvite) {
+    return encodeBase58URI('invite', INVITE_URI_VERSION,
+      PEncryptedInvite.encode(encryptedInvite).finish())
+  }
+
+  /**
+   * @param {string} uri - result of `encodeInvite()`
+   * @returns {Object} `encryptedInvite` to be passed to `decrypt()` from
+   *     `requestInvite()`
+   */
+  static decodeInvite (uri) {
+    const data = decodeBase58URI('invite', INVITE_URI_VERSION, uri)
+    try {
+      return PEncryptedInvite.decode(data)
+    } catch (e) {
+      throw new Error('Invalid invite URI: ' + e.message)
+    }
+  }
+
   // Internal
   inviteRequestIdFor (publicKey) {
     const requestId = Buffer.alloc(INVITE_REQUEST_ID_LENGTH)
@@ -352,26 +642,42 @@ class Identity {
 
   serialize () {
     const channelChains = []
-    // Channel => Chain
-    for (const [channelId, chain] of this.chains) {
-      channelChains.push({
-        channelId: Buffer.from(channelId, 'hex'),
-        links: chain.serialize()
-      })
+    // Channel => [ Chain ]
+    for (const [channelId, chains] of this.chains) {
+      for (const chain of chains) {
+        channelChains.push({
+          channelId: Buffer.from(channelId, 'hex'),
+          links: chain.serialize()
+        })
+      }
     }
 
+    const issuedLinks = this.issuedLinks.map((entry) => {
+      return Identity.serializeIssuedLink(entry)
+    })
+
     return {
       name: this.name,
       publicKey: this.publicKey,
       secretKey: this[kSecretKey],
       channelChains,
 
-      metadata: this.metadata ? JSON.stringify(this.metadata) : ''
+      metadata: this.metadata ? JSON.stringify(this.metadata) : '',
+
+      issuedLinks,
+
+      deviceLink: this.deviceLink ? this.deviceLink.serialize() : null,
+      primaryPubKey: this.primaryPubKey
     }
   }
 
+  // NOTE: The ledger of issued links is not included, since it is stored
+  // one entry per entity. See: `serializeIssuedLinkData()`
   serializeData () {
-    return PIdentity.encode(this.serialize()).finish()
+    return PIdentity.encode({
+      ...this.serialize(),
+      issuedLinks: []
+    }).finish()
   }
 
   static deserialize (decoded, options) {
@@ -387,7 +693,20 @@ class Identity {
       const chain = Chain.deserialize(links, {
         sodium: options.sodium
       })
-      id.chains.set(channelId.toString('hex'), chain)
+
+      const key = channelId.toString('hex')
+      const chains = id.chains.get(key) || []
+      chains.push(chain)
+      id.chains.set(key, chains.sort(Chain.compareQuality))
+    }
+    id.addIssuedLinks(decoded.issuedLinks.map((decoded) => {
+      return Identity.deserializeIssuedLink(decoded, options)
+    }))
+    if (decoded.deviceLink) {
+      id.deviceLink = DeviceLink.deserialize(decoded.deviceLink, {
+        sodium: options.sodium
+      })
+      id.primaryPubKey = decoded.primaryPubKey
     }
     if (decoded.metadata) {
       try {
@@ -403,6 +722,70 @@ class Identity {
     return Identity.deserialize(PIdentity.decode(data), options)
   }
 
+  static serializeIssuedLink ({ channelId, link, issuedAt }) {
+    return { channelId, link: link.serialize(), issuedAt }
+  }
+
+  static serializeIssuedLinkData (entry) {
+    return PIdentity.IssuedLink.encode(
+      Identity.serializeIssuedLink(entry)).finish()
+  }
+
+  static deserializeIssuedLink ({ channelId, link, issuedAt }, options) {
+    return {
+      channelId,
+      link: Link.deserialize(link, { sodium: options.sodium }),
+      issuedAt
+    }
+  }
+
+  static deserializeIssuedLinkData (data, options) {
+    return Identity.deserializeIssuedLink(PIdentity.IssuedLink.decode(data),
+      options)
+  }
+
+  //
+  // Seed phrase
+  //
+
+  /**
+   * Generate new random recovery seed phrase. It is not stored anywhere and
+   * has to be shown to the user.
+   *
+   * @returns {string} 24 space separated words
+   */
+  static generateSeedPhrase ({ sodium }) {
+    const entropy = Buffer.alloc(SEED_PHRASE_ENTROPY_LENGTH)
+    sodium.randombytes_buf(entropy)
+    return bip39.entropyToMnemonic(entropy)
+  }
+
+  /**
+   * Create identity with a keypair derived from the seed phrase. The same
+   * phrase always results in the same keys.
+   *
+   * @param {string} name - Name of identity
+   * @param {string} seedPhrase - result of `generateSeedPhrase()`
+   * @returns {Identity}
+   */
+  static fromSeedPhrase (name, seedPhrase, { sodium }) {
+    const words = seedPhrase.trim().toLowerCase().split(/\s+/g)
+    if (!bip39.validateMnemonic(words.join(' '))) {
+      throw new Error('Invalid seed phrase')
+    }
+    const entropy = Buffer.from(bip39.mnemonicToEntropy(words.join(' ')),
+      'hex')
+
+    const seed = Buffer.alloc(sodium.crypto_sign_SEEDBYTES)
+    usodium.crypto_generichash(seed, entropy, 'peerlinks-identity-seed')
+
+    try {
+      return new Identity(name, { seed, sodium })
+    } finally {
+      seed.fill(0)
+    }
+  }
+
   static compare (a, b) {
     if (a.name > b.name) {
       return 1
@@ -417,5 +800,9 @@ class Identity {
 // Convenience:
 Identity.MAX_INVITE_NAME_LENGTH = MAX_INVITE_NAME_LENGTH
 Identity.INVITE_REQUEST_ID_LENGTH = INVITE_REQUEST_ID_LENGTH
+Identity.SEED_PHRASE_ENTROPY_LENGTH = SEED_PHRASE_ENTROPY_LENGTH
+Identity.MAX_CHAINS = MAX_CHAINS
+Identity.MAX_ISSUED_LINKS = MAX_ISSUED_LINKS
+Identity.INVITE_URI_VERSION = INVITE_URI_VERSION
 
 module.exports = Identity
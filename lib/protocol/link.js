@@ -4,8 +4,15 @@ const { now, BanError } = require('../utils')
 const DAY = 24 * 3600
 const EXPIRATION_DELTA = 99 * DAY
 const EXPIRATION_LEEWAY = 2 * 60 // 2 minutes
+const RENEWAL_DELTA = 14 * DAY
 const MAX_DISPLAY_NAME_LENGTH = 128
 
+// Capabilities
+const READ = 1
+const POST = 2
+const INVITE = 4
+const ALL_CAPABILITIES = READ | POST | INVITE
+
 class Link {
   constructor (options) {
     const {
@@ -14,6 +21,7 @@ class Link {
       validTo,
       trusteePubKey,
       trusteeDisplayName,
+      capabilities = 0,
       signature
     } = options
 
@@ -35,6 +43,9 @@ class Link {
     if (trusteePubKey.length !== sodium.crypto_sign_PUBLICKEYBYTES) {
       throw new BanError('Invalid public key length')
     }
+    if ((capabilities & ~ALL_CAPABILITIES) !== 0) {
+      throw new BanError('Invalid link capabilities: ' + capabilities)
+    }
 
     this.sodium = sodium
 
@@ -42,9 +53,15 @@ class Link {
     this.validTo = validTo
     this.trusteePubKey = trusteePubKey
     this.trusteeDisplayName = trusteeDisplayName
+    this.capabilities = capabilities
     this.signature = signature
   }
 
+  // Links without capabilities grant all of them
+  getCapabilities () {
+    return this.capabilities || ALL_CAPABILITIES
+  }
+
   verify (channel, publicKey, timestamp = now()) {
     if (!this.isValid(timestamp)) {
       return false
@@ -54,7 +71,8 @@ class Link {
       trusteePubKey: this.trusteePubKey,
       validFrom: this.validFrom,
       validTo: this.validTo,
-      trusteeDisplayName: this.trusteeDisplayName
+      trusteeDisplayName: this.trusteeDisplayName,
+      capabilities: this.capabilities
     })
 
     const sodium = this.sodium
@@ -66,13 +84,20 @@ class Link {
   }
 
   static tbs (channel, options) {
-    const { trusteePubKey, validFrom, validTo, trusteeDisplayName } = options
+    const {
+      trusteePubKey,
+      validFrom,
+      validTo,
+      trusteeDisplayName,
+      capabilities
+    } = options
     return PLink.TBS.encode({
       trusteePubKey,
       validFrom,
       validTo,
       trusteeDisplayName,
-      channelId: channel.id
+      channelId: channel.id,
+      capabilities
     }).finish()
   }
 
@@ -82,7 +107,8 @@ class Link {
         trusteePubKey: this.trusteePubKey,
         trusteeDisplayName: this.trusteeDisplayName,
         validFrom: this.validFrom,
-        validTo: this.validTo
+        validTo: this.validTo,
+        capabilities: this.capabilities
       },
       signature: this.signature
     }
@@ -99,6 +125,7 @@ class Link {
       validTo: decoded.tbs.validTo,
       trusteePubKey: decoded.tbs.trusteePubKey,
       trusteeDisplayName: decoded.tbs.trusteeDisplayName,
+      capabilities: decoded.tbs.capabilities,
       signature: decoded.signature
     })
   }
@@ -110,6 +137,11 @@ class Link {
 
 Link.EXPIRATION_DELTA = EXPIRATION_DELTA
 Link.EXPIRATION_LEEWAY = EXPIRATION_LEEWAY
+Link.RENEWAL_DELTA = RENEWAL_DELTA
 Link.MAX_DISPLAY_NAME_LENGTH = MAX_DISPLAY_NAME_LENGTH
+Link.READ = READ
+Link.POST = POST
+Link.INVITE = INVITE
+Link.ALL_CAPABILITIES = ALL_CAPABILITIES
 
 module.exports = Link
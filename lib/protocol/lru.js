@@ -0,0 +1,108 @@
+const MAX_SIZE = 32 * 1024 * 1024
+
+class LRU {
+  /**
+   * Least-recently-used cache bounded by the total size of its values in
+   * bytes. Shared by `StorageCache` instances of all channels in a Protocol.
+   *
+   * @class
+   * @param {Object} [options] - `.maxSize` is the byte budget (default:
+   *     32 MB)
+   */
+  constructor (options = {}) {
+    this.maxSize = options.maxSize === undefined
+      ? MAX_SIZE
+      : options.maxSize
+
+    // key => { value, size }. Map iterates in insertion order, so the first
+    // entry is the least recently used one.
+    this.map = new Map()
+    this.size = 0
+
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+  }
+
+  has (key) {
+    return this.map.has(key)
+  }
+
+  get (key) {
+    const entry = this.map.get(key)
+    if (!entry) {
+      this.misses++
+      return undefined
+    }
+
+    this.hits++
+
+    // Move to the most recently used end
+    this.map.delete(key)
+    this.map.set(key, entry)
+    return entry.value
+  }
+
+  set (key, value, size) {
+    this.delete(key)
+
+    if (size > this.maxSize) {
+      // Would evict everything else and still not fit
+      return
+    }
+
+    this.map.set(key, { value, size })
+    this.size += size
+
+    for (const [oldKey, entry] of this.map) {
+      if (this.size <= this.maxSize) {
+        break
+      }
+      this.map.delete(oldKey)
+      this.size -= entry.size
+      this.evictions++
+    }
+  }
+
+  delete (key) {
+    const entry = this.map.get(key)
+    if (!entry) {
+      return false
+    }
+    this.map.delete(key)
+    this.size -= entry.size
+    return true
+  }
+
+  deletePrefix (prefix) {
+    for (const key of this.map.keys()) {
+      if (key.startsWith(prefix)) {
+        this.delete(key)
+      }
+    }
+  }
+
+  clear () {
+    this.map.clear()
+    this.size = 0
+  }
+
+  /**
+   * @returns {Object} `{ size, maxSize, count, hits, misses, evictions }`
+   */
+  getStats () {
+    return {
+      size: this.size,
+      maxSize: this.maxSize,
+      count: this.map.size,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    }
+  }
+}
+
+// Convenience
+LRU.MAX_SIZE = MAX_SIZE
+
+module.exports = LRU
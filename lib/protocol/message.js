@@ -2,13 +2,31 @@ const { ChannelMessage: PChannelMessage } = require('../messages')
 const { BanError, now } = require('../utils')
 
 const Chain = require('./chain')
+const DeviceLink = require('./device-link')
 
 const HASH_SIZE = 32
+const MAX_REACTION_LENGTH = 64
+
+// Standard kinds of `json` bodies: `{ kind, ... }`. See: validateJSON()
+const TEXT = 'text'
+const REPLY = 'reply'
+const REACTION = 'reaction'
+const EDIT = 'edit'
+const DELETE = 'delete'
+const ATTACHMENT = 'attachment'
+const KINDS = new Set([TEXT, REPLY, REACTION, EDIT, DELETE, ATTACHMENT])
 
 class Message {
   constructor (options) {
     const {
-      sodium, parents, height, chain, timestamp = now(), body, signature
+      sodium,
+      parents,
+      height,
+      chain,
+      timestamp = now(),
+      body,
+      device = null,
+      signature
     } = options
     if (!sodium) {
       throw new Error('Missing required `sodium` option')
@@ -25,7 +43,10 @@ class Message {
     if (signature.length !== sodium.crypto_sign_BYTES) {
       throw new BanError('Invalid signature length')
     }
-    if (!body.root) {
+    let revokedChain = null
+    if (body.revocation) {
+      revokedChain = Chain.deserialize(body.revocation.chain, { sodium })
+    } else if (!body.root) {
       try {
         JSON.parse(body.json)
       } catch (e) {
@@ -39,6 +60,12 @@ class Message {
     this.timestamp = timestamp
     this.body = body
 
+    // DeviceLink of the signer, see: getAuthor()
+    this.device = device
+
+    // See: Channel#receive()
+    this.revokedChain = revokedChain
+
     this.signature = signature
 
     this.hash = Buffer.alloc(HASH_SIZE)
@@ -47,14 +74,31 @@ class Message {
     this.debugHash = this.hash.toString('hex').slice(0, 8)
 
     this.cachedJSON = null
+
+    // `undefined` - not validated yet, see: getKindError()
+    this.kindError = undefined
   }
 
   get isRoot () {
     return !!this.body.root
   }
 
+  get isRevocation () {
+    return !!this.body.revocation
+  }
+
+  // Device key revoked by the revocation message, if any
+  get revokedDeviceKey () {
+    if (!this.isRevocation) {
+      return null
+    }
+
+    const { devicePubKey } = this.body.revocation
+    return devicePubKey && devicePubKey.length !== 0 ? devicePubKey : null
+  }
+
   get json () {
-    if (this.isRoot) {
+    if (this.isRoot || this.isRevocation) {
       return undefined
     }
 
@@ -64,21 +108,66 @@ class Message {
     return this.cachedJSON
   }
 
+  /**
+   * @returns {string|null} standard kind of the `json` body (see
+   *     `Message.KINDS`), or `null` for other messages
+   */
+  get kind () {
+    const json = this.json
+    if (!json || typeof json !== 'object' || !KINDS.has(json.kind)) {
+      return null
+    }
+    return json.kind
+  }
+
+  /**
+   * @returns {string|null} reason why the body doesn't match its standard
+   *     kind, or `null` if it does (or if the kind is not standard)
+   */
+  getKindError () {
+    if (this.kindError === undefined) {
+      this.kindError = this.json === undefined
+        ? null
+        : Message.validateJSON(this.json)
+    }
+    return this.kindError
+  }
+
+  /**
+   * Messages signed by device keys are attributed to the leaf of the chain.
+   *
+   * @returns {Object} `{ displayPath, publicKeys, device }`, where `device` is
+   *     either `null` or `{ publicKey, name }` of the signing device
+   */
   getAuthor () {
     return {
       displayPath: this.chain.getDisplayPath(),
-      publicKeys: this.chain.getPublicKeys()
+      publicKeys: this.chain.getPublicKeys(),
+      device: this.device && {
+        publicKey: this.device.devicePubKey,
+        name: this.device.deviceName
+      }
     }
   }
 
   verify (channel) {
     const sodium = this.sodium
-    const leafKey = this.chain.getLeafKey(channel, this.timestamp)
+    let signerKey = this.chain.getLeafKey(channel, this.timestamp)
+    if (!signerKey) {
+      return false
+    }
+
+    if (this.device) {
+      if (!this.device.verify(signerKey, this.timestamp)) {
+        return false
+      }
+      signerKey = this.device.devicePubKey
+    }
 
     return sodium.crypto_sign_verify_detached(
       this.signature,
       Message.tbs(this.serializeTBS()),
-      leafKey)
+      signerKey)
   }
 
   serialize () {
@@ -98,12 +187,16 @@ class Message {
       height: this.height,
       chain: this.chain.serialize(),
       timestamp: this.timestamp,
-      body: this.body
+      body: this.body,
+      device: this.device ? this.device.serialize() : null
     }
   }
 
   static deserialize (decoded, options) {
     const chain = Chain.deserialize(decoded.tbs.chain, options)
+    const device = decoded.tbs.device
+      ? DeviceLink.deserialize(decoded.tbs.device, options)
+      : null
 
     return new Message({
       sodium: options.sodium,
@@ -112,6 +205,7 @@ class Message {
       chain,
       timestamp: decoded.tbs.timestamp,
       body: decoded.tbs.body,
+      device,
 
       signature: decoded.signature
     })
@@ -131,23 +225,164 @@ class Message {
     return { json: JSON.stringify(value) }
   }
 
+  static text (text) {
+    return Message.json({ kind: TEXT, text })
+  }
+
+  /**
+   * @param {Buffer} thread - hash of the thread's root message
+   * @param {string} text - text of the reply
+   * @returns {Object} message body
+   */
+  static reply (thread, text) {
+    return Message.json({ kind: REPLY, thread: thread.toString('hex'), text })
+  }
+
+  /**
+   * @param {Buffer} target - hash of the message to react to
+   * @param {string} reaction - emoji or a short text
+   * @param {Object} [options] - `.remove` (default: `false`) removes the
+   *     previous reaction instead of adding one
+   * @returns {Object} message body
+   */
+  static reaction (target, reaction, { remove = false } = {}) {
+    return Message.json({
+      kind: REACTION,
+      target: target.toString('hex'),
+      reaction,
+      ...(remove ? { remove } : {})
+    })
+  }
+
+  static edit (target, text) {
+    return Message.json({ kind: EDIT, target: target.toString('hex'), text })
+  }
+
+  static delete (target) {
+    return Message.json({ kind: DELETE, target: target.toString('hex') })
+  }
+
+  /**
+   * @param {Object} attachment - `.hash` (Buffer), `.size`, `.name`, and
+   *     optional `.mimeType` and `.text`
+   * @returns {Object} message body
+   */
+  static attachment ({ hash, size, name, mimeType, text }) {
+    return Message.json({
+      kind: ATTACHMENT,
+      hash: hash.toString('hex'),
+      size,
+      name,
+      ...(mimeType === undefined ? {} : { mimeType }),
+      ...(text === undefined ? {} : { text })
+    })
+  }
+
+  /**
+   * Validate `json` body of the standard kind. Bodies of other kinds (or
+   * without `kind`) always pass.
+   *
+   * @param {*} json - parsed `json` body
+   * @returns {string|null} reason why the body is invalid, or `null`
+   */
+  static validateJSON (json) {
+    if (!json || typeof json !== 'object' || !KINDS.has(json.kind)) {
+      return null
+    }
+
+    const isHash = (value) => {
+      return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value)
+    }
+    const isString = (value) => typeof value === 'string'
+
+    switch (json.kind) {
+      case TEXT:
+        return isString(json.text) ? null : 'Invalid `text`'
+      case REPLY:
+        if (!isHash(json.thread)) {
+          return 'Invalid `thread`'
+        }
+        return isString(json.text) ? null : 'Invalid `text`'
+      case REACTION:
+        if (!isHash(json.target)) {
+          return 'Invalid `target`'
+        }
+        if (!isString(json.reaction) || json.reaction.length === 0 ||
+            json.reaction.length > MAX_REACTION_LENGTH) {
+          return 'Invalid `reaction`'
+        }
+        if (json.remove !== undefined && typeof json.remove !== 'boolean') {
+          return 'Invalid `remove`'
+        }
+        return null
+      case EDIT:
+        if (!isHash(json.target)) {
+          return 'Invalid `target`'
+        }
+        return isString(json.text) ? null : 'Invalid `text`'
+      case DELETE:
+        return isHash(json.target) ? null : 'Invalid `target`'
+      case ATTACHMENT:
+        if (!isHash(json.hash)) {
+          return 'Invalid `hash`'
+        }
+        if (!Number.isSafeInteger(json.size) || json.size < 0) {
+          return 'Invalid `size`'
+        }
+        if (!isString(json.name)) {
+          return 'Invalid `name`'
+        }
+        if (json.mimeType !== undefined && !isString(json.mimeType)) {
+          return 'Invalid `mimeType`'
+        }
+        if (json.text !== undefined && !isString(json.text)) {
+          return 'Invalid `text`'
+        }
+        return null
+    }
+  }
+
+  /**
+   * @param {Chain} chain - chain to revoke
+   * @param {Buffer} [devicePubKey] - revoke only this device key of the
+   *     chain's leaf
+   * @returns {Object} message body
+   */
+  static revocation (chain, devicePubKey = null) {
+    return {
+      revocation: {
+        chain: chain.serialize(),
+        ...(devicePubKey ? { devicePubKey } : {})
+      }
+    }
+  }
+
   static checkHash (hash, message) {
     if (!hash || hash.length !== HASH_SIZE) {
       throw new BanError(message)
     }
   }
 
-  static tbs ({ chain, timestamp, body, parents, height }) {
+  static tbs ({ chain, timestamp, body, parents, height, device }) {
     return PChannelMessage.TBS.encode({
       chain,
       timestamp,
       body,
       parents,
-      height
+      height,
+      device
     }).finish()
   }
 }
 
 Message.HASH_SIZE = HASH_SIZE
+Message.MAX_REACTION_LENGTH = MAX_REACTION_LENGTH
+Message.TEXT = TEXT
+Message.REPLY = REPLY
+Message.REACTION = REACTION
+Message.EDIT = EDIT
+Message.DELETE = DELETE
+Message.ATTACHMENT = ATTACHMENT
+Message.KINDS = KINDS
 
 module.exports = Message
@@ -0,0 +1,61 @@
+// Batch operations are plain objects:
+//
+//   { type: 'addMessage', message }
+//   { type: 'storeEntity', prefix, id, blob }
+//   { type: 'removeEntity', prefix, id }
+//   { type: 'removeMessages', channelId, hashes }
+//
+// Storage backends may implement `async batch(operations)` to apply all of
+// them atomically. `applyBatch()` falls back to applying operations one by
+// one for the backends that don't.
+
+const OPERATION_TYPES = new Set([
+  'addMessage',
+  'storeEntity',
+  'removeEntity',
+  'removeMessages'
+])
+
+function checkOperation (operation) {
+  if (!OPERATION_TYPES.has(operation.type)) {
+    throw new Error(`Unknown batch operation: ${operation.type}`)
+  }
+}
+
+async function applyOperation (storage, operation) {
+  switch (operation.type) {
+    case 'addMessage':
+      return await storage.addMessage(operation.message)
+    case 'storeEntity':
+      return await storage.storeEntity(operation.prefix, operation.id,
+        operation.blob)
+    case 'removeEntity':
+      return await storage.removeEntity(operation.prefix, operation.id)
+    case 'removeMessages':
+      return await storage.removeMessages(operation.channelId,
+        operation.hashes)
+    default:
+      checkOperation(operation)
+  }
+}
+
+async function applyBatch (storage, operations) {
+  if (operations.length === 0) {
+    return
+  }
+
+  if (typeof storage.batch === 'function') {
+    return await storage.batch(operations)
+  }
+
+  operations.forEach(checkOperation)
+  for (const operation of operations) {
+    await applyOperation(storage, operation)
+  }
+}
+
+module.exports = {
+  applyBatch,
+  applyOperation,
+  checkOperation
+}
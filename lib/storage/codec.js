@@ -0,0 +1,122 @@
+// Minimal binary encoding helpers shared by storage backends. All integers
+// are big-endian.
+
+class Writer {
+  constructor () {
+    this.chunks = []
+    this.length = 0
+  }
+
+  u8 (value) {
+    const chunk = Buffer.alloc(1)
+    chunk.writeUInt8(value, 0)
+    return this.push(chunk)
+  }
+
+  u32 (value) {
+    const chunk = Buffer.alloc(4)
+    chunk.writeUInt32BE(value, 0)
+    return this.push(chunk)
+  }
+
+  double (value) {
+    const chunk = Buffer.alloc(8)
+    chunk.writeDoubleBE(value, 0)
+    return this.push(chunk)
+  }
+
+  bytes (value) {
+    this.u32(value.length)
+    return this.push(value)
+  }
+
+  string (value) {
+    return this.bytes(Buffer.from(value))
+  }
+
+  list (values, fn) {
+    this.u32(values.length)
+    for (const value of values) {
+      fn(value)
+    }
+    return this
+  }
+
+  finish () {
+    return Buffer.concat(this.chunks, this.length)
+  }
+
+  // Private
+
+  push (chunk) {
+    this.chunks.push(chunk)
+    this.length += chunk.length
+    return this
+  }
+}
+
+class Reader {
+  constructor (buffer) {
+    this.buffer = buffer
+    this.offset = 0
+  }
+
+  get isEnd () {
+    return this.offset === this.buffer.length
+  }
+
+  u8 () {
+    this.check(1)
+    const value = this.buffer.readUInt8(this.offset)
+    this.offset += 1
+    return value
+  }
+
+  u32 () {
+    this.check(4)
+    const value = this.buffer.readUInt32BE(this.offset)
+    this.offset += 4
+    return value
+  }
+
+  double () {
+    this.check(8)
+    const value = this.buffer.readDoubleBE(this.offset)
+    this.offset += 8
+    return value
+  }
+
+  bytes () {
+    const length = this.u32()
+    this.check(length)
+    const value = this.buffer.slice(this.offset, this.offset + length)
+    this.offset += length
+    return value
+  }
+
+  string () {
+    return this.bytes().toString()
+  }
+
+  list (fn) {
+    const count = this.u32()
+    const result = []
+    for (let i = 0; i < count; i++) {
+      result.push(fn())
+    }
+    return result
+  }
+
+  // Private
+
+  check (size) {
+    if (this.offset + size > this.buffer.length) {
+      throw new Error('Unexpected end of encoded data')
+    }
+  }
+}
+
+module.exports = {
+  Writer,
+  Reader
+}
@@ -0,0 +1,678 @@
+const fs = require('fs')
+const crypto = require('crypto')
+const createDebug = require('debug')
+
+const Memory = require('./memory')
+const { Writer, Reader } = require('./codec')
+const { checkOperation } = require('./batch')
+
+const debug = createDebug('peerlinks:file-storage')
+
+const MAGIC = Buffer.from('PLLG')
+const VERSION = 1
+const FILE_HEADER_SIZE = MAGIC.length + 4
+const RECORD_HEADER_SIZE = 8
+const CHECKSUM_SIZE = 4
+
+// Compaction thresholds, see: `File#compact()`
+const COMPACTION_RATIO = 0.5
+const MIN_COMPACTION_SIZE = 1024 * 1024
+
+// Log record types
+const MESSAGE = 1
+const STORE_ENTITY = 2
+const REMOVE_ENTITY = 3
+const REMOVE_CHANNEL = 4
+const REMOVE_MESSAGES = 5
+const BATCH = 6
+
+class File {
+  /**
+   * Durable persistence backed by a single append-only log file.
+   *
+   * Every mutation is appended to the log as a checksummed record. On
+   * `open()` the log is replayed into an in-memory index (both messages and
+   * entities point into the log, so that large entities like attachment
+   * chunks are not kept in memory). A torn or corrupted record at the end of
+   * the log (e.g. after a crash) is truncated away.
+   *
+   * Removed messages, and removed or overwritten entities stay in the log
+   * until it is compacted, see: `compact()`.
+   *
+   * @class
+   * @param {Object} options - `.file` is a path to the log file. `.fsync`
+   *     (default: `false`) makes every write wait for `fsync(2)`.
+   *     `.compactionRatio` (default: `0.5`) is the share of the unused bytes
+   *     in the log that triggers compaction once there are at least
+   *     `.minCompactionSize` (default: 1MB) of them
+   */
+  constructor (options = {}) {
+    this.options = {
+      fsync: false,
+      compactionRatio: COMPACTION_RATIO,
+      minCompactionSize: MIN_COMPACTION_SIZE,
+      ...options
+    }
+
+    if (!this.options.file) {
+      throw new Error('Missing required `file` option')
+    }
+
+    this.file = this.options.file
+    this.fd = null
+    this.size = 0
+
+    // Approximate number of unused bytes in the log
+    this.garbage = 0
+
+    // Messages and entities are stored with `{ offset, length }` pointers
+    // instead of data
+    this.index = new Memory()
+
+    // Serializes writes and compaction
+    this.queue = Promise.resolve()
+
+    // Reads in progress, the log file must not be closed under them
+    this.reads = new Set()
+  }
+
+  /**
+   * Open (and create if needed) the log file and replay it. Must be awaited
+   * before any other method.
+   *
+   * @returns {Promise}
+   */
+  async open () {
+    if (this.fd) {
+      throw new Error('Storage is already open')
+    }
+
+    this.fd = await fs.promises.open(this.file, 'a+')
+    const { size } = await this.fd.stat()
+
+    if (size < FILE_HEADER_SIZE) {
+      // Empty log, or the header itself was torn
+      await this.fd.truncate(0)
+      await this.fd.write(encodeHeader())
+      this.size = FILE_HEADER_SIZE
+      return
+    }
+
+    const header = await this.read(0, FILE_HEADER_SIZE)
+    if (!header.slice(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error(`Not a PeerLinks log file: ${this.file}`)
+    }
+    const version = header.readUInt32BE(MAGIC.length)
+    if (version !== VERSION) {
+      throw new Error(`Unsupported log file version: ${version}`)
+    }
+
+    this.size = await this.replay(FILE_HEADER_SIZE, size)
+    if (this.size !== size) {
+      debug('truncating torn log tail at=%d size=%d', this.size, size)
+      await this.fd.truncate(this.size)
+    }
+
+    if (this.shouldCompact()) {
+      await this.rewrite()
+    }
+  }
+
+  /**
+   * Rewrite the log without the removed messages, and without the removed
+   * or overwritten entities. Called automatically once the unused bytes
+   * reach `.compactionRatio` of the log.
+   *
+   * @returns {Promise}
+   */
+  async compact () {
+    this.checkOpen()
+    await this.enqueue(() => this.rewrite())
+  }
+
+  /**
+   * Wait for pending writes and close the log file.
+   *
+   * @returns {Promise}
+   */
+  async close () {
+    this.checkOpen()
+
+    await this.queue
+    const fd = this.fd
+    this.fd = null
+    await this.waitForReads()
+    await fd.close()
+  }
+
+  //
+  // Messages
+  //
+
+  async addMessage (message) {
+    this.checkOpen()
+
+    if (await this.index.hasMessage(message.channelId, message.hash)) {
+      // Duplicate
+      return
+    }
+
+    await this.write(encodeMessage(message))
+  }
+
+  async getMessageCount (channelId) {
+    this.checkOpen()
+    return await this.index.getMessageCount(channelId)
+  }
+
+  async getLeafHashes (channelId) {
+    this.checkOpen()
+    return await this.index.getLeafHashes(channelId)
+  }
+
+  async hasMessage (channelId, hash) {
+    this.checkOpen()
+    return await this.index.hasMessage(channelId, hash)
+  }
+
+  async getMessage (channelId, hash) {
+    this.checkOpen()
+    const pointer = await this.index.getMessage(channelId, hash)
+    if (!pointer) {
+      return undefined
+    }
+    return await this.read(pointer.offset, pointer.length)
+  }
+
+  async getMessages (channelId, hashes) {
+    return await Promise.all(hashes.map(async (hash) => {
+      return await this.getMessage(channelId, hash)
+    }))
+  }
+
+  async getHashesAtOffset (channelId, offset, limit) {
+    this.checkOpen()
+    return await this.index.getHashesAtOffset(channelId, offset, limit)
+  }
+
+  async getReverseHashesAtOffset (channelId, offset, limit) {
+    this.checkOpen()
+    return await this.index.getReverseHashesAtOffset(channelId, offset, limit)
+  }
+
+  async query (channelId, cursor, isBackward, limit) {
+    this.checkOpen()
+    return await this.index.query(channelId, cursor, isBackward, limit)
+  }
+
+  async removeMessages (channelId, hashes) {
+    this.checkOpen()
+    await this.write(encodeRemoveMessages(channelId, hashes))
+  }
+
+  async removeChannelMessages (channelId) {
+    this.checkOpen()
+
+    const writer = new Writer()
+    writer.u8(REMOVE_CHANNEL)
+    writer.bytes(channelId)
+    await this.write(writer.finish())
+  }
+
+  //
+  // Entities (Identity, ChannelList, so on)
+  //
+
+  async storeEntity (prefix, id, blob) {
+    this.checkOpen()
+    await this.write(encodeStoreEntity(prefix, id, blob))
+  }
+
+  async retrieveEntity (prefix, id) {
+    this.checkOpen()
+    const pointer = await this.index.retrieveEntity(prefix, id)
+    if (!pointer) {
+      return undefined
+    }
+    return await this.read(pointer.offset, pointer.length)
+  }
+
+  async removeEntity (prefix, id) {
+    this.checkOpen()
+    await this.write(encodeRemoveEntity(prefix, id))
+  }
+
+  async getEntityKeys (prefix) {
+    this.checkOpen()
+    return await this.index.getEntityKeys(prefix)
+  }
+
+  //
+  // Batches
+  //
+
+  /**
+   * Apply several operations atomically. All of them are appended to the log
+   * as a single record, so either all or none survive a crash.
+   *
+   * @param {Object[]} operations - list of `{ type, ... }` operations
+   * @returns {Promise}
+   */
+  async batch (operations) {
+    this.checkOpen()
+    operations.forEach(checkOperation)
+
+    const seen = new Set()
+    const records = []
+    for (const operation of operations) {
+      if (operation.type === 'addMessage') {
+        const { channelId, hash } = operation.message
+        const key = `${channelId.toString('hex')}/${hash.toString('hex')}`
+        if (seen.has(key) || await this.index.hasMessage(channelId, hash)) {
+          // Duplicate
+          continue
+        }
+        seen.add(key)
+      }
+
+      records.push(encodeOperation(operation))
+    }
+
+    if (records.length === 0) {
+      return
+    }
+
+    const writer = new Writer()
+    writer.u8(BATCH)
+    writer.list(records, (record) => writer.bytes(record))
+    await this.write(writer.finish())
+  }
+
+  //
+  // Miscellaneous
+  //
+
+  async clear () {
+    this.checkOpen()
+
+    await this.enqueue(async () => {
+      await this.fd.truncate(FILE_HEADER_SIZE)
+      this.size = FILE_HEADER_SIZE
+      this.garbage = 0
+      this.index = new Memory()
+    })
+  }
+
+  // Private
+
+  checkOpen () {
+    if (!this.fd) {
+      throw new Error('Storage is not open')
+    }
+  }
+
+  async read (offset, length) {
+    const buffer = Buffer.alloc(length)
+    const read = this.fd.read(buffer, 0, length, offset)
+
+    this.reads.add(read)
+    let bytesRead
+    try {
+      ({ bytesRead } = await read)
+    } finally {
+      this.reads.delete(read)
+    }
+
+    if (bytesRead !== length) {
+      throw new Error(`Short read at offset: ${offset}`)
+    }
+    return buffer
+  }
+
+  // Wait for the reads started before this call
+  async waitForReads () {
+    await Promise.all(Array.from(this.reads).map((read) => {
+      return read.catch(() => {})
+    }))
+  }
+
+  // Run `task` after the pending writes
+  enqueue (task) {
+    const result = this.queue.then(task)
+
+    // Failed write must not block the ones after it
+    this.queue = result.catch((err) => {
+      debug('write error=%s', err.message)
+    })
+
+    return result
+  }
+
+  // Append the record to the log and apply it to the index
+  async write (payload) {
+    await this.enqueue(async () => {
+      const offset = await this.append(payload)
+      await this.apply(payload, offset)
+
+      if (this.shouldCompact()) {
+        // NOTE: The log stays valid if the compaction fails
+        await this.rewrite().catch((err) => {
+          debug('compaction error=%s', err.message)
+        })
+      }
+    })
+  }
+
+  // Returns the offset of the appended record's payload. Must be called from
+  // the queue.
+  async append (payload) {
+    const offset = this.size
+    const record = encodeRecord(payload)
+    try {
+      await this.fd.write(record)
+      if (this.options.fsync) {
+        await this.fd.sync()
+      }
+    } catch (err) {
+      // Drop partially written record so that the following records are
+      // not lost on replay
+      await this.fd.truncate(offset).catch(() => {})
+      throw err
+    }
+    this.size += record.length
+
+    return offset + RECORD_HEADER_SIZE
+  }
+
+  shouldCompact () {
+    return this.garbage >= this.options.minCompactionSize &&
+      this.garbage >= this.size * this.options.compactionRatio
+  }
+
+  // Write live records into a new log and replace the current one with it.
+  // Must be called from the queue.
+  async rewrite () {
+    debug('compacting size=%d garbage=%d', this.size, this.garbage)
+
+    const temp = `${this.file}.compact`
+    await removeFile(temp)
+
+    const fd = await fs.promises.open(temp, 'a+')
+    const moved = []
+    let size = FILE_HEADER_SIZE
+    try {
+      await fd.write(encodeHeader())
+
+      const copy = async (pointer, payload) => {
+        const record = encodeRecord(payload)
+        await fd.write(record)
+        moved.push([
+          pointer,
+          this.dataPointer(size + RECORD_HEADER_SIZE, payload.length,
+            pointer.length)
+        ])
+        size += record.length
+      }
+
+      for (const channelId of await this.index.getChannelIds()) {
+        const messages = await this.index.getChannelMessages(channelId)
+        for (const message of messages) {
+          const pointer = message.data
+          await copy(pointer, encodeMessage({
+            ...message,
+            data: await this.read(pointer.offset, pointer.length)
+          }))
+        }
+      }
+
+      for (const prefix of await this.index.getEntityPrefixes()) {
+        for (const id of await this.index.getEntityKeys(prefix)) {
+          const pointer = await this.index.retrieveEntity(prefix, id)
+          const blob = await this.read(pointer.offset, pointer.length)
+          await copy(pointer, encodeStoreEntity(prefix, id, blob))
+        }
+      }
+
+      await fd.sync()
+      await fs.promises.rename(temp, this.file)
+    } catch (err) {
+      await fd.close()
+      await removeFile(temp)
+      throw err
+    }
+
+    // NOTE: Pointers are shared with the index, and must be updated together
+    // with the file descriptor
+    for (const [pointer, update] of moved) {
+      Object.assign(pointer, update)
+    }
+
+    const old = this.fd
+    this.fd = fd
+    this.size = size
+    this.garbage = 0
+
+    // NOTE: The reads from the old file use the old offsets
+    await this.waitForReads()
+    await old.close()
+
+    debug('compacted size=%d', size)
+  }
+
+  // Data is always the last field of the MESSAGE and STORE_ENTITY records.
+  // `recordSize` is used to track the unused bytes of the log.
+  dataPointer (payloadOffset, payloadLength, dataLength) {
+    return {
+      offset: payloadOffset + payloadLength - dataLength,
+      length: dataLength,
+      recordSize: payloadLength + RECORD_HEADER_SIZE
+    }
+  }
+
+  // Returns the offset of the end of the last valid record
+  async replay (offset, size) {
+    let count = 0
+    while (offset + RECORD_HEADER_SIZE <= size) {
+      const header = await this.read(offset, RECORD_HEADER_SIZE)
+      const length = header.readUInt32BE(0)
+      const payloadOffset = offset + RECORD_HEADER_SIZE
+
+      if (payloadOffset + length > size) {
+        break
+      }
+
+      const payload = await this.read(payloadOffset, length)
+      if (!checksum(payload).equals(header.slice(4))) {
+        break
+      }
+
+      try {
+        await this.apply(payload, payloadOffset)
+      } catch (err) {
+        debug('failed to apply record at=%d error=%s', offset, err.message)
+        break
+      }
+
+      offset = payloadOffset + length
+      count++
+    }
+
+    debug('replayed records.count=%d garbage=%d', count, this.garbage)
+    return offset
+  }
+
+  // Apply the record to the index and count the records that it makes unused
+  async apply (payload, payloadOffset) {
+    const reader = new Reader(payload)
+    const type = reader.u8()
+
+    // Removals are unused right away
+    if (type === REMOVE_ENTITY || type === REMOVE_MESSAGES ||
+        type === REMOVE_CHANNEL) {
+      this.garbage += payload.length + RECORD_HEADER_SIZE
+    }
+
+    switch (type) {
+      case MESSAGE: {
+        const channelId = reader.bytes()
+        const hash = reader.bytes()
+        const height = reader.double()
+        const parents = reader.list(() => reader.bytes())
+        const data = reader.bytes()
+
+        if (await this.index.hasMessage(channelId, hash)) {
+          // Duplicate
+          this.garbage += payload.length + RECORD_HEADER_SIZE
+          break
+        }
+
+        await this.index.addMessage({
+          channelId,
+          hash,
+          height,
+          parents,
+          data: this.dataPointer(payloadOffset, payload.length, data.length)
+        })
+        break
+      }
+      case STORE_ENTITY: {
+        const prefix = reader.string()
+        const id = reader.string()
+        const blob = reader.bytes()
+        this.countGarbage(await this.index.retrieveEntity(prefix, id))
+        await this.index.storeEntity(prefix, id,
+          this.dataPointer(payloadOffset, payload.length, blob.length))
+        break
+      }
+      case REMOVE_ENTITY: {
+        const prefix = reader.string()
+        const id = reader.string()
+        this.countGarbage(await this.index.retrieveEntity(prefix, id))
+        await this.index.removeEntity(prefix, id)
+        break
+      }
+      case REMOVE_MESSAGES: {
+        const channelId = reader.bytes()
+        const hashes = reader.list(() => reader.bytes())
+        for (const hash of hashes) {
+          this.countGarbage(await this.index.getMessage(channelId, hash))
+        }
+        await this.index.removeMessages(channelId, hashes)
+        break
+      }
+      case REMOVE_CHANNEL: {
+        const channelId = reader.bytes()
+        const hashes = await this.index.getHashesAtOffset(channelId, 0,
+          Infinity)
+        for (const hash of hashes) {
+          this.countGarbage(await this.index.getMessage(channelId, hash))
+        }
+        await this.index.removeChannelMessages(channelId)
+        break
+      }
+      case BATCH: {
+        const count = reader.u32()
+        for (let i = 0; i < count; i++) {
+          // Skip the length prefix
+          const recordOffset = payloadOffset + reader.offset + 4
+          await this.apply(reader.bytes(), recordOffset)
+        }
+        break
+      }
+      default:
+        throw new Error(`Unknown log record type: ${type}`)
+    }
+  }
+
+  countGarbage (pointer) {
+    if (pointer) {
+      this.garbage += pointer.recordSize
+    }
+  }
+}
+
+function encodeHeader () {
+  const header = Buffer.alloc(FILE_HEADER_SIZE)
+  MAGIC.copy(header)
+  header.writeUInt32BE(VERSION, MAGIC.length)
+  return header
+}
+
+function encodeRecord (payload) {
+  const header = Buffer.alloc(RECORD_HEADER_SIZE)
+  header.writeUInt32BE(payload.length, 0)
+  checksum(payload).copy(header, 4)
+  return Buffer.concat([header, payload])
+}
+
+function encodeMessage (message) {
+  const writer = new Writer()
+  writer.u8(MESSAGE)
+  writer.bytes(message.channelId)
+  writer.bytes(message.hash)
+  writer.double(message.height)
+  writer.list(message.parents, (hash) => writer.bytes(hash))
+  writer.bytes(message.data)
+  return writer.finish()
+}
+
+function encodeStoreEntity (prefix, id, blob) {
+  const writer = new Writer()
+  writer.u8(STORE_ENTITY)
+  writer.string(prefix)
+  writer.string(id)
+  writer.bytes(blob)
+  return writer.finish()
+}
+
+function encodeRemoveEntity (prefix, id) {
+  const writer = new Writer()
+  writer.u8(REMOVE_ENTITY)
+  writer.string(prefix)
+  writer.string(id)
+  return writer.finish()
+}
+
+function encodeRemoveMessages (channelId, hashes) {
+  const writer = new Writer()
+  writer.u8(REMOVE_MESSAGES)
+  writer.bytes(channelId)
+  writer.list(hashes, (hash) => writer.bytes(hash))
+  return writer.finish()
+}
+
+function encodeOperation (operation) {
+  switch (operation.type) {
+    case 'addMessage':
+      return encodeMessage(operation.message)
+    case 'storeEntity':
+      return encodeStoreEntity(operation.prefix, operation.id, operation.blob)
+    case 'removeEntity':
+      return encodeRemoveEntity(operation.prefix, operation.id)
+    case 'removeMessages':
+      return encodeRemoveMessages(operation.channelId, operation.hashes)
+  }
+}
+
+// NOTE: `fs.promises.rm()` is not available before Node.js 14.14
+async function removeFile (file) {
+  try {
+    await fs.promises.unlink(file)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err
+    }
+  }
+}
+
+function checksum (payload) {
+  const digest = crypto.createHash('sha256').update(payload).digest()
+  return digest.slice(0, CHECKSUM_SIZE)
+}
+
+// Convenience
+File.VERSION = VERSION
+File.COMPACTION_RATIO = COMPACTION_RATIO
+File.MIN_COMPACTION_SIZE = MIN_COMPACTION_SIZE
+
+module.exports = File
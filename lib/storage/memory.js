@@ -1,3 +1,37 @@
+const { Writer, Reader } = require('./codec')
+const { applyOperation, checkOperation } = require('./batch')
+
+const EMPTY_HASH = Buffer.alloc(0)
+
+const SNAPSHOT_MAGIC = Buffer.from('PLMS')
+const SNAPSHOT_VERSION = 1
+
+// CRDT order
+function compareMessages (a, b) {
+  if (a.height < b.height) {
+    return -1
+  } else if (a.height > b.height) {
+    return 1
+  }
+
+  return Buffer.compare(a.hash, b.hash)
+}
+
+// Index of the first message that is not less than `entry`
+function lowerBound (messages, entry) {
+  let start = 0
+  let end = messages.length
+  while (start < end) {
+    const middle = (start + end) >>> 1
+    if (compareMessages(messages[middle], entry) < 0) {
+      start = middle + 1
+    } else {
+      end = middle
+    }
+  }
+  return start
+}
+
 class Memory {
   /**
    * In-memory persistence.
@@ -28,27 +62,16 @@ class Memory {
       return
     }
 
-    const serialized = message.data
-
-    // CRDT order
-    data.messages.push({
+    const entry = {
       height: message.height,
       hash: message.hash,
       parents: message.parents,
-      serialized
-    })
-    // TODO(indutny): binary insert?
-    data.messages.sort((a, b) => {
-      if (a.height < b.height) {
-        return -1
-      } else if (a.height > b.height) {
-        return 1
-      }
-
-      return Buffer.compare(a.hash, b.hash)
-    })
+      serialized: message.data
+    }
 
-    data.messageByHash.set(hash, serialized)
+    // CRDT order
+    data.messages.splice(lowerBound(data.messages, entry), 0, entry)
+    data.messageByHash.set(hash, entry)
 
     for (const hash of message.parents) {
       data.leaves.delete(hash.toString('hex'))
@@ -102,7 +125,8 @@ class Memory {
    */
   async getMessage (channelId, hash) {
     const data = this.getChannelData(channelId)
-    return data.messageByHash.get(hash.toString('hex'))
+    const entry = data.messageByHash.get(hash.toString('hex'))
+    return entry && entry.serialized
   }
 
   /**
@@ -153,12 +177,7 @@ class Memory {
 
     const data = this.getChannelData(channelId)
 
-    // TODO(indutny): binary search?
-    const index = data.messages.findIndex(cursor.hash ? (message) => {
-      return cursor.hash.equals(message.hash)
-    } : (message) => {
-      return message.height === cursor.height
-    })
+    const index = this.findCursor(data, cursor)
 
     // We are lenient
     if (index === -1) {
@@ -190,6 +209,61 @@ class Memory {
     }
   }
 
+  /**
+   * Remove messages from the channel. Leaves are not recomputed, so the
+   * caller should not remove leaves or their descendants.
+   *
+   * @param {Buffer} channelId - id of the Channel instance
+   * @param {Buffer[]} hashes - Message hashes
+   * @returns {Promise}
+   */
+  async removeMessages (channelId, hashes) {
+    const data = this.getChannelData(channelId)
+
+    for (const hash of hashes) {
+      const hex = hash.toString('hex')
+      const entry = data.messageByHash.get(hex)
+      if (!entry) {
+        continue
+      }
+
+      data.messages.splice(lowerBound(data.messages, entry), 1)
+      data.messageByHash.delete(hex)
+      data.leaves.delete(hex)
+    }
+  }
+
+  /**
+   * Get ids of all channels that have messages.
+   *
+   * @returns {Promise} Array of channel ids (`Buffer[]`)
+   */
+  async getChannelIds () {
+    return Array.from(this.channelData.keys()).map((key) => {
+      return Buffer.from(key, 'hex')
+    })
+  }
+
+  /**
+   * Get all messages of the channel in CRDT order.
+   *
+   * @param {Buffer} channelId - id of the Channel instance
+   * @returns {Promise} Array of `{ channelId, hash, height, parents, data }`
+   *     objects in the same form as given to `addMessage()`
+   */
+  async getChannelMessages (channelId) {
+    const data = this.getChannelData(channelId)
+    return data.messages.map((entry) => {
+      return {
+        channelId,
+        hash: entry.hash,
+        height: entry.height,
+        parents: entry.parents,
+        data: entry.serialized
+      }
+    })
+  }
+
   async removeChannelMessages (channelId) {
     const key = channelId.toString('hex')
 
@@ -238,6 +312,30 @@ class Memory {
     return Array.from(this.entities.get(prefix).keys())
   }
 
+  async getEntityPrefixes () {
+    return Array.from(this.entities.keys())
+  }
+
+  //
+  // Batches
+  //
+
+  /**
+   * Apply several `addMessage`/`storeEntity`/`removeEntity`/`removeMessages`
+   * operations together.
+   *
+   * @param {Object[]} operations - list of `{ type, ... }` operations
+   * @returns {Promise}
+   */
+  async batch (operations) {
+    // NOTE: Validate everything upfront so that an invalid operation doesn't
+    // leave the batch half-applied.
+    operations.forEach(checkOperation)
+    for (const operation of operations) {
+      await applyOperation(this, operation)
+    }
+  }
+
   //
   // Miscellaneous
   //
@@ -247,8 +345,141 @@ class Memory {
     this.channels.clear()
   }
 
+  //
+  // Snapshots
+  //
+
+  /**
+   * Serialize all channel data and entities into a single Buffer.
+   *
+   * @returns {Promise} Buffer to be passed to `restore()`
+   */
+  async snapshot () {
+    const writer = new Writer()
+    writer.bytes(SNAPSHOT_MAGIC)
+    writer.u32(SNAPSHOT_VERSION)
+
+    writer.list(Array.from(this.channelData), ([key, data]) => {
+      writer.bytes(Buffer.from(key, 'hex'))
+
+      writer.list(data.messages, (entry) => {
+        writer.bytes(entry.hash)
+        writer.double(entry.height)
+        writer.list(entry.parents, (hash) => writer.bytes(hash))
+        writer.bytes(entry.serialized)
+      })
+
+      writer.list(Array.from(data.leaves), (hex) => {
+        writer.bytes(Buffer.from(hex, 'hex'))
+      })
+    })
+
+    writer.list(Array.from(this.entities), ([prefix, submap]) => {
+      writer.string(prefix)
+      writer.list(Array.from(submap), ([id, blob]) => {
+        writer.string(id)
+        writer.bytes(blob)
+      })
+    })
+
+    return writer.finish()
+  }
+
+  /**
+   * Replace all channel data and entities with the contents of the snapshot.
+   * The storage is left unchanged if the snapshot can't be parsed.
+   *
+   * @param {Buffer} snapshot - result of `snapshot()`
+   * @returns {Promise}
+   */
+  async restore (snapshot) {
+    const reader = new Reader(snapshot)
+
+    if (!reader.bytes().equals(SNAPSHOT_MAGIC)) {
+      throw new Error('Invalid snapshot magic')
+    }
+    const version = reader.u32()
+    if (version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version: ${version}`)
+    }
+
+    const channelData = new Map()
+    reader.list(() => {
+      const key = reader.bytes().toString('hex')
+
+      const data = this.createChannelData()
+      data.messages = reader.list(() => {
+        const entry = {
+          hash: Buffer.from(reader.bytes()),
+          height: reader.double(),
+          parents: reader.list(() => Buffer.from(reader.bytes())),
+          serialized: Buffer.from(reader.bytes())
+        }
+        data.messageByHash.set(entry.hash.toString('hex'), entry)
+        return entry
+      })
+
+      reader.list(() => {
+        data.leaves.add(reader.bytes().toString('hex'))
+      })
+
+      channelData.set(key, data)
+    })
+
+    const entities = new Map()
+    reader.list(() => {
+      const submap = new Map()
+      entities.set(reader.string(), submap)
+
+      reader.list(() => {
+        submap.set(reader.string(), Buffer.from(reader.bytes()))
+      })
+    })
+
+    if (!reader.isEnd) {
+      throw new Error('Unexpected trailing data in snapshot')
+    }
+
+    this.channelData = channelData
+    this.entities = entities
+  }
+
+  /**
+   * Create new instance of in-memory persistence from a snapshot.
+   *
+   * @param {Buffer} snapshot - result of `snapshot()`
+   * @returns {Promise} Memory instance
+   */
+  static async fromSnapshot (snapshot) {
+    const storage = new Memory()
+    await storage.restore(snapshot)
+    return storage
+  }
+
   // Private
 
+  findCursor (data, cursor) {
+    if (cursor.hash) {
+      const entry = data.messageByHash.get(cursor.hash.toString('hex'))
+      if (!entry) {
+        return -1
+      }
+      return lowerBound(data.messages, entry)
+    }
+
+    // Empty hash is less than any other hash, so this finds the first
+    // message with `height`, or the first message after it if the messages
+    // at `height` were removed.
+    const index = lowerBound(data.messages, {
+      height: cursor.height,
+      hash: EMPTY_HASH
+    })
+    if (index === data.messages.length) {
+      return -1
+    }
+    return index
+  }
+
   getChannelData (channelId, create = false) {
     const key = channelId.toString('hex')
 
@@ -256,16 +487,23 @@ class Memory {
       return this.channelData.get(key)
     }
 
-    const data = {
-      messages: [],
-      messageByHash: new Map(),
-      leaves: new Set()
-    }
+    const data = this.createChannelData()
     if (create) {
       this.channelData.set(key, data)
     }
     return data
   }
+
+  createChannelData () {
+    return {
+      messages: [],
+      messageByHash: new Map(),
+      leaves: new Set()
+    }
+  }
 }
 
+// Convenience
+Memory.SNAPSHOT_VERSION = SNAPSHOT_VERSION
+
 module.exports = Memory
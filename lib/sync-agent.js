@@ -1,7 +1,9 @@
 const createDebug = require('debug')
 const WaitList = require('promise-waitlist')
 
+const Chain = require('./protocol/chain')
 const Identity = require('./protocol/identity')
+const Link = require('./protocol/link')
 const Message = require('./protocol/message')
 
 const {
@@ -10,6 +12,7 @@ const {
 } = require('./messages')
 
 const {
+  now,
   BanError,
   EphemeralBox
 } = require('./utils')
@@ -133,6 +136,18 @@ class SyncAgent {
     return { bulkResponse }
   }
 
+  async receiveChunks (seq, chunks) {
+    this.debug('receiveChunks() seq=%d', seq)
+    const result = await this.channel.chunks(chunks.hashes)
+
+    const chunksResponse = {
+      chunks: result.chunks,
+      forwardIndex: result.forwardIndex
+    }
+
+    return { chunksResponse }
+  }
+
   async receiveEmptyResponse (seq) {
     this.debug('receiveEmptyResponse() seq=%d', seq)
 
@@ -170,6 +185,19 @@ class SyncAgent {
     this.waitList.resolve(`${this.debugId}/bulk/${seq}`, response)
   }
 
+  async receiveChunksResponse (seq, response) {
+    this.debug('receiveChunksResponse() seq=%d', seq)
+    const entry = this.pendingRequests.get(seq)
+    if (!entry) {
+      throw new BanError('Unexpected ChunksResponse')
+    }
+    if (entry.type !== 'chunks') {
+      throw new BanError('Expected ChunksResponse for this seq')
+    }
+
+    this.waitList.resolve(`${this.debugId}/chunks/${seq}`, response)
+  }
+
   //
   // Synchronization methods for Channel remote
   //
@@ -218,6 +246,21 @@ class SyncAgent {
     }
   }
 
+  async chunks (hashes) {
+    const seq = this.getNextSeq()
+    const packet = { hashes }
+
+    const response = await this.sendAndWait('chunks', seq, { chunks: packet })
+    if (!response) {
+      return { chunks: [], forwardIndex: hashes.length }
+    }
+
+    return {
+      chunks: response.chunks,
+      forwardIndex: response.forwardIndex
+    }
+  }
+
   //
   // Utils
   //
@@ -231,15 +274,16 @@ class SyncAgent {
       }
     }
 
-    // TODO(indutny): this seems somewhat unoptimal?
+    // NOTE: `getChain()` returns the best valid chain of each identity
     const pairs = this.identities.map((identity) => {
-      return { identity, chain: identity.getChain(this.channel) }
-    }).filter(({ chain }) => !!chain).sort((a, b) => {
-      if (a.chain.isBetterThan(b.chain)) {
-        return -1
-      } else {
-        return 1
+      return {
+        identity,
+        chain: identity.getChain(this.channel, now(), Link.READ)
       }
+    }).filter(({ chain }) => {
+      return !!chain
+    }).sort((a, b) => {
+      return Chain.compareQuality(a.chain, b.chain)
     })
 
     if (pairs.length === 0) {
@@ -281,6 +325,10 @@ class SyncAgent {
         chain: chain.serialize()
       } : {}),
 
+      ...(identity.isDevice ? {
+        device: identity.deviceLink.serialize()
+      } : {}),
+
       responsePubKey: requestBox.publicKey
     }
 
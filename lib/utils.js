@@ -1,3 +1,5 @@
+const usodium = require('sodium-universal')
+
 const chainCompare = require('./protocol/chain-compare')
 
 /**
@@ -129,10 +131,130 @@ function isSameChainMap (a, b) {
   return true
 }
 
+//
+// Text encoding of binary blobs for copy-pasting and QR codes:
+//
+//   peerlinks:<kind>:<version>:<base58(data || checksum)>
+//
+// where `checksum` is the first 4 bytes of 16-byte
+// `HASH(prefix || data, 'peerlinks-uri-checksum')` and `prefix` is everything
+// before the last colon.
+//
+
+const BASE58_ALPHABET =
+  '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz'
+const URI_SCHEME = 'peerlinks'
+const URI_CHECKSUM_SIZE = 4
+const URI_CHECKSUM_KEY = Buffer.from('peerlinks-uri-checksum')
+
+function base58Encode (data) {
+  let value = BigInt(`0x${data.toString('hex') || '0'}`)
+
+  let result = ''
+  while (value > 0n) {
+    result = BASE58_ALPHABET[Number(value % 58n)] + result
+    value /= 58n
+  }
+
+  // Leading zeroes
+  for (const byte of data) {
+    if (byte !== 0) {
+      break
+    }
+    result = BASE58_ALPHABET[0] + result
+  }
+  return result
+}
+
+function base58Decode (text) {
+  let value = 0n
+  for (const char of text) {
+    const digit = BASE58_ALPHABET.indexOf(char)
+    if (digit === -1) {
+      throw new Error(`unexpected character ${JSON.stringify(char)}`)
+    }
+    value = value * 58n + BigInt(digit)
+  }
+
+  let hex = value === 0n ? '' : value.toString(16)
+  if (hex.length % 2 !== 0) {
+    hex = '0' + hex
+  }
+
+  let zeroes = 0
+  while (text[zeroes] === BASE58_ALPHABET[0]) {
+    zeroes++
+  }
+  return Buffer.concat([Buffer.alloc(zeroes), Buffer.from(hex, 'hex')])
+}
+
+function uriChecksum (prefix, data) {
+  const hash = Buffer.alloc(usodium.crypto_generichash_BYTES_MIN)
+  usodium.crypto_generichash(hash,
+    Buffer.concat([Buffer.from(prefix), data]), URI_CHECKSUM_KEY)
+  return hash.slice(0, URI_CHECKSUM_SIZE)
+}
+
+/**
+ * @param {string} kind - type of the encoded data (e.g. `invite-request`)
+ * @param {number} version - version of the data format
+ * @param {Buffer} data - data to encode
+ * @returns {string} `peerlinks:<kind>:<version>:<base58 data and checksum>`
+ */
+function encodeBase58URI (kind, version, data) {
+  const prefix = `${URI_SCHEME}:${kind}:${version}`
+  const checksum = uriChecksum(prefix, data)
+  return `${prefix}:${base58Encode(Buffer.concat([data, checksum]))}`
+}
+
+/**
+ * Decode and verify result of `encodeBase58URI()`. Whitespace is ignored.
+ *
+ * @param {string} kind - expected type of the data
+ * @param {number} version - expected version of the data format
+ * @param {string} uri - encoded data
+ * @returns {Buffer}
+ */
+function decodeBase58URI (kind, version, uri) {
+  const fail = (reason) => {
+    return new Error(`Invalid ${kind} URI: ${reason}`)
+  }
+
+  const parts = String(uri).replace(/\s+/g, '').split(':')
+  if (parts.length !== 4 || parts[0] !== URI_SCHEME || parts[1] !== kind) {
+    throw fail(`expected "${URI_SCHEME}:${kind}:" prefix`)
+  }
+
+  if (parts[2] !== String(version)) {
+    throw new Error(`Unsupported ${kind} URI version: ${parts[2]}`)
+  }
+
+  let raw
+  try {
+    raw = base58Decode(parts[3])
+  } catch (e) {
+    throw fail(e.message)
+  }
+  if (raw.length < URI_CHECKSUM_SIZE) {
+    throw fail('too short')
+  }
+
+  const data = raw.slice(0, -URI_CHECKSUM_SIZE)
+  const checksum = raw.slice(-URI_CHECKSUM_SIZE)
+  const prefix = parts.slice(0, 3).join(':')
+  if (!uriChecksum(prefix, data).equals(checksum)) {
+    throw fail('checksum mismatch')
+  }
+
+  return data
+}
+
 module.exports = {
   now,
   compareDistance,
   isSameChainMap,
   EphemeralBox,
-  BanError
+  BanError,
+  encodeBase58URI,
+  decodeBase58URI
 }
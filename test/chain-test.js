@@ -2,7 +2,7 @@
 const assert = require('assert')
 const sodium = require('sodium-native')
 
-const { Chain, Channel, Identity } = require('../lib/protocol')
+const { Chain, Channel, Identity, Link } = require('../lib/protocol')
 const { now } = require('../lib/utils')
 
 describe('Chain', () => {
@@ -159,6 +159,54 @@ describe('Chain', () => {
     const chain = new Chain(links)
     assert.ok(root.isBetterThan(chain))
     assert.ok(!chain.isBetterThan(root))
+    assert.ok(!root.isBetterThan(root))
+
+    const longer = Chain.append(chain, idB.issueLink(channelA, dataC))
+    assert.ok(chain.isBetterThan(longer))
+    assert.ok(!longer.isBetterThan(chain))
+
+    const lasting = new Chain([
+      idA.issueLink(channelA, { ...dataB, validTo: now() + 1e9 })
+    ])
+    assert.ok(lasting.isBetterThan(chain))
+    assert.ok(!chain.isBetterThan(lasting))
+
+    assert.deepStrictEqual([longer, chain, root, lasting].sort(
+      Chain.compareQuality), [root, lasting, chain, longer])
+  })
+
+  it('should intersect capabilities', () => {
+    assert.strictEqual(new Chain([]).getCapabilities(), Link.ALL_CAPABILITIES)
+
+    const poster = new Chain([
+      idA.issueLink(channelA, { ...dataB, capabilities: Link.READ | Link.POST })
+    ])
+    assert.ok(poster.hasCapability(Link.POST))
+    assert.ok(!poster.hasCapability(Link.INVITE))
+
+    const moderator = new Chain([
+      idA.issueLink(channelA, {
+        ...dataB,
+        capabilities: Link.READ | Link.INVITE
+      })
+    ])
+    const invited = Chain.append(moderator, idB.issueLink(channelA, dataC))
+    assert.strictEqual(invited.getCapabilities(), Link.READ | Link.INVITE)
+
+    // Keys without invite capability can't grant anything
+    const escalated = Chain.append(poster, idB.issueLink(channelA, dataC))
+    assert.strictEqual(escalated.getCapabilities(), 0)
+    assert.ok(poster.isBetterThan(escalated))
+  })
+
+  it('should check equality', () => {
+    const chain = new Chain([idA.issueLink(channelA, dataB)])
+    const same = new Chain(chain.links.slice())
+    const other = new Chain([idA.issueLink(channelA, dataC)])
+
+    assert.ok(chain.equals(same))
+    assert.ok(!chain.equals(other))
+    assert.ok(!chain.equals(new Chain([])))
   })
 
   it('should compare chains', () => {
@@ -2,7 +2,9 @@
 const assert = require('assert')
 const sodium = require('sodium-native')
 
-const { Chain, Channel, Identity, Message } = require('../')
+const {
+  Chain, Channel, Identity, Link, MemoryStorage, Message
+} = require('../')
 const { now } = require('../lib/utils')
 
 const DelayStorage = require('./fixtures/delay-storage')
@@ -37,9 +39,10 @@ describe('Channel', () => {
     })
   }
 
-  const msg = (text, parents, height, timestamp, id = identity) => {
+  const msg = (text, parents, height, timestamp, id = identity,
+    target = channel) => {
     return new Message({
-      ...id.signMessageBody(Message.json(text), channel, {
+      ...id.signMessageBody(Message.json(text), target, {
         height,
         parents: parents.map((p) => p.hash),
         timestamp
@@ -339,6 +342,83 @@ describe('Channel', () => {
       assert.strictEqual(await channel.getMessageCount(), 15 + 1)
     })
 
+    it('should store every bulk response at once', async () => {
+      const source = new Channel({
+        name: 'test-source',
+        publicKey: channel.publicKey,
+        sodium,
+
+        maxBulkCount: 2
+      })
+      await source.receive(root)
+
+      const storage = new MemoryStorage()
+      const target = new Channel({
+        name: 'test-target',
+        publicKey: channel.publicKey,
+        sodium,
+        storage
+      })
+      await target.receive(root)
+
+      const batches = []
+      storage.batch = async (operations) => {
+        batches.push(operations.map(({ type }) => type))
+        return await MemoryStorage.prototype.batch.call(storage, operations)
+      }
+
+      for (let i = 0; i < 3; i++) {
+        await source.post(Message.json(`message: ${i}`), identity, {
+          timestamp: root.timestamp + i + 1
+        })
+      }
+
+      await target.sync(source)
+      assert.strictEqual(await target.getMessageCount(), 3 + 1)
+      // Member directory is stored once per batch
+      assert.deepStrictEqual(batches, [
+        ['addMessage', 'addMessage', 'storeEntity'],
+        ['addMessage', 'storeEntity']
+      ])
+    })
+
+    it('should update indexes only after the commit', async () => {
+      const source = new Channel({
+        name: 'test-source',
+        publicKey: channel.publicKey,
+        sodium
+      })
+      await source.receive(root)
+
+      const storage = new MemoryStorage()
+      const target = new Channel({
+        name: 'test-target',
+        publicKey: channel.publicKey,
+        sodium,
+        storage
+      })
+      await target.receive(root)
+
+      const first = await source.post(Message.text('first'), identity, {
+        timestamp: root.timestamp + 1
+      })
+      await source.post(Message.reply(first.hash, 'reply'), identity, {
+        timestamp: root.timestamp + 2
+      })
+
+      storage.batch = async () => {
+        throw new Error('Write failure')
+      }
+      await assert.rejects(target.sync(source), { message: 'Write failure' })
+      assert.deepStrictEqual(target.getThreads(), [])
+      assert.strictEqual(target.getMembers()[0].lastPostAt, root.timestamp)
+
+      delete storage.batch
+      await target.sync(source)
+      assert.strictEqual(target.getReplyCount(first.hash), 1)
+      assert.strictEqual(target.getMembers()[0].lastPostAt, root.timestamp + 2)
+    })
+
     it('should concurrently synchronize the channel', async function () {
       this.timeout(200000)
 
@@ -454,6 +534,114 @@ describe('Channel', () => {
     })
   })
 
+  describe('prune()', () => {
+    const DAY = 24 * 3600
+
+    let old = null
+    let full = null
+    let recent = null
+
+    beforeEach(async () => {
+      old = await Channel.fromIdentity(identity, {
+        name: 'old',
+        sodium,
+        timestamp: now() - 90 * DAY
+      })
+      for (let i = 0; i < 3; i++) {
+        await old.post(Message.json(`old: ${i}`), identity, {
+          timestamp: now() - (80 - i) * DAY
+        })
+      }
+      recent = []
+      for (let i = 0; i < 2; i++) {
+        recent.push(await old.post(Message.json(`recent: ${i}`), identity))
+      }
+
+      full = await Channel.fromPublicKey(old.publicKey, {
+        name: 'full',
+        sodium
+      })
+      await full.sync(old)
+    })
+
+    afterEach(() => {
+      old = null
+      full = null
+      recent = null
+    })
+
+    it('should not prune without retention policy', async () => {
+      assert.strictEqual(await old.prune(), 0)
+      assert.strictEqual(await old.getMessageCount(), 6)
+    })
+
+    it('should prune by age and keep leaves', async () => {
+      old.setRetention({ maxAge: 7 * DAY })
+      assert.strictEqual(await old.prune(), 4)
+
+      assert.strictEqual(await old.getMessageCount(), 2)
+      const leaves = await old.getLeaves()
+      assert.deepStrictEqual(leaves.map((leaf) => leaf.json), ['recent: 1'])
+
+      await old.post(Message.json('after'), identity)
+      assert.strictEqual(await old.getMessageCount(), 3)
+    })
+
+    it('should prune by count and keep recent ancestry', async () => {
+      old.setRetention({ maxCount: 1 })
+
+      // Both "recent" messages could still be parents
+      assert.strictEqual(await old.prune(), 4)
+      assert.strictEqual(await old.getMessageCount(), 2)
+      assert.strictEqual(await old.prune(), 0)
+    })
+
+    it('should answer queries about pruned messages', async () => {
+      const pruned = await old.getMessagesAtOffset(0, 4)
+
+      old.setRetention({ maxAge: 7 * DAY })
+      await old.prune()
+
+      const byHash = await old.query({ hash: pruned[1].hash }, false, 10)
+      assert.strictEqual(byHash.abbreviatedMessages.length, 0)
+
+      const byHeight = await old.query({ height: 0 }, false, 10)
+      assert.deepStrictEqual(
+        byHeight.abbreviatedMessages.map(({ hash }) => hash.toString('hex')),
+        recent.map(({ hash }) => hash.toString('hex')))
+
+      const bulk = await old.bulk(pruned.map(({ hash }) => hash))
+      assert.strictEqual(bulk.messages.length, 0)
+      assert.strictEqual(bulk.forwardIndex, 4)
+
+      // Sync both ways should not fail
+      await full.post(Message.json('new'), identity)
+      assert.strictEqual(await old.sync(full), 1)
+      assert.strictEqual(await full.sync(old), 0)
+
+      const fresh = await Channel.fromPublicKey(old.publicKey, {
+        name: 'fresh',
+        sodium,
+        maxUnresolvedCount: 0
+      })
+      assert.strictEqual(await fresh.sync(old), 0)
+    })
+
+    it('should serialize/deserialize retention policy', async () => {
+      old.setRetention({ maxCount: 10 })
+      const copy = await Channel.deserializeData(old.serializeData(), {
+        sodium
+      })
+      assert.deepStrictEqual(copy.getRetention(), { maxAge: 0, maxCount: 10 })
+
+      old.setRetention(null)
+      const other = await Channel.deserializeData(old.serializeData(), {
+        sodium
+      })
+      assert.strictEqual(other.getRetention(), null)
+    })
+  })
+
   describe('json limit', () => {
     let trustee = null
     beforeEach(() => {
@@ -505,6 +693,893 @@ describe('Channel', () => {
     })
   })
 
+  describe('capabilities', () => {
+    let reader = null
+
+    beforeEach(() => {
+      reader = new Identity('reader', { sodium })
+      reader.addChain(channel, new Chain([identity.issueLink(channel, {
+        trusteePubKey: reader.publicKey,
+        trusteeDisplayName: 'reader',
+        capabilities: Link.READ
+      })]))
+    })
+
+    afterEach(() => {
+      reader = null
+    })
+
+    it('should not allow read-only members to post', async () => {
+      assert.ok(!reader.canPost(channel))
+      assert.ok(!reader.canInvite(channel))
+      await assert.rejects(channel.post(Message.json('hello'), reader), {
+        name: 'Error',
+        message: `Cannot post to the channel ${channel.id.toString('hex')}`
+      })
+    })
+
+    it('should reject messages of read-only members', async () => {
+      const tbs = {
+        parents: [root.hash],
+        height: 1,
+        chain: reader.getChain(channel),
+        timestamp: now(),
+        body: Message.json('hello')
+      }
+      const message = new Message({
+        ...tbs,
+        signature: reader.sign(Message.tbs({
+          ...tbs,
+          chain: tbs.chain.serialize()
+        })),
+        sodium
+      })
+
+      await assert.rejects(channel.receive(message), {
+        name: 'BanError',
+        message: 'Message chain is not allowed to post'
+      })
+    })
+  })
+
+  describe('revocation', () => {
+    let trustee = null
+    let subTrustee = null
+
+    beforeEach(() => {
+      trustee = new Identity('trustee', { sodium })
+      subTrustee = new Identity('sub-trustee', { sodium })
+
+      const chain = new Chain([identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee'
+      })])
+      trustee.addChain(channel, chain)
+
+      subTrustee.addChain(channel, Chain.append(chain, trustee.issueLink(
+        channel, {
+          trusteePubKey: subTrustee.publicKey,
+          trusteeDisplayName: 'sub-trustee'
+        })))
+    })
+
+    afterEach(() => {
+      trustee = null
+      subTrustee = null
+    })
+
+    const revoke = async (id, author = identity) => {
+      return await channel.post(
+        Message.revocation(id.getChain(channel)), author, {
+          timestamp: root.timestamp + 10
+        })
+    }
+
+    it('should reject messages of revoked chains', async () => {
+      // NOTE: Revoked identities can't sign locally
+      const early = msg('early', [root], 1, root.timestamp + 5, trustee)
+      const late = msg('late', [root], 1, root.timestamp + 20, trustee)
+
+      const revocation = await revoke(trustee)
+      assert.ok(revocation.isRevocation)
+      assert.strictEqual(revocation.json, undefined)
+
+      // Posted before the revocation
+      assert.ok(await channel.receive(early))
+      assert.ok(!channel.isMessageRevoked(early))
+
+      // Concurrent to the revocation, stored but not indexed
+      assert.ok(await channel.receive(late))
+      assert.ok(channel.isMessageRevoked(late))
+      assert.ok(channel.resolveMessage(late).isRevoked)
+      assert.strictEqual(channel.getMember(trustee.publicKey).lastPostAt,
+        root.timestamp + 5)
+
+      // NOTE: Revoked identities can sign only for the channels without the
+      // revocation
+      const unaware = new Channel({
+        name: 'unaware',
+        publicKey: channel.publicKey,
+        sodium
+      })
+
+      // Posted after seeing the revocation
+      const seen = msg('seen', [late, revocation], revocation.height + 1,
+        root.timestamp + 20, trustee, unaware)
+      await assert.rejects(channel.receive(seen), {
+        name: 'BanError',
+        message: 'Message chain is revoked'
+      })
+
+      // Everyone invited by the revoked key
+      const sub = msg('sub', [late, revocation], revocation.height + 1,
+        root.timestamp + 20, subTrustee, unaware)
+      await assert.rejects(channel.receive(sub), {
+        name: 'BanError',
+        message: 'Message chain is revoked'
+      })
+
+      assert.ok(trustee.canPost(channel, root.timestamp + 5))
+      assert.ok(!trustee.canPost(channel, root.timestamp + 10))
+      assert.ok(!trustee.canInvite(channel, root.timestamp + 10))
+      assert.ok(!subTrustee.canPost(channel, root.timestamp + 10))
+    })
+
+    it('should index regardless of the order of revocation', async () => {
+      const sign = (body, author, parents, timestamp) => {
+        return new Message({
+          ...author.signMessageBody(body, channel, {
+            height: parents[0].height + 1,
+            parents: parents.map((parent) => parent.hash),
+            timestamp
+          }),
+          sodium
+        })
+      }
+
+      const text = sign(Message.text('text'), identity, [root],
+        root.timestamp + 1)
+      const revocation = sign(Message.revocation(trustee.getChain(channel)),
+        identity, [text], root.timestamp + 10)
+
+      // Concurrent to the revocation
+      const concurrent = [
+        sign(Message.reaction(text.hash, '+1'), trustee, [text],
+          root.timestamp + 20),
+        sign(Message.reply(text.hash, 'reply'), trustee, [text],
+          root.timestamp + 20),
+        sign(Message.edit(text.hash, 'edit'), identity, [text],
+          root.timestamp + 20)
+      ]
+
+      const state = async (target) => {
+        const resolved = target.resolveMessage(text)
+        const reactions = await target.getReactions(text.hash)
+        return {
+          members: target.getMembers().map(({ publicKey }) => {
+            return publicKey.toString('hex')
+          }),
+          reactions: reactions.map(({ reaction, count }) => {
+            return [reaction, count]
+          }),
+          replyCount: target.getReplyCount(text.hash),
+          text: resolved.json.text
+        }
+      }
+
+      const receive = async (messages) => {
+        const peer = new Channel({
+          name: 'peer',
+          publicKey: channel.publicKey,
+          sodium
+        })
+        for (const message of [root, text, ...messages]) {
+          assert.ok(await peer.receive(message))
+        }
+        return peer
+      }
+
+      const first = await receive([revocation, ...concurrent])
+      const last = await receive([...concurrent, revocation])
+      const expected = {
+        members: [identity.publicKey.toString('hex')],
+        reactions: [],
+        replyCount: 0,
+        text: 'edit'
+      }
+      assert.deepStrictEqual(await state(first), expected)
+      assert.deepStrictEqual(await state(last), expected)
+
+      const copy = await Channel.deserializeData(last.serializeData(), {
+        sodium,
+        storage: last.cache.backend
+      })
+      assert.deepStrictEqual(await state(copy), expected)
+    })
+
+    it('should allow only issuers to revoke', async () => {
+      await assert.rejects(revoke(trustee, subTrustee), {
+        name: 'BanError',
+        message: 'Revocation author is not an issuer of the chain'
+      })
+
+      await assert.rejects(revoke(identity), {
+        name: 'BanError',
+        message: 'Channel root can\'t be revoked'
+      })
+
+      await revoke(subTrustee, trustee)
+      assert.ok(trustee.canPost(channel, root.timestamp + 10))
+      assert.ok(!subTrustee.canPost(channel, root.timestamp + 10))
+    })
+
+    it('should persist revocations', async () => {
+      await revoke(trustee)
+
+      // Stored per revoked key
+      const ids = await channel.cache.getEntityKeys(Channel.REVOCATIONS_PREFIX)
+      assert.deepStrictEqual(ids,
+        [channel.indexId(trustee.publicKey.toString('hex'))])
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      const revocations = copy.getRevocations()
+      assert.strictEqual(revocations.length, 1)
+      assert.ok(revocations[0].publicKey.equals(trustee.publicKey))
+      assert.strictEqual(revocations[0].timestamp, root.timestamp + 10)
+      assert.ok(!trustee.canPost(copy, root.timestamp + 10))
+    })
+  })
+
+  describe('devices', () => {
+    let trustee = null
+    let device = null
+
+    beforeEach(() => {
+      trustee = new Identity('trustee', { sodium })
+      const chain = new Chain([identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee'
+      })])
+      trustee.addChain(channel, chain)
+
+      device = new Identity('device', { sodium })
+      device.setDeviceLink(trustee.issueDeviceLink({
+        devicePubKey: device.publicKey,
+        deviceName: 'laptop'
+      }), trustee.publicKey)
+      device.addChain(channel, chain)
+    })
+
+    afterEach(() => {
+      trustee = null
+      device = null
+    })
+
+    it('should attribute device messages to the primary key', async () => {
+      const message = msg('hello', [root], 1, root.timestamp + 5, device)
+      assert.ok(await channel.receive(message))
+
+      const copy = Message.deserializeData(message.serializeData(),
+        { sodium })
+      assert.ok(copy.verify(channel))
+
+      const author = copy.getAuthor()
+      assert.deepStrictEqual(author.displayPath, ['trustee'])
+      assert.ok(author.publicKeys[0].equals(trustee.publicKey))
+      assert.ok(author.device.publicKey.equals(device.publicKey))
+      assert.strictEqual(author.device.name, 'laptop')
+
+      // Device keys don't extend the chain
+      assert.strictEqual(copy.chain.length, 1)
+      assert.ok(!device.canInvite(channel))
+
+      const members = channel.getMembers()
+      assert.strictEqual(members.length, 2)
+      assert.ok(members[1].publicKey.equals(trustee.publicKey))
+    })
+
+    it('should reject forged device links', async () => {
+      const other = new Identity('other', { sodium })
+      const forged = new Identity('forged', { sodium })
+      forged.setDeviceLink(other.issueDeviceLink({
+        devicePubKey: forged.publicKey,
+        deviceName: 'forged'
+      }), other.publicKey)
+
+      // NOTE: `addChain()` would reject the chain
+      forged.primaryPubKey = trustee.publicKey
+      forged.chains = device.chains
+
+      await assert.rejects(
+        channel.receive(msg('forged', [root], 1, root.timestamp + 5, forged)),
+        {
+          name: 'BanError',
+          message: 'Invalid message signature, or invalid chain'
+        })
+    })
+
+    it('should revoke devices individually', async () => {
+      const early = msg('early', [root], 1, root.timestamp + 5, device)
+      const late = msg('late', [root], 1, root.timestamp + 20, device)
+
+      const sibling = new Identity('sibling', { sodium })
+      sibling.addChain(channel, new Chain([identity.issueLink(channel, {
+        trusteePubKey: sibling.publicKey,
+        trusteeDisplayName: 'sibling'
+      })]))
+
+      await assert.rejects(channel.post(
+        Message.revocation(trustee.getChain(channel), device.publicKey),
+        sibling), {
+        name: 'BanError',
+        message: 'Revocation author is not an issuer of the chain'
+      })
+
+      const revocation = await channel.post(
+        Message.revocation(trustee.getChain(channel), device.publicKey),
+        trustee, { timestamp: root.timestamp + 10 })
+
+      assert.ok(await channel.receive(early))
+      assert.ok(await channel.receive(late))
+      assert.ok(channel.isMessageRevoked(late))
+
+      // NOTE: Revoked devices can sign only for the channels without the
+      // revocation
+      const unaware = new Channel({
+        name: 'unaware',
+        publicKey: channel.publicKey,
+        sodium
+      })
+      const seen = msg('seen', [revocation], revocation.height + 1,
+        root.timestamp + 20, device, unaware)
+      await assert.rejects(channel.receive(seen), {
+        name: 'BanError',
+        message: 'Message device is revoked'
+      })
+
+      // Primary key is still valid
+      assert.ok(trustee.canPost(channel, root.timestamp + 20))
+      assert.ok(!device.canPost(channel, root.timestamp + 20))
+      assert.ok(!channel.isChainRevoked(trustee.getChain(channel)))
+    })
+  })
+
+  describe('kinds', () => {
+    const invalid = (timestamp) => {
+      return new Message({
+        ...identity.signMessageBody(Message.json({ kind: 'text' }), channel, {
+          height: 1,
+          parents: [root.hash],
+          timestamp
+        }),
+        sodium
+      })
+    }
+
+    it('should flag invalid messages in lenient mode', async () => {
+      const message = invalid(root.timestamp + 1)
+      assert.ok(await channel.receive(message))
+      assert.strictEqual(message.getKindError(), 'Invalid `text`')
+
+      const [last] = await channel.getReverseMessagesAtOffset(0)
+      assert.strictEqual(last.getKindError(), 'Invalid `text`')
+    })
+
+    it('should reject invalid messages in strict mode', async () => {
+      const strict = new Channel({
+        name: 'strict',
+        publicKey: channel.publicKey,
+        sodium,
+        validation: 'strict'
+      })
+      await strict.receive(root)
+
+      await assert.rejects(strict.receive(invalid(root.timestamp + 1)), {
+        name: 'BanError',
+        message: 'Invalid message body: Invalid `text`'
+      })
+
+      // Unknown kinds pass through
+      await strict.post(Message.json({ kind: 'poll' }), identity)
+      await strict.post(Message.text('hello'), identity)
+      assert.strictEqual(await strict.getMessageCount(), 3)
+    })
+
+    it('should not post invalid messages', async () => {
+      await assert.rejects(channel.post(Message.json({ kind: 'text' }),
+        identity), {
+        name: 'Error',
+        message: 'Invalid message body: Invalid `text`'
+      })
+    })
+  })
+
+  describe('edits', () => {
+    const resolved = async (target = channel) => {
+      const entries = await target.getResolvedMessagesAtOffset(1, 10)
+      return entries.map(({ message, json, isEdited, isDeleted }) => {
+        if (isDeleted) {
+          return '<deleted>'
+        }
+        if (message.kind !== Message.TEXT) {
+          return `<${message.kind}>`
+        }
+        return isEdited ? `${json.text} (edited)` : json.text
+      })
+    }
+
+    it('should resolve edits and deletions', async () => {
+      const first = await channel.post(Message.text('helo'), identity)
+      const second = await channel.post(Message.text('oops'), identity)
+
+      await channel.post(Message.edit(first.hash, 'hllo'), identity)
+      await channel.post(Message.edit(first.hash, 'hello'), identity)
+      await channel.post(Message.delete(second.hash), identity)
+
+      // Deletion is final
+      await channel.post(Message.edit(second.hash, 'restored'), identity)
+
+      const expected = [
+        'hello (edited)',
+        '<deleted>',
+        '<edit>',
+        '<edit>',
+        '<delete>',
+        '<edit>'
+      ]
+      assert.deepStrictEqual(await resolved(), expected)
+
+      const [last] = await channel.getReverseResolvedMessagesAtOffset(0)
+      assert.strictEqual(last.message.kind, Message.EDIT)
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      assert.deepStrictEqual(await resolved(copy), expected)
+    })
+
+    it('should order edits causally', async () => {
+      const first = await channel.post(Message.text('hello'), identity)
+
+      // Same timestamp, so the order of the hashes is random
+      for (let i = 0; i < 8; i++) {
+        await channel.post(Message.edit(first.hash, `edit ${i}`), identity, {
+          timestamp: first.timestamp
+        })
+      }
+
+      const [resolved] = await channel.getResolvedMessagesAtOffset(1)
+      assert.strictEqual(resolved.json.text, 'edit 7')
+    })
+
+    it('should apply edits only by the same author', async () => {
+      const trustee = new Identity('trustee', { sodium })
+      trustee.addChain(channel, new Chain([identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee'
+      })]))
+
+      const first = await channel.post(Message.text('hello'), identity)
+
+      await assert.rejects(
+        channel.post(Message.delete(first.hash), trustee), {
+          name: 'Error',
+          message: 'Invalid message body: Edit author doesn\'t match the target'
+        })
+
+      const forged = new Message({
+        ...trustee.signMessageBody(Message.delete(first.hash), channel, {
+          height: first.height + 1,
+          parents: [first.hash],
+          timestamp: first.timestamp
+        }),
+        sodium
+      })
+
+      // Flagged and ignored
+      assert.ok(await channel.receive(forged))
+      assert.strictEqual(forged.getKindError(),
+        'Edit author doesn\'t match the target')
+      assert.deepStrictEqual(await resolved(), ['hello', '<delete>'])
+    })
+  })
+
+  describe('threads', () => {
+    const texts = (messages) => messages.map((message) => message.json.text)
+
+    it('should index replies per thread', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+      const second = await channel.post(Message.text('second'), identity)
+
+      await channel.post(Message.reply(first.hash, 'a'), identity, {
+        timestamp: second.timestamp + 1
+      })
+      const b = await channel.post(Message.reply(second.hash, 'b'), identity, {
+        timestamp: second.timestamp + 2
+      })
+      await channel.post(Message.reply(first.hash, 'c'), identity, {
+        timestamp: second.timestamp + 3
+      })
+
+      await assert.rejects(
+        channel.post(Message.reply(b.hash, 'nested'), identity), {
+          message: 'Invalid message body: Invalid thread root'
+        })
+
+      const check = async (target) => {
+        assert.deepStrictEqual(
+          target.getThreads().map(({ root, replyCount }) => {
+            return [root.toString('hex'), replyCount]
+          }), [
+            [first.hash.toString('hex'), 2],
+            [second.hash.toString('hex'), 1]
+          ])
+
+        assert.strictEqual(target.getReplyCount(first.hash), 2)
+        assert.strictEqual(target.getReplyCount(b.hash), 0)
+
+        assert.deepStrictEqual(
+          texts(await target.getThreadReplies(first.hash, 0, 10)),
+          ['a', 'c'])
+        assert.deepStrictEqual(
+          texts(await target.getThreadReplies(first.hash, 1)),
+          ['c'])
+        assert.deepStrictEqual(await target.getThreadReplies(b.hash, 0), [])
+      }
+
+      await check(channel)
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      await check(copy)
+    })
+
+    it('should index replies once', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+      const reply = await channel.post(Message.reply(first.hash, 'a'), identity)
+
+      // E.g. after an interrupted sync
+      const batch = channel.cache.createBatch()
+      await channel.loadTargetIndex(reply, first)
+      channel.indexMessage(reply, batch, first)
+      await batch.commit()
+
+      assert.strictEqual(channel.getReplyCount(first.hash), 1)
+      assert.deepStrictEqual(
+        texts(await channel.getThreadReplies(first.hash, 0, 10)),
+        ['a'])
+    })
+
+    it('should index concurrent replies', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+
+      await Promise.all([
+        channel.post(Message.reply(first.hash, 'a'), identity),
+        channel.post(Message.reply(first.hash, 'b'), identity)
+      ])
+
+      const check = async (target) => {
+        assert.strictEqual(target.getReplyCount(first.hash), 2)
+        assert.deepStrictEqual(
+          texts(await target.getThreadReplies(first.hash, 0, 10)).sort(),
+          ['a', 'b'])
+      }
+
+      await check(channel)
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      await check(copy)
+    })
+
+    it('should keep replies in CRDT order', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+
+      const reply = (text) => {
+        return new Message({
+          ...identity.signMessageBody(Message.reply(first.hash, text),
+            channel, {
+              height: first.height + 1,
+              parents: [first.hash],
+              timestamp: first.timestamp
+            }),
+          sodium
+        })
+      }
+      const replies = [reply('x'), reply('y'), reply('z')]
+      for (const message of replies.slice().reverse()) {
+        assert.ok(await channel.receive(message))
+      }
+
+      const expected = replies.sort((a, b) => Buffer.compare(a.hash, b.hash))
+      assert.deepStrictEqual(
+        texts(await channel.getThreadReplies(first.hash, 0, 10)),
+        texts(expected))
+      assert.deepStrictEqual(
+        texts(await channel.getMessagesAtOffset(2, 10)),
+        texts(expected))
+    })
+  })
+
+  describe('reactions', () => {
+    let trustee = null
+
+    beforeEach(() => {
+      trustee = new Identity('trustee', { sodium })
+      trustee.addChain(channel, new Chain([identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee'
+      })]))
+    })
+
+    afterEach(() => {
+      trustee = null
+    })
+
+    const summary = async (target, hash) => {
+      const reactions = await target.getReactions(hash)
+      return reactions.map(({ reaction, count }) => `${reaction}: ${count}`)
+    }
+
+    it('should aggregate reactions', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+      const react = async (id, reaction, remove) => {
+        return await channel.post(
+          Message.reaction(first.hash, reaction, { remove }), id)
+      }
+
+      await react(identity, '+1')
+      await react(trustee, '+1')
+      await react(trustee, '+1')
+      await react(trustee, 'heart')
+      await react(identity, 'heart')
+      await react(identity, 'smile')
+      await react(identity, 'smile', true)
+
+      const check = async (target) => {
+        assert.deepStrictEqual(await summary(target, first.hash),
+          ['+1: 2', 'heart: 2'])
+
+        const [plusOne] = await target.getReactions(first.hash)
+        assert.deepStrictEqual(
+          plusOne.publicKeys.map((key) => key.toString('hex')).sort(),
+          [identity.publicKey, trustee.publicKey]
+            .map((key) => key.toString('hex')).sort())
+      }
+
+      await check(channel)
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      await check(copy)
+
+      // Loaded on demand
+      const removal = await copy.post(
+        Message.reaction(first.hash, '+1', { remove: true }), trustee)
+      assert.deepStrictEqual(await summary(copy, first.hash),
+        ['heart: 2', '+1: 1'])
+
+      await assert.rejects(copy.post(
+        Message.reaction(removal.hash, '+1'), identity), {
+        name: 'Error',
+        message: 'Invalid message body: Invalid reaction target'
+      })
+    })
+
+    it('should aggregate concurrent reactions', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+
+      const received = new Message({
+        ...trustee.signMessageBody(Message.reaction(first.hash, '+1'),
+          channel, {
+            height: first.height + 1,
+            parents: [first.hash],
+            timestamp: first.timestamp
+          }),
+        sodium
+      })
+
+      await Promise.all([
+        channel.post(Message.reaction(first.hash, '+1'), identity),
+        channel.receive(received)
+      ])
+      assert.deepStrictEqual(await summary(channel, first.hash), ['+1: 2'])
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      assert.deepStrictEqual(await summary(copy, first.hash), ['+1: 2'])
+    })
+
+    it('should apply same-second removals', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+
+      // Same timestamp, so the order of the hashes is random
+      for (let i = 0; i < 4; i++) {
+        for (const remove of [false, true]) {
+          await channel.post(
+            Message.reaction(first.hash, '+1', { remove }), identity, {
+              timestamp: first.timestamp
+            })
+        }
+        assert.deepStrictEqual(await summary(channel, first.hash), [])
+      }
+    })
+
+    it('should resolve reordered removals', async () => {
+      const first = await channel.post(Message.text('first'), identity)
+
+      const react = (timestamp, remove) => {
+        return new Message({
+          ...identity.signMessageBody(
+            Message.reaction(first.hash, '+1', { remove }), channel, {
+              height: first.height + 1,
+              parents: [first.hash],
+              timestamp
+            }),
+          sodium
+        })
+      }
+
+      // Removal arrives before the older addition
+      assert.ok(await channel.receive(react(first.timestamp + 2, true)))
+      assert.ok(await channel.receive(react(first.timestamp + 1, false)))
+      assert.deepStrictEqual(await summary(channel, first.hash), [])
+
+      assert.ok(await channel.receive(react(first.timestamp + 3, false)))
+      assert.deepStrictEqual(await summary(channel, first.hash), ['+1: 1'])
+    })
+  })
+
+  describe('attachments', () => {
+    const data = Buffer.alloc(Channel.CHUNK_SIZE * 2.5)
+    for (let i = 0; i < data.length; i++) {
+      data[i] = i & 0xff
+    }
+
+    it('should store and fetch attachments', async () => {
+      const clone = new Channel({
+        name: 'test-clone',
+        publicKey: channel.publicKey,
+        sodium,
+
+        // Force low limit to request chunks several times
+        maxChunksCount: 1
+      })
+      await clone.receive(root)
+
+      const { hash, size } = await clone.storeAttachment(data)
+      assert.strictEqual(size, data.length)
+
+      const message = await clone.post(Message.attachment({
+        hash,
+        size,
+        name: 'file.bin'
+      }), identity)
+      assert.ok((await clone.getAttachment(message)).equals(data))
+
+      await channel.sync(clone)
+      assert.strictEqual(await channel.getAttachment(message), null)
+
+      const fetched = await channel.fetchAttachment(message, clone)
+      assert.ok(fetched.equals(data))
+      assert.ok((await channel.getAttachment(message)).equals(data))
+
+      // Chunks are encrypted at rest
+      const [id] = await channel.cache.getEntityKeys(Channel.CHUNKS_PREFIX)
+      const blob = await channel.cache.retrieveEntity(Channel.CHUNKS_PREFIX,
+        id)
+      assert.ok(!blob.includes(data.slice(0, 64)))
+
+      // Remote without the chunks
+      const empty = await clone.post(Message.attachment({
+        hash: Buffer.alloc(32),
+        size: 1,
+        name: 'missing.bin'
+      }), identity)
+      assert.strictEqual(await channel.fetchAttachment(empty, clone), null)
+
+      await assert.rejects(channel.getAttachment(root), {
+        name: 'Error',
+        message: 'Not an attachment message'
+      })
+    })
+
+    it('should limit attachment size by chain length', async () => {
+      const trustee = new Identity('trustee', { sodium })
+      trustee.addChain(channel, new Chain([identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee'
+      })]))
+
+      const body = (size) => {
+        return Message.attachment({
+          hash: Buffer.alloc(32),
+          size,
+          name: 'file.bin'
+        })
+      }
+
+      await channel.post(body(Channel.attachmentLimit(1)), trustee)
+      await assert.rejects(
+        channel.post(body(Channel.attachmentLimit(1) + 1), trustee), {
+          name: 'Error',
+          message: 'Invalid message body: Attachment is too large'
+        })
+
+      await channel.post(body(Channel.MAX_ATTACHMENT_SIZE), identity)
+      await assert.rejects(
+        channel.post(body(Channel.MAX_ATTACHMENT_SIZE + 1), identity), {
+          name: 'Error',
+          message: 'Invalid message body: Attachment is too large'
+        })
+    })
+  })
+
+  describe('members', () => {
+    it('should track authors of the messages', async () => {
+      const trustee = new Identity('trustee', { sodium })
+      const link = identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee'
+      })
+      trustee.addChain(channel, new Chain([link]))
+
+      const other = identity.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'alias',
+        validTo: link.validTo + 3600
+      })
+
+      const first = msg('first', [root], 1, root.timestamp + 5, trustee)
+      assert.ok(await channel.receive(first))
+
+      trustee.addChain(channel, new Chain([other]))
+      const second = msg('second', [first], 2, root.timestamp + 10, trustee)
+      assert.ok(await channel.receive(second))
+
+      const check = (target) => {
+        const [owner, member] = target.getMembers()
+        assert.ok(owner.publicKey.equals(identity.publicKey))
+        assert.deepStrictEqual(owner.displayPaths, [[]])
+        assert.strictEqual(owner.inviter, null)
+        assert.strictEqual(owner.validTo, Infinity)
+
+        assert.ok(member.publicKey.equals(trustee.publicKey))
+        assert.deepStrictEqual(member.displayPaths, [['trustee'], ['alias']])
+        assert.ok(member.inviter.equals(identity.publicKey))
+        assert.strictEqual(member.firstPostAt, root.timestamp + 5)
+        assert.strictEqual(member.lastPostAt, root.timestamp + 10)
+        assert.strictEqual(member.validTo, other.validTo)
+
+        assert.deepStrictEqual(target.getMember(trustee.publicKey), member)
+      }
+
+      check(channel)
+
+      // Stored per member
+      const ids = await channel.cache.getEntityKeys(Channel.MEMBERS_PREFIX)
+      assert.strictEqual(ids.length, 2)
+
+      const copy = await Channel.deserializeData(channel.serializeData(), {
+        sodium,
+        storage: channel.cache.backend
+      })
+      check(copy)
+    })
+  })
+
   it('should serialize/deserialize', async () => {
     channel.setMetadata({ ok: true })
     const copy = await Channel.deserializeData(channel.serializeData(), {
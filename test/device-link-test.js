@@ -0,0 +1,69 @@
+/* eslint-env node, mocha */
+const assert = require('assert')
+const sodium = require('sodium-native')
+
+const { DeviceLink, Identity } = require('../')
+const { now } = require('../lib/utils')
+
+describe('DeviceLink', () => {
+  let primary = null
+  let device = null
+
+  beforeEach(() => {
+    primary = new Identity('primary', { sodium })
+    device = new Identity('device', { sodium })
+  })
+
+  afterEach(() => {
+    primary = null
+    device = null
+  })
+
+  it('should be issued by identity', () => {
+    const link = primary.issueDeviceLink({
+      devicePubKey: device.publicKey,
+      deviceName: 'laptop'
+    })
+
+    assert.ok(link.verify(primary.publicKey))
+    assert.ok(!link.verify(device.publicKey))
+
+    const ONE_YEAR = 365 * 24 * 3600
+    assert.ok(!link.verify(primary.publicKey, now() + ONE_YEAR))
+
+    const deserialized = DeviceLink.deserializeData(link.serializeData(),
+      { sodium })
+    assert.ok(deserialized.verify(primary.publicKey))
+    assert.strictEqual(deserialized.deviceName, 'laptop')
+  })
+
+  it('should turn identity into a device', () => {
+    const link = primary.issueDeviceLink({
+      devicePubKey: device.publicKey,
+      deviceName: 'laptop'
+    })
+
+    assert.throws(() => primary.setDeviceLink(link, primary.publicKey), {
+      message: 'Device link is issued for a different key'
+    })
+    assert.throws(() => device.setDeviceLink(link, device.publicKey), {
+      message: 'Invalid device link'
+    })
+
+    device.setDeviceLink(link, primary.publicKey)
+    assert.ok(device.isDevice)
+    assert.ok(device.getPrimaryKey().equals(primary.publicKey))
+
+    assert.throws(() => device.issueDeviceLink({
+      devicePubKey: primary.publicKey,
+      deviceName: 'phone'
+    }), {
+      message: 'Device identities can\'t issue device links'
+    })
+
+    const copy = Identity.deserializeData(device.serializeData(), { sodium })
+    assert.ok(copy.isDevice)
+    assert.ok(copy.getPrimaryKey().equals(primary.publicKey))
+    assert.strictEqual(copy.deviceLink.deviceName, 'laptop')
+  })
+})
@@ -0,0 +1,345 @@
+/* eslint-env node, mocha */
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { randomBytes } = require('crypto')
+const sodium = require('sodium-native')
+
+const { FileStorage, Message, Protocol } = require('../')
+
+describe('FileStorage', () => {
+  let dir = null
+  let file = null
+  let channelId = null
+  let storage = null
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'peerlinks-'))
+    file = path.join(dir, 'log')
+    channelId = randomBytes(32)
+    storage = new FileStorage({ file })
+    await storage.open()
+  })
+
+  afterEach(async () => {
+    if (storage.fd) {
+      await storage.close()
+    }
+    fs.rmSync(dir, { recursive: true, force: true })
+
+    dir = null
+    file = null
+    channelId = null
+    storage = null
+  })
+
+  const msg = (hash, height, parents = []) => {
+    return {
+      channelId,
+      hash: Buffer.from(hash),
+      height,
+      parents: parents.map((hash) => Buffer.from(hash)),
+      data: Buffer.from(`${height}: ${hash}`)
+    }
+  }
+
+  const at = async (offset, limit) => {
+    const hashes = await storage.getHashesAtOffset(channelId, offset,
+      limit)
+    const blobs = await storage.getMessages(channelId, hashes)
+    return blobs.map((blob) => blob.toString())
+  }
+
+  const leaves = async () => {
+    const result = await storage.getLeafHashes(channelId)
+    return result.map((message) => message.toString()).sort()
+  }
+
+  const reopen = async () => {
+    await storage.close()
+    storage = new FileStorage({ file })
+    await storage.open()
+  }
+
+  it('should store and retrieve messages across reopen', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.addMessage(msg('c', 1, ['a']))
+    await storage.addMessage(msg('b', 1, ['a']))
+    await storage.addMessage(msg('d', 2, ['b', 'c']))
+
+    // Duplicate
+    await storage.addMessage(msg('d', 2, ['b', 'c']))
+
+    await reopen()
+
+    assert.strictEqual(await storage.getMessageCount(channelId), 4)
+    assert.deepStrictEqual(await at(0, 4), [
+      '0: a',
+      '1: b',
+      '1: c',
+      '2: d'
+    ])
+    assert.deepStrictEqual(await leaves(), ['d'])
+    assert.ok(await storage.hasMessage(channelId, Buffer.from('b')))
+
+    const result = await storage.query(channelId, { height: 1 }, false, 2)
+    assert.deepStrictEqual(
+      result.abbreviatedMessages.map(({ hash }) => hash.toString()),
+      ['b', 'c'])
+    assert.strictEqual(result.forwardHash.toString(), 'd')
+
+    const reverse = await storage.getReverseHashesAtOffset(channelId, 0, 2)
+    assert.deepStrictEqual(reverse.map((h) => h.toString()), ['d', 'c'])
+  })
+
+  it('should store and remove entities across reopen', async () => {
+    await storage.storeEntity('fake', 'a', Buffer.from('old'))
+    await storage.storeEntity('fake', 'a', Buffer.from('new'))
+    await storage.storeEntity('fake', 'b', Buffer.from('removed'))
+    await storage.removeEntity('fake', 'b')
+
+    await reopen()
+
+    assert.deepStrictEqual(await storage.getEntityKeys('fake'), ['a'])
+    const blob = await storage.retrieveEntity('fake', 'a')
+    assert.strictEqual(blob.toString(), 'new')
+    assert.ok(!await storage.retrieveEntity('fake', 'b'))
+  })
+
+  it('should keep entities on disk', async () => {
+    const blob = randomBytes(64 * 1024)
+    await storage.storeEntity('fake', 'a', blob)
+    await storage.batch([
+      { type: 'storeEntity', prefix: 'fake', id: 'b', blob }
+    ])
+
+    const check = async () => {
+      for (const id of ['a', 'b']) {
+        const pointer = await storage.index.retrieveEntity('fake', id)
+        assert.ok(!Buffer.isBuffer(pointer))
+        assert.ok((await storage.retrieveEntity('fake', id)).equals(blob))
+      }
+    }
+
+    await check()
+    await reopen()
+    await check()
+  })
+
+  it('should remove messages specific to the channel', async () => {
+    await storage.addMessage(msg('a', 0))
+
+    const other = { ...msg('b', 0), channelId: randomBytes(32) }
+    await storage.addMessage(other)
+    await storage.removeChannelMessages(other.channelId)
+
+    await reopen()
+
+    assert.ok(await storage.hasMessage(channelId, Buffer.from('a')))
+    assert.ok(!await storage.hasMessage(other.channelId, other.hash))
+  })
+
+  it('should remove individual messages across reopen', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.addMessage(msg('b', 1, ['a']))
+    await storage.removeMessages(channelId, [Buffer.from('a')])
+
+    await reopen()
+
+    assert.deepStrictEqual(await at(0, 2), ['1: b'])
+    assert.deepStrictEqual(await leaves(), ['b'])
+  })
+
+  it('should recover from a torn write', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.addMessage(msg('b', 1, ['a']))
+    await storage.close()
+
+    const intact = fs.statSync(file).size
+
+    // Simulate crash in the middle of the record
+    const fd = fs.openSync(file, 'a')
+    fs.writeSync(fd, Buffer.from([0, 0, 1, 0, 0xde, 0xad]))
+    fs.closeSync(fd)
+
+    storage = new FileStorage({ file })
+    await storage.open()
+
+    assert.strictEqual(fs.statSync(file).size, intact)
+    assert.deepStrictEqual(await at(0, 2), ['0: a', '1: b'])
+    assert.deepStrictEqual(await leaves(), ['b'])
+
+    // Should still be writable
+    await storage.addMessage(msg('c', 2, ['b']))
+    await reopen()
+    assert.deepStrictEqual(await at(0, 3), ['0: a', '1: b', '2: c'])
+  })
+
+  it('should drop corrupted tail records', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.close()
+
+    const intact = fs.statSync(file).size
+    storage = new FileStorage({ file })
+    await storage.open()
+    await storage.addMessage(msg('b', 1, ['a']))
+    await storage.close()
+
+    // Flip a byte in the last record
+    const data = fs.readFileSync(file)
+    data[data.length - 1] ^= 0xff
+    fs.writeFileSync(file, data)
+
+    storage = new FileStorage({ file })
+    await storage.open()
+
+    assert.strictEqual(fs.statSync(file).size, intact)
+    assert.strictEqual(await storage.getMessageCount(channelId), 1)
+  })
+
+  it('should apply batches across reopen', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.storeEntity('fake', 'b', Buffer.from('removed'))
+
+    await storage.batch([
+      // Duplicates
+      { type: 'addMessage', message: msg('a', 0) },
+      { type: 'addMessage', message: msg('b', 1, ['a']) },
+      { type: 'addMessage', message: msg('b', 1, ['a']) },
+
+      { type: 'storeEntity', prefix: 'fake', id: 'a', blob: Buffer.from('a') },
+      { type: 'removeEntity', prefix: 'fake', id: 'b' },
+      { type: 'removeMessages', channelId, hashes: [Buffer.from('a')] }
+    ])
+
+    assert.deepStrictEqual(await at(0, 2), ['1: b'])
+
+    await reopen()
+
+    assert.deepStrictEqual(await at(0, 2), ['1: b'])
+    assert.deepStrictEqual(await leaves(), ['b'])
+    assert.deepStrictEqual(await storage.getEntityKeys('fake'), ['a'])
+  })
+
+  it('should drop torn batches entirely', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.close()
+
+    const intact = fs.statSync(file).size
+    storage = new FileStorage({ file })
+    await storage.open()
+    await storage.batch([
+      { type: 'addMessage', message: msg('b', 1, ['a']) },
+      { type: 'storeEntity', prefix: 'fake', id: 'a', blob: Buffer.from('a') }
+    ])
+    await storage.close()
+
+    // Simulate crash in the middle of the batch
+    fs.truncateSync(file, fs.statSync(file).size - 8)
+
+    storage = new FileStorage({ file })
+    await storage.open()
+
+    assert.strictEqual(fs.statSync(file).size, intact)
+    assert.deepStrictEqual(await at(0, 2), ['0: a'])
+    assert.deepStrictEqual(await storage.getEntityKeys('fake'), [])
+  })
+
+  it('should compact the log after removals', async () => {
+    await storage.close()
+    storage = new FileStorage({ file, minCompactionSize: 0 })
+    await storage.open()
+
+    const hashes = []
+    for (let i = 0; i < 10; i++) {
+      const hash = `m${i}`
+      await storage.addMessage(msg(hash, i, hashes.slice(-1)))
+      hashes.push(hash)
+    }
+    await storage.storeEntity('fake', 'a', Buffer.from('a'))
+
+    const before = fs.statSync(file).size
+    await storage.removeMessages(channelId,
+      hashes.slice(0, 8).map((hash) => Buffer.from(hash)))
+    assert.ok(fs.statSync(file).size < before)
+
+    assert.deepStrictEqual(await at(0, 10), ['8: m8', '9: m9'])
+    assert.deepStrictEqual(await leaves(), ['m9'])
+
+    // Should still be writable
+    await storage.addMessage(msg('m10', 10, ['m9']))
+    await reopen()
+
+    assert.deepStrictEqual(await at(0, 10), ['8: m8', '9: m9', '10: m10'])
+    assert.deepStrictEqual(await leaves(), ['m10'])
+    const blob = await storage.retrieveEntity('fake', 'a')
+    assert.strictEqual(blob.toString(), 'a')
+  })
+
+  it('should compact overwritten entities on request', async () => {
+    for (let i = 0; i < 10; i++) {
+      await storage.storeEntity('fake', 'a', randomBytes(1024))
+    }
+    const blob = randomBytes(1024)
+    await storage.storeEntity('fake', 'a', blob)
+
+    const before = fs.statSync(file).size
+    await storage.compact()
+    assert.ok(fs.statSync(file).size < before / 10)
+    assert.ok((await storage.retrieveEntity('fake', 'a')).equals(blob))
+
+    await reopen()
+    assert.ok((await storage.retrieveEntity('fake', 'a')).equals(blob))
+  })
+
+  it('should keep pending reads working during compaction', async () => {
+    const blob = randomBytes(1024)
+    await storage.storeEntity('fake', 'a', blob)
+    await storage.storeEntity('fake', 'b', randomBytes(1024))
+    await storage.storeEntity('fake', 'b', randomBytes(1024))
+
+    // Delay the first read until the compaction is done with the old log
+    const fd = storage.fd
+    const read = fd.read
+    fd.read = async (...args) => {
+      fd.read = read
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      return await read.apply(fd, args)
+    }
+
+    const pending = storage.retrieveEntity('fake', 'a')
+    await storage.compact()
+    assert.ok((await pending).equals(blob))
+    assert.ok((await storage.retrieveEntity('fake', 'a')).equals(blob))
+  })
+
+  it('should require `open()`', async () => {
+    const closed = new FileStorage({ file: path.join(dir, 'other') })
+    await assert.rejects(closed.getEntityKeys('fake'), {
+      message: 'Storage is not open'
+    })
+  })
+
+  it('should be used by Protocol', async () => {
+    const protocol = new Protocol({ sodium, storage })
+    await protocol.load()
+
+    const [id, channel] = await protocol.createIdentityPair('test')
+    await channel.post(Message.json('hello'), id)
+    await protocol.close()
+
+    await reopen()
+
+    const clone = new Protocol({ sodium, storage })
+    assert.ok(await clone.load())
+
+    const loaded = clone.getChannel('test')
+    assert.ok(clone.getIdentity('test').canPost(loaded))
+    assert.strictEqual(await loaded.getMessageCount(), 2)
+
+    const last = await loaded.getReverseMessagesAtOffset(0)
+    assert.strictEqual(last[0].json, 'hello')
+    await clone.close()
+  })
+})
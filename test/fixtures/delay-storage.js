@@ -69,6 +69,11 @@ class DelayStorage extends MemoryStorage {
     return super.query(...args)
   }
 
+  async removeMessages (...args) {
+    await this.delay()
+    return super.removeMessages(...args)
+  }
+
   async removeChannelMessages (...args) {
     await this.delay()
     return super.removeChannelMessages(...args)
@@ -98,6 +103,11 @@ class DelayStorage extends MemoryStorage {
     return super.getEntityKeys(...args)
   }
 
+  async batch (...args) {
+    await this.delay()
+    return super.batch(...args)
+  }
+
   async clear () {
     await this.delay()
     return super.clear()
@@ -3,7 +3,7 @@ const assert = require('assert')
 const sodium = require('sodium-native')
 
 const { now } = require('../lib/utils')
-const { Chain, Channel, Identity, Message } = require('../')
+const { Chain, Channel, Identity, Link, Message } = require('../')
 
 describe('Identity', () => {
   it('should be serialized/deserialized with chain', async () => {
@@ -43,4 +43,214 @@ describe('Identity', () => {
     assert.strictEqual(identity.getChain(channel, now() + 1e9),
       identity.getChain(channel))
   })
+
+  it('should keep multiple chains and fallback on expiration', async () => {
+    const identity = new Identity('id', { sodium })
+    const channel = await Channel.fromIdentity(identity, {
+      name: 'channel',
+      sodium
+    })
+
+    const middle = new Identity('middle', { sodium })
+    const trustee = new Identity('trustee', { sodium })
+
+    const data = {
+      trusteePubKey: trustee.publicKey,
+      trusteeDisplayName: 'trustee'
+    }
+
+    const short = new Chain([
+      identity.issueLink(channel, { ...data, validTo: now() + 3600 })
+    ])
+    const long = new Chain([
+      identity.issueLink(channel, {
+        trusteePubKey: middle.publicKey,
+        trusteeDisplayName: 'middle'
+      }),
+      middle.issueLink(channel, data)
+    ])
+
+    trustee.addChain(channel, long)
+    trustee.addChain(channel, short)
+
+    // Duplicates are ignored
+    trustee.addChain(channel, new Chain(short.links.slice()))
+
+    assert.deepStrictEqual(trustee.getChains(channel), [short, long])
+    assert.strictEqual(trustee.getChain(channel), short)
+    assert.strictEqual(trustee.getChain(channel, now() + 7200), long)
+
+    const message = new Message({
+      ...trustee.signMessageBody(Message.json('later'), channel, {
+        parents: [],
+        height: 1,
+        timestamp: now() + 7200
+      }),
+      sodium
+    })
+    assert.strictEqual(message.chain, long)
+
+    const copy = Identity.deserializeData(trustee.serializeData(),
+      { sodium })
+    const chains = copy.getChains(channel)
+    assert.strictEqual(chains.length, 2)
+    assert.ok(chains[0].equals(short))
+    assert.ok(chains[1].equals(long))
+  })
+
+  it('should pick chains by capability', async () => {
+    const identity = new Identity('id', { sodium })
+    const channel = await Channel.fromIdentity(identity, {
+      name: 'channel',
+      sodium
+    })
+
+    const trustee = new Identity('trustee', { sodium })
+    const chain = (capabilities) => {
+      return new Chain([
+        identity.issueLink(channel, {
+          trusteePubKey: trustee.publicKey,
+          trusteeDisplayName: 'trustee',
+          capabilities
+        })
+      ])
+    }
+
+    const poster = chain(Link.READ | Link.POST)
+    const inviter = chain(Link.READ | Link.INVITE)
+
+    trustee.addChain(channel, poster)
+    assert.ok(trustee.canPost(channel))
+
+    trustee.addChain(channel, inviter)
+    assert.ok(trustee.canPost(channel))
+    assert.ok(trustee.canInvite(channel))
+    assert.strictEqual(trustee.getChain(channel, now(), Link.POST), poster)
+    assert.strictEqual(trustee.getChain(channel, now(), Link.INVITE),
+      inviter)
+
+    const message = new Message({
+      ...trustee.signMessageBody(Message.json('hello'), channel, {
+        parents: [],
+        height: 1
+      }),
+      sodium
+    })
+    assert.strictEqual(message.chain, poster)
+  })
+
+  it('should limit number of chains', async () => {
+    const identity = new Identity('id', { sodium })
+    const channel = await Channel.fromIdentity(identity, {
+      name: 'channel',
+      sodium
+    })
+
+    const trustee = new Identity('trustee', { sodium })
+    for (let i = 0; i < Identity.MAX_CHAINS + 1; i++) {
+      trustee.addChain(channel, new Chain([
+        identity.issueLink(channel, {
+          trusteePubKey: trustee.publicKey,
+          trusteeDisplayName: 'trustee',
+          validTo: now() + 3600 * (i + 1)
+        })
+      ]))
+    }
+
+    const chains = trustee.getChains(channel)
+    assert.strictEqual(chains.length, Identity.MAX_CHAINS)
+
+    // The chain that expires first is dropped
+    assert.ok(chains.every((chain) => chain.getValidTo() > now() + 3600))
+  })
+
+  it('should keep a ledger of issued links', async () => {
+    const identity = new Identity('id', { sodium })
+    const channel = await Channel.fromIdentity(identity, {
+      name: 'channel',
+      sodium
+    })
+    const other = await Channel.fromIdentity(new Identity('root', { sodium }), {
+      name: 'other',
+      sodium
+    })
+
+    const alice = new Identity('alice', { sodium })
+    const bob = new Identity('bob', { sodium })
+
+    identity.issueLink(channel, {
+      trusteePubKey: alice.publicKey,
+      trusteeDisplayName: 'alice',
+      validTo: now() + 60
+    })
+    identity.issueLink(channel, {
+      trusteePubKey: bob.publicKey,
+      trusteeDisplayName: 'bob'
+    })
+    identity.issueLink(other, {
+      trusteePubKey: alice.publicKey,
+      trusteeDisplayName: 'alice'
+    })
+
+    assert.strictEqual(identity.getIssuedLinks().length, 3)
+    assert.strictEqual(identity.getIssuedLinks({ channel }).length, 2)
+
+    const forAlice = identity.getIssuedLinks({
+      trusteePubKey: alice.publicKey
+    })
+    assert.deepStrictEqual(
+      forAlice.map(({ channelId }) => channelId.toString('hex')),
+      [channel.id.toString('hex'), other.id.toString('hex')])
+
+    assert.deepStrictEqual(
+      identity.getIssuedLinks({ trusteeDisplayName: 'bob' })
+        .map(({ link }) => link.trusteeDisplayName),
+      ['bob'])
+
+    // The first link to alice expires
+    assert.strictEqual(
+      identity.getIssuedLinks({ validAt: now() + 3600 }).length, 2)
+
+    const copy = Identity.deserialize(identity.serialize(), { sodium })
+    const copied = copy.getIssuedLinks({ channel })
+    assert.strictEqual(copied.length, 2)
+    assert.ok(copied[0].link.verify(channel, identity.publicKey))
+    assert.strictEqual(copied[1].issuedAt,
+      identity.getIssuedLinks({ channel })[1].issuedAt)
+
+    // Stored separately from the identity
+    const stored = Identity.deserializeData(identity.serializeData(),
+      { sodium })
+    assert.strictEqual(stored.getIssuedLinks().length, 0)
+
+    stored.addIssuedLinks(identity.getIssuedLinks().reverse().map((entry) => {
+      return Identity.deserializeIssuedLinkData(
+        Identity.serializeIssuedLinkData(entry), { sodium })
+    }))
+    assert.deepStrictEqual(
+      stored.getIssuedLinks().map(({ issuedAt }) => issuedAt),
+      identity.getIssuedLinks().map(({ issuedAt }) => issuedAt))
+  })
+
+  it('should derive keys from the seed phrase', () => {
+    const phrase = Identity.generateSeedPhrase({ sodium })
+    assert.strictEqual(phrase.split(' ').length, 24)
+
+    const first = Identity.fromSeedPhrase('first', phrase, { sodium })
+    const second = Identity.fromSeedPhrase('second',
+      `  ${phrase.toUpperCase()}\n`, { sodium })
+    assert.ok(first.publicKey.equals(second.publicKey))
+
+    const other = Identity.fromSeedPhrase('other',
+      Identity.generateSeedPhrase({ sodium }), { sodium })
+    assert.ok(!first.publicKey.equals(other.publicKey))
+
+    const words = phrase.split(' ')
+    words.reverse()
+    assert.throws(() => {
+      Identity.fromSeedPhrase('invalid', words.join(' '), { sodium })
+    }, {
+      message: 'Invalid seed phrase'
+    })
+  })
 })
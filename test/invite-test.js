@@ -55,4 +55,52 @@ describe('Invite', () => {
 
     assert.ok(!a.equals(b))
   })
+
+  it('should be exchanged as text', async () => {
+    const { request, decrypt } = invitee.requestInvite(Buffer.from('peer-id'))
+
+    const requestURI = Identity.encodeInviteRequest(request)
+    assert.ok(requestURI.startsWith('peerlinks:invite-request:1:'))
+
+    // Whitespace from copy-pasting is ignored
+    const wrapped = requestURI.slice(0, 40) + '\n  ' + requestURI.slice(40)
+    const { encryptedInvite } = issuer.issueInvite(
+      channel, Identity.decodeInviteRequest(wrapped), 'invitee')
+
+    const inviteURI = Identity.encodeInvite(encryptedInvite)
+    assert.ok(inviteURI.startsWith('peerlinks:invite:1:'))
+
+    const invite = decrypt(Identity.decodeInvite(inviteURI))
+    assert.ok(invite.channelPubKey.equals(channel.publicKey))
+  })
+
+  it('should reject corrupted text', () => {
+    const { request } = invitee.requestInvite(Buffer.from('peer-id'))
+    const uri = Identity.encodeInviteRequest(request)
+
+    // Typo
+    const last = uri[uri.length - 1]
+    const typo = uri.slice(0, -1) + (last === 'a' ? 'b' : 'a')
+    assert.throws(() => Identity.decodeInviteRequest(typo), {
+      name: 'Error',
+      message: 'Invalid invite-request URI: checksum mismatch'
+    })
+
+    assert.throws(() => Identity.decodeInviteRequest(uri.slice(0, -1) + '0'), {
+      name: 'Error',
+      message: 'Invalid invite-request URI: unexpected character "0"'
+    })
+
+    assert.throws(() => Identity.decodeInvite(uri), {
+      name: 'Error',
+      message: 'Invalid invite URI: expected "peerlinks:invite:" prefix'
+    })
+
+    assert.throws(() => {
+      Identity.decodeInviteRequest(uri.replace(':1:', ':2:'))
+    }, {
+      name: 'Error',
+      message: 'Unsupported invite-request URI version: 2'
+    })
+  })
 })
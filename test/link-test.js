@@ -79,5 +79,42 @@ describe('Link', () => {
 
     assert.ok(deserialized.verify(channel, issuer.publicKey))
     assert.strictEqual(deserialized.trusteeDisplayName, 'trustee')
+    assert.strictEqual(deserialized.getCapabilities(), Link.ALL_CAPABILITIES)
+  })
+
+  it('should sign capabilities', () => {
+    const channel = new Channel({
+      name: 'test-channel',
+      publicKey: issuer.publicKey,
+      sodium
+    })
+
+    const trustee = new Identity('trustee', { sodium })
+
+    const link = issuer.issueLink(channel, {
+      trusteePubKey: trustee.publicKey,
+      trusteeDisplayName: 'trustee',
+      capabilities: Link.READ
+    })
+
+    const deserialized = Link.deserializeData(link.serializeData(),
+      { sodium })
+    assert.ok(deserialized.verify(channel, issuer.publicKey))
+    assert.strictEqual(deserialized.getCapabilities(), Link.READ)
+
+    // Escalation
+    deserialized.capabilities = Link.ALL_CAPABILITIES
+    assert.ok(!deserialized.verify(channel, issuer.publicKey))
+
+    assert.throws(() => {
+      issuer.issueLink(channel, {
+        trusteePubKey: trustee.publicKey,
+        trusteeDisplayName: 'trustee',
+        capabilities: 8
+      })
+    }, {
+      name: 'BanError',
+      message: 'Invalid link capabilities: 8'
+    })
   })
 })
@@ -0,0 +1,55 @@
+/* eslint-env node, mocha */
+const assert = require('assert')
+
+const LRU = require('../lib/protocol/lru')
+
+describe('LRU', () => {
+  it('should evict least recently used values by size', () => {
+    const lru = new LRU({ maxSize: 10 })
+
+    lru.set('a', 'a', 4)
+    lru.set('b', 'b', 4)
+
+    // Touch `a` so that `b` gets evicted
+    assert.strictEqual(lru.get('a'), 'a')
+    lru.set('c', 'c', 4)
+
+    assert.ok(lru.has('a'))
+    assert.ok(!lru.has('b'))
+    assert.ok(lru.has('c'))
+
+    assert.deepStrictEqual(lru.getStats(), {
+      size: 8,
+      maxSize: 10,
+      count: 2,
+      hits: 1,
+      misses: 0,
+      evictions: 1
+    })
+  })
+
+  it('should not store values larger than the budget', () => {
+    const lru = new LRU({ maxSize: 10 })
+
+    lru.set('a', 'a', 4)
+    lru.set('big', 'big', 11)
+
+    assert.strictEqual(lru.get('big'), undefined)
+    assert.strictEqual(lru.get('a'), 'a')
+    assert.strictEqual(lru.getStats().misses, 1)
+  })
+
+  it('should replace values and delete by prefix', () => {
+    const lru = new LRU({ maxSize: 10 })
+
+    lru.set('x/a', 'old', 4)
+    lru.set('x/a', 'new', 2)
+    lru.set('y/b', 'b', 4)
+    assert.strictEqual(lru.getStats().size, 6)
+
+    lru.deletePrefix('x/')
+    assert.ok(!lru.has('x/a'))
+    assert.ok(lru.has('y/b'))
+    assert.strictEqual(lru.getStats().size, 4)
+  })
+})
@@ -1,8 +1,9 @@
 /* eslint-env node, mocha */
 const assert = require('assert')
 const { randomBytes } = require('crypto')
+const sodium = require('sodium-native')
 
-const { MemoryStorage } = require('../')
+const { MemoryStorage, Message, Protocol } = require('../')
 
 describe('MemoryStorage', () => {
   let channelId = null
@@ -257,6 +258,69 @@ describe('MemoryStorage', () => {
     }
   })
 
+  it('should keep CRDT order regardless of insertion order', async () => {
+    const expected = []
+    for (let height = 0; height < 50; height++) {
+      for (let i = 0; i < 4; i++) {
+        expected.push(msg(randomBytes(8).toString('hex'), height))
+      }
+    }
+
+    const shuffled = expected.slice()
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1))
+      const t = shuffled[i]
+      shuffled[i] = shuffled[j]
+      shuffled[j] = t
+    }
+    for (const message of shuffled) {
+      await storage.addMessage(message)
+    }
+
+    expected.sort((a, b) => {
+      return a.height - b.height || Buffer.compare(a.hash, b.hash)
+    })
+    const text = expected.map(({ data }) => data.toString())
+
+    assert.deepStrictEqual(await at(0, expected.length), text)
+    assert.deepStrictEqual(await at(17, 5), text.slice(17, 22))
+
+    for (const [i, { hash, height }] of expected.entries()) {
+      const byHash = await storage.query(channelId, { hash }, false, 1)
+      assert.ok(byHash.abbreviatedMessages[0].hash.equals(hash))
+      if (i === 0) {
+        assert.strictEqual(byHash.backwardHash, null)
+      }
+
+      const byHeight = await storage.query(channelId, { height }, false, 1)
+      assert.strictEqual(byHeight.abbreviatedMessages[0].hash.toString(),
+        expected[height * 4].hash.toString())
+    }
+
+    const missing = await storage.query(channelId, { height: 50 }, false, 1)
+    assert.strictEqual(missing.abbreviatedMessages.length, 0)
+  })
+
+  it('should remove individual messages', async () => {
+    await storage.addMessage(msg('a', 0))
+    await storage.addMessage(msg('b', 1, ['a']))
+    await storage.addMessage(msg('c', 2, ['b']))
+
+    await storage.removeMessages(channelId, [
+      Buffer.from('a'),
+      Buffer.from('b'),
+      Buffer.from('x')
+    ])
+    assert.strictEqual(await storage.getMessageCount(channelId), 1)
+    assert.ok(!await storage.hasMessage(channelId, Buffer.from('a')))
+    assert.deepStrictEqual(await leaves(), ['c'])
+
+    // Query by removed height starts at the next message
+    const result = await storage.query(channelId, { height: 0 }, false, 2)
+    assert.deepStrictEqual(
+      result.abbreviatedMessages.map(({ hash }) => hash.toString()), ['c'])
+  })
+
   it('should remove messages specific to the channel', async () => {
     const a = {
       channelId,
@@ -282,4 +346,109 @@ describe('MemoryStorage', () => {
     await storage.removeChannelMessages(b.channelId)
     assert.ok(!(await storage.hasMessage(b.channelId, b.hash)))
   })
+
+  it('should apply batches', async () => {
+    await storage.storeEntity('fake', 'b', Buffer.from('removed'))
+
+    await storage.batch([
+      { type: 'addMessage', message: msg('a', 0) },
+      { type: 'addMessage', message: msg('b', 1, ['a']) },
+      { type: 'storeEntity', prefix: 'fake', id: 'a', blob: Buffer.from('a') },
+      { type: 'removeEntity', prefix: 'fake', id: 'b' }
+    ])
+
+    assert.deepStrictEqual(await at(0, 2), ['0: a', '1: b'])
+    assert.deepStrictEqual(await storage.getEntityKeys('fake'), ['a'])
+
+    await assert.rejects(storage.batch([
+      { type: 'addMessage', message: msg('c', 2, ['b']) },
+      { type: 'unknown' }
+    ]), {
+      message: 'Unknown batch operation: unknown'
+    })
+    assert.strictEqual(await storage.getMessageCount(channelId), 2)
+  })
+
+  it('should list channels, messages and entity prefixes', async () => {
+    await storage.addMessage(msg('b', 1, ['a']))
+    await storage.addMessage(msg('a', 0))
+    await storage.storeEntity('fake', 'a', Buffer.from('a'))
+
+    const ids = await storage.getChannelIds()
+    assert.strictEqual(ids.length, 1)
+    assert.ok(ids[0].equals(channelId))
+
+    const messages = await storage.getChannelMessages(channelId)
+    assert.deepStrictEqual(messages, [msg('a', 0), msg('b', 1, ['a'])])
+
+    assert.deepStrictEqual(await storage.getEntityPrefixes(), ['fake'])
+  })
+
+  describe('snapshots', () => {
+    it('should snapshot and restore messages and entities', async () => {
+      await storage.addMessage(msg('a', 0))
+      await storage.addMessage(msg('c', 1, ['a']))
+      await storage.addMessage(msg('b', 1, ['a']))
+      await storage.storeEntity('fake', 'id', Buffer.from('hello'))
+
+      const snapshot = await storage.snapshot()
+      assert.ok(Buffer.isBuffer(snapshot))
+
+      storage = await MemoryStorage.fromSnapshot(snapshot)
+      assert.deepStrictEqual(await at(0, 3), ['0: a', '1: b', '1: c'])
+      assert.deepStrictEqual(await leaves(), ['b', 'c'])
+      assert.strictEqual(
+        (await storage.retrieveEntity('fake', 'id')).toString(), 'hello')
+
+      // Restored storage is fully functional
+      await storage.addMessage(msg('d', 2, ['b', 'c']))
+      assert.deepStrictEqual(await leaves(), ['d'])
+    })
+
+    it('should reject invalid snapshots and keep the data', async () => {
+      await storage.addMessage(msg('a', 0))
+      const snapshot = await storage.snapshot()
+
+      const other = new MemoryStorage()
+      await other.storeEntity('fake', 'id', Buffer.from('kept'))
+
+      await assert.rejects(other.restore(snapshot.slice(0, -1)), {
+        message: 'Unexpected end of encoded data'
+      })
+
+      const badVersion = Buffer.from(snapshot)
+      badVersion.writeUInt32BE(0xffff, 8)
+      await assert.rejects(other.restore(badVersion), {
+        message: 'Unsupported snapshot version: 65535'
+      })
+
+      assert.strictEqual(
+        (await other.retrieveEntity('fake', 'id')).toString(), 'kept')
+    })
+
+    it('should rebuild Protocol from a snapshot', async () => {
+      const protocol = new Protocol({ sodium, storage })
+      await protocol.load()
+
+      const [id, channel] = await protocol.createIdentityPair('test')
+      await channel.post(Message.json('hello'), id)
+
+      const snapshot = await storage.snapshot()
+      await protocol.close()
+
+      const clone = new Protocol({
+        sodium,
+        storage: await MemoryStorage.fromSnapshot(snapshot)
+      })
+      assert.ok(await clone.load())
+
+      const restored = clone.getChannel('test')
+      assert.ok(clone.getIdentity('test').canPost(restored))
+      assert.strictEqual(await restored.getMessageCount(), 2)
+
+      const last = await restored.getReverseMessagesAtOffset(0)
+      assert.strictEqual(last[0].json, 'hello')
+      await clone.close()
+    })
+  })
 })
@@ -115,6 +115,49 @@ describe('Message', () => {
     assert.strictEqual(copy.parents.length, message.parents.length)
   })
 
+  it('should validate standard kinds', () => {
+    const hash = Buffer.alloc(Message.HASH_SIZE, 0xab)
+    const valid = [
+      Message.text('hello'),
+      Message.reply(hash, 'hello'),
+      Message.reaction(hash, '+1'),
+      Message.reaction(hash, '+1', { remove: true }),
+      Message.edit(hash, 'hello!'),
+      Message.delete(hash),
+      Message.attachment({ hash, size: 3, name: 'a.txt', mimeType: 'text' }),
+
+      // Unknown kinds pass through
+      Message.json({ kind: 'poll', options: [] }),
+      Message.json('plain')
+    ]
+    for (const { json } of valid) {
+      assert.strictEqual(Message.validateJSON(JSON.parse(json)), null)
+    }
+
+    const target = hash.toString('hex')
+    assert.strictEqual(Message.validateJSON({ kind: 'text' }),
+      'Invalid `text`')
+    assert.strictEqual(
+      Message.validateJSON({ kind: 'reply', thread: 'abc', text: '' }),
+      'Invalid `thread`')
+    assert.strictEqual(
+      Message.validateJSON({ kind: 'reaction', target, reaction: '' }),
+      'Invalid `reaction`')
+    assert.strictEqual(Message.validateJSON({ kind: 'delete' }),
+      'Invalid `target`')
+    assert.strictEqual(
+      Message.validateJSON({ kind: 'attachment', hash: target, size: -1 }),
+      'Invalid `size`')
+
+    const content = id.signMessageBody(Message.reply(hash, 'hi'), channel, {
+      height: 0,
+      parents: []
+    })
+    const message = new Message({ ...content, sodium })
+    assert.strictEqual(message.kind, Message.REPLY)
+    assert.strictEqual(message.getKindError(), null)
+  })
+
   it('should throw on decrypting bad JSON', () => {
     const content = id.signMessageBody(
       { json: 'not-json' },
@@ -4,10 +4,15 @@ const sodium = require('sodium-native')
 
 const {
   Channel,
+  Identity,
+  Link,
   Message,
   Protocol
 } = require('../')
+const { now } = require('../lib/utils')
+const { Identity: PIdentity } = require('../lib/messages')
 
+const Peer = require('../lib/peer')
 const Socket = require('./fixtures/socket')
 
 describe('Protocol', () => {
@@ -69,6 +74,34 @@ describe('Protocol', () => {
       ['1', '2'])
   })
 
+  it('should rename identities and channels', async () => {
+    const [id, channel] = await a.createIdentityPair('b')
+    await a.createIdentityPair('c')
+    await channel.post(Message.json('hello'), id)
+
+    await assert.rejects(a.renameIdentity(id, 'c'), {
+      message: 'Duplicate identity'
+    })
+    await assert.rejects(a.renameChannel(channel, 'c'), {
+      message: 'Channel with a duplicate name: "c"'
+    })
+
+    await a.renameIdentity(id, 'd')
+    await a.renameChannel(channel, 'a')
+    assert.deepStrictEqual(a.getIdentityNames(), ['c', 'd'])
+    assert.deepStrictEqual(a.getChannelNames(), ['a', 'c'])
+
+    const clone = new Protocol({ storage: a.storage, sodium })
+    await clone.load()
+
+    assert.deepStrictEqual(clone.getIdentityNames(), ['c', 'd'])
+    assert.deepStrictEqual(clone.getChannelNames(), ['a', 'c'])
+
+    const loaded = clone.getChannel('a')
+    assert.ok(clone.getIdentity('d').canPost(loaded))
+    assert.strictEqual(await loaded.getMessageCount(), 2)
+  })
+
   it('should connect peers', async () => {
     const [idA] = await a.createIdentityPair('a')
     const [idB, channelB] = await b.createIdentityPair('b')
@@ -217,6 +250,53 @@ describe('Protocol', () => {
     await b.close()
   })
 
+  it('should fetch attachments from peers', async () => {
+    const [idA, channelA] = await a.createIdentityPair('a', {
+      isFeed: true
+    })
+    await b.createIdentityPair('b')
+
+    const data = Buffer.alloc(Channel.CHUNK_SIZE + 1, 'x')
+    const { hash, size } = await channelA.storeAttachment(data)
+    await channelA.post(Message.attachment({
+      hash,
+      size,
+      name: 'file.txt'
+    }), idA)
+
+    const readonly = await b.feedFromPublicKey(channelA.publicKey, {
+      name: 'readonly'
+    })
+
+    const run = async () => {
+      while ((await readonly.getMessageCount()) !== 2) {
+        await readonly.waitForIncomingMessage()
+      }
+
+      const [message] = await readonly.getReverseMessagesAtOffset(0)
+      assert.strictEqual(await readonly.getAttachment(message), null)
+
+      const fetched = await b.fetchAttachment(readonly, message)
+      assert.ok(fetched.equals(data))
+      assert.ok((await readonly.getAttachment(message)).equals(data))
+
+      await b.removeChannel(readonly)
+      assert.deepStrictEqual(
+        await b.storage.getEntityKeys(Channel.CHUNKS_PREFIX), [])
+    }
+
+    await Promise.race([
+      Promise.all([
+        a.connect(socketA),
+        b.connect(socketB)
+      ]),
+      run()
+    ])
+
+    await a.close()
+    await b.close()
+  })
+
   it('should not sync normal channels as read-only', async () => {
     const [idA, channelA] = await a.createIdentityPair('a', {
       isFeed: false
@@ -257,6 +337,32 @@ describe('Protocol', () => {
     ])
   })
 
+  it('should store issued links separately from identities', async () => {
+    const [id, channel] = await a.createIdentityPair('test')
+    const ledger = () => a.storage.getEntityKeys('issued-link')
+
+    for (const trusteeDisplayName of ['b', 'c']) {
+      id.issueLink(channel, { trusteePubKey: b.id, trusteeDisplayName })
+    }
+    await a.saveIdentity(id)
+    assert.strictEqual((await ledger()).length, 2)
+
+    // Oldest entry is dropped from the ledger
+    id.issuedLinks.shift()
+    await a.saveIdentity(id)
+    assert.strictEqual((await ledger()).length, 1)
+
+    const clone = new Protocol({ sodium, storage: a.storage })
+    assert.ok(await clone.load())
+    assert.deepStrictEqual(
+      clone.getIdentity('test').getIssuedLinks()
+        .map(({ link }) => link.trusteeDisplayName),
+      ['c'])
+
+    await a.removeIdentity(id)
+    assert.deepStrictEqual(await ledger(), [])
+  })
+
   it('should self-resolve invite', async () => {
     const [idA] = await a.createIdentityPair('a')
     const [idB, channelB] = await a.createIdentityPair('b')
@@ -266,10 +372,17 @@ describe('Protocol', () => {
     const invitePromise = a.waitForInvite(requestId)
 
     // Issue invite
-    const { encryptedInvite, peerId } = idB.issueInvite(
-      channelB, request, 'b')
+    const { encryptedInvite, peerId } = await a.issueInvite(
+      idB, channelB, request, 'b')
     assert.ok(peerId.equals(a.id))
 
+    // Ledger should be persisted
+    const clone = new Protocol({ sodium, storage: a.storage })
+    await clone.load()
+    const issued = clone.getIdentity('b').getIssuedLinks({ channel: channelB })
+    assert.strictEqual(issued.length, 1)
+    assert.ok(issued[0].link.trusteePubKey.equals(idA.publicKey))
+
     // Send it back
     assert.ok(a.resolveInvite(encryptedInvite))
 
@@ -286,6 +399,7 @@ describe('Protocol', () => {
     this.timeout(20000)
 
     const protocol = new Protocol({ passphrase: 'secret', sodium })
+    assert.ok(await protocol.load())
     const encrypted = protocol.encryptData(Buffer.from('hello'))
     const decrypted = protocol.decryptData(encrypted)
     assert.strictEqual(decrypted.toString(), 'hello')
@@ -294,6 +408,529 @@ describe('Protocol', () => {
     await a.createIdentityPair('test')
   })
 
+  describe('changePassphrase()', () => {
+    const load = async (storage, passphrase) => {
+      const protocol = new Protocol({ sodium, storage, passphrase })
+      const result = await protocol.load()
+      return result ? protocol : null
+    }
+
+    it('should re-encrypt entities with new passphrase', async function () {
+      // Derivation of encryption key is a slow process
+      this.timeout(60000)
+
+      const protocol = new Protocol({ sodium, passphrase: 'old' })
+      await protocol.load()
+      await protocol.createIdentityPair('test')
+
+      await assert.rejects(protocol.changePassphrase('wrong', 'new'), {
+        message: 'Invalid old passphrase'
+      })
+
+      await protocol.changePassphrase('old', 'new')
+      await protocol.createIdentityPair('after')
+
+      const storage = protocol.storage
+      assert.strictEqual(await load(storage, 'old'), null)
+
+      const clone = await load(storage, 'new')
+      assert.deepStrictEqual(clone.getIdentityNames(), ['after', 'test'])
+      assert.deepStrictEqual(await storage.getEntityKeys('pending-channel'),
+        [])
+
+      // Disable encryption
+      await clone.changePassphrase('new', '')
+      assert.ok(await load(storage, ''))
+    })
+
+    it('should keep old passphrase if interrupted', async function () {
+      this.timeout(60000)
+
+      const protocol = new Protocol({ sodium, passphrase: 'old' })
+      await protocol.load()
+      await protocol.createIdentityPair('test')
+
+      const storage = protocol.storage
+      const storeEntity = storage.storeEntity
+      storage.storeEntity = async (prefix, ...args) => {
+        if (prefix === 'persistence') {
+          throw new Error('Crash')
+        }
+        return await storeEntity.call(storage, prefix, ...args)
+      }
+
+      await assert.rejects(protocol.changePassphrase('old', 'new'), {
+        message: 'Crash'
+      })
+      storage.storeEntity = storeEntity
+
+      assert.strictEqual(await load(storage, 'new'), null)
+      const clone = await load(storage, 'old')
+      assert.deepStrictEqual(clone.getIdentityNames(), ['test'])
+      assert.deepStrictEqual(await storage.getEntityKeys('pending-identity'),
+        [])
+    })
+
+    it('should complete committed change if interrupted', async function () {
+      this.timeout(60000)
+
+      const protocol = new Protocol({ sodium, passphrase: 'old' })
+      await protocol.load()
+      await protocol.createIdentityPair('test')
+
+      const storage = protocol.storage
+      const storeEntity = storage.storeEntity
+      storage.storeEntity = async (prefix, ...args) => {
+        if (prefix === 'channel') {
+          throw new Error('Crash')
+        }
+        return await storeEntity.call(storage, prefix, ...args)
+      }
+
+      await assert.rejects(protocol.changePassphrase('old', 'new'), {
+        message: 'Crash'
+      })
+      storage.storeEntity = storeEntity
+
+      const clone = await load(storage, 'new')
+      assert.deepStrictEqual(clone.getIdentityNames(), ['test'])
+      assert.strictEqual(await load(storage, 'old'), null)
+    })
+  })
+
+  describe('persistence key', () => {
+    it('should use per-installation salt', async function () {
+      // Derivation of encryption key is a slow process
+      this.timeout(60000)
+
+      const first = new Protocol({ sodium, passphrase: 'secret' })
+      assert.ok(await first.load())
+      const second = new Protocol({ sodium, passphrase: 'secret' })
+      assert.ok(await second.load())
+
+      assert.ok(!first.keyParams.salt.equals(second.keyParams.salt))
+      assert.ok(!first.encryptionKey.equals(second.encryptionKey))
+
+      await first.createIdentityPair('test')
+
+      const clone = new Protocol({
+        sodium,
+        storage: first.storage,
+        passphrase: 'secret'
+      })
+      assert.ok(await clone.load())
+      assert.ok(clone.encryptionKey.equals(first.encryptionKey))
+      assert.deepStrictEqual(clone.getIdentityNames(), ['test'])
+    })
+
+    it('should migrate stores with legacy salt', async function () {
+      this.timeout(60000)
+
+      const legacy = new Protocol({ sodium })
+      await legacy.load()
+      await legacy.createIdentityPair('test')
+
+      // Encrypt entities the way it was done before
+      const storage = legacy.storage
+      const key = legacy.deriveKey('secret', legacy.getLegacyKeyParams())
+      for (const prefix of ['channel', 'identity']) {
+        for (const id of await storage.getEntityKeys(prefix)) {
+          const blob = await storage.retrieveEntity(prefix, id)
+          await storage.storeEntity(prefix, id, legacy.encryptData(blob, key))
+        }
+      }
+
+      const invalid = new Protocol({ sodium, storage, passphrase: 'wrong' })
+      assert.ok(!await invalid.load())
+      assert.deepStrictEqual(await storage.getEntityKeys('persistence'), [])
+
+      const migrated = new Protocol({ sodium, storage, passphrase: 'secret' })
+      assert.ok(await migrated.load())
+      assert.deepStrictEqual(migrated.getIdentityNames(), ['test'])
+      assert.ok(!migrated.encryptionKey.equals(key))
+
+      const clone = new Protocol({ sodium, storage, passphrase: 'secret' })
+      assert.ok(await clone.load())
+      assert.deepStrictEqual(clone.getIdentityNames(), ['test'])
+    })
+  })
+
+  it('should share message cache between channels', async () => {
+    const [idA, channelA] = await a.createIdentityPair('a')
+    const [idB, channelB] = await a.createIdentityPair('b')
+    assert.strictEqual(channelA.cache.lru, channelB.cache.lru)
+
+    await channelA.post(Message.json('hello'), idA)
+    await channelB.post(Message.json('world'), idB)
+
+    const before = a.getCacheStats()
+    assert.strictEqual(before.count, 4)
+    assert.ok(before.size > 0)
+
+    await channelA.getReverseMessagesAtOffset(0)
+    assert.strictEqual(a.getCacheStats().hits, before.hits + 1)
+
+    await a.removeChannel(channelA)
+    assert.strictEqual(a.getCacheStats().count, 2)
+  })
+
+  it('should recover identity pair from a seed phrase', async () => {
+    const seedPhrase = Identity.generateSeedPhrase({ sodium })
+    const [id, channel] = await a.createIdentityPair('test', { seedPhrase })
+    await channel.post(Message.json('ohai'), id)
+
+    const [recovered, copy] = await b.recoverIdentityPair('recovered',
+      seedPhrase)
+    assert.ok(recovered.publicKey.equals(id.publicKey))
+    assert.ok(copy.id.equals(channel.id))
+    assert.ok(recovered.canPost(copy))
+
+    await assert.rejects(b.recoverIdentityPair('other', seedPhrase), {
+      message: 'Duplicate identity'
+    })
+
+    const run = async () => {
+      while ((await copy.getMessageCount()) !== 2) {
+        await copy.waitForIncomingMessage()
+      }
+
+      const last = await copy.getReverseMessagesAtOffset(0)
+      assert.strictEqual(last[0].json, 'ohai')
+    }
+
+    await Promise.race([
+      Promise.all([
+        a.connect(socketA),
+        b.connect(socketB)
+      ]),
+      run()
+    ])
+
+    await a.close()
+    await b.close()
+  })
+
+  describe('link renewal', () => {
+    const join = async (validTo) => {
+      const [idA, channelA] = await a.createIdentityPair('a')
+      const [idB] = await b.createIdentityPair('b')
+
+      const link = idA.issueLink(channelA, {
+        trusteePubKey: idB.publicKey,
+        trusteeDisplayName: 'b',
+        validTo
+      })
+      const channel = await b.channelFromInvite({
+        channelPubKey: channelA.publicKey,
+        channelName: 'a',
+        chain: [link.serialize()]
+      }, idB)
+
+      return { idB, channel }
+    }
+
+    const waitFor = async (predicate) => {
+      while (!predicate()) {
+        await new Promise((resolve) => setTimeout(resolve, 5))
+      }
+    }
+
+    it('should renew chains close to expiration', async () => {
+      const { idB, channel } = await join(now() + 24 * 3600)
+      assert.ok(idB.getChain(channel).needsRenewal())
+
+      const run = async () => {
+        await waitFor(() => !idB.getChain(channel).needsRenewal())
+        assert.deepStrictEqual(idB.getChain(channel).getDisplayPath(), ['b'])
+
+        // Renewed chain should be persisted
+        const clone = new Protocol({ sodium, storage: b.storage })
+        assert.ok(await clone.load())
+        const chain = clone.getIdentity('b').getChain(clone.getChannel('a'))
+        assert.ok(chain.getValidTo() > now() + Link.RENEWAL_DELTA)
+      }
+
+      await Promise.race([
+        Promise.all([
+          a.connect(socketA),
+          b.connect(socketB)
+        ]),
+        run()
+      ])
+
+      await a.close()
+      await b.close()
+    })
+
+    it('should stop renewals of destroyed peers', async () => {
+      const peer = new Peer({ sodium, localId: a.id, socket: socketA })
+      await peer.renewalLoop(async () => {
+        await peer.destroy()
+      })
+      assert.strictEqual(peer.renewalTimer, null)
+    })
+
+    it('should respect renewal policy', async () => {
+      const requests = []
+      a = new Protocol({
+        sodium,
+        renewalPolicy: async (request) => {
+          requests.push(request)
+          return false
+        }
+      })
+      await a.load()
+
+      const { idB, channel } = await join(now() + 24 * 3600)
+
+      const run = async () => {
+        await waitFor(() => requests.length !== 0)
+        assert.strictEqual(requests[0].trusteeDisplayName, 'b')
+        assert.ok(requests[0].trusteePubKey.equals(idB.publicKey))
+        assert.strictEqual(requests[0].issuer, a.getIdentity('a'))
+        assert.ok(idB.getChain(channel).needsRenewal())
+      }
+
+      await Promise.race([
+        Promise.all([
+          a.connect(socketA),
+          b.connect(socketB)
+        ]),
+        run()
+      ])
+
+      await a.close()
+      await b.close()
+    })
+
+    it('should retry renewal periodically', async () => {
+      let requestCount = 0
+      a = new Protocol({
+        sodium,
+        renewalPolicy: async () => {
+          // Decline the first request
+          requestCount++
+          return requestCount > 1
+        }
+      })
+      await a.load()
+
+      b = new Protocol({ sodium, renewalInterval: 10 })
+      await b.load()
+
+      const { idB, channel } = await join(now() + 24 * 3600)
+
+      const run = async () => {
+        await waitFor(() => !idB.getChain(channel).needsRenewal())
+        assert.strictEqual(requestCount, 2)
+      }
+
+      await Promise.race([
+        Promise.all([
+          a.connect(socketA),
+          b.connect(socketB)
+        ]),
+        run()
+      ])
+
+      await a.close()
+      await b.close()
+    })
+  })
+
+  describe('exportIdentity()', () => {
+    it('should import identity with channels', async function () {
+      // Derivation of encryption key is a slow process
+      this.timeout(60000)
+
+      const [id, channel] = await a.createIdentityPair('test')
+      const blob = a.exportIdentity(id, 'secret', { channels: true })
+
+      await assert.rejects(b.importIdentity(blob, 'wrong'), {
+        message: 'Invalid passphrase, or corrupted identity export'
+      })
+
+      const imported = await b.importIdentity(blob, 'secret')
+      assert.ok(imported.publicKey.equals(id.publicKey))
+      assert.deepStrictEqual(b.getIdentityNames(), ['test'])
+      assert.deepStrictEqual(b.getChannelNames(), ['test'])
+      assert.ok(imported.canPost(b.getChannel('test')))
+
+      await assert.rejects(b.importIdentity(blob, 'secret'), {
+        message: 'Duplicate identity'
+      })
+
+      // Should be persisted
+      const clone = new Protocol({ sodium, storage: b.storage })
+      assert.ok(await clone.load())
+      assert.ok(clone.getIdentity('test').getChain(channel))
+    })
+
+    it('should import device identities', async function () {
+      // Derivation of encryption key is a slow process
+      this.timeout(60000)
+
+      const [idA, channelA] = await a.createIdentityPair('a')
+
+      const device = new Identity('a:laptop', { sodium })
+      device.setDeviceLink(idA.issueDeviceLink({
+        devicePubKey: device.publicKey,
+        deviceName: 'laptop'
+      }), idA.publicKey)
+      await b.addIdentity(device)
+      await b.channelFromInvite({
+        channelPubKey: channelA.publicKey,
+        channelName: 'a',
+        chain: []
+      }, device)
+
+      const blob = b.exportIdentity(device, 'secret', { channels: true })
+      const imported = await a.importIdentity(blob, 'secret')
+      assert.ok(imported.isDevice)
+      assert.ok(imported.getPrimaryKey().equals(idA.publicKey))
+      assert.ok(imported.canPost(channelA))
+    })
+
+    it('should require channels for chains', async function () {
+      this.timeout(60000)
+
+      const [id] = await a.createIdentityPair('test')
+      const blob = a.exportIdentity(id, 'secret')
+
+      await assert.rejects(b.importIdentity(blob, 'secret'), (err) => {
+        return /^Unknown channel for imported chain/.test(err.message)
+      })
+      assert.deepStrictEqual(b.getIdentityNames(), [])
+    })
+
+    it('should reject invalid chains', async function () {
+      this.timeout(60000)
+
+      const [id] = await a.createIdentityPair('test')
+      const [, other] = await a.createIdentityPair('other')
+
+      // Pretend that `id` has a (root) chain in somebody else's channel
+      id.chains.set(other.id.toString('hex'),
+        id.chains.get(id.chains.keys().next().value))
+
+      const blob = a.exportIdentity(id, 'secret', { channels: true })
+      await assert.rejects(b.importIdentity(blob, 'secret'), {
+        message: 'Invalid chain in identity export'
+      })
+      assert.deepStrictEqual(b.getIdentityNames(), [])
+      assert.deepStrictEqual(b.getChannelNames(), [])
+    })
+  })
+
+  describe('migrate()', () => {
+    it('should mark fresh storage with the latest version', async () => {
+      assert.deepStrictEqual(await a.migrate({ dryRun: true }), [])
+
+      const version = await a.storage.retrieveEntity('schema', 'version')
+      assert.strictEqual(version.readUInt32BE(0), Protocol.SCHEMA_VERSION)
+    })
+
+    it('should migrate unversioned storage', async () => {
+      await a.createIdentityPair('test')
+
+      // Storage created before versioning
+      const storage = a.storage
+      await storage.removeEntity('schema', 'version')
+
+      const pending = await a.migrate({ dryRun: true })
+      assert.deepStrictEqual(pending.map(({ version }) => version), [1, 2])
+      assert.strictEqual(typeof pending[0].description, 'string')
+      assert.ok(!await storage.retrieveEntity('schema', 'version'))
+
+      const clone = new Protocol({ sodium, storage })
+      assert.ok(await clone.load())
+      assert.deepStrictEqual(clone.getIdentityNames(), ['test'])
+      assert.deepStrictEqual(await clone.migrate({ dryRun: true }), [])
+    })
+
+    it('should move ledgers of issued links out of identities', async () => {
+      const [id, channel] = await a.createIdentityPair('test')
+      id.issueLink(channel, {
+        trusteePubKey: b.id,
+        trusteeDisplayName: 'b'
+      })
+
+      // Schema version 1 kept the ledger in the identity
+      const storage = a.storage
+      const version = Buffer.alloc(4)
+      version.writeUInt32BE(1, 0)
+      await storage.storeEntity('schema', 'version', version)
+      await storage.storeEntity('identity', id.publicKey.toString('hex'),
+        PIdentity.encode(id.serialize()).finish())
+
+      const clone = new Protocol({ sodium, storage })
+      assert.ok(await clone.load())
+      assert.strictEqual(
+        clone.getIdentity('test').getIssuedLinks({ channel }).length, 1)
+
+      assert.strictEqual(
+        (await storage.getEntityKeys('issued-link')).length, 1)
+      const stored = PIdentity.decode(await storage.retrieveEntity('identity',
+        id.publicKey.toString('hex')))
+      assert.strictEqual(stored.issuedLinks.length, 0)
+    })
+
+    it('should refuse storage from the future', async () => {
+      const version = Buffer.alloc(4)
+      version.writeUInt32BE(Protocol.SCHEMA_VERSION + 1, 0)
+      await a.storage.storeEntity('schema', 'version', version)
+
+      const clone = new Protocol({ sodium, storage: a.storage })
+      await assert.rejects(clone.load(), {
+        message: `Unsupported storage schema version: ${version.readUInt32BE(0)}`
+      })
+    })
+  })
+
+  it('should sync channels through device identities', async () => {
+    const [idA, channelA] = await a.createIdentityPair('a')
+    await channelA.post(Message.json('from primary'), idA)
+
+    const device = new Identity('a:laptop', { sodium })
+    device.setDeviceLink(idA.issueDeviceLink({
+      devicePubKey: device.publicKey,
+      deviceName: 'laptop'
+    }), idA.publicKey)
+    await b.addIdentity(device)
+
+    const channelB = await b.channelFromInvite({
+      channelPubKey: channelA.publicKey,
+      channelName: 'a',
+      chain: []
+    }, device)
+
+    const run = async () => {
+      while ((await channelB.getMessageCount()) !== 2) {
+        await channelB.waitForIncomingMessage()
+      }
+
+      await channelB.post(Message.json('from device'), device)
+      while ((await channelA.getMessageCount()) !== 3) {
+        await channelA.waitForIncomingMessage()
+      }
+
+      const [last] = await channelA.getReverseMessagesAtOffset(0)
+      assert.strictEqual(last.json, 'from device')
+      assert.strictEqual(last.getAuthor().device.name, 'laptop')
+    }
+
+    await Promise.race([
+      Promise.all([
+        a.connect(socketA),
+        b.connect(socketB)
+      ]),
+      run()
+    ])
+
+    await a.close()
+    await b.close()
+  })
+
   it('should work when peers have no common channels', async () => {
     await a.createIdentityPair('a')
     await b.createIdentityPair('b')
@@ -310,6 +947,48 @@ describe('Protocol', () => {
     await b.close()
   })
 
+  it('should announce channels added while connected', async () => {
+    const [idA, channelA] = await a.createIdentityPair('a')
+    const [idB] = await b.createIdentityPair('b')
+
+    const run = async () => {
+      await Promise.all([a.waitForPeer(), b.waitForPeer()])
+
+      // Let the first sync of `a` find no channel on `b`
+      await new Promise((resolve) => setTimeout(resolve, 100))
+
+      const link = idA.issueLink(channelA, {
+        trusteePubKey: idB.publicKey,
+        trusteeDisplayName: 'b'
+      })
+      await b.channelFromInvite({
+        channelPubKey: channelA.publicKey,
+        channelName: 'a',
+        chain: [link.serialize()]
+      }, idB)
+
+      // `b` learns the chain of `a` only when `a` syncs again
+      while (b.computeChainMap().size === 0) {
+        await b.waitForChainMapUpdate()
+      }
+
+      const chains = Array.from(b.computeChainMap().values())[0]
+      assert.strictEqual(chains.length, 1)
+      assert.strictEqual(chains[0].length, 0)
+    }
+
+    await Promise.race([
+      Promise.all([
+        a.connect(socketA),
+        b.connect(socketB)
+      ]),
+      run()
+    ])
+
+    await a.close()
+    await b.close()
+  })
+
   it('should re-distribute messages', async () => {
     const c = new Protocol({ sodium })
     await c.load()
@@ -24,4 +24,23 @@ describe('utils', () => {
       assert.strictEqual(utils.compareDistance(b, b), 0)
     })
   })
+
+  describe('encodeBase58URI()/decodeBase58URI()', () => {
+    it('should roundtrip data with leading zeroes', () => {
+      for (const hex of ['', '00', '0000ff', 'ff00', '00'.repeat(8) + 'abcd']) {
+        const data = Buffer.from(hex, 'hex')
+        const uri = utils.encodeBase58URI('test', 1, data)
+        const decoded = utils.decodeBase58URI('test', 1, uri)
+        assert.strictEqual(decoded.toString('hex'), hex)
+      }
+    })
+
+    it('should reject truncated data', () => {
+      const uri = 'peerlinks:test:1:1'
+      assert.throws(() => utils.decodeBase58URI('test', 1, uri), {
+        name: 'Error',
+        message: 'Invalid test URI: too short'
+      })
+    })
+  })
 })